@@ -2,7 +2,13 @@ require("dotenv").config();
 
 const app = require("./src/app");
 const connectDB = require("./src/config/database");
+const { connectRedis, disconnectRedis } = require("./src/config/redis");
 const logger = require("./src/utils/logger");
+const scrapingQueue = require("./src/jobs/scrapingQueue");
+const scrapingScheduler = require("./src/jobs/scrapingScheduler");
+const emailQueue = require("./src/jobs/emailQueue");
+const dailyDigest = require("./src/jobs/dailyDigest");
+const subscriptionLifecycle = require("./src/jobs/subscriptionLifecycle");
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (err) => {
@@ -10,8 +16,27 @@ process.on("uncaughtException", (err) => {
   process.exit(1);
 });
 
-// Connect to database
-connectDB();
+// Connect to database, then start background workers
+// Falls back to the in-memory cache when Redis is not configured or down
+connectRedis();
+
+connectDB().then(() => {
+  if (process.env.SCRAPING_WORKER_ENABLED !== "false") {
+    scrapingQueue.start();
+  }
+  if (process.env.SCRAPING_SCHEDULER_ENABLED !== "false") {
+    scrapingScheduler.start();
+  }
+  if (process.env.EMAIL_WORKER_ENABLED !== "false") {
+    emailQueue.start();
+  }
+  if (process.env.DAILY_DIGEST_ENABLED !== "false") {
+    dailyDigest.start();
+  }
+  if (process.env.SUBSCRIPTION_JOB_ENABLED !== "false") {
+    subscriptionLifecycle.start();
+  }
+});
 
 const PORT = process.env.PORT || 5000;
 
@@ -30,6 +55,12 @@ process.on("unhandledRejection", (err) => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM received. Shutting down gracefully...");
+  scrapingQueue.stop();
+  scrapingScheduler.stop();
+  emailQueue.stop();
+  dailyDigest.stop();
+  subscriptionLifecycle.stop();
+  disconnectRedis();
   server.close(() => {
     logger.info("Process terminated");
     process.exit(0);
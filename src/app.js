@@ -5,10 +5,11 @@ const helmet = require("helmet");
 const compression = require("compression");
 const morgan = require("morgan");
 const cookieParser = require("cookie-parser");
-const rateLimit = require("express-rate-limit");
 const path = require("path");
 
 const { errorHandler } = require("./middleware/error.middleware");
+const { maintenanceGate } = require("./middleware/maintenance.middleware");
+const { rateLimiters } = require("./middleware/rateLimiter.middleware");
 const logger = require("./utils/logger");
 
 // Route imports
@@ -19,6 +20,7 @@ const adminRoutes = require("./routes/admin.routes");
 const applicationRoutes = require("./routes/application.routes");
 const aiRoutes = require("./routes/ai.routes");
 const paymentRoutes = require("./routes/payment.routes"); // Add this import
+const scrapingRoutes = require("./routes/scraping.routes");
 
 const app = express();
 
@@ -39,31 +41,27 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    exposedHeaders: ["X-Quota-Limit", "X-Quota-Remaining", "X-Quota-Reset"],
   })
 );
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: {
-    error: "Too many requests from this IP, please try again later.",
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use("/api", limiter);
-
-// Specific rate limiting for AI endpoints (more restrictive)
-const aiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 20, // Limit AI requests per IP
-  message: {
-    error: "Too many AI requests from this IP, please try again later.",
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+// Rate limiting (counters are shared across instances through Redis)
+app.use("/api", rateLimiters.general);
+
+// API routes
+const API_VERSION = process.env.API_VERSION || "v1";
+
+// Payment webhooks are signed over the raw body, so keep it unparsed
+app.use(
+  `/api/${API_VERSION}/payment/webhook`,
+  express.raw({ type: "application/json", limit: "1mb" })
+);
+
+// Scraper callbacks are signed the same way and carry whole job batches
+app.use(
+  `/api/${API_VERSION}/scraping/callback`,
+  express.raw({ type: "application/json", limit: "10mb" })
+);
 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
@@ -105,15 +103,17 @@ app.get("/health", (req, res) => {
   });
 });
 
-// API routes
-const API_VERSION = process.env.API_VERSION || "v1";
+// Maintenance mode gate (admins and sign-in stay available)
+app.use(`/api/${API_VERSION}`, maintenanceGate);
+
 app.use(`/api/${API_VERSION}/auth`, authRoutes);
 app.use(`/api/${API_VERSION}/user`, userRoutes);
 app.use(`/api/${API_VERSION}/jobs`, jobRoutes);
 app.use(`/api/${API_VERSION}/admin`, adminRoutes);
 app.use(`/api/${API_VERSION}/applications`, applicationRoutes);
-app.use(`/api/${API_VERSION}/ai`, aiLimiter, aiRoutes); // Apply AI-specific rate limiting
+app.use(`/api/${API_VERSION}/ai`, rateLimiters.ai, aiRoutes); // Apply AI-specific rate limiting
 app.use(`/api/${API_VERSION}/payment`, paymentRoutes); // Add payment routes
+app.use(`/api/${API_VERSION}/scraping`, scrapingRoutes);
 
 // Serve uploaded files
 app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
@@ -129,6 +129,17 @@ app.get(`/api/${API_VERSION}/docs`, (req, res) => {
         register: "POST /auth/register",
         logout: "POST /auth/logout",
         refresh: "POST /auth/refresh",
+        "oauth-providers": "GET /auth/oauth/providers",
+        oauth: "GET /auth/oauth/:provider",
+        "oauth-callback": "POST /auth/oauth/:provider/callback",
+        "2fa": "GET /auth/2fa",
+        "2fa-setup": "POST /auth/2fa/setup",
+        "2fa-enable": "POST /auth/2fa/enable",
+        "2fa-verify": "POST /auth/2fa/verify",
+        "2fa-disable": "POST /auth/2fa/disable",
+        "2fa-recovery-codes": "POST /auth/2fa/recovery-codes",
+        sessions: "GET/DELETE /auth/sessions",
+        session: "DELETE /auth/sessions/:sessionId",
         verify: "GET /auth/verify",
         "forgot-password": "POST /auth/forgot-password",
         "reset-password": "POST /auth/reset-password",
@@ -152,21 +163,47 @@ app.get(`/api/${API_VERSION}/docs`, (req, res) => {
         search: "GET /jobs/search",
         details: "GET /jobs/:id",
         apply: "POST /jobs/:id/apply",
+        "scraping-stream": "GET /jobs/scraping/:sessionId/stream",
       },
       admin: {
         dashboard: "GET /admin/dashboard",
         users: "GET /admin/users",
+        "user-unlock": "PATCH /admin/users/:userId/unlock",
+        "login-audits": "GET /admin/login-audits",
         applications: "GET /admin/applications",
         jobs: "GET /admin/jobs",
         analytics: "GET /admin/analytics",
+        settings: "GET/PUT /admin/settings",
+        "settings-history": "GET /admin/settings/history",
+        "scraping-schedule": "GET/PATCH /admin/scraping/schedule",
+        emails: "GET /admin/emails",
+        "email-resend": "POST /admin/emails/:messageId/resend",
+        payments: "GET /admin/payments",
+        refund: "POST /admin/payments/:paymentId/refund",
+        plans: "GET/POST /admin/plans",
+        plan: "PUT/DELETE /admin/plans/:planId",
+        coupons: "GET/POST /admin/coupons",
+        coupon: "PUT /admin/coupons/:couponId",
+        "coupon-redemptions": "GET /admin/coupons/:couponId/redemptions",
       },
       payment: {
         plans: "GET /payment/plans",
-        complete: "POST /payment/complete",
+        checkout: "POST /payment/checkout",
+        "coupon-validate": "POST /payment/coupons/validate",
+        webhook: "POST /payment/webhook",
         status: "GET /payment/status",
+        subscription: "GET /payment/subscription",
+        invoices: "GET /payment/invoices",
+        "invoice-download": "GET /payment/invoices/:invoiceId/download",
+        "plan-change-preview": "GET /payment/plan-change/preview",
+        upgrade: "POST /payment/upgrade",
+        downgrade: "POST/DELETE /payment/downgrade",
         verify: "POST /payment/verify",
         cancel: "POST /payment/cancel",
       },
+      scraping: {
+        callback: "POST /scraping/callback",
+      },
     },
     features: {
       ai_parsing: process.env.OPENAI_API_KEY ? "enabled" : "disabled",
@@ -1,87 +1,74 @@
-// utils/logger.js
-const winston = require('winston');
-const path = require('path');
+const { createClient } = require("redis");
+const logger = require("../utils/logger");
 
-// Define log levels
-const levels = {
-  error: 0,
-  warn: 1,
-  info: 2,
-  http: 3,
-  debug: 4
-};
+let client = null;
+let ready = false;
+let warned = false;
 
-// Define log colors
-const colors = {
-  error: 'red',
-  warn: 'yellow',
-  info: 'green',
-  http: 'magenta',
-  debug: 'white'
-};
+// Connect in the background. Until Redis is ready (or when REDIS_URL is
+// not set) callers get no client and fall back to the in-memory store.
+const connectRedis = () => {
+  if (!process.env.REDIS_URL) {
+    logger.info("REDIS_URL not set, using in-memory cache");
+    return null;
+  }
 
-// Tell winston to use these colors
-winston.addColors(colors);
+  if (client) return client;
 
-// Define log format
-const format = winston.format.combine(
-  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
-  winston.format.colorize({ all: true }),
-  winston.format.printf(
-    (info) => `${info.timestamp} ${info.level}: ${info.message}`
-  )
-);
+  client = createClient({
+    url: process.env.REDIS_URL,
+    // Fail commands straight away while disconnected instead of queueing
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: 5000,
+      reconnectStrategy: (retries) => Math.min(retries * 500, 10000),
+    },
+  });
 
-// Define transports
-const transports = [
-  // Console transport
-  new winston.transports.Console({
-    format: winston.format.combine(
-      winston.format.colorize(),
-      winston.format.simple()
-    )
-  }),
-  
-  // File transports
-  new winston.transports.File({
-    filename: path.join(__dirname, '../logs/error.log'),
-    level: 'error',
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.json()
-    )
-  }),
-  
-  new winston.transports.File({
-    filename: path.join(__dirname, '../logs/combined.log'),
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.json()
-    )
-  })
-];
+  client.on("ready", () => {
+    ready = true;
+    warned = false;
+    logger.info("Redis connected");
+  });
 
-// Create logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  levels,
-  format,
-  transports,
-  exitOnError: false
-});
+  client.on("end", () => {
+    ready = false;
+  });
 
-// Create logs directory if it doesn't exist
-const fs = require('fs');
-const logsDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
-}
+  // Log once per outage so a Redis that stays down does not flood the logs
+  client.on("error", (error) => {
+    ready = false;
+    if (warned) return;
 
-// Stream for Morgan HTTP logging
-logger.stream = {
-  write: (message) => {
-    logger.http(message.trim());
+    warned = true;
+    logger.warn(`Redis unavailable, using in-memory cache: ${error.message}`);
+  });
+
+  // Errors are reported through the handler above while it reconnects
+  client.connect().catch(() => {});
+
+  return client;
+};
+
+// Connected client, or null while Redis is unavailable
+const getRedisClient = () => (ready ? client : null);
+
+const disconnectRedis = async () => {
+  if (!client) return;
+
+  const current = client;
+  client = null;
+  ready = false;
+
+  try {
+    await current.quit();
+  } catch (error) {
+    await current.disconnect().catch(() => {});
   }
 };
 
-module.exports = logger;
\ No newline at end of file
+module.exports = {
+  connectRedis,
+  getRedisClient,
+  disconnectRedis,
+};
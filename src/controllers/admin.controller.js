@@ -1,17 +1,40 @@
 const User = require("../models/User.model");
 const Job = require("../models/Job.model");
+const JobMatch = require("../models/JobMatch.model");
 const Application = require("../models/Application.model");
 const ScrapingLog = require("../models/ScrapingLog.model");
 const { ApiResponse } = require("../utils/apiResponse");
 const { asyncHandler, AppError } = require("../middleware/error.middleware");
 const scrapingService = require("../services/scraping.service");
+const jobCatalogueService = require("../services/jobCatalogue.service");
 const analyticsService = require("../services/analytics.service");
+const settingsService = require("../services/settings.service");
+const quotaService = require("../services/quota.service");
+const scrapingScheduler = require("../jobs/scrapingScheduler");
+const emailQueue = require("../jobs/emailQueue");
+const paymentService = require("../services/payment.service");
+const planService = require("../services/plan.service");
+const couponService = require("../services/coupon.service");
+const cacheService = require("../services/cache.service");
+const loginSecurityService = require("../services/loginSecurity.service");
+const sessionService = require("../services/session.service");
+const Payment = require("../models/Payment.model");
 const logger = require("../utils/logger");
 const mongoose = require("mongoose");
 
 // Get admin dashboard statistics
 const getDashboardStats = asyncHandler(async (req, res) => {
   try {
+    const cacheKey = cacheService.keys.adminDashboard();
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return ApiResponse.success(
+        res,
+        "Dashboard statistics retrieved successfully",
+        cached
+      );
+    }
+
     // Get basic counts
     const [
       totalUsers,
@@ -147,6 +170,12 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       },
     };
 
+    await cacheService.set(
+      cacheKey,
+      dashboardData,
+      cacheService.ttl.adminDashboard
+    );
+
     ApiResponse.success(
       res,
       "Dashboard statistics retrieved successfully",
@@ -208,7 +237,7 @@ const getAllUsers = asyncHandler(async (req, res) => {
         const applicationCount = await Application.countDocuments({
           user: user._id,
         });
-        const jobCount = await Job.countDocuments({ targetUser: user._id });
+        const jobCount = await JobMatch.countDocuments({ user: user._id });
 
         return {
           ...user,
@@ -248,8 +277,8 @@ const getUser = asyncHandler(async (req, res) => {
   // Get additional user statistics
   const [applicationStats, jobStats, scrapingStats] = await Promise.all([
     Application.getStatistics(userId),
-    Job.aggregate([
-      { $match: { targetUser: mongoose.Types.ObjectId(userId) } },
+    JobMatch.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
       {
         $group: {
           _id: "$adminReviewStatus",
@@ -290,6 +319,8 @@ const updateUser = asyncHandler(async (req, res) => {
   delete updateData.userType;
   delete updateData.emailVerificationToken;
   delete updateData.passwordResetToken;
+  delete updateData.tokenVersion;
+  delete updateData.passwordChangedAt;
 
   const user = await User.findByIdAndUpdate(userId, updateData, {
     new: true,
@@ -300,6 +331,10 @@ const updateUser = asyncHandler(async (req, res) => {
     throw new AppError("User not found", 404);
   }
 
+  if (updateData.isActive === false) {
+    await sessionService.invalidateUser(userId, "deactivated");
+  }
+
   logger.info(`User ${userId} updated by admin ${req.user._id}`);
 
   ApiResponse.success(res, "User updated successfully", { user });
@@ -319,6 +354,9 @@ const deactivateUser = asyncHandler(async (req, res) => {
     throw new AppError("User not found", 404);
   }
 
+  // Signed-in devices are logged out straight away
+  await sessionService.invalidateUser(userId, "deactivated");
+
   logger.info(`User ${userId} deactivated by admin ${req.user._id}`);
 
   ApiResponse.success(res, "User deactivated successfully", { user });
@@ -343,6 +381,31 @@ const reactivateUser = asyncHandler(async (req, res) => {
   ApiResponse.success(res, "User reactivated successfully", { user });
 });
 
+// Unlock an account locked after failed logins
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await loginSecurityService.unlock(
+    req.params.userId,
+    req.user._id
+  );
+
+  ApiResponse.success(res, "User account unlocked successfully", { user });
+});
+
+// Get login audit records (filter by user, email or outcome)
+const getLoginAudits = asyncHandler(async (req, res) => {
+  const { user, email, outcome, page = 1, limit = 20 } = req.query;
+
+  const result = await loginSecurityService.listAudits({
+    user,
+    email,
+    outcome,
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  ApiResponse.success(res, "Login audits retrieved successfully", result);
+});
+
 // Delete user account (soft delete)
 const deleteUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
@@ -362,6 +425,8 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new AppError("User not found", 404);
   }
 
+  await sessionService.invalidateUser(userId, "deactivated");
+
   logger.info(`User ${userId} marked for deletion by admin ${req.user._id}`);
 
   ApiResponse.success(res, "User deleted successfully");
@@ -576,9 +641,10 @@ const applyToJobOnBehalf = asyncHandler(async (req, res) => {
   const adminId = req.user._id;
 
   // Verify user and job exist
-  const [user, job] = await Promise.all([
+  const [user, job, match] = await Promise.all([
     User.findById(userId),
     Job.findById(jobId),
+    jobCatalogueService.getMatch(userId, jobId),
   ]);
 
   if (!user) {
@@ -590,7 +656,7 @@ const applyToJobOnBehalf = asyncHandler(async (req, res) => {
   }
 
   // Check if job belongs to the user
-  if (job.targetUser.toString() !== userId.toString()) {
+  if (!match) {
     throw new AppError("Job does not belong to this user", 400);
   }
 
@@ -604,19 +670,43 @@ const applyToJobOnBehalf = asyncHandler(async (req, res) => {
     throw new AppError("No application found for this job", 404);
   }
 
-  if (existingApplication.status !== "approved") {
+  // Without mandatory admin review, pending applications can be applied directly
+  const requireAdminReview = await settingsService.get(
+    "applications.requireAdminReview"
+  );
+  const applicableStatuses = requireAdminReview
+    ? ["approved"]
+    : ["approved", "pending_review"];
+
+  if (!applicableStatuses.includes(existingApplication.status)) {
     throw new AppError("Application must be approved before applying", 400);
   }
 
+  // Applications saved before quotas existed are counted when applied
+  let reservation = null;
+  if (!existingApplication.quotaReservedAt) {
+    reservation = await quotaService.reserve(user);
+    quotaService.setHeaders(res, reservation.quota);
+    if (!reservation.allowed) {
+      throw new AppError(reservation.message, reservation.statusCode);
+    }
+    if (reservation.quota) existingApplication.quotaReservedAt = new Date();
+  }
+
   // Update application status to applied
   existingApplication.status = "applied";
   existingApplication.appliedBy = adminId;
   existingApplication.appliedAt = new Date();
-  await existingApplication.save();
+
+  try {
+    await existingApplication.save();
+  } catch (error) {
+    if (reservation?.quota) await quotaService.release(userId);
+    throw error;
+  }
 
   // Update job application status
-  job.applicationStatus = "applied";
-  await job.save();
+  await jobCatalogueService.setApplicationStatus(userId, jobId, "applied");
 
   // Update user statistics
   await User.findByIdAndUpdate(userId, {
@@ -663,8 +753,9 @@ const getAllJobs = asyncHandler(async (req, res) => {
     filter.status = status;
   }
 
+  // Jobs matched to a user
   if (userId) {
-    filter.targetUser = userId;
+    filter._id = { $in: await JobMatch.distinct("job", { user: userId }) };
   }
 
   if (search) {
@@ -678,7 +769,6 @@ const getAllJobs = asyncHandler(async (req, res) => {
   try {
     const [jobs, total] = await Promise.all([
       Job.find(filter)
-        .populate("targetUser", "name email")
         .populate("reviewedBy", "name")
         .sort(sort)
         .skip(skip)
@@ -687,8 +777,20 @@ const getAllJobs = asyncHandler(async (req, res) => {
       Job.countDocuments(filter),
     ]);
 
+    // How many users each posting is matched to
+    const matchCounts = await JobMatch.aggregate([
+      { $match: { job: { $in: jobs.map((job) => job._id) } } },
+      { $group: { _id: "$job", count: { $sum: 1 } } },
+    ]);
+    const matchCountByJob = new Map(
+      matchCounts.map((stat) => [stat._id.toString(), stat.count])
+    );
+
     ApiResponse.success(res, "Jobs retrieved successfully", {
-      jobs,
+      jobs: jobs.map((job) => ({
+        ...job,
+        matchedUsers: matchCountByJob.get(job._id.toString()) || 0,
+      })),
       pagination: {
         page: parseInt(page),
         pageSize: parseInt(pageSize),
@@ -708,21 +810,17 @@ const approveJob = asyncHandler(async (req, res) => {
   const { reviewNotes } = req.body;
   const adminId = req.user._id;
 
-  const job = await Job.findById(jobId);
+  // Reviewed once for every user the posting is matched to
+  const job = await jobCatalogueService.setReviewStatus(
+    jobId,
+    "approved",
+    adminId,
+    reviewNotes
+  );
   if (!job) {
     throw new AppError("Job not found", 404);
   }
 
-  job.adminReviewStatus = "approved";
-  job.reviewedBy = adminId;
-  job.reviewedAt = new Date();
-
-  if (reviewNotes) {
-    job.reviewNotes = reviewNotes;
-  }
-
-  await job.save();
-
   logger.info(`Job ${jobId} approved by admin ${adminId}`);
 
   ApiResponse.success(res, "Job approved successfully");
@@ -734,21 +832,17 @@ const rejectJob = asyncHandler(async (req, res) => {
   const { reviewNotes } = req.body;
   const adminId = req.user._id;
 
-  const job = await Job.findById(jobId);
+  // Reviewed once for every user the posting is matched to
+  const job = await jobCatalogueService.setReviewStatus(
+    jobId,
+    "rejected",
+    adminId,
+    reviewNotes
+  );
   if (!job) {
     throw new AppError("Job not found", 404);
   }
 
-  job.adminReviewStatus = "rejected";
-  job.reviewedBy = adminId;
-  job.reviewedAt = new Date();
-
-  if (reviewNotes) {
-    job.reviewNotes = reviewNotes;
-  }
-
-  await job.save();
-
   logger.info(`Job ${jobId} rejected by admin ${adminId}`);
 
   ApiResponse.success(res, "Job rejected successfully");
@@ -773,31 +867,7 @@ const getAnalytics = asyncHandler(async (req, res) => {
 
 // Get system settings
 const getSystemSettings = asyncHandler(async (req, res) => {
-  // For now, return default settings
-  // In a full implementation, these would be stored in database
-  const settings = {
-    scraping: {
-      maxJobsPerUser: 100,
-      scrapingInterval: 24, // hours
-      enabledPlatforms: ["linkedin", "indeed", "glassdoor"],
-      autoApproveJobs: false,
-    },
-    applications: {
-      maxApplicationsPerDay: 10,
-      autoApplyEnabled: false,
-      requireAdminReview: true,
-    },
-    email: {
-      notifications: true,
-      dailyDigest: true,
-      applicationUpdates: true,
-    },
-    system: {
-      maintenanceMode: false,
-      registrationEnabled: true,
-      debugMode: process.env.NODE_ENV === "development",
-    },
-  };
+  const settings = await settingsService.getSettings();
 
   ApiResponse.success(res, "System settings retrieved successfully", {
     settings,
@@ -806,18 +876,264 @@ const getSystemSettings = asyncHandler(async (req, res) => {
 
 // Update system settings
 const updateSystemSettings = asyncHandler(async (req, res) => {
-  const { settings } = req.body;
+  const { settings, version } = req.body;
   const adminId = req.user._id;
 
-  // In a full implementation, save settings to database
-  // For now, just log the update
-  logger.info(`System settings updated by admin ${adminId}:`, settings);
+  const result = await settingsService.updateSettings(
+    settings,
+    adminId,
+    version != null ? parseInt(version) : null
+  );
 
   ApiResponse.success(res, "System settings updated successfully", {
-    settings,
+    settings: result.settings,
+    changes: result.changes,
+  });
+});
+
+// Get system settings change history
+const getSystemSettingsHistory = asyncHandler(async (req, res) => {
+  const { limit = 20 } = req.query;
+
+  const history = await settingsService.getHistory(parseInt(limit));
+
+  ApiResponse.success(res, "System settings history retrieved successfully", {
+    history,
+  });
+});
+
+// Get recurring scraping schedule
+const getScrapingSchedule = asyncHandler(async (req, res) => {
+  const { limit = 20 } = req.query;
+
+  const schedule = await scrapingScheduler.getScheduleOverview(parseInt(limit));
+
+  ApiResponse.success(res, "Scraping schedule retrieved successfully", {
+    schedule,
+  });
+});
+
+// Pause or resume the recurring scraping schedule
+const updateScrapingSchedule = asyncHandler(async (req, res) => {
+  const { paused } = req.body;
+  const adminId = req.user._id;
+
+  await settingsService.updateSettings(
+    { scraping: { schedulerPaused: paused } },
+    adminId
+  );
+
+  logger.info(
+    `Scraping schedule ${paused ? "paused" : "resumed"} by admin ${adminId}`
+  );
+
+  const schedule = await scrapingScheduler.getScheduleOverview();
+
+  ApiResponse.success(
+    res,
+    `Scraping schedule ${paused ? "paused" : "resumed"} successfully`,
+    { schedule }
+  );
+});
+
+// Pause or resume recurring scraping for a single user
+const updateUserScrapingSchedule = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { paused } = req.body;
+  const adminId = req.user._id;
+
+  const user = await scrapingScheduler.setUserPaused(userId, paused, adminId);
+  if (!user) {
+    throw new AppError("User not found", 404);
+  }
+
+  logger.info(
+    `Scraping schedule for user ${userId} ${
+      paused ? "paused" : "resumed"
+    } by admin ${adminId}`
+  );
+
+  ApiResponse.success(
+    res,
+    `Scraping schedule ${paused ? "paused" : "resumed"} for user`,
+    {
+      userId: user._id,
+      scrapingSchedule: user.scrapingSchedule,
+      lastJobScrapingRun: user.lastJobScrapingRun,
+    }
+  );
+});
+
+// Get outbox emails (defaults to failed messages)
+const getEmailMessages = asyncHandler(async (req, res) => {
+  const { status = "failed", to, page = 1, limit = 20 } = req.query;
+
+  const result = await emailQueue.listMessages({
+    status: status === "all" ? undefined : status,
+    to,
+    page: parseInt(page),
+    pageSize: parseInt(limit),
+  });
+
+  ApiResponse.success(res, "Email messages retrieved successfully", result);
+});
+
+// Requeue a failed email
+const resendEmailMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const adminId = req.user._id;
+
+  const message = await emailQueue.resend(messageId, adminId);
+  if (!message) {
+    throw new AppError("Failed email message not found", 404);
+  }
+
+  logger.info(`Email ${messageId} requeued by admin ${adminId}`);
+
+  ApiResponse.success(res, "Email message queued for resend", {
+    message: {
+      _id: message._id,
+      to: message.to,
+      subject: message.subject,
+      template: message.template,
+      status: message.status,
+      resentAt: message.resentAt,
+    },
   });
 });
 
+// Get payments (filter by user or status)
+const getPayments = asyncHandler(async (req, res) => {
+  const { user, status, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+  if (user) filter.user = user;
+  if (status) filter.status = status;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [payments, total] = await Promise.all([
+    Payment.find(filter)
+      .populate("user", "name email")
+      .populate("invoice", "number status")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Payment.countDocuments(filter),
+  ]);
+
+  ApiResponse.success(res, "Payments retrieved successfully", {
+    payments,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+    },
+  });
+});
+
+// Refund a payment in full or in part
+const refundPayment = asyncHandler(async (req, res) => {
+  const { paymentId } = req.params;
+  const { amount, reason } = req.body;
+
+  const result = await paymentService.refundPayment(
+    paymentId,
+    { amount: amount != null ? parseFloat(amount) : undefined, reason },
+    req.user._id
+  );
+
+  ApiResponse.success(res, "Payment refunded successfully", {
+    paymentId: result.payment._id,
+    status: result.payment.status,
+    amountRefunded: result.payment.amountRefunded,
+    refund: result.refund,
+    accessChange: result.accessChange,
+  });
+});
+
+// Get the plan catalogue, including retired plans
+const getPlans = asyncHandler(async (req, res) => {
+  const plans = await planService.getPlans({ includeInactive: true });
+
+  ApiResponse.success(res, "Plans retrieved successfully", { plans });
+});
+
+// Add a plan to the catalogue
+const createPlan = asyncHandler(async (req, res) => {
+  const plan = await planService.createPlan(req.body, req.user._id);
+
+  ApiResponse.created(res, "Plan created successfully", { plan });
+});
+
+// Update a plan's price, limits, entitlements or copy
+const updatePlan = asyncHandler(async (req, res) => {
+  const plan = await planService.updatePlan(
+    req.params.planId,
+    req.body,
+    req.user._id
+  );
+
+  ApiResponse.success(res, "Plan updated successfully", { plan });
+});
+
+// Retire a plan so it can no longer be bought
+const deactivatePlan = asyncHandler(async (req, res) => {
+  const plan = await planService.deactivatePlan(
+    req.params.planId,
+    req.user._id
+  );
+
+  ApiResponse.success(res, "Plan deactivated successfully", { plan });
+});
+
+// Get coupons
+const getCoupons = asyncHandler(async (req, res) => {
+  const { isActive, page = 1, limit = 20 } = req.query;
+
+  const result = await couponService.listCoupons({
+    isActive: isActive === undefined ? undefined : isActive === "true",
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  ApiResponse.success(res, "Coupons retrieved successfully", result);
+});
+
+// Create a coupon
+const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await couponService.createCoupon(req.body, req.user._id);
+
+  ApiResponse.created(res, "Coupon created successfully", { coupon });
+});
+
+// Update or deactivate a coupon
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await couponService.updateCoupon(
+    req.params.couponId,
+    req.body,
+    req.user._id
+  );
+
+  ApiResponse.success(res, "Coupon updated successfully", { coupon });
+});
+
+// Get redemptions of a coupon
+const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const result = await couponService.listRedemptions(req.params.couponId, {
+    status,
+    page: parseInt(page),
+    limit: parseInt(limit),
+  });
+
+  ApiResponse.success(res, "Coupon redemptions retrieved successfully", result);
+});
+
 module.exports = {
   getDashboardStats,
   getAllUsers,
@@ -825,6 +1141,8 @@ module.exports = {
   updateUser,
   deactivateUser,
   reactivateUser,
+  unlockUser,
+  getLoginAudits,
   deleteUser,
   getAllApplications,
   getApplication,
@@ -836,4 +1154,20 @@ module.exports = {
   getAnalytics,
   getSystemSettings,
   updateSystemSettings,
+  getSystemSettingsHistory,
+  getScrapingSchedule,
+  updateScrapingSchedule,
+  updateUserScrapingSchedule,
+  getEmailMessages,
+  resendEmailMessage,
+  getPayments,
+  refundPayment,
+  getPlans,
+  createPlan,
+  updatePlan,
+  deactivatePlan,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getCouponRedemptions,
 };
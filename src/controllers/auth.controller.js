@@ -5,6 +5,10 @@ const { asyncHandler, AppError } = require("../middleware/error.middleware");
 const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const emailService = require("../services/email.service");
+const loginSecurityService = require("../services/loginSecurity.service");
+const sessionService = require("../services/session.service");
+const twoFactorService = require("../services/twoFactor.service");
+const oauthService = require("../services/oauth.service");
 const logger = require("../utils/logger");
 
 // Register new user
@@ -28,18 +32,19 @@ const register = asyncHandler(async (req, res) => {
 
   await user.save();
 
-  // Generate tokens
-  const token = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+  // Start a session and generate tokens
+  const { token, refreshToken } = await sessionService.createSession(user, req);
 
   // Update last login
   user.lastLogin = new Date();
   await user.save();
 
-  // Send verification email (don't wait for it)
+  // Queue verification email (delivered by the email worker)
   emailService
-    .sendVerificationEmail(user.email, user.emailVerificationToken)
-    .catch((err) => logger.error("Failed to send verification email:", err));
+    .sendVerificationEmail(user.email, user.emailVerificationToken, {
+      userId: user._id,
+    })
+    .catch((err) => logger.error("Failed to queue verification email:", err));
 
   // Remove password from response
   const userResponse = user.toObject();
@@ -53,60 +58,334 @@ const register = asyncHandler(async (req, res) => {
   });
 });
 
+// Clear failed attempts, start a session and send the login response
+const completeLogin = async (req, res, user, { provider } = {}) => {
+  await loginSecurityService.recordSuccess(user);
+  await loginSecurityService.audit(req, {
+    user,
+    email: user.email,
+    outcome: "success",
+    provider,
+  });
+
+  // Start a session and generate tokens
+  const { token, refreshToken } = await sessionService.createSession(user, req);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+
+  ApiResponse.success(res, "Login successful", {
+    user: userResponse,
+    token,
+    refreshToken,
+  });
+};
+
+// Hand out a challenge token instead of tokens for accounts with 2FA
+const sendTwoFactorChallenge = async (req, res, user, { provider } = {}) => {
+  await loginSecurityService.audit(req, {
+    user,
+    email: user.email,
+    outcome: "two_factor_required",
+    provider,
+  });
+
+  ApiResponse.success(res, "Two-factor authentication required", {
+    twoFactorRequired: true,
+    challengeToken: twoFactorService.createChallenge(user),
+  });
+};
+
 // Login user
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
   // Check if user exists and include password for comparison
   const user = await User.findOne({ email }).select("+password");
+
+  // The password is checked first, with or without an account, so
+  // neither the reply nor its timing tells whether the email is
+  // registered or what state its account is in
+  const isPasswordValid = await loginSecurityService.checkPassword(
+    user,
+    password
+  );
+
   if (!user) {
+    // Unknown emails are throttled and locked like accounts
+    const throttle = await loginSecurityService.getEmailThrottle(email);
+    const block = throttle && loginSecurityService.getLoginBlock(throttle);
+    if (block) {
+      await loginSecurityService.audit(req, {
+        email,
+        outcome: block.outcome,
+        lockedUntil: throttle.loginSecurity.lockedUntil,
+      });
+      res.set("Retry-After", String(block.retryAfter));
+      throw new AppError(block.message, block.statusCode);
+    }
+
+    const { failedAttempts, lockedUntil } =
+      await loginSecurityService.recordUnknownEmailFailure(email, throttle);
+
+    await loginSecurityService.audit(req, {
+      email,
+      outcome: "unknown_email",
+      failedAttempts,
+      lockedUntil,
+    });
     throw new AppError("Invalid email or password", 401);
   }
 
-  // Check if account is active
-  if (!user.isActive) {
-    throw new AppError("Account is deactivated. Please contact support.", 401);
+  // Locked accounts and attempts inside the back-off delay are refused
+  // whether or not the password was right
+  const block = loginSecurityService.getLoginBlock(user);
+  if (block) {
+    await loginSecurityService.audit(req, {
+      user,
+      email,
+      outcome: block.outcome,
+      lockedUntil: user.loginSecurity.lockedUntil,
+    });
+    res.set("Retry-After", String(block.retryAfter));
+    throw new AppError(block.message, block.statusCode);
   }
 
-  // Check password
-  const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    const { failedAttempts, lockedUntil } =
+      await loginSecurityService.recordFailure(user, req);
+
+    await loginSecurityService.audit(req, {
+      user,
+      email,
+      outcome: lockedUntil ? "locked" : "invalid_password",
+      failedAttempts,
+      lockedUntil,
+    });
     throw new AppError("Invalid email or password", 401);
   }
 
-  // Generate tokens
-  const token = user.generateAuthToken();
-  const refreshToken = user.generateRefreshToken();
+  // Only someone who knows the password learns the account is deactivated
+  if (!user.isActive) {
+    await loginSecurityService.audit(req, {
+      user,
+      email,
+      outcome: "deactivated",
+    });
+    throw new AppError("Account is deactivated. Please contact support.", 401);
+  }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save();
+  // Accounts with 2FA finish signing in at /auth/2fa/verify
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return await sendTwoFactorChallenge(req, res, user);
+  }
 
-  // Remove password from response
-  const userResponse = user.toObject();
-  delete userResponse.password;
+  await completeLogin(req, res, user);
+});
 
-  ApiResponse.success(res, "Login successful", {
-    user: userResponse,
-    token,
-    refreshToken,
+// Sign-in providers that are configured
+const getOAuthProviders = asyncHandler(async (req, res) => {
+  ApiResponse.success(res, "Sign-in providers retrieved successfully", {
+    providers: oauthService.listProviders(),
   });
 });
 
-// Logout user
+// Start a provider sign-in (the client redirects the browser to `url`)
+const startOAuth = asyncHandler(async (req, res) => {
+  const authorization = oauthService.createAuthorization(req.params.provider);
+
+  ApiResponse.success(res, "Sign-in started", authorization);
+});
+
+// Finish a provider sign-in with the code and state it returned
+const oauthCallback = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const { code, state } = req.body;
+
+  const { user, created } = await oauthService.handleCallback(provider, {
+    code,
+    state,
+  });
+
+  if (!user.isActive) {
+    await loginSecurityService.audit(req, {
+      user,
+      email: user.email,
+      outcome: "deactivated",
+      provider,
+    });
+    throw new AppError("Account is deactivated. Please contact support.", 401);
+  }
+
+  // A provider sign-in does not get around a lockout
+  const block = loginSecurityService.getLoginBlock(user);
+  if (block) {
+    await loginSecurityService.audit(req, {
+      user,
+      email: user.email,
+      outcome: block.outcome,
+      lockedUntil: user.loginSecurity.lockedUntil,
+      provider,
+    });
+    res.set("Retry-After", String(block.retryAfter));
+    throw new AppError(block.message, block.statusCode);
+  }
+
+  // Providers that do not vouch for the email get the usual verification
+  if (created && !user.isEmailVerified) {
+    emailService
+      .sendVerificationEmail(user.email, user.emailVerificationToken, {
+        userId: user._id,
+      })
+      .catch((err) => logger.error("Failed to queue verification email:", err));
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return await sendTwoFactorChallenge(req, res, user, { provider });
+  }
+
+  await completeLogin(req, res, user, { provider });
+});
+
+// Stand-in identity provider sign-in page (only with MOCK_OAUTH_ENABLED):
+// signs the requested profile into a code and redirects back
+const mockOAuthAuthorize = asyncHandler(async (req, res) => {
+  const provider = oauthService.getProvider("mock");
+  const {
+    redirect_uri: redirectUri,
+    state,
+    email,
+    name,
+    currentJobTitle,
+    location,
+    emailVerified,
+  } = req.query;
+
+  if (redirectUri !== oauthService.getRedirectUri("mock")) {
+    throw new AppError("Invalid redirect URI", 400);
+  }
+
+  const code = provider.issueCode({
+    email,
+    name,
+    currentJobTitle,
+    location,
+    emailVerified: emailVerified !== "false",
+  });
+
+  res.redirect(
+    `${redirectUri}?${new URLSearchParams({ code, state }).toString()}`
+  );
+});
+
+// Second login step: a TOTP or recovery code for the challenge token
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const user = await twoFactorService.resolveChallenge(challengeToken);
+
+  const block = loginSecurityService.getLoginBlock(user);
+  if (block) {
+    await loginSecurityService.audit(req, {
+      user,
+      email: user.email,
+      outcome: block.outcome,
+      lockedUntil: user.loginSecurity.lockedUntil,
+    });
+    res.set("Retry-After", String(block.retryAfter));
+    throw new AppError(block.message, block.statusCode);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const method = await twoFactorService.verify(user, code);
+  if (!method) {
+    const { failedAttempts, lockedUntil } =
+      await loginSecurityService.recordFailure(user, req);
+
+    await loginSecurityService.audit(req, {
+      user,
+      email: user.email,
+      outcome: lockedUntil ? "locked" : "invalid_two_factor",
+      failedAttempts,
+      lockedUntil,
+    });
+    throw new AppError("Invalid authentication code", 401);
+  }
+
+  // Reload without the 2FA secrets before it goes into the response
+  await completeLogin(req, res, await User.findById(user._id));
+});
+
+// Two-factor status for the current user
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user._id);
+
+  ApiResponse.success(res, "Two-factor status retrieved successfully", status);
+});
+
+// Start 2FA enrolment (secret and provisioning URI for the QR code)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const enrolment = await twoFactorService.beginEnrolment(req.user._id);
+
+  ApiResponse.success(
+    res,
+    "Scan the QR code and confirm with a code from your authenticator app",
+    enrolment
+  );
+});
+
+// Confirm 2FA enrolment with a first code
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const recoveryCodes = await twoFactorService.confirmEnrolment(
+    req.user._id,
+    req.body.code
+  );
+
+  ApiResponse.success(res, "Two-factor authentication enabled", {
+    recoveryCodes,
+  });
+});
+
+// Turn 2FA off (needs the password and a current code)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  await twoFactorService.disable(req.user._id, { password, code });
+
+  ApiResponse.success(res, "Two-factor authentication disabled");
+});
+
+// Replace the recovery codes
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+    req.user._id,
+    req.body.code
+  );
+
+  ApiResponse.success(res, "Recovery codes regenerated", { recoveryCodes });
+});
+
+// Logout user (revokes the session the access token belongs to)
 const logout = asyncHandler(async (req, res) => {
-  // In a more complex setup, you might want to blacklist the token
-  // For now, we'll just send a success response
+  if (req.sessionId) {
+    await sessionService.revoke(req.user._id, req.sessionId, "logout");
+  }
+
   ApiResponse.success(res, "Logout successful");
 });
 
-// Refresh token
+// Refresh token (rotates the refresh token on every use)
 const refreshToken = asyncHandler(async (req, res) => {
-  const user = req.user; // Set by verifyRefreshToken middleware
-
-  // Generate new tokens
-  const token = user.generateAuthToken();
-  const newRefreshToken = user.generateRefreshToken();
+  const {
+    user,
+    token,
+    refreshToken: newRefreshToken,
+  } = await sessionService.rotate(req.body.refreshToken, req);
 
   // Remove password from response
   const userResponse = user.toObject();
@@ -177,15 +456,17 @@ const forgotPassword = asyncHandler(async (req, res) => {
   user.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
   await user.save();
 
-  // Send reset email
+  // Queue reset email
   try {
-    await emailService.sendPasswordResetEmail(user.email, resetToken);
-    logger.info(`Password reset email sent to: ${user.email}`);
+    await emailService.sendPasswordResetEmail(user.email, resetToken, {
+      userId: user._id,
+    });
+    logger.info(`Password reset email queued for: ${user.email}`);
   } catch (error) {
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save();
-    logger.error("Password reset email failed:", error);
+    logger.error("Password reset email could not be queued:", error);
     throw new AppError("Email could not be sent", 500);
   }
 
@@ -211,8 +492,13 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.password = password;
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
+  // A reset proves ownership, so any login lockout is lifted
+  user.loginSecurity = { failedAttempts: 0, lockoutCount: 0 };
   await user.save();
 
+  // Saving the new password invalidated existing tokens; end the sessions
+  await sessionService.revokeAll(user._id, { reason: "password_reset" });
+
   ApiResponse.success(res, "Password reset successful");
 });
 
@@ -229,7 +515,48 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
-  ApiResponse.success(res, "Password changed successfully");
+  // Every other device is signed out; this one gets a fresh session
+  await sessionService.revokeAll(user._id, { reason: "password_change" });
+  const { token, refreshToken } = await sessionService.createSession(user, req);
+
+  ApiResponse.success(res, "Password changed successfully", {
+    token,
+    refreshToken,
+  });
+});
+
+// List signed-in devices
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(
+    req.user._id,
+    req.sessionId
+  );
+
+  ApiResponse.success(res, "Sessions retrieved successfully", { sessions });
+});
+
+// Sign out one device
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await sessionService.revoke(
+    req.user._id,
+    req.params.sessionId
+  );
+  if (!session) {
+    throw new AppError("Session not found", 404);
+  }
+
+  ApiResponse.success(res, "Session revoked successfully");
+});
+
+// Sign out every device (or every other device with keepCurrent=true)
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+
+  const revoked = await sessionService.revokeAll(req.user._id, {
+    exceptSessionId: keepCurrent ? req.sessionId : undefined,
+  });
+
+  ApiResponse.success(res, "Sessions revoked successfully", { revoked });
 });
 
 // Get current user
@@ -259,11 +586,12 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
   user.emailVerificationToken = crypto.randomBytes(32).toString("hex");
   await user.save();
 
-  // Send verification email
+  // Queue verification email
   try {
     await emailService.sendVerificationEmail(
       user.email,
-      user.emailVerificationToken
+      user.emailVerificationToken,
+      { userId: user._id }
     );
     ApiResponse.success(res, "Verification email sent successfully");
   } catch (error) {
@@ -275,8 +603,21 @@ const resendEmailVerification = asyncHandler(async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  mockOAuthAuthorize,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   logout,
   refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   verifyEmail,
   forgotPassword,
   resetPassword,
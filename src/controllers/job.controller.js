@@ -1,9 +1,13 @@
+const mongoose = require("mongoose");
 const Job = require("../models/Job.model");
+const JobMatch = require("../models/JobMatch.model");
 const Application = require("../models/Application.model");
 const User = require("../models/User.model");
 const { ApiResponse } = require("../utils/apiResponse");
 const { asyncHandler, AppError } = require("../middleware/error.middleware");
 const scrapingService = require("../services/scraping.service");
+const jobCatalogueService = require("../services/jobCatalogue.service");
+const quotaService = require("../services/quota.service");
 const logger = require("../utils/logger");
 
 // Search jobs with filters
@@ -35,11 +39,6 @@ const searchJobs = asyncHandler(async (req, res) => {
     isActive: true,
   };
 
-  // If userId provided, filter for that user's jobs
-  if (userId) {
-    filter.targetUser = userId;
-  }
-
   // Text search
   if (q) {
     filter.$or = [
@@ -91,8 +90,8 @@ const searchJobs = asyncHandler(async (req, res) => {
     }
   }
 
-  // Match score filter
-  if (minMatchScore) {
+  // Match score filter (match scores only exist for a user's jobs)
+  if (minMatchScore && userId) {
     filter.matchScore = { $gte: parseInt(minMatchScore) };
   }
 
@@ -105,11 +104,28 @@ const searchJobs = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Execute search with pagination
-    const [jobs, total] = await Promise.all([
-      Job.find(filter).sort(sort).skip(skip).limit(parseInt(pageSize)).lean(),
-      Job.countDocuments(filter),
-    ]);
+    // Execute search with pagination. With a userId, search that user's
+    // matches; otherwise the shared catalogue, which has no match scores.
+    let jobs;
+    let total;
+    if (userId) {
+      ({ jobs, total } = await jobCatalogueService.findUserJobs(userId, {
+        filter,
+        sort,
+        skip,
+        limit: parseInt(pageSize),
+      }));
+    } else {
+      const catalogueSort = sortBy === "matchScore" ? { postedDate: -1 } : sort;
+      [jobs, total] = await Promise.all([
+        Job.find(filter)
+          .sort(catalogueSort)
+          .skip(skip)
+          .limit(parseInt(pageSize))
+          .lean(),
+        Job.countDocuments(filter),
+      ]);
+    }
 
     const totalPages = Math.ceil(total / pageSize);
 
@@ -146,18 +162,19 @@ const getJobDetails = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user?._id;
 
-  const job = await Job.findById(id).lean();
+  let job = await Job.findById(id).lean();
   if (!job) {
     throw new AppError("Job not found", 404);
   }
 
   // Check if user has access to this job (if user is authenticated)
-  if (
-    userId &&
-    job.targetUser.toString() !== userId.toString() &&
-    req.user.userType !== "admin"
-  ) {
-    throw new AppError("Job not found", 404);
+  if (userId) {
+    const match = await jobCatalogueService.getMatch(userId, id);
+    if (match) {
+      job = jobCatalogueService.toUserJob(job, match);
+    } else if (req.user.userType !== "admin") {
+      throw new AppError("Job not found", 404);
+    }
   }
 
   // Get application status for this job and user
@@ -193,12 +210,11 @@ const applyToJob = asyncHandler(async (req, res) => {
   const { coverLetter, userNotes } = req.body;
 
   // Check if job exists and belongs to user
-  const job = await Job.findById(id);
-  if (!job) {
-    throw new AppError("Job not found", 404);
-  }
-
-  if (job.targetUser.toString() !== userId.toString()) {
+  const [job, match] = await Promise.all([
+    Job.findById(id),
+    jobCatalogueService.getMatch(userId, id),
+  ]);
+  if (!job || !match) {
     throw new AppError("Job not found", 404);
   }
 
@@ -217,22 +233,37 @@ const applyToJob = asyncHandler(async (req, res) => {
     throw new AppError("You have already applied to this job", 400);
   }
 
+  // Enforce daily application limit
+  const admission = await quotaService.checkDailyLimit(userId);
+  if (!admission.allowed) {
+    throw new AppError(admission.message, admission.statusCode);
+  }
+
+  // Take one application from the monthly plan quota
+  const reservation = await quotaService.reserve(req.user);
+  quotaService.setHeaders(res, reservation.quota);
+  if (!reservation.allowed) {
+    throw new AppError(reservation.message, reservation.statusCode);
+  }
+
   // Create application
   const application = new Application({
     user: userId,
     job: id,
-    matchScore: job.matchScore,
-    status: "pending_review",
+    matchScore: match.matchScore,
+    status: admission.status,
     coverLetter,
     userNotes,
     applicationMethod: "manual",
+    quotaReservedAt: reservation.quota ? new Date() : undefined,
   });
 
-  await application.save();
-
-  // Update job application status
-  job.applicationStatus = "not_applied"; // Will be updated when admin applies
-  await job.save();
+  try {
+    await application.save();
+  } catch (error) {
+    if (reservation.quota) await quotaService.release(userId);
+    throw error;
+  }
 
   ApiResponse.success(res, "Application submitted successfully", {
     application: {
@@ -269,7 +300,6 @@ const getScrapedJobs = asyncHandler(async (req, res) => {
 
   // Build filter
   const filter = {
-    targetUser: userId,
     isActive: true,
   };
 
@@ -282,15 +312,13 @@ const getScrapedJobs = asyncHandler(async (req, res) => {
   }
 
   try {
-    const [jobs, total] = await Promise.all([
-      Job.find(filter)
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(pageSize))
-        .populate("reviewedBy", "name")
-        .lean(),
-      Job.countDocuments(filter),
-    ]);
+    const { jobs, total } = await jobCatalogueService.findUserJobs(userId, {
+      filter,
+      sort,
+      skip,
+      limit: parseInt(pageSize),
+    });
+    await Job.populate(jobs, { path: "reviewedBy", select: "name" });
 
     ApiResponse.success(res, "Scraped jobs retrieved successfully", {
       jobs,
@@ -370,6 +398,78 @@ const getScrapingHistory = asyncHandler(async (req, res) => {
   }
 });
 
+// Stream live progress of a scraping session as Server-Sent Events
+const streamScrapingSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const requestingUser = req.user;
+
+  const progress = await scrapingService.getSessionProgress(sessionId);
+  if (!progress) {
+    throw new AppError("Scraping session not found", 404);
+  }
+
+  // Check permissions
+  if (
+    requestingUser.userType !== "admin" &&
+    requestingUser._id.toString() !== progress.user.toString()
+  ) {
+    throw new AppError("Access denied", 403);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // The compression middleware buffers output, so flush every event
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  const { user, finished, ...snapshot } = progress;
+  send("snapshot", snapshot);
+
+  if (finished) {
+    send("end", { reason: progress.status });
+    return res.end();
+  }
+
+  let stopWatching = null;
+  let heartbeat = null;
+  let timeout = null;
+
+  const close = (reason) => {
+    if (stopWatching) stopWatching();
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+
+    if (reason && !res.writableEnded) {
+      send("end", { reason });
+      res.end();
+    }
+  };
+
+  stopWatching = scrapingService.watchSession(
+    sessionId,
+    progress,
+    (event, data, current) => {
+      send(event, data);
+      if (event === "status" && current.finished) close(current.status);
+    }
+  );
+
+  // Comment lines keep proxies from dropping an idle connection
+  heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  timeout = setTimeout(() => close("timeout"), scrapingService.streamTimeoutMs);
+
+  req.on("close", () => close());
+});
+
 // Get job statistics for a user
 const getJobStatistics = asyncHandler(async (req, res) => {
   const { userId } = req.params;
@@ -385,8 +485,8 @@ const getJobStatistics = asyncHandler(async (req, res) => {
 
   try {
     // Get job counts by status
-    const jobStats = await Job.aggregate([
-      { $match: { targetUser: mongoose.Types.ObjectId(userId) } },
+    const jobStats = await JobMatch.aggregate([
+      ...jobCatalogueService.buildUserJobsPipeline(userId),
       {
         $group: {
           _id: "$status",
@@ -396,8 +496,8 @@ const getJobStatistics = asyncHandler(async (req, res) => {
     ]);
 
     // Get jobs by admin review status
-    const reviewStats = await Job.aggregate([
-      { $match: { targetUser: mongoose.Types.ObjectId(userId) } },
+    const reviewStats = await JobMatch.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
       {
         $group: {
           _id: "$adminReviewStatus",
@@ -407,8 +507,8 @@ const getJobStatistics = asyncHandler(async (req, res) => {
     ]);
 
     // Get average match score
-    const matchScoreStats = await Job.aggregate([
-      { $match: { targetUser: mongoose.Types.ObjectId(userId) } },
+    const matchScoreStats = await JobMatch.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
       {
         $group: {
           _id: null,
@@ -464,5 +564,6 @@ module.exports = {
   getScrapedJobs,
   triggerJobScraping,
   getScrapingHistory,
+  streamScrapingSession,
   getJobStatistics,
 };
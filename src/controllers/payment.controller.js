@@ -1,88 +1,266 @@
 const { asyncHandler, AppError } = require("../middleware/error.middleware");
 const { ApiResponse } = require("../utils/apiResponse");
 const User = require("../models/User.model");
+const paymentService = require("../services/payment.service");
+const subscriptionService = require("../services/subscription.service");
+const planService = require("../services/plan.service");
+const invoiceService = require("../services/invoice.service");
+const quotaService = require("../services/quota.service");
 const logger = require("../utils/logger");
 
 /**
- * @desc    Complete payment and update user
- * @route   POST /api/payment/complete
+ * @desc    Start a hosted checkout for a plan
+ * @route   POST /api/payment/checkout
  * @access  Private
  */
-const completePayment = asyncHandler(async (req, res) => {
-  const { plan, amount, currency, paymentMethod, cardDetails, transactionId } =
-    req.body;
-  const userId = req.user._id;
+const createCheckoutSession = asyncHandler(async (req, res) => {
+  const { plan, couponCode } = req.body;
+  const user = req.user;
 
-  // Validate required fields
-  if (!plan || !amount) {
-    throw new AppError("Plan and amount are required", 400);
+  // Paid users can only check out again to renew near the period end
+  if (!(await subscriptionService.canStartCheckout(user))) {
+    return ApiResponse.success(res, "Payment already completed", {
+      paymentCompleted: true,
+      selectedPlan: user.selectedPlan,
+      onboardingCompleted: user.onboardingCompleted,
+    });
   }
 
-  // Validate plan
-  const validPlans = ["basic", "premium", "enterprise"];
-  if (!validPlans.includes(plan)) {
-    throw new AppError("Invalid plan selected", 400);
+  await subscriptionService.assertCheckoutPlan(user, plan);
+
+  const payment = await paymentService.createCheckoutSession(user, plan, {
+    couponCode,
+  });
+
+  ApiResponse.created(res, "Checkout session created", {
+    paymentId: payment._id,
+    sessionId: payment.gatewaySessionId,
+    checkoutUrl: payment.checkoutUrl,
+    plan: payment.plan,
+    amount: payment.amount,
+    currency: payment.currency,
+    coupon: payment.coupon?.code ? payment.coupon : null,
+  });
+});
+
+/**
+ * @desc    Check a coupon code against a plan and preview the price
+ * @route   POST /api/payment/coupons/validate
+ * @access  Private
+ */
+const validateCoupon = asyncHandler(async (req, res) => {
+  const { code, plan } = req.body;
+
+  const quote = await paymentService.quoteCheckout(req.user, plan, {
+    couponCode: code,
+  });
+
+  ApiResponse.success(res, "Coupon is valid", {
+    coupon: {
+      code: quote.coupon.code,
+      description: quote.coupon.description,
+      discountType: quote.coupon.discountType,
+      value: quote.coupon.value,
+      expiresAt: quote.coupon.expiresAt,
+    },
+    plan: quote.plan.id,
+    currency: quote.plan.currency,
+    price: quote.listPrice,
+    discount: quote.discount,
+    subtotal: quote.subtotal,
+    tax: {
+      name: quote.billing.taxName,
+      rate: quote.billing.taxRate,
+      inclusive: quote.billing.taxInclusive,
+    },
+    amountDue: quote.amount,
+  });
+});
+
+/**
+ * @desc    List the user's invoices
+ * @route   GET /api/payment/invoices
+ * @access  Private
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await invoiceService.listForUser(req.user._id, {
+    page: parseInt(page) || 1,
+    limit: Math.min(parseInt(limit) || 20, 100),
+  });
+
+  ApiResponse.success(res, "Invoices retrieved successfully", result);
+});
+
+/**
+ * @desc    Get a single invoice
+ * @route   GET /api/payment/invoices/:invoiceId
+ * @access  Private
+ */
+const getInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getForUser(
+    req.user._id,
+    req.params.invoiceId
+  );
+
+  if (!invoice) {
+    throw new AppError("Invoice not found", 404);
   }
 
-  try {
-    // Find user
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new AppError("User not found", 404);
-    }
+  ApiResponse.success(res, "Invoice retrieved successfully", { invoice });
+});
 
-    // Check if user already has payment completed
-    if (user.paymentCompleted) {
-      return ApiResponse.success(res, "Payment already completed", {
-        paymentCompleted: true,
-        selectedPlan: user.selectedPlan,
-        onboardingCompleted: user.onboardingCompleted, // Include this
-      });
-    }
+/**
+ * @desc    Download an invoice as an HTML document
+ * @route   GET /api/payment/invoices/:invoiceId/download
+ * @access  Private
+ */
+const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await invoiceService.getForUser(
+    req.user._id,
+    req.params.invoiceId
+  );
+
+  if (!invoice) {
+    throw new AppError("Invoice not found", 404);
+  }
 
-    const paymentDetails = {
-      amount,
-      currency: currency || "PKR",
-      paymentMethod: paymentMethod || "card",
-      transactionId:
-        transactionId ||
-        `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    };
+  res.set({
+    "Content-Type": "text/html; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${invoice.number}.html"`,
+  });
+  res.send(invoiceService.renderHtml(invoice));
+});
 
-    // Mark payment as completed AND ensure onboarding stays completed
-    await user.markPaymentCompleted(plan, paymentDetails);
+/**
+ * @desc    Preview the prorated price of a plan change
+ * @route   GET /api/payment/plan-change/preview
+ * @access  Private
+ */
+const previewPlanChange = asyncHandler(async (req, res) => {
+  const { plan } = req.query;
 
-    // IMPORTANT: Explicitly ensure onboarding completed status is preserved
-    if (!user.onboardingCompleted) {
-      user.onboardingCompleted = true;
-      user.onboardingStep = "completed";
-      await user.save();
-    }
+  const subscription = await subscriptionService.getChangeableSubscription(
+    req.user._id
+  );
+  const quote = await subscriptionService.quotePlanChange(subscription, plan);
 
-    logger.info(`Payment completed for user ${userId}`, {
-      userId,
-      plan,
-      amount,
-      transactionId: paymentDetails.transactionId,
-    });
+  ApiResponse.success(res, "Plan change preview", { quote });
+});
 
-    // Return success response with onboarding status
-    ApiResponse.success(res, "Payment completed successfully", {
-      paymentCompleted: true,
-      selectedPlan: plan,
-      onboardingCompleted: user.onboardingCompleted, // Include this
-      packageFeatures: user.package.features,
-      paymentDetails: {
-        amount,
-        currency: currency || "PKR",
-        plan,
-        completedAt: user.paymentCompletedAt,
-      },
-    });
-  } catch (error) {
-    logger.error("Payment completion failed:", error);
-    throw new AppError("Payment processing failed", 500);
+/**
+ * @desc    Upgrade to a higher plan, paying the prorated difference
+ * @route   POST /api/payment/upgrade
+ * @access  Private
+ */
+const upgradePlan = asyncHandler(async (req, res) => {
+  const { plan } = req.body;
+  const user = req.user;
+
+  const subscription = await subscriptionService.getChangeableSubscription(
+    user._id
+  );
+  const quote = await subscriptionService.quotePlanChange(subscription, plan);
+
+  if (quote.direction !== "upgrade") {
+    throw new AppError("Use the downgrade endpoint for a lower plan", 400);
+  }
+  if (quote.charge <= 0) {
+    throw new AppError(
+      "Your current period is ending. Renew on the new plan instead.",
+      400
+    );
   }
+
+  const payment = await paymentService.createCheckoutSession(user, plan, {
+    upgradeQuote: quote,
+  });
+
+  ApiResponse.created(res, "Upgrade checkout session created", {
+    paymentId: payment._id,
+    sessionId: payment.gatewaySessionId,
+    checkoutUrl: payment.checkoutUrl,
+    quote,
+  });
+});
+
+/**
+ * @desc    Schedule a downgrade for the end of the current period
+ * @route   POST /api/payment/downgrade
+ * @access  Private
+ */
+const downgradePlan = asyncHandler(async (req, res) => {
+  const { plan } = req.body;
+
+  const { subscription, quote } = await subscriptionService.scheduleDowngrade(
+    req.user._id,
+    plan,
+    req.user._id
+  );
+
+  ApiResponse.success(res, "Downgrade scheduled for the end of the period", {
+    pendingChange: subscription.pendingChange,
+    quote,
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled downgrade
+ * @route   DELETE /api/payment/downgrade
+ * @access  Private
+ */
+const cancelDowngrade = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.cancelPendingChange(
+    req.user._id,
+    req.user._id
+  );
+
+  ApiResponse.success(res, "Scheduled downgrade cancelled", {
+    plan: subscription.plan,
+    currentPeriodEnd: subscription.currentPeriodEnd,
+  });
+});
+
+/**
+ * @desc    Receive signed payment gateway events
+ * @route   POST /api/payment/webhook
+ * @access  Public (signature verified)
+ */
+const handleWebhook = asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    throw new AppError("Webhook payload must be the raw request body", 400);
+  }
+
+  const result = await paymentService.handleWebhook(req.body, req.headers);
+
+  res.status(200).json({ received: true, handled: result.handled });
+});
+
+/**
+ * @desc    Settle a mock checkout session (mock gateway only)
+ * @route   POST /api/payment/mock/:sessionId/complete
+ * @access  Private
+ */
+const completeMockCheckout = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  const { outcome = "succeeded" } = req.body;
+
+  if (paymentService.gateway.name !== "mock") {
+    throw new AppError("Mock checkout is not available", 404);
+  }
+
+  const payment = await paymentService.findUserPayment(req.user._id, sessionId);
+  if (!payment) {
+    throw new AppError("Payment not found", 404);
+  }
+
+  const result = await paymentService.settleMockCheckout(payment, outcome);
+
+  ApiResponse.success(res, "Mock checkout settled", {
+    handled: result.handled,
+    payment: result.payment,
+  });
 });
 
 /**
@@ -92,6 +270,7 @@ const completePayment = asyncHandler(async (req, res) => {
  */
 const getPaymentStatus = asyncHandler(async (req, res) => {
   const user = req.user;
+  const subscription = await subscriptionService.getForUser(user._id);
 
   ApiResponse.success(res, "Payment status retrieved", {
     paymentCompleted: user.paymentCompleted,
@@ -99,6 +278,38 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
     paymentCompletedAt: user.paymentCompletedAt,
     packageFeatures: user.package.features,
     paymentHistory: user.paymentHistory,
+    subscription: subscription
+      ? {
+          plan: subscription.plan,
+          status: subscription.status,
+          currentPeriodStart: subscription.currentPeriodStart,
+          currentPeriodEnd: subscription.currentPeriodEnd,
+          graceEndsAt: subscription.graceEndsAt,
+          pendingChange: subscription.pendingChange?.plan
+            ? subscription.pendingChange
+            : null,
+        }
+      : null,
+    applicationQuota: user.paymentCompleted
+      ? await quotaService.getStatus(user)
+      : null,
+  });
+});
+
+/**
+ * @desc    Get subscription with its state history
+ * @route   GET /api/payment/subscription
+ * @access  Private
+ */
+const getSubscription = asyncHandler(async (req, res) => {
+  const subscription = await subscriptionService.getForUser(req.user._id);
+
+  if (!subscription) {
+    throw new AppError("No subscription found", 404);
+  }
+
+  ApiResponse.success(res, "Subscription retrieved successfully", {
+    subscription,
   });
 });
 
@@ -108,57 +319,7 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
  * @access  Public
  */
 const getPlans = asyncHandler(async (req, res) => {
-  const plans = [
-    {
-      id: "basic",
-      name: "Basic Plan",
-      price: 2999,
-      currency: "PKR",
-      period: "month",
-      features: [
-        "Up to 50 job applications per month",
-        "Basic job matching",
-        "Email notifications",
-        "Resume upload",
-        "Standard support",
-      ],
-      recommended: false,
-    },
-    {
-      id: "premium",
-      name: "Premium Plan",
-      price: 4999,
-      currency: "PKR",
-      period: "month",
-      features: [
-        "Unlimited job applications",
-        "AI-powered job matching",
-        "Auto-apply feature",
-        "Priority support",
-        "Advanced filters",
-        "Interview preparation tips",
-        "Salary insights",
-      ],
-      recommended: true,
-    },
-    {
-      id: "enterprise",
-      name: "Enterprise Plan",
-      price: 9999,
-      currency: "PKR",
-      period: "month",
-      features: [
-        "Everything in Premium",
-        "Dedicated account manager",
-        "Custom integrations",
-        "Advanced analytics",
-        "Team collaboration features",
-        "Priority job placement",
-        "24/7 phone support",
-      ],
-      recommended: false,
-    },
-  ];
+  const plans = await planService.getPlans();
 
   ApiResponse.success(res, "Plans retrieved successfully", { plans });
 });
@@ -169,61 +330,25 @@ const getPlans = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const verifyPayment = asyncHandler(async (req, res) => {
-  const { transactionId, paymentGateway } = req.body;
+  const { transactionId } = req.body;
   const userId = req.user._id;
 
-  if (!transactionId) {
-    throw new AppError("Transaction ID is required", 400);
+  // Status comes from the gateway webhook; this only reports it
+  const payment = await paymentService.findUserPayment(userId, transactionId);
+  if (!payment) {
+    throw new AppError("Payment not found", 404);
   }
 
-  try {
-    // In a real implementation, you would verify with the actual payment gateway
-    // For example, with Stripe, PayPal, Razorpay, etc.
-
-    // Simulate payment verification
-    const verificationResult = {
-      success: true,
-      transactionId,
-      status: "completed",
-      amount: 4999, // This would come from payment gateway
-      currency: "PKR",
-    };
-
-    if (!verificationResult.success) {
-      throw new AppError("Payment verification failed", 400);
-    }
-
-    // Find user and update payment status
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new AppError("User not found", 404);
-    }
-
-    // Update payment history with verified transaction
-    const paymentRecord = user.paymentHistory.find(
-      (payment) => payment.transactionId === transactionId
-    );
-
-    if (paymentRecord) {
-      paymentRecord.status = "completed";
-      await user.save();
-    }
-
-    logger.info(`Payment verified for user ${userId}`, {
-      userId,
-      transactionId,
-      amount: verificationResult.amount,
-    });
-
-    ApiResponse.success(res, "Payment verified successfully", {
-      verified: true,
-      transactionId,
-      status: verificationResult.status,
-    });
-  } catch (error) {
-    logger.error("Payment verification failed:", error);
-    throw new AppError("Payment verification failed", 500);
-  }
+  ApiResponse.success(res, "Payment status retrieved", {
+    verified: payment.status === "completed",
+    paymentId: payment._id,
+    transactionId: payment.transactionId,
+    status: payment.status,
+    plan: payment.plan,
+    amount: payment.amount,
+    currency: payment.currency,
+    completedAt: payment.completedAt,
+  });
 });
 
 /**
@@ -245,12 +370,8 @@ const cancelPayment = asyncHandler(async (req, res) => {
       throw new AppError("No active payment to cancel", 400);
     }
 
-    // In a real implementation, you would:
-    // 1. Process refund with payment gateway
-    // 2. Update payment status to refunded
-    // 3. Downgrade user features
-
-    // Reset payment status
+    // Cancelling ends access but refunds nothing; refunds are issued by
+    // an admin (POST /admin/payments/:paymentId/refund)
     user.paymentCompleted = false;
     user.paymentCompletedAt = null;
     user.selectedPlan = null;
@@ -261,18 +382,11 @@ const cancelPayment = asyncHandler(async (req, res) => {
       advancedFilters: false,
     };
 
-    // Add cancellation record to payment history
-    user.paymentHistory.push({
-      amount: 0,
-      currency: "PKR",
-      plan: "cancelled",
-      paymentMethod: "refund",
-      status: "refunded",
-      paidAt: new Date(),
-    });
-
     await user.save();
 
+    // Recorded in the subscription history (not as a refunded payment)
+    await subscriptionService.cancel(userId, userId, reason);
+
     logger.info(`Payment cancelled for user ${userId}`, {
       userId,
       reason,
@@ -280,7 +394,6 @@ const cancelPayment = asyncHandler(async (req, res) => {
 
     ApiResponse.success(res, "Payment cancelled successfully", {
       paymentCompleted: false,
-      refundProcessed: true,
     });
   } catch (error) {
     logger.error("Payment cancellation failed:", error);
@@ -289,8 +402,19 @@ const cancelPayment = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
-  completePayment,
+  createCheckoutSession,
+  validateCoupon,
+  previewPlanChange,
+  upgradePlan,
+  downgradePlan,
+  cancelDowngrade,
+  handleWebhook,
+  completeMockCheckout,
   getPaymentStatus,
+  getSubscription,
+  getInvoices,
+  getInvoice,
+  downloadInvoice,
   getPlans,
   verifyPayment,
   cancelPayment,
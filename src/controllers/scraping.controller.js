@@ -0,0 +1,18 @@
+const { asyncHandler, AppError } = require("../middleware/error.middleware");
+const scrapingService = require("../services/scraping.service");
+
+// Receive a signed event (jobs batch, progress, completion) from the
+// scraping service
+const handleCallback = asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    throw new AppError("Callback payload must be the raw request body", 400);
+  }
+
+  const result = await scrapingService.handleCallback(req.body, req.headers);
+
+  res.status(200).json({ received: true, ...result });
+});
+
+module.exports = {
+  handleCallback,
+};
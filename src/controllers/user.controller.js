@@ -4,6 +4,9 @@ const Application = require("../models/Application.model");
 const { ApiResponse } = require("../utils/apiResponse");
 const { asyncHandler, AppError } = require("../middleware/error.middleware");
 const scrapingService = require("../services/scraping.service");
+const jobCatalogueService = require("../services/jobCatalogue.service");
+const quotaService = require("../services/quota.service");
+const cacheService = require("../services/cache.service");
 const logger = require("../utils/logger");
 const { cleanupOldFiles } = require("../middleware/upload.middleware");
 const fs = require("fs");
@@ -264,6 +267,16 @@ const deleteResume = asyncHandler(async (req, res) => {
 const getDashboardStats = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
+  const cacheKey = await cacheService.userDashboardKey(userId);
+  const cached = await cacheService.get(cacheKey);
+  if (cached) {
+    return ApiResponse.success(
+      res,
+      "Dashboard data retrieved successfully",
+      cached
+    );
+  }
+
   // Get application statistics
   const applicationStats = await Application.getStatistics(userId);
 
@@ -275,16 +288,19 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     .lean();
 
   // Get recommended jobs (high match score, not applied)
-  const recommendedJobs = await Job.find({
-    targetUser: userId,
-    matchScore: { $gte: 70 },
-    applicationStatus: "not_applied",
-    adminReviewStatus: "approved",
-    status: "active",
-  })
-    .sort({ matchScore: -1 })
-    .limit(5)
-    .lean();
+  const { jobs: recommendedJobs } = await jobCatalogueService.findUserJobs(
+    userId,
+    {
+      filter: {
+        matchScore: { $gte: 70 },
+        applicationStatus: "not_applied",
+        adminReviewStatus: "approved",
+        status: "active",
+      },
+      sort: { matchScore: -1 },
+      limit: 5,
+    }
+  );
 
   // Get upcoming interviews
   const upcomingInterviews = await Application.find({
@@ -317,8 +333,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       totalApplications: applicationStats.total,
       pendingApplications: applicationStats.pending_review,
       scheduledInterviews: applicationStats.interview_scheduled,
-      jobMatches: await Job.countDocuments({
-        targetUser: userId,
+      jobMatches: await jobCatalogueService.countUserJobs(userId, {
         matchScore: { $gte: 70 },
         status: "active",
       }),
@@ -345,6 +360,12 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     })),
   };
 
+  await cacheService.set(
+    cacheKey,
+    dashboardData,
+    cacheService.ttl.userDashboard
+  );
+
   ApiResponse.success(
     res,
     "Dashboard data retrieved successfully",
@@ -369,7 +390,6 @@ const getJobs = asyncHandler(async (req, res) => {
 
   // Build filter
   const filter = {
-    targetUser: userId,
     isActive: true,
     adminReviewStatus,
   };
@@ -379,10 +399,12 @@ const getJobs = asyncHandler(async (req, res) => {
   }
 
   // Get jobs with pagination
-  const [jobs, total] = await Promise.all([
-    Job.find(filter).sort(sort).skip(skip).limit(parseInt(pageSize)).lean(),
-    Job.countDocuments(filter),
-  ]);
+  const { jobs, total } = await jobCatalogueService.findUserJobs(userId, {
+    filter,
+    sort,
+    skip,
+    limit: parseInt(pageSize),
+  });
 
   const totalPages = Math.ceil(total / pageSize);
 
@@ -450,7 +472,8 @@ const saveJob = asyncHandler(async (req, res) => {
   }
 
   // Check if job belongs to this user
-  if (job.targetUser.toString() !== userId.toString()) {
+  const match = await jobCatalogueService.getMatch(userId, jobId);
+  if (!match) {
     throw new AppError("You can only save jobs targeted to you", 403);
   }
 
@@ -464,15 +487,34 @@ const saveJob = asyncHandler(async (req, res) => {
     throw new AppError("You have already saved or applied to this job", 409);
   }
 
-  // Create application with pending_review status
+  // Enforce daily application limit
+  const admission = await quotaService.checkDailyLimit(userId);
+  if (!admission.allowed) {
+    throw new AppError(admission.message, admission.statusCode);
+  }
+
+  // Take one application from the monthly plan quota
+  const reservation = await quotaService.reserve(req.user);
+  quotaService.setHeaders(res, reservation.quota);
+  if (!reservation.allowed) {
+    throw new AppError(reservation.message, reservation.statusCode);
+  }
+
+  // Create application (held for review when admins review applications)
   const application = new Application({
     user: userId,
     job: jobId,
-    matchScore: job.matchScore,
-    status: "pending_review",
+    matchScore: match.matchScore,
+    status: admission.status,
+    quotaReservedAt: reservation.quota ? new Date() : undefined,
   });
 
-  await application.save();
+  try {
+    await application.save();
+  } catch (error) {
+    if (reservation.quota) await quotaService.release(userId);
+    throw error;
+  }
 
   ApiResponse.success(res, "Job saved successfully");
 });
@@ -554,6 +596,7 @@ const getSettings = asyncHandler(async (req, res) => {
         email: true,
         push: true,
         sms: false,
+        dailyDigest: true,
       },
       preferences: user.preferences || {
         autoApply: true,
@@ -570,7 +613,21 @@ const updateSettings = asyncHandler(async (req, res) => {
 
   const updateData = {};
   if (jobPreferences) updateData.jobPreferences = jobPreferences;
-  if (notifications) updateData.notifications = notifications;
+  // Set notification flags individually so omitted ones keep their value;
+  // only flags the schema defines can be set
+  if (notifications) {
+    if (typeof notifications !== "object" || Array.isArray(notifications)) {
+      throw new AppError("Notifications must be an object", 400);
+    }
+
+    Object.entries(notifications).forEach(([key, value]) => {
+      const path = `notifications.${key}`;
+      if (!Object.hasOwn(User.schema.paths, path)) {
+        throw new AppError(`Unknown notification setting: ${key}`, 400);
+      }
+      updateData[path] = value;
+    });
+  }
   if (preferences) updateData.preferences = preferences;
 
   const user = await User.findByIdAndUpdate(userId, updateData, {
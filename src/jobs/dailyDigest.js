@@ -0,0 +1,176 @@
+const cron = require("node-cron");
+const moment = require("moment");
+const User = require("../models/User.model");
+const Application = require("../models/Application.model");
+const settingsService = require("../services/settings.service");
+const emailService = require("../services/email.service");
+const jobCatalogueService = require("../services/jobCatalogue.service");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DailyDigest {
+  constructor() {
+    this.cronExpression = process.env.DAILY_DIGEST_CRON || "0 8 * * *";
+    this.topMatchesLimit = parseInt(process.env.DAILY_DIGEST_TOP_MATCHES) || 5;
+
+    this.task = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastRunResult = null;
+  }
+
+  // Start the cron trigger
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      logger.error(
+        `Invalid DAILY_DIGEST_CRON expression: ${this.cronExpression}`
+      );
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => this.run());
+    logger.info(`Daily digest scheduled (${this.cronExpression})`);
+  }
+
+  // Stop the cron trigger
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Users who have not opted out of the digest
+  buildRecipientFilter() {
+    return {
+      userType: "user",
+      isActive: true,
+      "notifications.email": { $ne: false },
+      "notifications.dailyDigest": { $ne: false },
+    };
+  }
+
+  // Collect the last 24h of activity for a user
+  async buildDigest(userId, since) {
+    const approvedSince = {
+      adminReviewStatus: "approved",
+      $or: [{ reviewedAt: { $gte: since } }, { matchedAt: { $gte: since } }],
+    };
+
+    const [newJobs, applications, interviews, topMatches] = await Promise.all([
+      jobCatalogueService.countUserJobs(userId, approvedSince),
+      Application.countDocuments({
+        user: userId,
+        appliedAt: { $gte: since },
+      }),
+      Application.countDocuments({
+        user: userId,
+        timeline: {
+          $elemMatch: {
+            status: "interview_scheduled",
+            timestamp: { $gte: since },
+          },
+        },
+      }),
+      jobCatalogueService
+        .findUserJobs(userId, {
+          filter: { ...approvedSince, status: "active", isActive: true },
+          sort: { matchScore: -1 },
+          limit: this.topMatchesLimit,
+        })
+        .then(({ jobs }) =>
+          jobs.map(({ _id, title, company, location, matchScore }) => ({
+            _id,
+            title,
+            company,
+            location,
+            matchScore,
+          }))
+        ),
+    ]);
+
+    return { newJobs, applications, interviews, topMatches };
+  }
+
+  // Queue a digest for every opted-in user with something new
+  async run() {
+    if (this.running) return this.lastRunResult;
+    this.running = true;
+
+    const now = new Date();
+    const since = new Date(now.getTime() - DAY_MS);
+    const result = { processed: 0, queued: 0, skipped: 0, failed: 0 };
+
+    try {
+      const settings = await settingsService.getSettings();
+
+      if (!settings.email.notifications || !settings.email.dailyDigest) {
+        logger.info("Daily digest is disabled in system settings, skipping");
+        result.disabled = true;
+        return result;
+      }
+
+      const cursor = User.find(this.buildRecipientFilter())
+        .select("_id name email")
+        .lean()
+        .cursor();
+
+      for await (const user of cursor) {
+        result.processed++;
+
+        try {
+          const digest = await this.buildDigest(user._id, since);
+
+          if (
+            digest.newJobs === 0 &&
+            digest.applications === 0 &&
+            digest.interviews === 0
+          ) {
+            result.skipped++;
+            continue;
+          }
+
+          // One digest per user per day, even if the job runs twice
+          await emailService.sendDailyDigest(
+            user.email,
+            { userName: user.name, ...digest },
+            {
+              userId: user._id,
+              idempotencyKey: `daily_digest:${user._id}:${moment(now).format(
+                "YYYY-MM-DD"
+              )}`,
+            }
+          );
+
+          await User.updateOne(
+            { _id: user._id },
+            { $set: { lastDigestSentAt: now } }
+          );
+          result.queued++;
+        } catch (error) {
+          result.failed++;
+          logger.error(`Failed to build digest for user ${user._id}:`, error);
+        }
+      }
+
+      logger.info(
+        `Daily digest run: ${result.queued} queued, ${result.skipped} skipped, ${result.failed} failed`
+      );
+
+      return result;
+    } catch (error) {
+      logger.error("Daily digest run failed:", error);
+      result.error = error.message;
+      return result;
+    } finally {
+      this.lastRunAt = now;
+      this.lastRunResult = result;
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new DailyDigest();
@@ -0,0 +1,276 @@
+const os = require("os");
+const crypto = require("crypto");
+const EmailMessage = require("../models/EmailMessage.model");
+const logger = require("../utils/logger");
+
+class EmailQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.EMAIL_QUEUE_CONCURRENCY) || 3;
+    this.pollIntervalMs = parseInt(process.env.EMAIL_QUEUE_POLL_MS) || 5000;
+    this.maxAttempts = parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS) || 5;
+    this.backoffBaseMs =
+      parseInt(process.env.EMAIL_QUEUE_BACKOFF_MS) || 30 * 1000;
+    this.staleLockMs = 5 * 60 * 1000;
+
+    this.inFlight = 0;
+    this.pollTimer = null;
+    this.staleTimer = null;
+    this.started = false;
+  }
+
+  // Derive an idempotency key from message content when none is given
+  buildIdempotencyKey(template, mailOptions) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(
+        [template, mailOptions.to, mailOptions.subject, mailOptions.html].join(
+          "|"
+        )
+      )
+      .digest("hex");
+
+    return `${template}:${hash}`;
+  }
+
+  // Store a message in the outbox.
+  // Returns the existing message if the idempotency key was already used.
+  async enqueue(mailOptions, options = {}) {
+    const template = options.template || "other";
+    const idempotencyKey =
+      options.idempotencyKey || this.buildIdempotencyKey(template, mailOptions);
+
+    try {
+      const message = await EmailMessage.create({
+        idempotencyKey,
+        template,
+        user: options.userId,
+        from: mailOptions.from,
+        to: mailOptions.to,
+        subject: mailOptions.subject,
+        html: mailOptions.html,
+        text: mailOptions.text,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: new Date(),
+      });
+
+      logger.info(
+        `Email ${message._id} (${template}) queued for ${mailOptions.to}`
+      );
+      this.poll();
+
+      return message;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      logger.info(`Email with key ${idempotencyKey} already queued, skipping`);
+      return await EmailMessage.findOne({ idempotencyKey });
+    }
+  }
+
+  // Start delivering queued messages
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.staleTimer = setInterval(
+      () => this.releaseStaleLocks(),
+      this.staleLockMs
+    );
+    logger.info(`Email queue worker ${this.workerId} started`);
+
+    this.releaseStaleLocks().then(() => this.poll());
+  }
+
+  // Stop delivering; messages being sent are released on next boot
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.staleTimer);
+    this.pollTimer = null;
+    this.staleTimer = null;
+    this.started = false;
+  }
+
+  // Claim messages while there are free slots
+  async poll() {
+    if (!this.started) return;
+
+    try {
+      while (this.inFlight < this.concurrency) {
+        const message = await this.claimNextMessage();
+        if (!message) break;
+
+        this.inFlight++;
+        this.deliver(message).finally(() => {
+          this.inFlight--;
+        });
+      }
+    } catch (error) {
+      logger.error("Email queue poll failed:", error);
+    }
+  }
+
+  // Atomically move the oldest due message to sending
+  async claimNextMessage() {
+    const now = new Date();
+
+    return await EmailMessage.findOneAndUpdate(
+      { status: "queued", nextAttemptAt: { $lte: now } },
+      {
+        $set: { status: "sending", lockedBy: this.workerId, lockedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Send a claimed message and record the outcome
+  async deliver(message) {
+    // Required lazily: the email service enqueues through this module
+    const emailService = require("../services/email.service");
+
+    try {
+      const result = await emailService.sendEmail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+      });
+
+      await EmailMessage.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: "sent",
+            sentAt: new Date(),
+            messageId: result.messageId,
+          },
+          $unset: { lockedBy: "", lockedAt: "", lastError: "" },
+        }
+      );
+    } catch (error) {
+      const exhausted = message.attempts >= message.maxAttempts;
+      const delay = this.backoffBaseMs * Math.pow(2, message.attempts - 1);
+
+      const update = {
+        $set: exhausted
+          ? { status: "failed", failedAt: new Date(), lastError: error.message }
+          : {
+              status: "queued",
+              nextAttemptAt: new Date(Date.now() + delay),
+              lastError: error.message,
+            },
+        $unset: { lockedBy: "", lockedAt: "" },
+        $push: {
+          errorHistory: {
+            $each: [
+              {
+                attempt: message.attempts,
+                message: error.message,
+                timestamp: new Date(),
+              },
+            ],
+            $slice: -10,
+          },
+        },
+      };
+
+      await EmailMessage.updateOne({ _id: message._id }, update);
+
+      if (exhausted) {
+        logger.error(
+          `Email ${message._id} to ${message.to} failed permanently after ${message.attempts} attempts`
+        );
+      } else {
+        logger.warn(
+          `Email ${message._id} to ${message.to} failed (attempt ${
+            message.attempts
+          }), retrying in ${Math.round(delay / 1000)}s`
+        );
+      }
+    }
+  }
+
+  // Release messages stuck in sending after a crash
+  async releaseStaleLocks() {
+    try {
+      const result = await EmailMessage.updateMany(
+        {
+          status: "sending",
+          lockedAt: { $lt: new Date(Date.now() - this.staleLockMs) },
+        },
+        {
+          $set: { status: "queued", nextAttemptAt: new Date() },
+          $unset: { lockedBy: "", lockedAt: "" },
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.warn(`Released ${result.modifiedCount} stale email(s)`);
+      }
+    } catch (error) {
+      logger.error("Failed to release stale emails:", error);
+    }
+  }
+
+  // Put a failed message back in the queue (admin action)
+  async resend(messageId, adminId) {
+    return await EmailMessage.findOneAndUpdate(
+      { _id: messageId, status: "failed" },
+      {
+        $set: {
+          status: "queued",
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          resentBy: adminId,
+          resentAt: new Date(),
+        },
+        $unset: { failedAt: "" },
+      },
+      { new: true }
+    );
+  }
+
+  // List outbox messages for the admin view
+  async listMessages({ status, to, page = 1, pageSize = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (to) filter.to = to.toLowerCase();
+
+    const skip = (page - 1) * pageSize;
+
+    const [messages, total, counts] = await Promise.all([
+      EmailMessage.find(filter)
+        .select("-html -text")
+        .populate("user", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean(),
+      EmailMessage.countDocuments(filter),
+      EmailMessage.aggregate([
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    return {
+      messages,
+      counts: counts.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        return acc;
+      }, {}),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    };
+  }
+}
+
+module.exports = new EmailQueue();
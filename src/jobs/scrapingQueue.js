@@ -0,0 +1,451 @@
+const os = require("os");
+const ScrapingTask = require("../models/ScrapingTask.model");
+const ScrapingLog = require("../models/ScrapingLog.model");
+const logger = require("../utils/logger");
+
+// Statuses of a task whose session is with a worker or the scraper
+const SUBMITTED_STATUSES = ["running", "awaiting_results"];
+
+class ScrapingQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.SCRAPING_QUEUE_CONCURRENCY) || 2;
+    this.pollIntervalMs = parseInt(process.env.SCRAPING_QUEUE_POLL_MS) || 5000;
+    this.maxAttempts = parseInt(process.env.SCRAPING_QUEUE_MAX_ATTEMPTS) || 3;
+    this.backoffBaseMs =
+      parseInt(process.env.SCRAPING_QUEUE_BACKOFF_MS) || 60 * 1000;
+    this.heartbeatMs = 30 * 1000;
+    this.staleLockMs = 2 * 60 * 1000;
+    this.resultsTimeoutMs =
+      parseInt(process.env.SCRAPING_RESULTS_TIMEOUT_MS) || 10 * 60 * 1000;
+
+    this.running = new Set();
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.started = false;
+  }
+
+  // Add a scraping session to the queue.
+  // Returns the already-active task instead if the user has one.
+  async enqueue(userId, sessionId, triggeredBy = "manual") {
+    try {
+      const task = await ScrapingTask.create({
+        user: userId,
+        sessionId,
+        triggeredBy,
+        activeKey: userId.toString(),
+        maxAttempts: this.maxAttempts,
+        runAt: new Date(),
+      });
+
+      logger.info(`Scraping session ${sessionId} queued for user ${userId}`);
+      this.poll();
+
+      return { task, deduplicated: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const activeTask = await this.getActiveTask(userId);
+      if (!activeTask) {
+        throw error;
+      }
+
+      logger.info(
+        `User ${userId} already has active scraping session ${activeTask.sessionId}`
+      );
+      return { task: activeTask, deduplicated: true };
+    }
+  }
+
+  // Get the active task for a user, if any
+  async getActiveTask(userId) {
+    return await ScrapingTask.findOne({ activeKey: userId.toString() });
+  }
+
+  // Start polling for work and recover sessions orphaned by a restart
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await this.recoverOrphanedSessions();
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+
+    logger.info(
+      `Scraping queue worker ${this.workerId} started (concurrency ${this.concurrency})`
+    );
+    this.poll();
+  }
+
+  // Stop taking new work; in-flight tasks are recovered on next boot
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.started = false;
+  }
+
+  // Claim as many tasks as free worker slots allow
+  async poll() {
+    if (!this.started) return;
+
+    try {
+      while (this.running.size < this.concurrency) {
+        const task = await this.claimNextTask();
+        if (!task) break;
+
+        this.running.add(task.sessionId);
+        this.processTask(task).finally(() => {
+          this.running.delete(task.sessionId);
+          this.poll();
+        });
+      }
+    } catch (error) {
+      logger.error("Scraping queue poll failed:", error);
+    }
+  }
+
+  // Atomically move the oldest due task to running
+  async claimNextTask() {
+    const now = new Date();
+
+    return await ScrapingTask.findOneAndUpdate(
+      { status: "queued", runAt: { $lte: now } },
+      {
+        $set: {
+          status: "running",
+          lockedBy: this.workerId,
+          lockedAt: now,
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Run a single task and record the outcome. A session handed to the
+  // scraper stays active until its completion callback arrives.
+  async processTask(task) {
+    // Required lazily: the scraping service enqueues through this module
+    const scrapingService = require("../services/scraping.service");
+
+    try {
+      const outcome = await scrapingService.runScrapingSession(task.sessionId);
+
+      if (outcome === "submitted") {
+        await this.awaitResults(task);
+      } else {
+        await this.finishTask(task, "completed");
+      }
+    } catch (error) {
+      await this.handleFailure(task, error);
+    }
+  }
+
+  // Retry a failed attempt, or fail the task once attempts run out
+  async handleFailure(task, error) {
+    // Required lazily: the scraping service enqueues through this module
+    const scrapingService = require("../services/scraping.service");
+    const willRetry = task.attempts < task.maxAttempts;
+
+    logger.error(
+      `Scraping task ${task.sessionId} failed (attempt ${task.attempts}/${task.maxAttempts}):`,
+      error
+    );
+
+    await scrapingService.recordScrapingFailure(
+      task.sessionId,
+      error,
+      willRetry
+    );
+
+    if (willRetry) {
+      await this.retryTask(task, error);
+    } else {
+      await this.finishTask(task, "failed", error.message);
+    }
+  }
+
+  // Release the worker slot while the scraper works on the session
+  async awaitResults(task) {
+    await ScrapingTask.updateOne(
+      { _id: task._id, status: "running" },
+      {
+        $set: {
+          status: "awaiting_results",
+          resultsDeadline: new Date(Date.now() + this.resultsTimeoutMs),
+        },
+        $unset: { lockedBy: "", lockedAt: "" },
+      }
+    );
+  }
+
+  // Push the results deadline out after a callback from the scraper
+  async extendResultsDeadline(sessionId) {
+    await ScrapingTask.updateOne(
+      { sessionId, status: "awaiting_results" },
+      {
+        $set: {
+          resultsDeadline: new Date(Date.now() + this.resultsTimeoutMs),
+        },
+      }
+    );
+  }
+
+  // The scraper reported the session finished
+  async completeSession(sessionId) {
+    const task = await ScrapingTask.findOne({
+      sessionId,
+      status: { $in: SUBMITTED_STATUSES },
+    });
+    if (task) {
+      await this.finishTask(task, "completed");
+    }
+  }
+
+  // The scraper reported the session failed
+  async failSession(sessionId, error) {
+    const task = await ScrapingTask.findOne({
+      sessionId,
+      status: { $in: SUBMITTED_STATUSES },
+    });
+    if (task) {
+      await this.handleFailure(task, error);
+    }
+  }
+
+  // Fail (or retry) submitted sessions the scraper went quiet on
+  async expireOverdueResults() {
+    const overdueTasks = await ScrapingTask.find({
+      status: "awaiting_results",
+      resultsDeadline: { $lt: new Date() },
+    });
+
+    for (const task of overdueTasks) {
+      logger.warn(`Scraping task ${task.sessionId} timed out awaiting results`);
+      await this.handleFailure(
+        task,
+        new Error("Scraping service did not report back in time")
+      );
+    }
+
+    return overdueTasks.length;
+  }
+
+  // Put a task back in the queue with exponential backoff
+  async retryTask(task, error) {
+    const delay = this.backoffBaseMs * Math.pow(2, task.attempts - 1);
+
+    await ScrapingTask.updateOne(
+      { _id: task._id, status: { $in: SUBMITTED_STATUSES } },
+      {
+        $set: {
+          status: "queued",
+          runAt: new Date(Date.now() + delay),
+          lastError: error.message,
+        },
+        $unset: { lockedBy: "", lockedAt: "", resultsDeadline: "" },
+      }
+    );
+
+    logger.info(
+      `Scraping task ${task.sessionId} scheduled for retry in ${Math.round(
+        delay / 1000
+      )}s`
+    );
+  }
+
+  // Mark a task finished and release the user's active slot
+  async finishTask(task, status, lastError = undefined) {
+    const update = {
+      $set: { status, completedAt: new Date() },
+      $unset: {
+        activeKey: "",
+        lockedBy: "",
+        lockedAt: "",
+        resultsDeadline: "",
+      },
+    };
+
+    if (lastError) {
+      update.$set.lastError = lastError;
+    }
+
+    // A task cancelled while running keeps its cancelled status
+    await ScrapingTask.updateOne(
+      { _id: task._id, status: { $in: SUBMITTED_STATUSES } },
+      update
+    );
+  }
+
+  // Cancel an active task
+  async cancel(sessionId) {
+    const task = await ScrapingTask.findOneAndUpdate(
+      { sessionId, status: { $in: ScrapingTask.ACTIVE_STATUSES } },
+      {
+        $set: { status: "cancelled", completedAt: new Date() },
+        $unset: {
+          activeKey: "",
+          lockedBy: "",
+          lockedAt: "",
+          resultsDeadline: "",
+        },
+      },
+      { new: true }
+    );
+
+    return !!task;
+  }
+
+  // Keep locks on in-flight tasks fresh and reclaim stale ones
+  async heartbeat() {
+    try {
+      if (this.running.size > 0) {
+        await ScrapingTask.updateMany(
+          {
+            sessionId: { $in: [...this.running] },
+            status: "running",
+            lockedBy: this.workerId,
+          },
+          { $set: { lockedAt: new Date() } }
+        );
+      }
+
+      await this.requeueStaleTasks();
+      await this.expireOverdueResults();
+    } catch (error) {
+      logger.error("Scraping queue heartbeat failed:", error);
+    }
+  }
+
+  // Requeue running tasks whose worker stopped sending heartbeats
+  async requeueStaleTasks() {
+    const staleBefore = new Date(Date.now() - this.staleLockMs);
+
+    const staleTasks = await ScrapingTask.find({
+      status: "running",
+      lockedAt: { $lt: staleBefore },
+    });
+
+    for (const task of staleTasks) {
+      const reason = `Worker ${task.lockedBy} stopped responding`;
+
+      // Out of attempts: give up rather than requeue forever
+      if (task.attempts >= task.maxAttempts) {
+        const failed = await ScrapingTask.findOneAndUpdate(
+          { _id: task._id, status: "running", lockedAt: task.lockedAt },
+          {
+            $set: {
+              status: "failed",
+              completedAt: new Date(),
+              lastError: reason,
+            },
+            $unset: { activeKey: "", lockedBy: "", lockedAt: "" },
+          }
+        );
+
+        if (failed) {
+          const scrapingLog = await ScrapingLog.findOne({
+            sessionId: task.sessionId,
+          });
+          if (
+            scrapingLog &&
+            !["completed", "cancelled"].includes(scrapingLog.status)
+          ) {
+            await scrapingLog.markAsFailed({
+              errorType: "WORKER_LOST",
+              errorMessage: reason,
+              timestamp: new Date(),
+            });
+          }
+          logger.warn(`Stale scraping task ${task.sessionId} marked as failed`);
+        }
+        continue;
+      }
+
+      const claimed = await ScrapingTask.findOneAndUpdate(
+        { _id: task._id, status: "running", lockedAt: task.lockedAt },
+        {
+          $set: {
+            status: "queued",
+            runAt: new Date(),
+            lastError: reason,
+          },
+          $unset: { lockedBy: "", lockedAt: "" },
+        },
+        { new: true }
+      );
+
+      if (claimed) {
+        await ScrapingLog.updateOne(
+          { sessionId: task.sessionId, status: "in_progress" },
+          { $set: { status: "initiated" } }
+        );
+        logger.warn(`Requeued stale scraping task ${task.sessionId}`);
+      }
+    }
+
+    return staleTasks.length;
+  }
+
+  // Recover sessions left behind by a previous process
+  async recoverOrphanedSessions() {
+    try {
+      // Tasks claimed by this worker id belong to a previous incarnation
+      await ScrapingTask.updateMany(
+        { status: "running", lockedBy: this.workerId },
+        { $set: { lockedAt: new Date(0) } }
+      );
+      const requeued = await this.requeueStaleTasks();
+
+      // Logs without a queue task (e.g. created before the queue existed)
+      const activeSessionIds = await ScrapingTask.distinct("sessionId", {
+        status: { $in: ScrapingTask.ACTIVE_STATUSES },
+      });
+
+      const orphanedLogs = await ScrapingLog.find({
+        status: { $in: ["initiated", "in_progress"] },
+        sessionId: { $nin: activeSessionIds },
+        createdAt: { $lt: new Date(Date.now() - 60 * 1000) },
+      });
+
+      for (const scrapingLog of orphanedLogs) {
+        await scrapingLog.markAsFailed({
+          errorType: "ORPHANED_SESSION",
+          errorMessage: "Session was interrupted by a server restart",
+          timestamp: new Date(),
+        });
+      }
+
+      logger.info(
+        `Scraping queue recovery: ${requeued} task(s) requeued, ${orphanedLogs.length} orphaned session(s) closed`
+      );
+    } catch (error) {
+      logger.error("Scraping queue recovery failed:", error);
+    }
+  }
+
+  // Queue statistics for monitoring
+  async getStats() {
+    const counts = await ScrapingTask.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    return {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      runningOnThisWorker: this.running.size,
+      byStatus: counts.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        return acc;
+      }, {}),
+    };
+  }
+}
+
+module.exports = new ScrapingQueue();
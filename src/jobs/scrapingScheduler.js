@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const cron = require("node-cron");
+const User = require("../models/User.model");
+const settingsService = require("../services/settings.service");
+const scrapingService = require("../services/scraping.service");
+const planService = require("../services/plan.service");
+const logger = require("../utils/logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class ScrapingScheduler {
+  constructor() {
+    this.cronExpression = process.env.SCRAPING_SCHEDULER_CRON || "*/15 * * * *";
+    this.batchSize = parseInt(process.env.SCRAPING_SCHEDULER_BATCH) || 50;
+
+    this.task = null;
+    this.ticking = false;
+    this.lastTickAt = null;
+    this.lastTickResult = null;
+  }
+
+  // Start the cron trigger
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      logger.error(
+        `Invalid SCRAPING_SCHEDULER_CRON expression: ${this.cronExpression}`
+      );
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => this.tick());
+    logger.info(`Scraping scheduler started (${this.cronExpression})`);
+  }
+
+  // Stop the cron trigger
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Filter for users who are entitled to scheduled scraping
+  buildEligibleFilter(now = new Date()) {
+    return {
+      userType: "user",
+      isActive: true,
+      onboardingCompleted: true,
+      paymentCompleted: true,
+      $or: [
+        { "package.expiresAt": { $exists: false } },
+        { "package.expiresAt": null },
+        { "package.expiresAt": { $gt: now } },
+      ],
+    };
+  }
+
+  // Scraping interval for a user's plan
+  async getIntervalMs(user, settings) {
+    const plan = await planService.getPlan(user.package?.type || "basic");
+    const cadence = plan?.limits?.scrapingCadence || 1;
+
+    return Math.max(settings.scraping.scrapingInterval * cadence, 1) * HOUR_MS;
+  }
+
+  // Stable per-user offset within the interval so runs are spread out
+  getStaggerOffsetMs(userId, intervalMs) {
+    const hash = crypto
+      .createHash("md5")
+      .update(userId.toString())
+      .digest()
+      .readUInt32BE(0);
+
+    return hash % intervalMs;
+  }
+
+  // Give newly eligible users a staggered first run
+  async initializeSchedules(settings, now) {
+    const users = await User.find({
+      ...this.buildEligibleFilter(now),
+      "scrapingSchedule.nextRunAt": { $exists: false },
+    })
+      .select("_id package lastJobScrapingRun")
+      .limit(this.batchSize * 10);
+
+    for (const user of users) {
+      const intervalMs = await this.getIntervalMs(user, settings);
+      const base = user.lastJobScrapingRun
+        ? user.lastJobScrapingRun.getTime() + intervalMs
+        : now.getTime();
+
+      const nextRunAt = new Date(
+        Math.max(base, now.getTime()) +
+          this.getStaggerOffsetMs(user._id, intervalMs)
+      );
+
+      await User.updateOne(
+        { _id: user._id, "scrapingSchedule.nextRunAt": { $exists: false } },
+        { $set: { "scrapingSchedule.nextRunAt": nextRunAt } }
+      );
+    }
+
+    return users.length;
+  }
+
+  // Enqueue scraping for every user whose next run is due
+  async tick() {
+    if (this.ticking) return this.lastTickResult;
+    this.ticking = true;
+
+    const now = new Date();
+    const result = { initialized: 0, due: 0, enqueued: 0, failed: 0 };
+
+    try {
+      const settings = await settingsService.getSettings();
+
+      if (settings.scraping.schedulerPaused) {
+        logger.info("Scraping scheduler is paused, skipping run");
+        result.paused = true;
+        return result;
+      }
+
+      result.initialized = await this.initializeSchedules(settings, now);
+
+      const dueUsers = await User.find({
+        ...this.buildEligibleFilter(now),
+        "scrapingSchedule.paused": { $ne: true },
+        "scrapingSchedule.nextRunAt": { $lte: now },
+      })
+        .select("_id package scrapingSchedule")
+        .sort({ "scrapingSchedule.nextRunAt": 1 })
+        .limit(this.batchSize);
+
+      result.due = dueUsers.length;
+
+      for (const user of dueUsers) {
+        const intervalMs = await this.getIntervalMs(user, settings);
+
+        // Claim the run so other instances skip this user. The last run
+        // is recorded when the session completes, not here.
+        const claimed = await User.findOneAndUpdate(
+          {
+            _id: user._id,
+            "scrapingSchedule.nextRunAt": user.scrapingSchedule.nextRunAt,
+          },
+          {
+            $set: {
+              "scrapingSchedule.nextRunAt": new Date(
+                now.getTime() + intervalMs
+              ),
+              "scrapingSchedule.lastScheduledAt": now,
+            },
+          }
+        );
+
+        if (!claimed) continue;
+
+        try {
+          await scrapingService.scheduleJobScraping(user._id, "scheduled");
+          result.enqueued++;
+        } catch (error) {
+          result.failed++;
+          logger.error(
+            `Failed to schedule scraping for user ${user._id}:`,
+            error
+          );
+        }
+      }
+
+      if (result.due > 0 || result.initialized > 0) {
+        logger.info(
+          `Scraping scheduler run: ${result.enqueued} enqueued, ${result.failed} failed, ${result.initialized} newly scheduled`
+        );
+      }
+
+      return result;
+    } catch (error) {
+      logger.error("Scraping scheduler run failed:", error);
+      result.error = error.message;
+      return result;
+    } finally {
+      this.lastTickAt = now;
+      this.lastTickResult = result;
+      this.ticking = false;
+    }
+  }
+
+  // Overview of the schedule for the admin dashboard
+  async getScheduleOverview(limit = 20) {
+    const now = new Date();
+    const settings = await settingsService.getSettings();
+    const eligibleFilter = this.buildEligibleFilter(now);
+
+    const [eligibleUsers, pausedUsers, dueUsers, upcoming] = await Promise.all([
+      User.countDocuments(eligibleFilter),
+      User.countDocuments({
+        ...eligibleFilter,
+        "scrapingSchedule.paused": true,
+      }),
+      User.countDocuments({
+        ...eligibleFilter,
+        "scrapingSchedule.paused": { $ne: true },
+        "scrapingSchedule.nextRunAt": { $lte: now },
+      }),
+      User.find({
+        ...eligibleFilter,
+        "scrapingSchedule.nextRunAt": { $exists: true },
+      })
+        .select("name email package.type scrapingSchedule lastJobScrapingRun")
+        .sort({ "scrapingSchedule.nextRunAt": 1 })
+        .limit(limit)
+        .lean(),
+    ]);
+    const plans = await planService.getPlans({ includeInactive: true });
+
+    return {
+      paused: settings.scraping.schedulerPaused,
+      running: !!this.task,
+      cronExpression: this.cronExpression,
+      baseIntervalHours: settings.scraping.scrapingInterval,
+      planCadence: plans.reduce((cadence, plan) => {
+        cadence[plan.id] = plan.limits.scrapingCadence;
+        return cadence;
+      }, {}),
+      lastTickAt: this.lastTickAt,
+      lastTickResult: this.lastTickResult,
+      counts: {
+        eligible: eligibleUsers,
+        paused: pausedUsers,
+        due: dueUsers,
+      },
+      upcoming: upcoming.map((user) => ({
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        plan: user.package?.type,
+        paused: !!user.scrapingSchedule?.paused,
+        nextRunAt: user.scrapingSchedule?.nextRunAt,
+        lastJobScrapingRun: user.lastJobScrapingRun,
+      })),
+    };
+  }
+
+  // Pause or resume scheduled scraping for a single user
+  async setUserPaused(userId, paused, adminId) {
+    const update = paused
+      ? {
+          $set: {
+            "scrapingSchedule.paused": true,
+            "scrapingSchedule.pausedAt": new Date(),
+            "scrapingSchedule.pausedBy": adminId,
+          },
+        }
+      : {
+          $set: { "scrapingSchedule.paused": false },
+          $unset: {
+            "scrapingSchedule.pausedAt": "",
+            "scrapingSchedule.pausedBy": "",
+          },
+        };
+
+    return await User.findByIdAndUpdate(userId, update, { new: true }).select(
+      "name email scrapingSchedule lastJobScrapingRun"
+    );
+  }
+}
+
+module.exports = new ScrapingScheduler();
@@ -0,0 +1,190 @@
+const cron = require("node-cron");
+const Subscription = require("../models/Subscription.model");
+const settingsService = require("../services/settings.service");
+const subscriptionService = require("../services/subscription.service");
+const quotaService = require("../services/quota.service");
+const couponService = require("../services/coupon.service");
+const invoiceService = require("../services/invoice.service");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SubscriptionLifecycle {
+  constructor() {
+    this.cronExpression = process.env.SUBSCRIPTION_CRON || "0 1 * * *";
+
+    this.task = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastRunResult = null;
+  }
+
+  // Start the cron trigger
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      logger.error(
+        `Invalid SUBSCRIPTION_CRON expression: ${this.cronExpression}`
+      );
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => this.run());
+    logger.info(
+      `Subscription lifecycle job scheduled (${this.cronExpression})`
+    );
+  }
+
+  // Stop the cron trigger
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Apply scheduled plan changes, send reminders, start grace periods,
+  // expire lapsed subscriptions, reset monthly application quotas,
+  // release coupons held by abandoned checkouts and issue invoices that
+  // failed at checkout
+  async run() {
+    if (this.running) return this.lastRunResult;
+    this.running = true;
+
+    const now = new Date();
+    const result = {
+      planChanges: 0,
+      reminded: 0,
+      graceStarted: 0,
+      expired: 0,
+      usageReset: 0,
+      couponsReleased: 0,
+      invoicesIssued: 0,
+      failed: 0,
+    };
+
+    try {
+      const { billing } = await settingsService.getSettings();
+
+      // Scheduled downgrades take effect before the period lapses
+      const dueChanges = await Subscription.find({
+        status: { $in: Subscription.ACCESS_STATUSES },
+        "pendingChange.effectiveAt": { $lte: now },
+      });
+
+      for (const subscription of dueChanges) {
+        try {
+          if (await subscriptionService.applyPendingChange(subscription)) {
+            result.planChanges++;
+          }
+        } catch (error) {
+          result.failed++;
+          logger.error(
+            `Failed to apply plan change for subscription ${subscription._id}:`,
+            error
+          );
+        }
+      }
+
+      // Renewal reminders for periods ending soon
+      if (billing.renewalReminderDays > 0) {
+        const upcoming = await Subscription.find({
+          status: "active",
+          currentPeriodEnd: {
+            $gt: now,
+            $lte: new Date(
+              now.getTime() + billing.renewalReminderDays * DAY_MS
+            ),
+          },
+        });
+
+        for (const subscription of upcoming) {
+          if (await subscriptionService.notify(subscription, "renewal")) {
+            result.reminded++;
+          }
+        }
+      }
+
+      // Lapsed periods enter grace (or expire when grace is 0 days)
+      const lapsed = await Subscription.find({
+        status: "active",
+        currentPeriodEnd: { $lte: now },
+      });
+
+      for (const subscription of lapsed) {
+        try {
+          const updated = await subscriptionService.startGracePeriod(
+            subscription,
+            billing.gracePeriodDays
+          );
+          if (updated?.status === "grace") result.graceStarted++;
+          if (updated?.status === "expired") result.expired++;
+        } catch (error) {
+          result.failed++;
+          logger.error(
+            `Failed to lapse subscription ${subscription._id}:`,
+            error
+          );
+        }
+      }
+
+      // Grace periods that have run out
+      const graceEnded = await Subscription.find({
+        status: "grace",
+        graceEndsAt: { $lte: now },
+      });
+
+      for (const subscription of graceEnded) {
+        try {
+          if (await subscriptionService.expire(subscription)) {
+            result.expired++;
+          }
+        } catch (error) {
+          result.failed++;
+          logger.error(
+            `Failed to expire subscription ${subscription._id}:`,
+            error
+          );
+        }
+      }
+
+      // Application quotas roll over on each user's billing anniversary
+      result.usageReset = await quotaService.resetDueUsage(now);
+
+      result.couponsReleased = await couponService.releaseStale(now);
+
+      // Invoices that could not be issued when their payment completed
+      const uninvoiced = await invoiceService.findUninvoicedPayments();
+
+      for (const payment of uninvoiced) {
+        try {
+          await invoiceService.createForPayment(payment);
+          result.invoicesIssued++;
+        } catch (error) {
+          result.failed++;
+          logger.error(
+            `Failed to issue invoice for payment ${payment._id}:`,
+            error
+          );
+        }
+      }
+
+      logger.info(
+        `Subscription lifecycle run: ${result.planChanges} plan changes, ${result.reminded} reminded, ${result.graceStarted} in grace, ${result.expired} expired, ${result.usageReset} quotas reset, ${result.couponsReleased} coupon reservations released, ${result.invoicesIssued} invoices issued, ${result.failed} failed`
+      );
+
+      return result;
+    } catch (error) {
+      logger.error("Subscription lifecycle run failed:", error);
+      result.error = error.message;
+      return result;
+    } finally {
+      this.lastRunAt = now;
+      this.lastRunResult = result;
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new SubscriptionLifecycle();
@@ -1,5 +1,7 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User.model");
+const settingsService = require("../services/settings.service");
+const sessionService = require("../services/session.service");
 const { ApiResponse } = require("../utils/apiResponse");
 const logger = require("../utils/logger");
 
@@ -26,7 +28,15 @@ const authenticate = async (req, res, next) => {
         return ApiResponse.unauthorized(res, "Account is deactivated");
       }
 
+      if (
+        !user.isTokenCurrent(decoded) ||
+        !(await sessionService.isSessionActive(user._id, decoded.sid))
+      ) {
+        return ApiResponse.unauthorized(res, "Token has been revoked");
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (tokenError) {
       if (tokenError.name === "TokenExpiredError") {
@@ -43,11 +53,28 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
+// Check if user is admin (with 2FA enabled when settings require it)
+const requireAdmin = async (req, res, next) => {
   if (req.user.userType !== "admin") {
     return ApiResponse.forbidden(res, "Admin access required");
   }
+
+  try {
+    const twoFactorRequired = await settingsService.get(
+      "security.requireAdminTwoFactor",
+      false
+    );
+    if (twoFactorRequired && !req.user.twoFactor.enabled) {
+      return ApiResponse.forbidden(
+        res,
+        "Enable two-factor authentication to use admin features"
+      );
+    }
+  } catch (error) {
+    logger.error("Failed to read two-factor setting:", error);
+    return ApiResponse.error(res, "Authorization failed", 500);
+  }
+
   next();
 };
 
@@ -66,8 +93,14 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id).select("-password");
 
-      if (user && user.isActive) {
+      if (
+        user &&
+        user.isActive &&
+        user.isTokenCurrent(decoded) &&
+        (await sessionService.isSessionActive(user._id, decoded.sid))
+      ) {
         req.user = user;
+        req.sessionId = decoded.sid;
       }
     } catch (tokenError) {
       // Silently ignore token errors for optional auth
@@ -80,73 +113,8 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Verify refresh token
-const verifyRefreshToken = async (req, res, next) => {
-  try {
-    const { refreshToken } = req.body;
-
-    if (!refreshToken) {
-      return ApiResponse.badRequest(res, "Refresh token is required");
-    }
-
-    try {
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-
-      const user = await User.findById(decoded.userId);
-      if (!user || !user.isActive) {
-        return ApiResponse.unauthorized(res, "Invalid refresh token");
-      }
-
-      req.user = user;
-      next();
-    } catch (tokenError) {
-      return ApiResponse.unauthorized(res, "Invalid or expired refresh token");
-    }
-  } catch (error) {
-    logger.error("Refresh token verification error:", error);
-    return ApiResponse.error(res, "Token verification failed", 500);
-  }
-};
-
-// Rate limiting for sensitive operations
-const sensitiveOperationLimit = (
-  maxAttempts = 5,
-  windowMs = 15 * 60 * 1000
-) => {
-  const attempts = new Map();
-
-  return (req, res, next) => {
-    const key = req.ip + (req.user ? req.user._id : "");
-    const now = Date.now();
-
-    // Clean old entries
-    for (const [k, v] of attempts.entries()) {
-      if (now - v.lastAttempt > windowMs) {
-        attempts.delete(k);
-      }
-    }
-
-    const userAttempts = attempts.get(key) || { count: 0, lastAttempt: now };
-
-    if (userAttempts.count >= maxAttempts) {
-      return ApiResponse.rateLimited(
-        res,
-        "Too many attempts. Please try again later."
-      );
-    }
-
-    userAttempts.count++;
-    userAttempts.lastAttempt = now;
-    attempts.set(key, userAttempts);
-
-    next();
-  };
-};
-
 module.exports = {
   authenticate,
   requireAdmin,
   optionalAuth,
-  verifyRefreshToken,
-  sensitiveOperationLimit,
 };
@@ -0,0 +1,114 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User.model");
+const sessionService = require("../services/session.service");
+const { ApiResponse } = require("../utils/apiResponse");
+const settingsService = require("../services/settings.service");
+const logger = require("../utils/logger");
+
+// Routes that stay reachable during maintenance so admins can sign in
+// (with a password or a provider) and payment gateways and the scraper
+// can still deliver callbacks
+const MAINTENANCE_ALLOWED_PATHS = [
+  "/auth/login",
+  "/auth/2fa/verify",
+  "/auth/refresh",
+  /^\/auth\/oauth\/[^/]+$/,
+  /^\/auth\/oauth\/[^/]+\/callback$/,
+  "/payment/webhook",
+  "/scraping/callback",
+];
+
+const isAllowedPath = (path) =>
+  MAINTENANCE_ALLOWED_PATHS.some((allowed) =>
+    typeof allowed === "string" ? allowed === path : allowed.test(path)
+  );
+
+// Resolve whether the request carries a valid admin token, checked the
+// way authenticate checks it (including a revoked session)
+const isAdminRequest = async (req) => {
+  const authHeader = req.header("Authorization");
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select(
+      "userType isActive tokenVersion"
+    );
+
+    return (
+      !!user &&
+      user.isActive &&
+      user.userType === "admin" &&
+      user.isTokenCurrent(decoded) &&
+      (await sessionService.isSessionActive(user._id, decoded.sid))
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Middleware to reject non-admin API traffic while maintenance mode is on
+ * Reads settings on every request so toggles apply without a restart
+ */
+const maintenanceGate = async (req, res, next) => {
+  let system;
+
+  try {
+    system = (await settingsService.getSettings()).system;
+  } catch (error) {
+    // Never take the API down because settings could not be read
+    logger.error("Maintenance gate could not load settings:", error);
+    return next();
+  }
+
+  if (!system.maintenanceMode) {
+    return next();
+  }
+
+  if (isAllowedPath(req.path)) {
+    return next();
+  }
+
+  if (await isAdminRequest(req)) {
+    return next();
+  }
+
+  res.set("Retry-After", String(system.maintenanceRetryAfter));
+
+  return ApiResponse.serviceUnavailable(res, system.maintenanceMessage, {
+    maintenance: true,
+    retryAfter: system.maintenanceRetryAfter,
+  });
+};
+
+/**
+ * Middleware to refuse sign-ups while registration is disabled
+ */
+const requireRegistrationEnabled = async (req, res, next) => {
+  try {
+    const registrationEnabled = await settingsService.get(
+      "system.registrationEnabled"
+    );
+
+    if (!registrationEnabled) {
+      return ApiResponse.forbidden(
+        res,
+        "Registration is currently disabled. Please try again later."
+      );
+    }
+
+    next();
+  } catch (error) {
+    logger.error("Registration gate error:", error);
+    return ApiResponse.error(res, "Registration check failed", 500);
+  }
+};
+
+module.exports = {
+  maintenanceGate,
+  requireRegistrationEnabled,
+};
@@ -1,4 +1,5 @@
 const { ApiResponse } = require("../utils/apiResponse");
+const planService = require("../services/plan.service");
 const logger = require("../utils/logger");
 
 /**
@@ -42,7 +43,7 @@ const requirePayment = (req, res, next) => {
  * Used for premium features that require specific plans
  */
 const requirePlan = (requiredPlan) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         return ApiResponse.unauthorized(res, "Authentication required");
@@ -65,20 +66,21 @@ const requirePlan = (requiredPlan) => {
         );
       }
 
-      // Define plan hierarchy
-      const planHierarchy = {
-        basic: 1,
-        premium: 2,
-        enterprise: 3,
-      };
+      // Plans are ordered by their catalogue tier
+      const [userPlan, required] = await Promise.all([
+        planService.getPlan(req.user.selectedPlan),
+        planService.getPlan(requiredPlan),
+      ]);
 
-      const userPlanLevel = planHierarchy[req.user.selectedPlan] || 0;
-      const requiredPlanLevel = planHierarchy[requiredPlan] || 1;
+      const userPlanLevel = userPlan ? userPlan.tier : 0;
+      const requiredPlanLevel = required ? required.tier : 1;
 
       if (userPlanLevel < requiredPlanLevel) {
         return ApiResponse.forbidden(
           res,
-          `This feature requires ${requiredPlan} plan or higher`,
+          `This feature requires the ${
+            required ? required.name : requiredPlan
+          } or higher`,
           {
             redirectTo: "/payment",
             currentPlan: req.user.selectedPlan,
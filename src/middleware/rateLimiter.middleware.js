@@ -0,0 +1,196 @@
+const jwt = require("jsonwebtoken");
+const rateLimit = require("express-rate-limit");
+const { getRedisClient } = require("../config/redis");
+const { ApiResponse } = require("../utils/apiResponse");
+const { RATE_LIMITS } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+const KEY_PREFIX = `${process.env.CACHE_KEY_PREFIX || "autoapplyjob:"}ratelimit:`;
+
+// Signed deliveries from payment gateways and the scraper. They arrive in
+// bursts from a few hosts, and a rejected one is only retried later.
+const SIGNED_CALLBACK_PATHS = ["/payment/webhook", "/scraping/callback"];
+
+// Named policies applied to routes. Hits are counted per client, so each
+// policy needs its own window and limit.
+const POLICIES = {
+  general: {
+    windowMs:
+      parseInt(process.env.RATE_LIMIT_WINDOW_MS) ||
+      RATE_LIMITS.GENERAL.WINDOW_MS,
+    max:
+      parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) ||
+      RATE_LIMITS.GENERAL.MAX_REQUESTS,
+    message: "Too many requests, please try again later.",
+    // Signed callbacks are authenticated by their signature instead
+    skip: (req) =>
+      SIGNED_CALLBACK_PATHS.some((path) => req.path.endsWith(path)),
+  },
+  login: {
+    windowMs: RATE_LIMITS.AUTH.WINDOW_MS,
+    max: RATE_LIMITS.AUTH.MAX_REQUESTS,
+    message: "Too many login attempts. Please try again later.",
+  },
+  register: {
+    windowMs: RATE_LIMITS.REGISTER.WINDOW_MS,
+    max: RATE_LIMITS.REGISTER.MAX_REQUESTS,
+    message: "Too many registration attempts. Please try again later.",
+  },
+  forgotPassword: {
+    windowMs: RATE_LIMITS.SENSITIVE.WINDOW_MS,
+    max: RATE_LIMITS.SENSITIVE.MAX_REQUESTS,
+    message: "Too many password reset requests. Please try again later.",
+  },
+  changePassword: {
+    windowMs: RATE_LIMITS.SENSITIVE.WINDOW_MS,
+    max: RATE_LIMITS.SENSITIVE.MAX_REQUESTS,
+    message: "Too many attempts. Please try again later.",
+  },
+  resendVerification: {
+    windowMs: RATE_LIMITS.SENSITIVE.WINDOW_MS,
+    max: RATE_LIMITS.SENSITIVE.MAX_REQUESTS,
+    message: "Too many attempts. Please try again later.",
+  },
+  ai: {
+    windowMs: RATE_LIMITS.AI.WINDOW_MS,
+    max: RATE_LIMITS.AI.MAX_REQUESTS,
+    message: "Too many AI requests, please try again later.",
+  },
+};
+
+// Fixed-window hit counters shared by every instance through Redis, with
+// per-process counters while Redis is unavailable
+class SharedStore {
+  constructor(policy) {
+    this.prefix = `${KEY_PREFIX}${policy}:`;
+    this.localKeys = false;
+    this.hits = new Map();
+    this.prunedAt = Date.now();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const redis = getRedisClient();
+
+    if (redis) {
+      try {
+        const redisKey = this.prefix + key;
+        let [totalHits, ttl] = await redis
+          .multi()
+          .incr(redisKey)
+          .pTTL(redisKey)
+          .exec();
+
+        // First hit in the window starts the clock
+        if (ttl < 0) {
+          await redis.pExpire(redisKey, this.windowMs);
+          ttl = this.windowMs;
+        }
+
+        return { totalHits, resetTime: new Date(Date.now() + ttl) };
+      } catch (error) {
+        logger.warn(`Rate limit store failed for ${key}: ${error.message}`);
+      }
+    }
+
+    return this.incrementLocal(key);
+  }
+
+  incrementLocal(key) {
+    const now = Date.now();
+    this.pruneLocal(now);
+
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetTime <= now) {
+      entry = { totalHits: 0, resetTime: now + this.windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.totalHits++;
+
+    return { totalHits: entry.totalHits, resetTime: new Date(entry.resetTime) };
+  }
+
+  // Drop expired local counters at most once per window
+  pruneLocal(now) {
+    if (now - this.prunedAt < this.windowMs) return;
+
+    for (const [key, entry] of this.hits.entries()) {
+      if (entry.resetTime <= now) this.hits.delete(key);
+    }
+    this.prunedAt = now;
+  }
+
+  async decrement(key) {
+    const entry = this.hits.get(key);
+    if (entry && entry.totalHits > 0) entry.totalHits--;
+
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.decr(this.prefix + key);
+    } catch (error) {
+      logger.warn(`Rate limit store failed for ${key}: ${error.message}`);
+    }
+  }
+
+  async resetKey(key) {
+    this.hits.delete(key);
+
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.del(this.prefix + key);
+    } catch (error) {
+      logger.warn(`Rate limit store failed for ${key}: ${error.message}`);
+    }
+  }
+}
+
+// User id from the request, or from a valid bearer token on routes that
+// are limited before authentication runs
+const getRequestUserId = (req) => {
+  if (req.user) return req.user._id.toString();
+
+  const authHeader = req.header("Authorization");
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+
+  try {
+    return jwt.verify(authHeader.substring(7), process.env.JWT_SECRET).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createRateLimiter = (policy) => {
+  const { windowMs, max, message, skip } = POLICIES[policy];
+
+  return rateLimit({
+    windowMs,
+    max,
+    store: new SharedStore(policy),
+    skip,
+    keyGenerator: (req) => `${req.ip}:${getRequestUserId(req) || "anonymous"}`,
+    handler: (req, res) => {
+      logger.warn(`Rate limit '${policy}' exceeded for ${req.ip}`);
+      return ApiResponse.rateLimited(res, message);
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+};
+
+const rateLimiters = Object.keys(POLICIES).reduce((limiters, policy) => {
+  limiters[policy] = createRateLimiter(policy);
+  return limiters;
+}, {});
+
+module.exports = {
+  rateLimiters,
+  createRateLimiter,
+  SharedStore,
+};
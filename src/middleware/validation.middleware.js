@@ -16,7 +16,159 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Plan catalogue fields: required when creating, optional when updating
+const PLAN_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+
+const planFieldRules = (isUpdate) => {
+  const required = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    required("name")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Plan name must be between 1 and 100 characters"),
+
+    required("tier")
+      .isInt({ min: 1 })
+      .withMessage("Tier must be a positive integer"),
+
+    required("price")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be a positive number"),
+
+    body("description")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    body("currency")
+      .optional()
+      .isAlpha()
+      .isLength({ min: 3, max: 3 })
+      .withMessage("Currency must be a 3-letter code"),
+
+    body("period")
+      .optional()
+      .isIn(["month", "year"])
+      .withMessage("Period must be month or year"),
+
+    body("features")
+      .optional()
+      .isArray()
+      .withMessage("Features must be an array"),
+
+    body("features.*")
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage("Each feature must be a string of up to 200 characters"),
+
+    body("entitlements")
+      .optional()
+      .isObject()
+      .withMessage("Entitlements must be an object"),
+
+    body([
+      "entitlements.autoApply",
+      "entitlements.prioritySupport",
+      "entitlements.advancedFilters",
+    ])
+      .optional()
+      .isBoolean()
+      .withMessage("Entitlements must be boolean"),
+
+    body("limits")
+      .optional()
+      .isObject()
+      .withMessage("Limits must be an object"),
+
+    body("limits.applicationsPerMonth")
+      .optional({ values: "null" })
+      .isInt({ min: 0 })
+      .withMessage("applicationsPerMonth must be a positive integer or null"),
+
+    body("limits.scrapingCadence")
+      .optional()
+      .isFloat({ min: 0.05, max: 10 })
+      .withMessage("scrapingCadence must be between 0.05 and 10"),
+
+    body(["recommended", "isActive"])
+      .optional()
+      .isBoolean()
+      .withMessage("Value must be boolean"),
+  ];
+};
+
+// Coupon fields: required when creating, optional when updating
+const couponFieldRules = (isUpdate) => {
+  const required = (path) => (isUpdate ? body(path).optional() : body(path));
+
+  return [
+    required("discountType")
+      .isIn(["percentage", "fixed"])
+      .withMessage("Discount type must be percentage or fixed"),
+
+    required("value")
+      .isFloat({ gt: 0 })
+      .withMessage("Discount value must be greater than 0")
+      .custom((value, { req }) => {
+        if (req.body.discountType === "percentage" && value > 100) {
+          throw new Error("Percentage discount cannot exceed 100");
+        }
+        return true;
+      }),
+
+    body("description")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    body("currency")
+      .optional()
+      .isAlpha()
+      .isLength({ min: 3, max: 3 })
+      .withMessage("Currency must be a 3-letter code"),
+
+    body("plans").optional().isArray().withMessage("Plans must be an array"),
+
+    body("plans.*")
+      .matches(PLAN_ID_PATTERN)
+      .withMessage("Invalid plan ID in plans"),
+
+    body(["startsAt", "expiresAt"])
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Dates must be valid ISO 8601 dates"),
+
+    body("maxRedemptions")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("maxRedemptions must be a positive integer or null"),
+
+    body("perUserLimit")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("perUserLimit must be a positive integer"),
+
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be boolean"),
+  ];
+};
+
 // Common validation rules
+// Condition for a rule on one entry of settings.scraping.jobSources that
+// only applies to some adapters
+const jobSourceAdapterIs =
+  (...adapters) =>
+  (value, { path, req }) => {
+    const index = path.match(/jobSources\[(\d+)\]/)[1];
+    const source = req.body.settings.scraping.jobSources[index];
+    return adapters.includes(source && source.adapter);
+  };
+
 const validationRules = {
   // User validation
   registerUser: [
@@ -55,6 +207,82 @@ const validationRules = {
     body("password").notEmpty().withMessage("Password is required"),
   ],
 
+  refreshToken: [
+    body("refreshToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Refresh token is required"),
+  ],
+
+  verifyTwoFactorLogin: [
+    body("challengeToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+
+    body("code")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Authentication code is required"),
+  ],
+
+  twoFactorCode: [
+    body("code")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Authentication code is required"),
+  ],
+
+  disableTwoFactor: [
+    body("password").notEmpty().withMessage("Password is required"),
+
+    body("code")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Authentication code is required"),
+  ],
+
+  oauthProvider: [
+    param("provider")
+      .isIn(["google", "linkedin", "mock"])
+      .withMessage("Unknown sign-in provider"),
+  ],
+
+  oauthCallback: [
+    param("provider")
+      .isIn(["google", "linkedin", "mock"])
+      .withMessage("Unknown sign-in provider"),
+
+    body("code")
+      .isString()
+      .notEmpty()
+      .withMessage("Authorization code is required"),
+
+    body("state").isString().notEmpty().withMessage("State is required"),
+  ],
+
+  mockOAuthAuthorize: [
+    query("redirect_uri").notEmpty().withMessage("redirect_uri is required"),
+
+    query("state").notEmpty().withMessage("state is required"),
+
+    query("email")
+      .isEmail()
+      .withMessage("Please provide a valid email address"),
+
+    query("emailVerified")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("emailVerified must be true or false"),
+  ],
+
+  sessionIdParam: [
+    param("sessionId").isMongoId().withMessage("Invalid session ID format"),
+  ],
+
   updateProfile: [
     body("name")
       .optional()
@@ -173,9 +401,306 @@ const validationRules = {
       .withMessage("Invalid application status"),
   ],
 
+  // System settings validation
+  updateSystemSettings: [
+    body("settings").isObject().withMessage("Settings object is required"),
+
+    body("version")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Version must be a positive integer"),
+
+    body("settings.scraping.maxJobsPerUser")
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage("maxJobsPerUser must be between 1 and 1000"),
+
+    body("settings.scraping.scrapingInterval")
+      .optional()
+      .isInt({ min: 1, max: 168 })
+      .withMessage("scrapingInterval must be between 1 and 168 hours"),
+
+    body("settings.scraping.enabledPlatforms")
+      .optional()
+      .isArray()
+      .withMessage("enabledPlatforms must be an array"),
+
+    body("settings.scraping.enabledPlatforms.*")
+      .isIn([
+        "linkedin",
+        "indeed",
+        "glassdoor",
+        "monster",
+        "ziprecruiter",
+        "careerbuilder",
+      ])
+      .withMessage("Invalid scraping platform"),
+
+    body("settings.scraping.jobSources")
+      .optional()
+      .isArray()
+      .withMessage("jobSources must be an array"),
+
+    body("settings.scraping.jobSources.*.adapter")
+      .isIn(["rss", "greenhouse", "lever", "json"])
+      .withMessage("Job source adapter must be rss, greenhouse, lever or json"),
+
+    body("settings.scraping.jobSources.*.url")
+      .if(jobSourceAdapterIs("rss", "json"))
+      .isURL({ protocols: ["http", "https"] })
+      .withMessage("RSS and JSON job sources need a feed URL"),
+
+    body("settings.scraping.jobSources.*.board")
+      .if(jobSourceAdapterIs("greenhouse", "lever"))
+      .matches(/^[A-Za-z0-9_-]+$/)
+      .withMessage("Greenhouse and Lever job sources need a board token"),
+
+    body("settings.applications.maxApplicationsPerDay")
+      .optional()
+      .isInt({ min: 0, max: 500 })
+      .withMessage("maxApplicationsPerDay must be between 0 and 500"),
+
+    body("settings.billing.gracePeriodDays")
+      .optional()
+      .isInt({ min: 0, max: 30 })
+      .withMessage("gracePeriodDays must be between 0 and 30"),
+
+    body("settings.billing.renewalReminderDays")
+      .optional()
+      .isInt({ min: 0, max: 14 })
+      .withMessage("renewalReminderDays must be between 0 and 14"),
+
+    body("settings.billing.taxRate")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("taxRate must be between 0 and 100"),
+
+    body("settings.billing.taxName")
+      .optional()
+      .isString()
+      .isLength({ max: 30 })
+      .withMessage("taxName cannot exceed 30 characters"),
+
+    body("settings.system.maintenanceMessage")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("maintenanceMessage cannot exceed 500 characters"),
+
+    body("settings.system.maintenanceRetryAfter")
+      .optional()
+      .isInt({ min: 60, max: 86400 })
+      .withMessage(
+        "maintenanceRetryAfter must be between 60 and 86400 seconds"
+      ),
+
+    body([
+      "settings.scraping.autoApproveJobs",
+      "settings.scraping.schedulerPaused",
+      "settings.applications.autoApplyEnabled",
+      "settings.applications.requireAdminReview",
+      "settings.email.notifications",
+      "settings.email.dailyDigest",
+      "settings.email.applicationUpdates",
+      "settings.billing.taxInclusive",
+      "settings.system.maintenanceMode",
+      "settings.system.registrationEnabled",
+      "settings.security.requireAdminTwoFactor",
+    ])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Must be a boolean"),
+  ],
+
   // Common parameter validation
   mongoId: [param("id").isMongoId().withMessage("Invalid ID format")],
 
+  userIdParam: [
+    param("userId").isMongoId().withMessage("Invalid user ID format"),
+  ],
+
+  scrapingSessionIdParam: [
+    param("sessionId")
+      .isUUID()
+      .withMessage("Invalid scraping session ID format"),
+  ],
+
+  listLoginAudits: [
+    query("user").optional().isMongoId().withMessage("Invalid user ID format"),
+
+    query("email").optional().isEmail().withMessage("Invalid email address"),
+
+    query("outcome")
+      .optional()
+      .isIn([
+        "success",
+        "invalid_password",
+        "unknown_email",
+        "deactivated",
+        "throttled",
+        "locked",
+        "two_factor_required",
+        "invalid_two_factor",
+      ])
+      .withMessage("Invalid login outcome"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
+  // Scraping schedule validation
+  updateScrapingSchedule: [
+    body("paused")
+      .isBoolean({ strict: true })
+      .withMessage("paused must be a boolean"),
+  ],
+
+  // Email outbox validation
+  messageIdParam: [
+    param("messageId").isMongoId().withMessage("Invalid message ID format"),
+  ],
+
+  listEmailMessages: [
+    query("status")
+      .optional()
+      .isIn(["queued", "sending", "sent", "failed", "all"])
+      .withMessage("Invalid email status"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
+  // Refund validation
+  refundPayment: [
+    param("paymentId").isMongoId().withMessage("Invalid payment ID format"),
+
+    body("amount")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Refund amount must be greater than 0"),
+
+    body("reason")
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+
+  listPayments: [
+    query("user").optional().isMongoId().withMessage("Invalid user ID format"),
+
+    query("status")
+      .optional()
+      .isIn([
+        "pending",
+        "completed",
+        "failed",
+        "expired",
+        "partially_refunded",
+        "refunded",
+      ])
+      .withMessage("Invalid payment status"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
+  invoiceIdParam: [
+    param("invoiceId").isMongoId().withMessage("Invalid invoice ID format"),
+  ],
+
+  planIdParam: [
+    param("planId").matches(PLAN_ID_PATTERN).withMessage("Invalid plan ID"),
+  ],
+
+  createPlan: [
+    body("id")
+      .matches(PLAN_ID_PATTERN)
+      .withMessage(
+        "Plan ID must be 2-32 lowercase letters, numbers, - or _ characters"
+      ),
+    ...planFieldRules(false),
+  ],
+
+  updatePlan: [
+    param("planId").matches(PLAN_ID_PATTERN).withMessage("Invalid plan ID"),
+    body("id").not().exists().withMessage("Plan ID cannot be changed"),
+    ...planFieldRules(true),
+  ],
+
+  createCoupon: [
+    body("code")
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage(
+        "Coupon code must be 3-32 letters, numbers, - or _ characters"
+      ),
+    ...couponFieldRules(false),
+  ],
+
+  updateCoupon: [
+    param("couponId").isMongoId().withMessage("Invalid coupon ID format"),
+    body("code").not().exists().withMessage("Coupon code cannot be changed"),
+    ...couponFieldRules(true),
+  ],
+
+  listCoupons: [
+    query("isActive")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("isActive must be true or false"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
+  listCouponRedemptions: [
+    param("couponId").isMongoId().withMessage("Invalid coupon ID format"),
+
+    query("status")
+      .optional()
+      .isIn(["pending", "redeemed", "released"])
+      .withMessage("Invalid redemption status"),
+
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+
   // Pagination validation
   pagination: [
     query("page")
@@ -246,6 +771,11 @@ const validationRules = {
       .optional()
       .isInt({ min: 0, max: 100 })
       .withMessage("Match score must be between 0 and 100"),
+
+    query("userId")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid user ID format"),
   ],
 
   // Password reset validation
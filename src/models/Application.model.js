@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const statsCacheInvalidation = require("../utils/statsCacheInvalidation");
 
 const applicationSchema = new mongoose.Schema(
   {
@@ -77,6 +78,9 @@ const applicationSchema = new mongoose.Schema(
     },
     appliedAt: Date,
 
+    // Set once the application has been counted against the monthly quota
+    quotaReservedAt: Date,
+
     // Interview details
     interview: {
       scheduledAt: Date,
@@ -278,4 +282,18 @@ applicationSchema.statics.getStatistics = async function (userId = null) {
   return result;
 };
 
+// Static method to count applications a user created since midnight
+applicationSchema.statics.countCreatedToday = async function (userId) {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  return await this.countDocuments({
+    user: userId,
+    createdAt: { $gte: startOfDay },
+  });
+};
+
+// Cached dashboards and analytics are rebuilt after changes
+applicationSchema.plugin(statsCacheInvalidation, { userField: "user" });
+
 module.exports = mongoose.model("Application", applicationSchema);
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    // Code customers enter at checkout, stored uppercase
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [
+        /^[A-Z0-9_-]{3,32}$/,
+        "Coupon code may only contain letters, numbers, - and _",
+      ],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    // Discount
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: function (value) {
+          return this.discountType !== "percentage" || value <= 100;
+        },
+        message: "Percentage discount cannot exceed 100",
+      },
+    },
+    // Currency of a fixed discount
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "PKR",
+    },
+
+    // Plan catalogue ids the coupon is valid for (empty = all plans)
+    plans: [String],
+
+    // Validity
+    startsAt: Date,
+    expiresAt: Date,
+    maxRedemptions: {
+      type: Number, // null = unlimited
+      default: null,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Completed redemptions plus checkouts still in progress
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Why the coupon cannot be used right now, or null if it can
+couponSchema.methods.getUnavailableReason = function (now = new Date()) {
+  if (!this.isActive) return "This coupon is no longer available";
+  if (this.startsAt && this.startsAt > now) {
+    return "This coupon is not active yet";
+  }
+  if (this.expiresAt && this.expiresAt <= now) {
+    return "This coupon has expired";
+  }
+  if (
+    this.maxRedemptions != null &&
+    this.redemptionCount >= this.maxRedemptions
+  ) {
+    return "This coupon has been fully redeemed";
+  }
+  return null;
+};
+
+couponSchema.methods.appliesToPlan = function (planId) {
+  return !this.plans || this.plans.length === 0 || this.plans.includes(planId);
+};
+
+// Indexes
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("Coupon", couponSchema);
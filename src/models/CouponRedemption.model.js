@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// One coupon use, reserved at checkout and confirmed when the payment
+// completes. Failed or expired checkouts release their reservation.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+      unique: true,
+    },
+    plan: String,
+
+    // Amount taken off the plan price
+    discount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "redeemed", "released"],
+      default: "pending",
+    },
+    // Which of the user's perUserLimit uses of the coupon this holds;
+    // cleared when the redemption is released
+    slot: Number,
+    // Limits a payment completing after its reservation was released went
+    // past: it was made with the discount, so the use is honoured anyway
+    overLimits: [
+      {
+        type: String,
+        enum: ["per_user", "total"],
+      },
+    ],
+    redeemedAt: Date,
+    releasedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ status: 1, redeemedAt: -1 });
+couponRedemptionSchema.index({ status: 1, createdAt: 1 });
+// A user holds each slot of a coupon at most once
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
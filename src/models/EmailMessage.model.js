@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+const emailMessageSchema = new mongoose.Schema(
+  {
+    // Caller-supplied or derived key; the same key is only ever sent once
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    template: {
+      type: String,
+      enum: [
+        "verification",
+        "password_reset",
+        "welcome",
+        "application_update",
+        "daily_digest",
+        "subscription_renewal",
+        "subscription_grace",
+        "subscription_expired",
+        "account_locked",
+        "other",
+      ],
+      default: "other",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Message content
+    from: String,
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    html: String,
+    text: String,
+
+    // Delivery state
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: String,
+    errorHistory: [
+      {
+        attempt: Number,
+        message: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Worker lock
+    lockedBy: String,
+    lockedAt: Date,
+
+    // Result
+    messageId: String,
+    sentAt: Date,
+    failedAt: Date,
+
+    // Admin resend tracking
+    resentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ status: 1, lockedAt: 1 });
+emailMessageSchema.index({ user: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+
+// Sent messages are kept for 30 days
+emailMessageSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("EmailMessage", emailMessageSchema);
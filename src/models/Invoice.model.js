@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // Sequential, e.g. INV-2026-000042
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+      unique: true,
+    },
+
+    // Billing parties at the time of issue
+    billedTo: {
+      name: String,
+      email: String,
+    },
+    issuer: {
+      name: String,
+      address: String,
+      taxId: String,
+    },
+
+    lineItems: [
+      {
+        description: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        unitAmount: Number,
+        amount: Number,
+      },
+    ],
+
+    // Amounts
+    currency: {
+      type: String,
+      required: true,
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    taxName: String,
+    taxRate: {
+      type: Number, // percent
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ["paid", "partially_refunded", "refunded"],
+      default: "paid",
+    },
+
+    refunds: [
+      {
+        amount: Number,
+        reason: String,
+        gatewayRefundId: String,
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        refundedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
+const statsCacheInvalidation = require("../utils/statsCacheInvalidation");
 
+// A job posting, stored once however many users it matches. Per-user data
+// (match score, application status) lives on JobMatch.
 const jobSchema = new mongoose.Schema(
   {
     title: {
@@ -102,10 +105,14 @@ const jobSchema = new mongoose.Schema(
           "monster",
           "ziprecruiter",
           "careerbuilder",
+          "greenhouse",
+          "lever",
           "other",
         ],
         required: true,
       },
+      // Posting id on the platform; together with the platform it
+      // identifies the posting across scraping runs and users
       originalId: String,
       scrapedAt: {
         type: Date,
@@ -113,19 +120,14 @@ const jobSchema = new mongoose.Schema(
       },
     },
 
-    // User Association
-    targetUser: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true,
-    },
-
-    // Match Score (calculated based on user profile)
-    matchScore: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 0,
+    // Normalised keys used to spot the same posting on other platforms
+    // (see utils/jobFingerprint)
+    fingerprint: {
+      company: String,
+      title: String,
+      location: String,
+      applyUrl: String,
+      description: String, // simhash, hex
     },
 
     // Job Status
@@ -155,14 +157,6 @@ const jobSchema = new mongoose.Schema(
     },
     expiryDate: Date,
 
-    // Application Status for this job
-    applicationStatus: {
-      type: String,
-      enum: ["not_applied", "applied", "rejected", "interview", "offer"],
-      default: "not_applied",
-    },
-    appliedAt: Date,
-
     // Metadata
     isActive: {
       type: Boolean,
@@ -183,10 +177,19 @@ const jobSchema = new mongoose.Schema(
 );
 
 // Indexes
-jobSchema.index({ targetUser: 1 });
+jobSchema.index(
+  { "scrapedFrom.platform": 1, "scrapedFrom.originalId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      "scrapedFrom.originalId": { $type: "string", $gt: "" },
+    },
+  }
+);
+jobSchema.index({ "fingerprint.applyUrl": 1 });
+jobSchema.index({ "fingerprint.company": 1, postedDate: -1 });
 jobSchema.index({ status: 1 });
 jobSchema.index({ adminReviewStatus: 1 });
-jobSchema.index({ matchScore: -1 });
 jobSchema.index({ postedDate: -1 });
 jobSchema.index({ "scrapedFrom.platform": 1 });
 jobSchema.index({ title: "text", company: "text", description: "text" });
@@ -265,13 +268,7 @@ jobSchema.statics.calculateMatchScore = function (job, userProfile) {
   return Math.min(Math.round(score), 100);
 };
 
-// Instance method to update match score
-jobSchema.methods.updateMatchScore = async function () {
-  const user = await mongoose.model("User").findById(this.targetUser);
-  if (user) {
-    this.matchScore = this.constructor.calculateMatchScore(this, user);
-    await this.save();
-  }
-};
+// Cached dashboards and analytics are rebuilt after changes
+jobSchema.plugin(statsCacheInvalidation, {});
 
 module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const { DUPLICATE_REASONS } = require("../utils/constants");
+
+// Listings recognised as the same posting as a catalogue job, usually the
+// same role on other platforms. Only the catalogue job is stored as a Job.
+const jobClusterSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+      unique: true,
+    },
+
+    duplicates: [
+      {
+        platform: String,
+        originalId: String,
+        title: String,
+        company: String,
+        applyUrl: String,
+        reason: {
+          type: String,
+          enum: Object.values(DUPLICATE_REASONS),
+        },
+        similarity: Number, // 0 to 1
+        sessionId: String,
+        detectedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+jobClusterSchema.index({
+  "duplicates.platform": 1,
+  "duplicates.originalId": 1,
+});
+
+// Static method to add a listing to a job's cluster, once per listing
+jobClusterSchema.statics.recordDuplicate = async function (jobId, duplicate) {
+  const listing = duplicate.originalId
+    ? { platform: duplicate.platform, originalId: duplicate.originalId }
+    : { platform: duplicate.platform, applyUrl: duplicate.applyUrl };
+
+  try {
+    await this.updateOne(
+      { job: jobId },
+      { $setOnInsert: { job: jobId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another batch created the cluster first
+    if (error.code !== 11000) throw error;
+  }
+
+  await this.updateOne(
+    { job: jobId, duplicates: { $not: { $elemMatch: listing } } },
+    { $push: { duplicates: duplicate } }
+  );
+};
+
+module.exports = mongoose.model("JobCluster", jobClusterSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const statsCacheInvalidation = require("../utils/statsCacheInvalidation");
+
+// A job posting matched to one user: how well it fits them and what they
+// did with it. The posting itself is shared through Job.
+const jobMatchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+
+    // Match Score (calculated based on user profile)
+    matchScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+
+    // Copy of the job's admin review status, kept in step on review so a
+    // user's approved matches can be listed by score from this collection
+    adminReviewStatus: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+
+    // Application Status for this job
+    applicationStatus: {
+      type: String,
+      enum: ["not_applied", "applied", "rejected", "interview", "offer"],
+      default: "not_applied",
+    },
+    appliedAt: Date,
+
+    // Scraping session that first matched the job to the user
+    sessionId: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+jobMatchSchema.index({ user: 1, job: 1 }, { unique: true });
+jobMatchSchema.index({ user: 1, adminReviewStatus: 1, matchScore: -1 });
+jobMatchSchema.index({ job: 1 });
+
+// Instance method to update match score
+jobMatchSchema.methods.updateMatchScore = async function () {
+  const [job, user] = await Promise.all([
+    mongoose.model("Job").findById(this.job),
+    mongoose.model("User").findById(this.user),
+  ]);
+  if (job && user) {
+    this.matchScore = mongoose.model("Job").calculateMatchScore(job, user);
+    await this.save();
+  }
+};
+
+// Cached dashboards and analytics are rebuilt after changes
+jobMatchSchema.plugin(statsCacheInvalidation, { userField: "user" });
+
+module.exports = mongoose.model("JobMatch", jobMatchSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const LOGIN_OUTCOMES = [
+  "success",
+  "invalid_password",
+  "unknown_email",
+  "deactivated",
+  "throttled",
+  "locked",
+  "two_factor_required",
+  "invalid_two_factor",
+];
+
+// One login attempt, kept for security review and expired after the
+// retention period
+const loginAuditSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    outcome: {
+      type: String,
+      enum: LOGIN_OUTCOMES,
+      required: true,
+    },
+    // Sign-in provider, when not a password login
+    provider: String,
+    ip: String,
+    userAgent: String,
+
+    // Failed attempts on the account after this one
+    failedAttempts: Number,
+    lockedUntil: Date,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+loginAuditSchema.index({ user: 1, createdAt: -1 });
+loginAuditSchema.index({ email: 1, createdAt: -1 });
+loginAuditSchema.index({ outcome: 1, createdAt: -1 });
+loginAuditSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS) || 180) * 24 * 60 * 60,
+  }
+);
+
+loginAuditSchema.statics.OUTCOMES = LOGIN_OUTCOMES;
+
+module.exports = mongoose.model("LoginAudit", loginAuditSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Failed logins for an email that has no account. Kept in the same shape
+// as User.loginSecurity so unknown emails are throttled and locked exactly
+// like registered ones, and removed once nothing about them is in force.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    loginSecurity: {
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedAt: Date,
+      lockedUntil: Date,
+      lockoutCount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+
+const paymentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Priced server-side from the plan catalogue
+    plan: {
+      type: String, // plan catalogue id
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+
+    // What the payment is for
+    kind: {
+      type: String,
+      enum: ["purchase", "upgrade", "renewal"],
+      default: "purchase",
+    },
+    // Upgrade pricing against the current period
+    proration: {
+      fromPlan: String,
+      remainingFraction: Number,
+      credit: Number,
+      periodEnd: Date,
+    },
+    // Period a renewal extended, restored if the renewal is refunded
+    renewal: {
+      periodStart: Date,
+      periodEnd: Date,
+      previousPayment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payment",
+      },
+    },
+
+    // Coupon taken off the plan price (before tax)
+    coupon: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+      discount: Number,
+    },
+
+    // Tax settings at the time of checkout
+    tax: {
+      name: String,
+      rate: {
+        type: Number, // percent
+        default: 0,
+      },
+      inclusive: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    // Gateway references
+    gateway: {
+      type: String,
+      enum: ["stripe", "mock"],
+      required: true,
+    },
+    gatewaySessionId: String,
+    checkoutUrl: String,
+    transactionId: String,
+
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "completed",
+        "failed",
+        "expired",
+        "partially_refunded",
+        "refunded",
+      ],
+      default: "pending",
+    },
+    failureReason: String,
+
+    // Refunds issued against this payment
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [
+      {
+        amount: Number,
+        reason: String,
+        gatewayRefundId: String,
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        refundedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+
+    // Last webhook event applied to this payment
+    lastEventId: String,
+
+    completedAt: Date,
+    failedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+paymentSchema.index(
+  { gateway: 1, gatewaySessionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { gatewaySessionId: { $exists: true } },
+  }
+);
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ status: 1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+// Plan catalogue entry. The id is the plan slug stored on users, payments
+// and subscriptions, so it cannot change once created.
+const planSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9][a-z0-9_-]{1,31}$/,
+        "Plan id may only contain lowercase letters, numbers, - and _",
+      ],
+    },
+    name: {
+      type: String,
+      required: [true, "Plan name is required"],
+      trim: true,
+      maxlength: [100, "Plan name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    // Ordering for upgrades, downgrades and plan requirements
+    tier: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // Pricing
+    price: {
+      type: Number,
+      required: [true, "Price is required"],
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: "PKR",
+    },
+    period: {
+      type: String,
+      enum: ["month", "year"],
+      default: "month",
+    },
+
+    // Marketing copy shown on the pricing page
+    features: [String],
+
+    // Features switched on for subscribers
+    entitlements: {
+      autoApply: {
+        type: Boolean,
+        default: false,
+      },
+      prioritySupport: {
+        type: Boolean,
+        default: false,
+      },
+      advancedFilters: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
+    limits: {
+      applicationsPerMonth: {
+        type: Number, // null = unlimited
+        default: null,
+        min: 0,
+      },
+      // Scheduled scraping interval as a multiple of the
+      // scraping.scrapingInterval system setting
+      scrapingCadence: {
+        type: Number,
+        default: 1,
+        min: 0.05,
+        max: 10,
+      },
+    },
+
+    recommended: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Inactive plans can no longer be bought; existing subscribers keep them
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to seed the catalogue when it is empty
+planSchema.statics.seedDefaults = async function (plans) {
+  if ((await this.estimatedDocumentCount()) > 0) return 0;
+
+  try {
+    const created = await this.insertMany(
+      plans.map(({ id, ...plan }) => ({ _id: id, ...plan })),
+      { ordered: false }
+    );
+    return created.length;
+  } catch (error) {
+    // Another instance seeded at the same time
+    if (error.code === 11000) return 0;
+    throw error;
+  }
+};
+
+// Indexes
+planSchema.index({ isActive: 1, tier: 1 });
+
+module.exports = mongoose.model("Plan", planSchema);
@@ -49,6 +49,19 @@ const scrapingLogSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Found by in-process job sources before the scraping service ran;
+      // added to the total the service reports
+      sourcesJobsFound: {
+        type: Number,
+        default: 0,
+      },
+      // duplicatesSkipped split by why each listing was a duplicate
+      duplicatesByReason: {
+        exact: { type: Number, default: 0 },
+        apply_url: { type: Number, default: 0 },
+        description: { type: Number, default: 0 },
+        title: { type: Number, default: 0 },
+      },
       // FIXED: Renamed 'errors' to 'errorCount' to avoid mongoose warning
       errorCount: {
         type: Number,
@@ -68,6 +81,9 @@ const scrapingLogSchema = new mongoose.Schema(
             "monster",
             "ziprecruiter",
             "careerbuilder",
+            "greenhouse",
+            "lever",
+            "other",
           ],
         },
         jobsFound: Number,
@@ -112,7 +128,7 @@ const scrapingLogSchema = new mongoose.Schema(
       requestId: String,
     },
 
-    // Jobs created from this scraping session
+    // Jobs matched to the user by this scraping session
     jobsCreated: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -120,6 +136,13 @@ const scrapingLogSchema = new mongoose.Schema(
       },
     ],
 
+    // Ids of scraper callback events already applied, so redelivered
+    // events are not counted twice
+    processedEvents: {
+      type: [String],
+      select: false,
+    },
+
     // Metadata
     triggeredBy: {
       type: String,
@@ -172,6 +195,43 @@ scrapingLogSchema.statics.getStatistics = async function (userId, period = 30) {
   ]);
 };
 
+// Add to (and overwrite fields of) one platform's results, creating the
+// entry on first use. Atomic, so concurrent callbacks do not lose counts.
+scrapingLogSchema.statics.recordPlatformResult = async function (
+  sessionId,
+  platform,
+  { inc = {}, set = {} }
+) {
+  await this.updateOne(
+    { sessionId, "platformResults.platform": { $ne: platform } },
+    {
+      $push: {
+        platformResults: {
+          platform,
+          jobsFound: 0,
+          jobsSaved: 0,
+          errorCount: 0,
+          processingTime: 0,
+        },
+      },
+    }
+  );
+
+  const update = {};
+  for (const [field, value] of Object.entries(inc)) {
+    update.$inc = { ...update.$inc, [`platformResults.$.${field}`]: value };
+  }
+  for (const [field, value] of Object.entries(set)) {
+    update.$set = { ...update.$set, [`platformResults.$.${field}`]: value };
+  }
+  if (!update.$inc && !update.$set) return;
+
+  await this.updateOne(
+    { sessionId, "platformResults.platform": platform },
+    update
+  );
+};
+
 // Instance method to calculate success rate
 scrapingLogSchema.methods.getSuccessRate = function () {
   if (this.results.totalJobsFound === 0) return 0;
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const scrapingTaskSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // ScrapingLog session this task drives
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "queued",
+        "running",
+        "awaiting_results",
+        "completed",
+        "failed",
+        "cancelled",
+      ],
+      default: "queued",
+    },
+
+    // Set to the user id while the task is active, unset otherwise.
+    // The unique index on it guarantees one active session per user.
+    activeKey: {
+      type: String,
+    },
+
+    triggeredBy: {
+      type: String,
+      enum: ["manual", "scheduled", "user_profile_update", "package_purchase"],
+      default: "manual",
+    },
+
+    // Retry bookkeeping
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: String,
+
+    // Worker lock - refreshed by heartbeat while running
+    lockedBy: String,
+    lockedAt: Date,
+
+    // Once submitted, the scraper reports back through callbacks. Each
+    // callback pushes the deadline out; missing it counts as a failure.
+    resultsDeadline: Date,
+
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+scrapingTaskSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+scrapingTaskSchema.index({ status: 1, runAt: 1 });
+scrapingTaskSchema.index({ status: 1, lockedAt: 1 });
+scrapingTaskSchema.index({ status: 1, resultsDeadline: 1 });
+scrapingTaskSchema.index({ user: 1, createdAt: -1 });
+
+// Statuses in which a task still holds the user's active slot
+scrapingTaskSchema.statics.ACTIVE_STATUSES = [
+  "queued",
+  "running",
+  "awaiting_results",
+];
+
+module.exports = mongoose.model("ScrapingTask", scrapingTaskSchema);
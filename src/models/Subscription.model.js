@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    // One subscription document per user, renewed in place
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    plan: {
+      type: String, // plan catalogue id
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "grace", "expired", "cancelled"],
+      default: "active",
+    },
+
+    // Current billing period
+    currentPeriodStart: {
+      type: Date,
+      required: true,
+    },
+    currentPeriodEnd: {
+      type: Date,
+      required: true,
+    },
+    // Access continues until this date after the period lapses
+    graceEndsAt: Date,
+
+    // Plan change scheduled for a later date (downgrades at period end)
+    pendingChange: {
+      plan: String,
+      effectiveAt: Date,
+      requestedAt: Date,
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+
+    lastPayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+
+    // Reminder emails already sent for the current period
+    remindersSent: [
+      {
+        type: {
+          type: String,
+          enum: ["renewal", "grace", "expired"],
+        },
+        periodEnd: Date,
+        sentAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Every state change, oldest first
+    history: [
+      {
+        event: {
+          type: String,
+          enum: [
+            "activated",
+            "renewed",
+            "renewal_refunded",
+            "grace_started",
+            "expired",
+            "cancelled",
+            "reactivated",
+            "upgraded",
+            "downgrade_scheduled",
+            "downgrade_cancelled",
+            "downgraded",
+          ],
+          required: true,
+        },
+        fromStatus: String,
+        toStatus: String,
+        plan: String,
+        periodStart: Date,
+        periodEnd: Date,
+        payment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Payment",
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        note: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    cancelledAt: Date,
+    expiredAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+subscriptionSchema.index({ status: 1, graceEndsAt: 1 });
+subscriptionSchema.index({ "pendingChange.effectiveAt": 1 });
+
+// Statuses in which the user keeps access to their plan
+subscriptionSchema.statics.ACCESS_STATUSES = ["active", "grace"];
+
+// Instance method to check if a reminder was sent for the current period
+subscriptionSchema.methods.hasReminder = function (type) {
+  return this.remindersSent.some(
+    (reminder) =>
+      reminder.type === type &&
+      reminder.periodEnd &&
+      reminder.periodEnd.getTime() === this.currentPeriodEnd.getTime()
+  );
+};
+
+module.exports = mongoose.model("Subscription", subscriptionSchema);
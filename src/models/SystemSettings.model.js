@@ -0,0 +1,264 @@
+const mongoose = require("mongoose");
+
+const SETTINGS_KEY = "global";
+
+const systemSettingsSchema = new mongoose.Schema(
+  {
+    // Single settings document, looked up by key
+    key: {
+      type: String,
+      default: SETTINGS_KEY,
+      unique: true,
+    },
+
+    // Incremented on every update, used for optimistic concurrency
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    scraping: {
+      maxJobsPerUser: {
+        type: Number,
+        min: [1, "maxJobsPerUser must be at least 1"],
+        max: [1000, "maxJobsPerUser cannot exceed 1000"],
+        default: 100,
+      },
+      scrapingInterval: {
+        type: Number, // hours
+        min: [1, "scrapingInterval must be at least 1 hour"],
+        max: [168, "scrapingInterval cannot exceed 168 hours"],
+        default: 24,
+      },
+      enabledPlatforms: {
+        type: [
+          {
+            type: String,
+            enum: [
+              "linkedin",
+              "indeed",
+              "glassdoor",
+              "monster",
+              "ziprecruiter",
+              "careerbuilder",
+            ],
+          },
+        ],
+        default: ["linkedin", "indeed", "glassdoor"],
+      },
+      autoApproveJobs: {
+        type: Boolean,
+        default: false,
+      },
+      schedulerPaused: {
+        type: Boolean,
+        default: false,
+      },
+      // Boards and feeds read in-process. A platform with an enabled source
+      // is read here instead of by the scraping service.
+      jobSources: [
+        {
+          name: {
+            type: String,
+            required: [true, "Job source name is required"],
+            trim: true,
+            maxlength: [100, "Job source name cannot exceed 100 characters"],
+          },
+          adapter: {
+            type: String,
+            enum: ["rss", "greenhouse", "lever", "json"],
+            required: [true, "Job source adapter is required"],
+          },
+          // Platform the listings are recorded under; defaults per adapter
+          platform: {
+            type: String,
+            enum: [
+              "linkedin",
+              "indeed",
+              "glassdoor",
+              "monster",
+              "ziprecruiter",
+              "careerbuilder",
+              "greenhouse",
+              "lever",
+              "other",
+            ],
+          },
+          url: String, // rss and json feeds
+          board: String, // greenhouse and lever board token
+          company: String, // when the feed does not name the company
+          itemsPath: String, // json: dotted path to the postings array
+          fieldMap: mongoose.Schema.Types.Mixed, // json: listing field -> path
+          enabled: {
+            type: Boolean,
+            default: true,
+          },
+        },
+      ],
+    },
+
+    applications: {
+      maxApplicationsPerDay: {
+        type: Number,
+        min: [0, "maxApplicationsPerDay cannot be negative"],
+        max: [500, "maxApplicationsPerDay cannot exceed 500"],
+        default: 10,
+      },
+      autoApplyEnabled: {
+        type: Boolean,
+        default: false,
+      },
+      requireAdminReview: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    email: {
+      notifications: {
+        type: Boolean,
+        default: true,
+      },
+      dailyDigest: {
+        type: Boolean,
+        default: true,
+      },
+      applicationUpdates: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    billing: {
+      gracePeriodDays: {
+        type: Number,
+        min: [0, "gracePeriodDays cannot be negative"],
+        max: [30, "gracePeriodDays cannot exceed 30"],
+        default: 3,
+      },
+      renewalReminderDays: {
+        type: Number, // days before the period ends
+        min: [0, "renewalReminderDays cannot be negative"],
+        max: [14, "renewalReminderDays cannot exceed 14"],
+        default: 3,
+      },
+      // Applied to invoices; plan prices include tax when taxInclusive
+      taxRate: {
+        type: Number, // percent
+        min: [0, "taxRate cannot be negative"],
+        max: [100, "taxRate cannot exceed 100"],
+        default: 0,
+      },
+      taxName: {
+        type: String,
+        trim: true,
+        maxlength: [30, "taxName cannot exceed 30 characters"],
+        default: "Tax",
+      },
+      taxInclusive: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    system: {
+      maintenanceMode: {
+        type: Boolean,
+        default: false,
+      },
+      maintenanceMessage: {
+        type: String,
+        trim: true,
+        maxlength: [500, "maintenanceMessage cannot exceed 500 characters"],
+        default:
+          "AutoApplyJob is undergoing scheduled maintenance. Please try again shortly.",
+      },
+      maintenanceRetryAfter: {
+        type: Number, // seconds
+        min: [60, "maintenanceRetryAfter must be at least 60 seconds"],
+        max: [86400, "maintenanceRetryAfter cannot exceed 86400 seconds"],
+        default: 1800,
+      },
+      registrationEnabled: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    security: {
+      requireAdminTwoFactor: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Change history - one entry per update
+    history: [
+      {
+        version: Number,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        changes: [
+          {
+            path: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed,
+          },
+        ],
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sections an admin is allowed to change
+systemSettingsSchema.statics.EDITABLE_SECTIONS = [
+  "scraping",
+  "applications",
+  "email",
+  "billing",
+  "system",
+  "security",
+];
+
+// Maximum number of history entries kept on the document
+systemSettingsSchema.statics.MAX_HISTORY = 100;
+
+// Static method to load the settings document, creating it with defaults
+systemSettingsSchema.statics.getSingleton = async function () {
+  return await this.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $setOnInsert: { key: SETTINGS_KEY } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Instance method to return settings without history and metadata
+systemSettingsSchema.methods.toSettings = function () {
+  const doc = this.toObject();
+  const settings = { version: doc.version };
+
+  this.constructor.EDITABLE_SECTIONS.forEach((section) => {
+    settings[section] = doc[section];
+  });
+
+  settings.updatedAt = doc.updatedAt;
+  settings.updatedBy = doc.updatedBy;
+
+  return settings;
+};
+
+module.exports = mongoose.model("SystemSettings", systemSettingsSchema);
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const statsCacheInvalidation = require("../utils/statsCacheInvalidation");
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,7 +26,13 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // Accounts created through a sign-in provider have no password
+      required: [
+        function () {
+          return !this.oauthAccounts || this.oauthAccounts.length === 0;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters"],
       select: false,
     },
@@ -159,8 +167,7 @@ const userSchema = new mongoose.Schema(
     // Package/Subscription Information
     package: {
       type: {
-        type: String,
-        enum: ["basic", "premium", "enterprise"],
+        type: String, // plan catalogue id
         default: "basic",
       },
       startDate: Date,
@@ -190,8 +197,7 @@ const userSchema = new mongoose.Schema(
       type: Date,
     },
     selectedPlan: {
-      type: String,
-      enum: ["basic", "premium", "enterprise"],
+      type: String, // plan catalogue id
     },
     paymentHistory: [
       {
@@ -209,6 +215,11 @@ const userSchema = new mongoose.Schema(
           default: "pending",
         },
         paidAt: Date,
+        refundedAmount: {
+          type: Number,
+          default: 0,
+        },
+        refundedAt: Date,
       },
     ],
 
@@ -222,6 +233,9 @@ const userSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Current monthly quota window, aligned to the billing anniversary
+      periodStart: Date,
+      resetAt: Date,
       interviewsScheduled: {
         type: Number,
         default: 0,
@@ -245,6 +259,76 @@ const userSchema = new mongoose.Schema(
     emailVerifiedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    passwordChangedAt: Date,
+
+    // Bumped to invalidate every token issued before (password change,
+    // reset or deactivation)
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    // Linked sign-in providers (Google, LinkedIn)
+    oauthAccounts: [
+      {
+        provider: {
+          type: String,
+          required: true,
+        },
+        providerId: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Set during enrolment until the first code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
+
+    // Failed login tracking
+    loginSecurity: {
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedAt: Date,
+      lockedUntil: Date,
+      lockoutCount: {
+        type: Number,
+        default: 0,
+      },
+    },
 
     // Onboarding
     onboardingCompleted: {
@@ -257,10 +341,46 @@ const userSchema = new mongoose.Schema(
       default: "basic_info",
     },
 
+    // Notification preferences
+    notifications: {
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      push: {
+        type: Boolean,
+        default: true,
+      },
+      sms: {
+        type: Boolean,
+        default: false,
+      },
+      dailyDigest: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    // Recurring scraping schedule
+    scrapingSchedule: {
+      paused: {
+        type: Boolean,
+        default: false,
+      },
+      pausedAt: Date,
+      pausedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      nextRunAt: Date,
+      lastScheduledAt: Date,
+    },
+
     // Timestamps
     lastLogin: Date,
     lastProfileUpdate: Date,
     lastJobScrapingRun: Date,
+    lastDigestSentAt: Date,
   },
   {
     timestamps: true,
@@ -275,6 +395,22 @@ userSchema.index({ userType: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ "package.type": 1 });
 userSchema.index({ paymentCompleted: 1 }); // NEW INDEX
+userSchema.index({ "scrapingSchedule.nextRunAt": 1 });
+// Partial rather than sparse: a sparse index still keys users with no
+// linked accounts (an empty array) and they would all clash
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.providerId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oauthAccounts.providerId": { $exists: true } },
+  }
+);
+
+// Virtual for temporary login lockout
+userSchema.virtual("isLocked").get(function () {
+  const lockedUntil = this.loginSecurity && this.loginSecurity.lockedUntil;
+  return !!lockedUntil && lockedUntil > new Date();
+});
 
 // Virtual for profile completeness
 userSchema.virtual("profileCompleteness").get(function () {
@@ -307,6 +443,12 @@ userSchema.pre("save", async function (next) {
 
   try {
     this.password = await bcrypt.hash(this.password, 12);
+
+    // Tokens issued with the old password stop working
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+    }
     next();
   } catch (error) {
     next(error);
@@ -315,67 +457,78 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function () {
+// Generate JWT token (sid ties it to the session it was issued for)
+userSchema.methods.generateAuthToken = function (sessionId) {
   return jwt.sign(
     {
       id: this._id,
       email: this.email,
       userType: this.userType,
+      sid: sessionId,
+      ver: this.tokenVersion,
     },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE }
   );
 };
 
-// Generate refresh token
-userSchema.methods.generateRefreshToken = function () {
+// Generate refresh token for a session; the random id keeps every
+// rotated token unique
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       id: this._id,
+      sid: sessionId,
+      ver: this.tokenVersion,
     },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE,
+      jwtid: crypto.randomBytes(16).toString("hex"),
+    }
   );
 };
 
+// Whether a decoded token was issued before the tokens were invalidated
+userSchema.methods.isTokenCurrent = function (decoded) {
+  return (decoded.ver || 0) === (this.tokenVersion || 0);
+};
+
+// Switch the package and its features to a catalogue plan (does not save)
+userSchema.methods.applyPlan = function (plan) {
+  this.selectedPlan = plan.id;
+  this.package.type = plan.id;
+  this.package.features = {
+    autoApply: Boolean(plan.entitlements?.autoApply),
+    prioritySupport: Boolean(plan.entitlements?.prioritySupport),
+    advancedFilters: Boolean(plan.entitlements?.advancedFilters),
+  };
+
+  return this;
+};
+
 // Mark payment as completed - NEW METHOD
 userSchema.methods.markPaymentCompleted = function (plan, paymentDetails = {}) {
   this.paymentCompleted = true;
   this.paymentCompletedAt = new Date();
-  this.selectedPlan = plan;
-
-  // Update package information
-  this.package.type = plan;
   this.package.startDate = new Date();
-
-  // Set package features based on plan
-  switch (plan) {
-    case "premium":
-      this.package.features.autoApply = true;
-      this.package.features.prioritySupport = true;
-      this.package.features.advancedFilters = true;
-      break;
-    case "enterprise":
-      this.package.features.autoApply = true;
-      this.package.features.prioritySupport = true;
-      this.package.features.advancedFilters = true;
-      break;
-    default: // basic
-      this.package.features.autoApply = false;
-      this.package.features.prioritySupport = false;
-      this.package.features.advancedFilters = false;
-  }
-
-  // Add payment record
-  if (paymentDetails.amount) {
+  this.applyPlan(plan);
+
+  // Add payment record (once, when a checkout is granted again on retry)
+  const recorded =
+    paymentDetails.transactionId &&
+    this.paymentHistory.some(
+      (entry) => entry.transactionId === paymentDetails.transactionId
+    );
+  if (paymentDetails.amount && !recorded) {
     this.paymentHistory.push({
       amount: paymentDetails.amount,
       currency: paymentDetails.currency || "PKR",
-      plan: plan,
+      plan: plan.id,
       paymentMethod: paymentDetails.paymentMethod || "card",
       transactionId: paymentDetails.transactionId,
       status: "completed",
@@ -386,12 +539,44 @@ userSchema.methods.markPaymentCompleted = function (plan, paymentDetails = {}) {
   return this.save();
 };
 
-// Reset usage counters (call monthly)
-userSchema.methods.resetMonthlyUsage = function () {
-  this.usage.jobsAppliedThisMonth = 0;
+// Drop paid access and plan features (expiry or cancellation)
+userSchema.methods.resetPackage = function () {
+  this.paymentCompleted = false;
+  this.paymentCompletedAt = null;
+  this.selectedPlan = null;
+  this.package.type = "basic";
+  this.package.features = {
+    autoApply: false,
+    prioritySupport: false,
+    advancedFilters: false,
+  };
+
   return this.save();
 };
 
+// Reset monthly usage and move to the next quota window. Only applies if
+// the window has not been moved already, so concurrent resets are safe.
+userSchema.methods.resetMonthlyUsage = async function (periodStart, resetAt) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, "usage.resetAt": this.usage.resetAt || null },
+    {
+      $set: {
+        "usage.jobsAppliedThisMonth": 0,
+        "usage.periodStart": periodStart,
+        "usage.resetAt": resetAt,
+      },
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    this.usage.jobsAppliedThisMonth = 0;
+    this.usage.periodStart = periodStart;
+    this.usage.resetAt = resetAt;
+  }
+
+  return result.modifiedCount > 0;
+};
+
 // Static method to create admin user
 userSchema.statics.createAdminUser = async function () {
   const adminExists = await this.findOne({ userType: "admin" });
@@ -416,4 +601,25 @@ userSchema.statics.createAdminUser = async function () {
   return adminExists;
 };
 
+// Cached dashboards and analytics are rebuilt after changes to the fields
+// they read: user counts and activity, and profile completeness
+userSchema.plugin(statsCacheInvalidation, {
+  userField: "_id",
+  fields: [
+    "userType",
+    "isActive",
+    "lastLogin",
+    "name",
+    "email",
+    "phone",
+    "currentJobTitle",
+    "experienceLevel",
+    "educationLevel",
+    "location",
+    "bio",
+    "skills",
+    "resume",
+  ],
+});
+
 module.exports = mongoose.model("User", userSchema);
@@ -50,6 +50,13 @@ router.patch(
   adminController.reactivateUser
 );
 
+router.patch(
+  "/users/:userId/unlock",
+  validationRules.userIdParam,
+  handleValidationErrors,
+  adminController.unlockUser
+);
+
 router.delete(
   "/users/:userId",
   validationRules.mongoId,
@@ -57,6 +64,14 @@ router.delete(
   adminController.deleteUser
 );
 
+// Login audit
+router.get(
+  "/login-audits",
+  validationRules.listLoginAudits,
+  handleValidationErrors,
+  adminController.getLoginAudits
+);
+
 // Application management
 router.get(
   "/applications",
@@ -104,12 +119,120 @@ router.patch(
   adminController.rejectJob
 );
 
+// Scraping schedule
+router.get("/scraping/schedule", adminController.getScrapingSchedule);
+
+router.patch(
+  "/scraping/schedule",
+  validationRules.updateScrapingSchedule,
+  handleValidationErrors,
+  adminController.updateScrapingSchedule
+);
+
+router.patch(
+  "/scraping/schedule/users/:userId",
+  validationRules.userIdParam,
+  validationRules.updateScrapingSchedule,
+  handleValidationErrors,
+  adminController.updateUserScrapingSchedule
+);
+
+// Email outbox
+router.get(
+  "/emails",
+  validationRules.listEmailMessages,
+  handleValidationErrors,
+  adminController.getEmailMessages
+);
+
+router.post(
+  "/emails/:messageId/resend",
+  validationRules.messageIdParam,
+  handleValidationErrors,
+  adminController.resendEmailMessage
+);
+
+// Payments and refunds
+router.get(
+  "/payments",
+  validationRules.listPayments,
+  handleValidationErrors,
+  adminController.getPayments
+);
+
+router.post(
+  "/payments/:paymentId/refund",
+  validationRules.refundPayment,
+  handleValidationErrors,
+  adminController.refundPayment
+);
+
+// Plan catalogue
+router.get("/plans", adminController.getPlans);
+
+router.post(
+  "/plans",
+  validationRules.createPlan,
+  handleValidationErrors,
+  adminController.createPlan
+);
+
+router.put(
+  "/plans/:planId",
+  validationRules.updatePlan,
+  handleValidationErrors,
+  adminController.updatePlan
+);
+
+router.delete(
+  "/plans/:planId",
+  validationRules.planIdParam,
+  handleValidationErrors,
+  adminController.deactivatePlan
+);
+
+// Coupons
+router.get(
+  "/coupons",
+  validationRules.listCoupons,
+  handleValidationErrors,
+  adminController.getCoupons
+);
+
+router.post(
+  "/coupons",
+  validationRules.createCoupon,
+  handleValidationErrors,
+  adminController.createCoupon
+);
+
+router.put(
+  "/coupons/:couponId",
+  validationRules.updateCoupon,
+  handleValidationErrors,
+  adminController.updateCoupon
+);
+
+router.get(
+  "/coupons/:couponId/redemptions",
+  validationRules.listCouponRedemptions,
+  handleValidationErrors,
+  adminController.getCouponRedemptions
+);
+
 // Analytics
 router.get("/analytics", adminController.getAnalytics);
 
 // System settings
 router.get("/settings", adminController.getSystemSettings);
 
-router.put("/settings", adminController.updateSystemSettings);
+router.put(
+  "/settings",
+  validationRules.updateSystemSettings,
+  handleValidationErrors,
+  adminController.updateSystemSettings
+);
+
+router.get("/settings/history", adminController.getSystemSettingsHistory);
 
 module.exports = router;
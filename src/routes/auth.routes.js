@@ -1,10 +1,11 @@
 const express = require("express");
 const authController = require("../controllers/auth.controller");
+const oauthService = require("../services/oauth.service");
+const { authenticate } = require("../middleware/auth.middleware");
+const { rateLimiters } = require("../middleware/rateLimiter.middleware");
 const {
-  authenticate,
-  verifyRefreshToken,
-  sensitiveOperationLimit,
-} = require("../middleware/auth.middleware");
+  requireRegistrationEnabled,
+} = require("../middleware/maintenance.middleware");
 const {
   validationRules,
   handleValidationErrors,
@@ -15,6 +16,8 @@ const router = express.Router();
 // Public routes
 router.post(
   "/register",
+  rateLimiters.register,
+  requireRegistrationEnabled,
   validationRules.registerUser,
   handleValidationErrors,
   authController.register
@@ -22,15 +25,52 @@ router.post(
 
 router.post(
   "/login",
-  sensitiveOperationLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  rateLimiters.login,
   validationRules.loginUser,
   handleValidationErrors,
   authController.login
 );
 
+router.post(
+  "/2fa/verify",
+  rateLimiters.login,
+  validationRules.verifyTwoFactorLogin,
+  handleValidationErrors,
+  authController.verifyTwoFactorLogin
+);
+
+// Sign-in with a provider (Google, LinkedIn)
+router.get("/oauth/providers", authController.getOAuthProviders);
+
+// The stand-in identity provider's sign-in page exists only while the
+// mock provider is enabled
+if (oauthService.listProviders().includes("mock")) {
+  router.get(
+    "/oauth/mock/authorize",
+    validationRules.mockOAuthAuthorize,
+    handleValidationErrors,
+    authController.mockOAuthAuthorize
+  );
+}
+
+router.get(
+  "/oauth/:provider",
+  validationRules.oauthProvider,
+  handleValidationErrors,
+  authController.startOAuth
+);
+
+router.post(
+  "/oauth/:provider/callback",
+  rateLimiters.login,
+  validationRules.oauthCallback,
+  handleValidationErrors,
+  authController.oauthCallback
+);
+
 router.post(
   "/forgot-password",
-  sensitiveOperationLimit(3, 60 * 60 * 1000), // 3 attempts per hour
+  rateLimiters.forgotPassword,
   validationRules.forgotPassword,
   handleValidationErrors,
   authController.forgotPassword
@@ -46,7 +86,12 @@ router.post(
 router.post("/verify-email", authController.verifyEmail);
 
 // Token management
-router.post("/refresh", verifyRefreshToken, authController.refreshToken);
+router.post(
+  "/refresh",
+  validationRules.refreshToken,
+  handleValidationErrors,
+  authController.refreshToken
+);
 
 router.get("/verify", authenticate, authController.verifyToken);
 
@@ -56,7 +101,7 @@ router.post("/logout", authenticate, authController.logout);
 router.post(
   "/change-password",
   authenticate,
-  sensitiveOperationLimit(3, 60 * 60 * 1000),
+  rateLimiters.changePassword,
   validationRules.changePassword,
   handleValidationErrors,
   authController.changePassword
@@ -64,10 +109,53 @@ router.post(
 
 router.get("/profile", authenticate, authController.getCurrentUser);
 
+// Two-factor authentication
+router.get("/2fa", authenticate, authController.getTwoFactorStatus);
+
+router.post("/2fa/setup", authenticate, authController.setupTwoFactor);
+
+router.post(
+  "/2fa/enable",
+  authenticate,
+  validationRules.twoFactorCode,
+  handleValidationErrors,
+  authController.enableTwoFactor
+);
+
+router.post(
+  "/2fa/disable",
+  authenticate,
+  rateLimiters.changePassword,
+  validationRules.disableTwoFactor,
+  handleValidationErrors,
+  authController.disableTwoFactor
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  validationRules.twoFactorCode,
+  handleValidationErrors,
+  authController.regenerateRecoveryCodes
+);
+
+// Sessions (one per signed-in device)
+router.get("/sessions", authenticate, authController.getSessions);
+
+router.delete("/sessions", authenticate, authController.revokeAllSessions);
+
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  validationRules.sessionIdParam,
+  handleValidationErrors,
+  authController.revokeSession
+);
+
 router.post(
   "/resend-verification",
   authenticate,
-  sensitiveOperationLimit(3, 60 * 60 * 1000),
+  rateLimiters.resendVerification,
   authController.resendEmailVerification
 );
 
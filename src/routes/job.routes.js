@@ -69,6 +69,14 @@ router.get(
   jobController.getScrapingHistory
 );
 
+// Live progress of a scraping session (Server-Sent Events)
+router.get(
+  "/scraping/:sessionId/stream",
+  validationRules.scrapingSessionIdParam,
+  handleValidationErrors,
+  jobController.streamScrapingSession
+);
+
 // Get job statistics
 router.get(
   "/statistics/:userId",
@@ -1,5 +1,5 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const paymentController = require("../controllers/payment.controller");
 const { authenticate, optionalAuth } = require("../middleware/auth.middleware");
 const {
@@ -12,48 +12,134 @@ const router = express.Router();
 // Public routes
 router.get("/plans", paymentController.getPlans);
 
+// Gateway webhook - authenticated by signature, body parsed as raw in app.js
+router.post("/webhook", paymentController.handleWebhook);
+
 // Protected routes - require authentication
 router.use(authenticate);
 
-// Complete payment
+// Start checkout for a plan (price is looked up server-side)
 router.post(
-  "/complete",
+  "/checkout",
   [
-    // Validation rules for payment completion
     body("plan")
-      .isIn(["basic", "premium", "enterprise"])
+      .isString()
+      .trim()
+      .notEmpty()
       .withMessage("Invalid plan selected"),
-    body("amount")
-      .isNumeric()
-      .withMessage("Amount must be a number")
-      .isFloat({ min: 0 })
-      .withMessage("Amount must be positive"),
-    body("currency")
+    body("couponCode")
       .optional()
-      .isIn(["PKR", "USD"])
-      .withMessage("Invalid currency"),
-    body("paymentMethod")
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 32 })
+      .withMessage("Invalid coupon code"),
+  ],
+  handleValidationErrors,
+  paymentController.createCheckoutSession
+);
+
+// Check a coupon code and preview the discounted price
+router.post(
+  "/coupons/validate",
+  [
+    body("code")
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 32 })
+      .withMessage("Invalid coupon code"),
+    body("plan")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Invalid plan selected"),
+  ],
+  handleValidationErrors,
+  paymentController.validateCoupon
+);
+
+// Plan changes: upgrades are paid prorated, downgrades apply at period end
+const planChangeRules = [
+  body("plan")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Invalid plan selected"),
+];
+
+router.get(
+  "/plan-change/preview",
+  [
+    query("plan")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Invalid plan selected"),
+  ],
+  handleValidationErrors,
+  paymentController.previewPlanChange
+);
+
+router.post(
+  "/upgrade",
+  planChangeRules,
+  handleValidationErrors,
+  paymentController.upgradePlan
+);
+
+router.post(
+  "/downgrade",
+  planChangeRules,
+  handleValidationErrors,
+  paymentController.downgradePlan
+);
+
+router.delete("/downgrade", paymentController.cancelDowngrade);
+
+// Settle a mock checkout session (only with PAYMENT_GATEWAY=mock)
+router.post(
+  "/mock/:sessionId/complete",
+  [
+    body("outcome")
       .optional()
-      .isIn(["card", "bank", "easypaisa", "jazzcash"])
-      .withMessage("Invalid payment method"),
+      .isIn(["succeeded", "failed", "expired"])
+      .withMessage("Invalid outcome"),
   ],
   handleValidationErrors,
-  paymentController.completePayment
+  paymentController.completeMockCheckout
 );
 
 // Get payment status
 router.get("/status", paymentController.getPaymentStatus);
 
+// Get subscription and its history
+router.get("/subscription", paymentController.getSubscription);
+
+// Invoices
+router.get(
+  "/invoices",
+  validationRules.pagination,
+  handleValidationErrors,
+  paymentController.getInvoices
+);
+
+router.get(
+  "/invoices/:invoiceId",
+  validationRules.invoiceIdParam,
+  handleValidationErrors,
+  paymentController.getInvoice
+);
+
+router.get(
+  "/invoices/:invoiceId/download",
+  validationRules.invoiceIdParam,
+  handleValidationErrors,
+  paymentController.downloadInvoice
+);
+
 // Verify payment transaction
 router.post(
   "/verify",
-  [
-    body("transactionId").notEmpty().withMessage("Transaction ID is required"),
-    body("paymentGateway")
-      .optional()
-      .isIn(["stripe", "paypal", "razorpay", "easypaisa", "jazzcash"])
-      .withMessage("Invalid payment gateway"),
-  ],
+  [body("transactionId").notEmpty().withMessage("Transaction ID is required")],
   handleValidationErrors,
   paymentController.verifyPayment
 );
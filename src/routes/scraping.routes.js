@@ -0,0 +1,10 @@
+const express = require("express");
+const scrapingController = require("../controllers/scraping.controller");
+
+const router = express.Router();
+
+// Scraping service callbacks - authenticated by signature, body parsed as
+// raw in app.js
+router.post("/callback", scrapingController.handleCallback);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job.model");
+const connectDB = require("../config/database");
+const { buildFingerprint } = require("../utils/jobFingerprint");
+const logger = require("../utils/logger");
+
+// Fingerprint jobs saved before cross-platform deduplication, so new
+// listings are compared against them too. Safe to run again.
+const backfillJobFingerprints = async () => {
+  try {
+    await connectDB();
+
+    logger.info("Starting job fingerprint backfill...");
+
+    let updated = 0;
+    const cursor = Job.find({ "fingerprint.company": { $exists: false } })
+      .select("title company location applyUrl description")
+      .lean()
+      .cursor();
+
+    for await (const job of cursor) {
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { fingerprint: buildFingerprint(job) } },
+        { timestamps: false }
+      );
+      updated++;
+    }
+
+    await Job.syncIndexes();
+
+    logger.info(`Job fingerprint backfill completed: ${updated} job(s)`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error("Job fingerprint backfill failed:", error);
+    process.exit(1);
+  }
+};
+
+// Run the backfill if this file is executed directly
+if (require.main === module) {
+  backfillJobFingerprints();
+}
+
+module.exports = backfillJobFingerprints;
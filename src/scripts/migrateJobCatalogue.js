@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job.model");
+const JobMatch = require("../models/JobMatch.model");
+const Application = require("../models/Application.model");
+const ScrapingLog = require("../models/ScrapingLog.model");
+const connectDB = require("../config/database");
+const logger = require("../utils/logger");
+
+// Per-user fields of the old job documents
+const LEGACY_FIELDS = [
+  "targetUser",
+  "matchScore",
+  "applicationStatus",
+  "appliedAt",
+];
+
+// When copies of one posting were reviewed differently, the most decided
+// review wins
+const REVIEW_PRECEDENCE = ["pending", "rejected", "approved"];
+
+// Fields identifying the posting a legacy copy belongs to
+const postingKey = (doc) => {
+  const platform = doc.scrapedFrom?.platform;
+  const originalId = doc.scrapedFrom?.originalId;
+
+  if (originalId) {
+    return {
+      "scrapedFrom.platform": platform,
+      "scrapedFrom.originalId": originalId,
+    };
+  }
+
+  return {
+    "scrapedFrom.platform": platform,
+    title: doc.title,
+    company: doc.company,
+    location: doc.location,
+  };
+};
+
+// Fold one per-user job copy into the shared catalogue: the first copy of a
+// posting becomes the shared job, later copies become matches of it and
+// are removed once nothing points at them
+const migrateLegacyJob = async (legacy) => {
+  const jobs = Job.collection;
+
+  const canonical = await jobs.findOne({
+    ...postingKey(legacy),
+    targetUser: { $exists: false },
+  });
+  const canonicalId = canonical ? canonical._id : legacy._id;
+
+  await JobMatch.updateOne(
+    { user: legacy.targetUser, job: canonicalId },
+    {
+      $setOnInsert: {
+        matchScore: legacy.matchScore || 0,
+        applicationStatus: legacy.applicationStatus || "not_applied",
+        appliedAt: legacy.appliedAt,
+        createdAt: legacy.createdAt,
+      },
+    },
+    { upsert: true, timestamps: false }
+  );
+
+  if (!canonical) {
+    const unset = LEGACY_FIELDS.reduce((acc, field) => {
+      acc[field] = "";
+      return acc;
+    }, {});
+    await jobs.updateOne({ _id: legacy._id }, { $unset: unset });
+    return "promoted";
+  }
+
+  // Keep the most decided review of the copies
+  const current = REVIEW_PRECEDENCE.indexOf(canonical.adminReviewStatus);
+  if (REVIEW_PRECEDENCE.indexOf(legacy.adminReviewStatus) > current) {
+    await jobs.updateOne(
+      { _id: canonicalId },
+      {
+        $set: {
+          adminReviewStatus: legacy.adminReviewStatus,
+          reviewedBy: legacy.reviewedBy,
+          reviewedAt: legacy.reviewedAt,
+          reviewNotes: legacy.reviewNotes,
+        },
+      }
+    );
+  }
+
+  // Point everything at the shared job before dropping the copy
+  await Application.updateMany(
+    { job: legacy._id },
+    { $set: { job: canonicalId } }
+  );
+  await ScrapingLog.updateMany(
+    { jobsCreated: legacy._id },
+    { $set: { "jobsCreated.$[copy]": canonicalId } },
+    { arrayFilters: [{ copy: legacy._id }] }
+  );
+  await jobs.deleteOne({ _id: legacy._id });
+
+  return "merged";
+};
+
+// Split per-user jobs into shared jobs plus per-user matches. Safe to run
+// again after an interruption: finished copies no longer carry targetUser.
+const migrateJobCatalogue = async () => {
+  try {
+    await connectDB();
+
+    logger.info("Starting job catalogue migration...");
+
+    const counts = { promoted: 0, merged: 0, failed: 0 };
+    const cursor = Job.collection
+      .find({ targetUser: { $exists: true } })
+      .sort({ createdAt: 1 });
+
+    for await (const legacy of cursor) {
+      try {
+        counts[await migrateLegacyJob(legacy)]++;
+      } catch (error) {
+        counts.failed++;
+        logger.error(`Failed to migrate job ${legacy._id}:`, error);
+      }
+    }
+
+    // Matches mirror the review status of their (possibly merged) job
+    const reviewed = await Job.find({ adminReviewStatus: { $ne: "pending" } })
+      .select("adminReviewStatus")
+      .lean();
+    for (const job of reviewed) {
+      await JobMatch.updateMany(
+        { job: job._id },
+        { $set: { adminReviewStatus: job.adminReviewStatus } }
+      );
+    }
+
+    // Drop the per-user indexes and build the posting key index
+    await Job.syncIndexes();
+    await JobMatch.syncIndexes();
+
+    logger.info(
+      `Job catalogue migration completed: ${counts.promoted} shared job(s), ${counts.merged} duplicate(s) merged, ${counts.failed} failed`
+    );
+    await mongoose.disconnect();
+    process.exit(counts.failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error("Job catalogue migration failed:", error);
+    process.exit(1);
+  }
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  migrateJobCatalogue();
+}
+
+module.exports = migrateJobCatalogue;
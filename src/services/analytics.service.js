@@ -2,13 +2,24 @@ const User = require("../models/User.model");
 const Job = require("../models/Job.model");
 const Application = require("../models/Application.model");
 const ScrapingLog = require("../models/ScrapingLog.model");
+const CouponRedemption = require("../models/CouponRedemption.model");
+const cacheService = require("./cache.service");
 const logger = require("../utils/logger");
+
+const ANALYTICS_PERIODS = ["7d", "30d", "90d", "1y"];
 const moment = require("moment");
 
 class AnalyticsService {
   // Get analytics data based on period
   async getAnalytics(period = "30d") {
     try {
+      // Unknown periods share the default so they cannot flood the cache
+      if (!ANALYTICS_PERIODS.includes(period)) period = "30d";
+
+      const cacheKey = await cacheService.analyticsKey(period);
+      const cached = await cacheService.get(cacheKey);
+      if (cached) return cached;
+
       const periodData = this.getPeriodDates(period);
 
       const [
@@ -16,25 +27,31 @@ class AnalyticsService {
         applicationAnalytics,
         jobAnalytics,
         scrapingAnalytics,
+        couponAnalytics,
         trendsData,
       ] = await Promise.all([
         this.getUserAnalytics(periodData),
         this.getApplicationAnalytics(periodData),
         this.getJobAnalytics(periodData),
         this.getScrapingAnalytics(periodData),
+        this.getCouponAnalytics(periodData),
         this.getTrendsData(periodData),
       ]);
 
-      return {
+      const analytics = {
         period,
         dateRange: periodData,
         users: userAnalytics,
         applications: applicationAnalytics,
         jobs: jobAnalytics,
         scraping: scrapingAnalytics,
+        coupons: couponAnalytics,
         trends: trendsData,
         generatedAt: new Date(),
       };
+
+      await cacheService.set(cacheKey, analytics, cacheService.ttl.analytics);
+      return analytics;
     } catch (error) {
       logger.error("Error generating analytics:", error);
       throw new Error("Failed to generate analytics data");
@@ -204,6 +221,50 @@ class AnalyticsService {
     };
   }
 
+  // Get coupon redemption analytics
+  async getCouponAnalytics(periodData) {
+    const { startDate, endDate } = periodData;
+
+    const [byCode, recentRedemptions] = await Promise.all([
+      CouponRedemption.aggregate([
+        {
+          $match: {
+            status: "redeemed",
+            redeemedAt: { $gte: startDate, $lte: endDate },
+          },
+        },
+        {
+          $group: {
+            _id: { code: "$code", currency: "$currency" },
+            redemptions: { $sum: 1 },
+            totalDiscount: { $sum: "$discount" },
+          },
+        },
+        { $sort: { redemptions: -1 } },
+      ]),
+      CouponRedemption.find({
+        status: "redeemed",
+        redeemedAt: { $gte: startDate, $lte: endDate },
+      })
+        .populate("user", "name email")
+        .select("code user plan discount currency redeemedAt payment")
+        .sort({ redeemedAt: -1 })
+        .limit(20)
+        .lean(),
+    ]);
+
+    return {
+      totalRedemptions: byCode.reduce((sum, row) => sum + row.redemptions, 0),
+      byCode: byCode.map((row) => ({
+        code: row._id.code,
+        currency: row._id.currency,
+        redemptions: row.redemptions,
+        totalDiscount: row.totalDiscount,
+      })),
+      recentRedemptions,
+    };
+  }
+
   // Get trends data
   async getTrendsData(periodData) {
     const { startDate, endDate } = periodData;
@@ -0,0 +1,194 @@
+const { getRedisClient } = require("../config/redis");
+const logger = require("../utils/logger");
+
+// Per-process fallback used while Redis is not available
+class MemoryStore {
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value, ttlSeconds) {
+    // Oldest entry goes first when the store is full
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+  }
+
+  del(keys) {
+    keys.forEach((key) => this.entries.delete(key));
+  }
+
+  delPrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+}
+
+class CacheService {
+  constructor() {
+    this.prefix = process.env.CACHE_KEY_PREFIX || "autoapplyjob:";
+    this.memory = new MemoryStore(
+      parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES) || 1000
+    );
+
+    // Time to live per cached read, in seconds
+    this.ttl = {
+      userDashboard: parseInt(process.env.CACHE_TTL_USER_DASHBOARD) || 60,
+      adminDashboard: parseInt(process.env.CACHE_TTL_ADMIN_DASHBOARD) || 60,
+      analytics: parseInt(process.env.CACHE_TTL_ANALYTICS) || 300,
+      plans: parseInt(process.env.CACHE_TTL_PLANS) || 300,
+    };
+
+    // Keys of entries dropped as a group embed the group's generation;
+    // bumping it orphans them all, and they expire with their TTL
+    this.keys = {
+      userDashboard: (userId, generation) =>
+        `dashboard:user:${generation}:${userId}`,
+      adminDashboard: () => "dashboard:admin",
+      analytics: (period, generation) => `analytics:${generation}:${period}`,
+      plans: () => "plans:catalogue",
+    };
+
+    this.generations = {
+      userDashboards: "generation:dashboard:user",
+      analytics: "generation:analytics",
+    };
+  }
+
+  // Current generation of a group of entries. The memory store drops a
+  // group's entries outright, so it stays at generation 0.
+  async generation(group) {
+    const redis = getRedisClient();
+    if (!redis) return 0;
+
+    try {
+      return (
+        parseInt(await redis.get(this.prefix + this.generations[group])) || 0
+      );
+    } catch (error) {
+      logger.warn(
+        `Cache generation read failed for ${group}: ${error.message}`
+      );
+      return 0;
+    }
+  }
+
+  // Drop every entry of a group without scanning for its keys
+  async bumpGeneration(group, prefix) {
+    this.memory.delPrefix(prefix);
+
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.incr(this.prefix + this.generations[group]);
+    } catch (error) {
+      logger.warn(
+        `Cache generation bump failed for ${group}: ${error.message}`
+      );
+    }
+  }
+
+  async userDashboardKey(userId) {
+    return this.keys.userDashboard(
+      userId,
+      await this.generation("userDashboards")
+    );
+  }
+
+  async analyticsKey(period) {
+    return this.keys.analytics(period, await this.generation("analytics"));
+  }
+
+  async get(key) {
+    const redis = getRedisClient();
+
+    try {
+      const raw = redis
+        ? await redis.get(this.prefix + key)
+        : this.memory.get(key);
+      return raw == null ? null : JSON.parse(raw);
+    } catch (error) {
+      logger.warn(`Cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async set(key, value, ttlSeconds) {
+    const raw = JSON.stringify(value);
+    const redis = getRedisClient();
+
+    try {
+      if (redis) {
+        await redis.set(this.prefix + key, raw, { EX: ttlSeconds });
+      } else {
+        this.memory.set(key, raw, ttlSeconds);
+      }
+    } catch (error) {
+      logger.warn(`Cache write failed for ${key}: ${error.message}`);
+    }
+  }
+
+  // Return the cached value, or build and cache it
+  async wrap(key, ttlSeconds, build) {
+    const cached = await this.get(key);
+    if (cached !== null) return cached;
+
+    const value = await build();
+    await this.set(key, value, ttlSeconds);
+    return value;
+  }
+
+  async del(...keys) {
+    // Entries cached before a Redis outage must not outlive it
+    this.memory.del(keys);
+
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      await redis.del(keys.map((key) => this.prefix + key));
+    } catch (error) {
+      logger.warn(
+        `Cache delete failed for ${keys.join(", ")}: ${error.message}`
+      );
+    }
+  }
+
+  // Drop dashboards and analytics after applications, jobs or users
+  // change. Without user ids every user dashboard is dropped.
+  async invalidateStats(userIds = null) {
+    const ids = userIds ? userIds.filter(Boolean) : null;
+    const generation = ids ? await this.generation("userDashboards") : null;
+    const userDashboardKeys = (ids || []).map((id) =>
+      this.keys.userDashboard(id, generation)
+    );
+
+    await Promise.all([
+      this.del(this.keys.adminDashboard(), ...userDashboardKeys),
+      this.bumpGeneration("analytics", "analytics:"),
+      ids ? null : this.bumpGeneration("userDashboards", "dashboard:user:"),
+    ]);
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,371 @@
+const Coupon = require("../models/Coupon.model");
+const CouponRedemption = require("../models/CouponRedemption.model");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Coupons with a use left under their maxRedemptions
+const UNDER_MAX_REDEMPTIONS = {
+  $or: [
+    { maxRedemptions: null },
+    { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+  ],
+};
+
+// Fields admins may set on a coupon (the code is fixed at creation)
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "value",
+  "currency",
+  "plans",
+  "startsAt",
+  "expiresAt",
+  "maxRedemptions",
+  "perUserLimit",
+  "isActive",
+];
+
+class CouponService {
+  constructor() {
+    // Checkouts still pending after this have been abandoned; gateways
+    // expire their sessions well before
+    this.reservationTtlMs =
+      (parseInt(process.env.COUPON_RESERVATION_TTL_HOURS) || 48) *
+      60 *
+      60 *
+      1000;
+  }
+
+  normalizeCode(code) {
+    return String(code || "")
+      .trim()
+      .toUpperCase();
+  }
+
+  // Amount a coupon takes off a price
+  calculateDiscount(coupon, price) {
+    const discount =
+      coupon.discountType === "percentage"
+        ? roundAmount((price * coupon.value) / 100)
+        : coupon.value;
+
+    return Math.min(discount, price);
+  }
+
+  // Check a code against a plan for a user and price the discount
+  async validate(code, user, plan, now = new Date()) {
+    const coupon = await Coupon.findOne({ code: this.normalizeCode(code) });
+    if (!coupon) {
+      throw new AppError("Invalid coupon code", 404);
+    }
+
+    const reason = coupon.getUnavailableReason(now);
+    if (reason) {
+      throw new AppError(reason, 400);
+    }
+
+    if (!coupon.appliesToPlan(plan.id)) {
+      throw new AppError(`This coupon is not valid for the ${plan.name}`, 400);
+    }
+
+    if (coupon.discountType === "fixed" && coupon.currency !== plan.currency) {
+      throw new AppError(
+        `This coupon cannot be used for ${plan.currency} payments`,
+        400
+      );
+    }
+
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: user._id,
+      status: { $in: ["pending", "redeemed"] },
+    });
+    if (used >= coupon.perUserLimit) {
+      throw new AppError("You have already used this coupon", 400);
+    }
+
+    const discount = this.calculateDiscount(coupon, plan.price);
+
+    // Gateways cannot take a zero-amount checkout
+    if (discount >= plan.price) {
+      throw new AppError("This coupon cannot cover the full price", 400);
+    }
+
+    return { coupon, discount, finalPrice: roundAmount(plan.price - discount) };
+  }
+
+  // Hold one redemption for a pending payment. The user's use is claimed
+  // first: each takes a free slot of the coupon's perUserLimit, and the
+  // unique slot index refuses a second checkout racing for the last one.
+  async reserve(coupon, payment, discount) {
+    const redemption = await this.claimSlot(coupon, (slot) =>
+      CouponRedemption.create({
+        coupon: coupon._id,
+        code: coupon.code,
+        user: payment.user,
+        payment: payment._id,
+        plan: payment.plan,
+        discount,
+        currency: payment.currency,
+        slot,
+      })
+    );
+
+    if (!redemption) {
+      throw new AppError("You have already used this coupon", 400);
+    }
+
+    const claimed = await Coupon.findOneAndUpdate(
+      { _id: coupon._id, isActive: true, ...UNDER_MAX_REDEMPTIONS },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await CouponRedemption.updateOne(
+        { _id: redemption._id },
+        {
+          $set: { status: "released", releasedAt: new Date() },
+          $unset: { slot: "" },
+        }
+      );
+      throw new AppError("This coupon has been fully redeemed", 400);
+    }
+
+    return redemption;
+  }
+
+  // Put a redemption in the first free slot; write(slot) saves it there.
+  // Null when the user has used all of them.
+  async claimSlot(coupon, write) {
+    for (let slot = 1; slot <= coupon.perUserLimit; slot++) {
+      try {
+        return await write(slot);
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern?.slot) throw error;
+      }
+    }
+
+    return null;
+  }
+
+  // The payment went through: the reservation becomes a redemption
+  async confirm(payment) {
+    let redemption = await CouponRedemption.findOneAndUpdate(
+      { payment: payment._id, status: "pending" },
+      { $set: { status: "redeemed", redeemedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!redemption) {
+      redemption = await this.redeemReleased(payment);
+    }
+
+    if (redemption) {
+      logger.info(
+        `Coupon ${redemption.code} redeemed by user ${redemption.user} (payment ${payment._id})`
+      );
+    }
+
+    return redemption;
+  }
+
+  // A payment completing after its stale reservation was released still
+  // got the discount, so the use counts again. It takes a free slot and a
+  // use under maxRedemptions when there is one; a limit it goes past is
+  // recorded on the redemption.
+  async redeemReleased(payment) {
+    const released = await CouponRedemption.findOne({
+      payment: payment._id,
+      status: "released",
+    });
+    if (!released) return null;
+
+    const coupon = await Coupon.findById(released.coupon);
+    const redeem = (set) =>
+      CouponRedemption.findOneAndUpdate(
+        { _id: released._id, status: "released" },
+        {
+          $set: { status: "redeemed", redeemedAt: new Date(), ...set },
+          $unset: { releasedAt: "" },
+        },
+        { new: true }
+      );
+
+    const overLimits = [];
+    let redemption =
+      coupon && (await this.claimSlot(coupon, (slot) => redeem({ slot })));
+    if (!redemption) {
+      // No slot left (or confirmed concurrently, then this finds nothing)
+      overLimits.push("per_user");
+      redemption = await redeem({});
+      if (!redemption) return null;
+    }
+
+    const counted = await Coupon.findOneAndUpdate(
+      { _id: released.coupon, ...UNDER_MAX_REDEMPTIONS },
+      { $inc: { redemptionCount: 1 } }
+    );
+    if (!counted) {
+      overLimits.push("total");
+      await Coupon.updateOne(
+        { _id: released.coupon },
+        { $inc: { redemptionCount: 1 } }
+      );
+    }
+
+    if (overLimits.length > 0) {
+      redemption = await CouponRedemption.findByIdAndUpdate(
+        redemption._id,
+        { $set: { overLimits } },
+        { new: true }
+      );
+      logger.warn(
+        `Coupon ${redemption.code} redeemed past its ${overLimits.join(
+          " and "
+        )} limit by a late payment ${payment._id}`
+      );
+    }
+
+    return redemption;
+  }
+
+  // The checkout failed or expired: give the redemption back
+  async release(payment) {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+      { payment: payment._id, status: "pending" },
+      {
+        $set: { status: "released", releasedAt: new Date() },
+        $unset: { slot: "" },
+      },
+      { new: true }
+    );
+
+    if (redemption) {
+      await Coupon.updateOne(
+        { _id: redemption.coupon, redemptionCount: { $gt: 0 } },
+        { $inc: { redemptionCount: -1 } }
+      );
+    }
+
+    return redemption;
+  }
+
+  // Give back the reservations of checkouts that were abandoned without
+  // the gateway reporting back. Returns how many were released.
+  async releaseStale(now = new Date()) {
+    const stale = await CouponRedemption.find({
+      status: "pending",
+      createdAt: { $lte: new Date(now.getTime() - this.reservationTtlMs) },
+    }).select("payment");
+
+    let released = 0;
+    for (const redemption of stale) {
+      if (await this.release({ _id: redemption.payment })) released++;
+    }
+
+    if (released > 0) {
+      logger.info(`Released ${released} stale coupon reservations`);
+    }
+
+    return released;
+  }
+
+  async listCoupons({ isActive, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive;
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Coupon.countDocuments(filter),
+    ]);
+
+    return {
+      coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async createCoupon(data, adminId) {
+    try {
+      const coupon = await Coupon.create({
+        code: this.normalizeCode(data.code),
+        ...this.pickEditable(data),
+        createdBy: adminId,
+        updatedBy: adminId,
+      });
+
+      logger.info(`Coupon ${coupon.code} created by admin ${adminId}`);
+      return coupon;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(
+          `Coupon '${this.normalizeCode(data.code)}' already exists`,
+          409
+        );
+      }
+      throw error;
+    }
+  }
+
+  async updateCoupon(couponId, updates, adminId) {
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      throw new AppError("Coupon not found", 404);
+    }
+
+    // Saved through the document so cross-field validation runs
+    coupon.set(this.pickEditable(updates));
+    coupon.updatedBy = adminId;
+    await coupon.save();
+
+    logger.info(`Coupon ${coupon.code} updated by admin ${adminId}`);
+    return coupon;
+  }
+
+  async listRedemptions(couponId, { status, page = 1, limit = 20 } = {}) {
+    const filter = { coupon: couponId };
+    if (status) filter.status = status;
+
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find(filter)
+        .populate("user", "name email")
+        .populate("payment", "amount currency status")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CouponRedemption.countDocuments(filter),
+    ]);
+
+    return {
+      redemptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  pickEditable(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+}
+
+module.exports = new CouponService();
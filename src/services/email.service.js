@@ -1,16 +1,22 @@
 const nodemailer = require("nodemailer");
+const emailQueue = require("../jobs/emailQueue");
+const { EMAIL_TEMPLATES } = require("../utils/constants");
 const logger = require("../utils/logger");
+const { escapeHtml } = require("../utils/html");
 
 class EmailService {
   constructor() {
+    // Auth is optional so a local SMTP stand-in (MailHog, MailDev) works
     this.transporter = nodemailer.createTransport({
       host: process.env.SMTP_HOST,
       port: process.env.SMTP_PORT,
-      secure: false,
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+          }
+        : undefined,
     });
 
     this.fromEmail = process.env.FROM_EMAIL || "noreply@autoapplyjob.com";
@@ -18,8 +24,8 @@ class EmailService {
   }
 
   // Send verification email
-  async sendVerificationEmail(email, token) {
-    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+  async sendVerificationEmail(email, token, options = {}) {
+    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
 
     const mailOptions = {
       from: `"${this.fromName}" <${this.fromEmail}>`,
@@ -29,13 +35,13 @@ class EmailService {
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h1 style="color: #333;">Welcome to AutoApplyJob!</h1>
           <p>Thank you for signing up. Please verify your email address by clicking the button below:</p>
-          <a href="${verificationUrl}" 
+          <a href="${escapeHtml(verificationUrl)}" 
              style="display: inline-block; background-color: #007bff; color: white; padding: 12px 24px; 
                     text-decoration: none; border-radius: 4px; margin: 20px 0;">
             Verify Email Address
           </a>
           <p>If the button doesn't work, copy and paste this link into your browser:</p>
-          <p><a href="${verificationUrl}">${verificationUrl}</a></p>
+          <p><a href="${escapeHtml(verificationUrl)}">${escapeHtml(verificationUrl)}</a></p>
           <p>This link will expire in 24 hours.</p>
           <hr style="margin: 30px 0;">
           <p style="color: #666; font-size: 12px;">
@@ -45,12 +51,16 @@ class EmailService {
       `,
     };
 
-    return await this.sendEmail(mailOptions);
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.VERIFICATION,
+      idempotencyKey: `verification:${token}`,
+      ...options,
+    });
   }
 
   // Send password reset email
-  async sendPasswordResetEmail(email, token) {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+  async sendPasswordResetEmail(email, token, options = {}) {
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
 
     const mailOptions = {
       from: `"${this.fromName}" <${this.fromEmail}>`,
@@ -61,13 +71,13 @@ class EmailService {
           <h1 style="color: #333;">Password Reset Request</h1>
           <p>You requested a password reset for your AutoApplyJob account.</p>
           <p>Click the button below to reset your password:</p>
-          <a href="${resetUrl}" 
+          <a href="${escapeHtml(resetUrl)}" 
              style="display: inline-block; background-color: #dc3545; color: white; padding: 12px 24px; 
                     text-decoration: none; border-radius: 4px; margin: 20px 0;">
             Reset Password
           </a>
           <p>If the button doesn't work, copy and paste this link into your browser:</p>
-          <p><a href="${resetUrl}">${resetUrl}</a></p>
+          <p><a href="${escapeHtml(resetUrl)}">${escapeHtml(resetUrl)}</a></p>
           <p><strong>This link will expire in 10 minutes.</strong></p>
           <hr style="margin: 30px 0;">
           <p style="color: #666; font-size: 12px;">
@@ -77,11 +87,15 @@ class EmailService {
       `,
     };
 
-    return await this.sendEmail(mailOptions);
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.PASSWORD_RESET,
+      idempotencyKey: `password_reset:${token}`,
+      ...options,
+    });
   }
 
   // Send application status update email
-  async sendApplicationStatusEmail(email, applicationData) {
+  async sendApplicationStatusEmail(email, applicationData, options = {}) {
     const { jobTitle, company, status, userName } = applicationData;
 
     const statusMessages = {
@@ -99,18 +113,18 @@ class EmailService {
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h1 style="color: #333;">Application Status Update</h1>
-          <p>Hi ${userName},</p>
-          <p>${statusMessages[status]}</p>
+          <p>Hi ${escapeHtml(userName)},</p>
+          <p>${escapeHtml(statusMessages[status])}</p>
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 4px; margin: 20px 0;">
             <h3 style="margin: 0 0 10px 0;">Job Details:</h3>
-            <p><strong>Position:</strong> ${jobTitle}</p>
-            <p><strong>Company:</strong> ${company}</p>
-            <p><strong>Status:</strong> ${status
-              .replace("_", " ")
-              .toUpperCase()}</p>
+            <p><strong>Position:</strong> ${escapeHtml(jobTitle)}</p>
+            <p><strong>Company:</strong> ${escapeHtml(company)}</p>
+            <p><strong>Status:</strong> ${escapeHtml(
+              status.replace("_", " ").toUpperCase()
+            )}</p>
           </div>
           <p>
-            <a href="${process.env.FRONTEND_URL}/dashboard" 
+            <a href="${escapeHtml(process.env.FRONTEND_URL)}/dashboard" 
                style="display: inline-block; background-color: #007bff; color: white; padding: 12px 24px; 
                       text-decoration: none; border-radius: 4px;">
               View Dashboard
@@ -125,12 +139,43 @@ class EmailService {
       `,
     };
 
-    return await this.sendEmail(mailOptions);
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.APPLICATION_UPDATE,
+      ...options,
+    });
   }
 
   // Send daily digest email
-  async sendDailyDigest(email, digestData) {
-    const { userName, newJobs, applications, interviews } = digestData;
+  async sendDailyDigest(email, digestData, options = {}) {
+    const {
+      userName,
+      newJobs,
+      applications,
+      interviews,
+      topMatches = [],
+    } = digestData;
+
+    const topMatchesHtml = topMatches.length
+      ? `
+          <div style="margin: 20px 0;">
+            <h3 style="margin: 0 0 15px 0;">Top Matches</h3>
+            <ul style="margin: 0; padding-left: 20px;">
+              ${topMatches
+                .map(
+                  (job) => `
+              <li style="margin: 5px 0;">
+                <a href="${escapeHtml(
+                  `${process.env.FRONTEND_URL}/jobs/${job._id}`
+                )}">${escapeHtml(job.title)}</a>
+                at ${escapeHtml(job.company)} (${escapeHtml(
+                  job.location
+                )}) - ${escapeHtml(job.matchScore)}% match
+              </li>`
+                )
+                .join("")}
+            </ul>
+          </div>`
+      : "";
 
     const mailOptions = {
       from: `"${this.fromName}" <${this.fromEmail}>`,
@@ -139,18 +184,19 @@ class EmailService {
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h1 style="color: #333;">Daily Digest</h1>
-          <p>Hi ${userName},</p>
+          <p>Hi ${escapeHtml(userName)},</p>
           <p>Here's your daily job search summary:</p>
           
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 4px; margin: 20px 0;">
             <h3 style="margin: 0 0 15px 0;">Today's Summary</h3>
-            <p>📋 <strong>New Jobs Found:</strong> ${newJobs}</p>
-            <p>📤 <strong>Applications Submitted:</strong> ${applications}</p>
-            <p>🗣️ <strong>Interviews Scheduled:</strong> ${interviews}</p>
+            <p>📋 <strong>New Jobs Found:</strong> ${escapeHtml(newJobs)}</p>
+            <p>📤 <strong>Applications Submitted:</strong> ${escapeHtml(applications)}</p>
+            <p>🗣️ <strong>Interviews Scheduled:</strong> ${escapeHtml(interviews)}</p>
           </div>
+          ${topMatchesHtml}
           
           <p>
-            <a href="${process.env.FRONTEND_URL}/dashboard" 
+            <a href="${escapeHtml(process.env.FRONTEND_URL)}/dashboard" 
                style="display: inline-block; background-color: #007bff; color: white; padding: 12px 24px; 
                       text-decoration: none; border-radius: 4px;">
               View Full Dashboard
@@ -165,18 +211,21 @@ class EmailService {
       `,
     };
 
-    return await this.sendEmail(mailOptions);
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.DAILY_DIGEST,
+      ...options,
+    });
   }
 
   // Send welcome email
-  async sendWelcomeEmail(email, userName) {
+  async sendWelcomeEmail(email, userName, options = {}) {
     const mailOptions = {
       from: `"${this.fromName}" <${this.fromEmail}>`,
       to: email,
       subject: "Welcome to AutoApplyJob!",
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #333;">Welcome to AutoApplyJob, ${userName}!</h1>
+          <h1 style="color: #333;">Welcome to AutoApplyJob, ${escapeHtml(userName)}!</h1>
           <p>We're excited to help you accelerate your job search with our automated application system.</p>
           
           <div style="background-color: #f8f9fa; padding: 20px; border-radius: 4px; margin: 20px 0;">
@@ -190,7 +239,7 @@ class EmailService {
           </div>
           
           <p>
-            <a href="${process.env.FRONTEND_URL}/onboarding" 
+            <a href="${escapeHtml(process.env.FRONTEND_URL)}/onboarding" 
                style="display: inline-block; background-color: #28a745; color: white; padding: 12px 24px; 
                       text-decoration: none; border-radius: 4px;">
               Complete Setup
@@ -205,10 +254,147 @@ class EmailService {
       `,
     };
 
-    return await this.sendEmail(mailOptions);
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.WELCOME,
+      ...options,
+    });
+  }
+
+  // Send subscription renewal reminder email
+  async sendRenewalReminderEmail(email, subscriptionData, options = {}) {
+    const { userName, planName, periodEnd } = subscriptionData;
+
+    const mailOptions = {
+      from: `"${this.fromName}" <${this.fromEmail}>`,
+      to: email,
+      subject: `Your ${planName} renews soon`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #333;">Your Plan Ends Soon</h1>
+          <p>Hi ${escapeHtml(userName)},</p>
+          <p>Your <strong>${escapeHtml(planName)}</strong> ends on <strong>${escapeHtml(
+            new Date(periodEnd).toDateString()
+          )}</strong>. Renew now to keep your job search running without interruption.</p>
+          <p>
+            <a href="${escapeHtml(process.env.FRONTEND_URL)}/payment" 
+               style="display: inline-block; background-color: #007bff; color: white; padding: 12px 24px; 
+                      text-decoration: none; border-radius: 4px;">
+              Renew Plan
+            </a>
+          </p>
+        </div>
+      `,
+    };
+
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.SUBSCRIPTION_RENEWAL,
+      ...options,
+    });
+  }
+
+  // Send grace period started email
+  async sendGracePeriodEmail(email, subscriptionData, options = {}) {
+    const { userName, planName, graceEndsAt } = subscriptionData;
+
+    const mailOptions = {
+      from: `"${this.fromName}" <${this.fromEmail}>`,
+      to: email,
+      subject: `Action required: your ${planName} has lapsed`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #333;">Your Plan Has Lapsed</h1>
+          <p>Hi ${escapeHtml(userName)},</p>
+          <p>We could not renew your <strong>${escapeHtml(planName)}</strong>. Your features stay active until <strong>${escapeHtml(
+            new Date(graceEndsAt).toDateString()
+          )}</strong>; after that your account will be downgraded.</p>
+          <p>
+            <a href="${escapeHtml(process.env.FRONTEND_URL)}/payment" 
+               style="display: inline-block; background-color: #dc3545; color: white; padding: 12px 24px; 
+                      text-decoration: none; border-radius: 4px;">
+              Renew Now
+            </a>
+          </p>
+        </div>
+      `,
+    };
+
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.SUBSCRIPTION_GRACE,
+      ...options,
+    });
+  }
+
+  // Send subscription expired email
+  async sendSubscriptionExpiredEmail(email, subscriptionData, options = {}) {
+    const { userName, planName } = subscriptionData;
+
+    const mailOptions = {
+      from: `"${this.fromName}" <${this.fromEmail}>`,
+      to: email,
+      subject: `Your ${planName} has expired`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #333;">Your Plan Has Expired</h1>
+          <p>Hi ${escapeHtml(userName)},</p>
+          <p>Your <strong>${escapeHtml(planName)}</strong> has expired and paid features have been turned off. You can pick a plan at any time to resume.</p>
+          <p>
+            <a href="${escapeHtml(process.env.FRONTEND_URL)}/payment" 
+               style="display: inline-block; background-color: #007bff; color: white; padding: 12px 24px; 
+                      text-decoration: none; border-radius: 4px;">
+              Choose a Plan
+            </a>
+          </p>
+        </div>
+      `,
+    };
+
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.SUBSCRIPTION_EXPIRED,
+      ...options,
+    });
+  }
+
+  // Send account locked email
+  async sendAccountLockedEmail(email, lockData, options = {}) {
+    const { userName, lockedUntil, ip } = lockData;
+
+    const mailOptions = {
+      from: `"${this.fromName}" <${this.fromEmail}>`,
+      to: email,
+      subject: "Your account has been temporarily locked",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #333;">Account Temporarily Locked</h1>
+          <p>Hi ${escapeHtml(userName)},</p>
+          <p>We locked your AutoApplyJob account after several failed sign-in attempts${
+            ip ? ` from IP address <strong>${escapeHtml(ip)}</strong>` : ""
+          }. You can sign in again after <strong>${escapeHtml(
+            new Date(lockedUntil).toUTCString()
+          )}</strong>.</p>
+          <p>If this wasn't you, we recommend resetting your password:</p>
+          <p>
+            <a href="${escapeHtml(process.env.FRONTEND_URL)}/forgot-password" 
+               style="display: inline-block; background-color: #dc3545; color: white; padding: 12px 24px; 
+                      text-decoration: none; border-radius: 4px;">
+              Reset Password
+            </a>
+          </p>
+        </div>
+      `,
+    };
+
+    return await this.queueEmail(mailOptions, {
+      template: EMAIL_TEMPLATES.ACCOUNT_LOCKED,
+      ...options,
+    });
+  }
+
+  // Store an email in the outbox; the email queue worker delivers it
+  async queueEmail(mailOptions, options = {}) {
+    return await emailQueue.enqueue(mailOptions, options);
   }
 
-  // Generic email sender
+  // Generic email sender (SMTP delivery, used by the email queue worker)
   async sendEmail(mailOptions) {
     try {
       const result = await this.transporter.sendMail(mailOptions);
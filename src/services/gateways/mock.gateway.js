@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require("uuid");
+const { AppError } = require("../../middleware/error.middleware");
+const { signPayload, verifySignature } = require("../../utils/signature");
+
+// Outcomes the mock checkout can be driven to
+const OUTCOME_EVENTS = {
+  succeeded: "checkout.completed",
+  failed: "checkout.failed",
+  expired: "checkout.expired",
+};
+
+// Local stand-in for a hosted checkout gateway.
+// Sessions are settled through signed webhooks exactly like the real one.
+class MockGateway {
+  constructor() {
+    this.name = "mock";
+    this.signatureHeader = "x-mock-signature";
+    this.webhookSecret = process.env.MOCK_GATEWAY_WEBHOOK_SECRET;
+
+    if (!this.webhookSecret) {
+      throw new Error(
+        "MOCK_GATEWAY_WEBHOOK_SECRET is required when PAYMENT_GATEWAY is mock"
+      );
+    }
+  }
+
+  async createCheckoutSession({ successUrl }) {
+    const id = `mock_cs_${uuidv4().replace(/-/g, "")}`;
+
+    return {
+      id,
+      url: `${successUrl}${
+        successUrl.includes("?") ? "&" : "?"
+      }mock_session_id=${id}`,
+    };
+  }
+
+  async refund() {
+    return {
+      id: `mock_re_${uuidv4().replace(/-/g, "")}`,
+      status: "succeeded",
+    };
+  }
+
+  // Build a signed webhook request for a session, as the gateway would send
+  buildWebhookRequest(payment, outcome = "succeeded") {
+    const type = OUTCOME_EVENTS[outcome];
+    if (!type) {
+      throw new AppError(`Unknown mock outcome: ${outcome}`, 400);
+    }
+
+    const payload = JSON.stringify({
+      id: `mock_evt_${uuidv4().replace(/-/g, "")}`,
+      type,
+      data: {
+        sessionId: payment.gatewaySessionId,
+        transactionId:
+          type === "checkout.completed"
+            ? `mock_pi_${uuidv4().replace(/-/g, "")}`
+            : undefined,
+        amount: payment.amount,
+        currency: payment.currency,
+      },
+    });
+
+    return {
+      rawBody: Buffer.from(payload),
+      headers: {
+        [this.signatureHeader]: signPayload(payload, this.webhookSecret),
+      },
+    };
+  }
+
+  parseWebhookEvent(rawBody, headers) {
+    const payload = rawBody.toString("utf8");
+
+    if (
+      !verifySignature(
+        payload,
+        headers[this.signatureHeader],
+        this.webhookSecret
+      )
+    ) {
+      throw new AppError("Invalid webhook signature", 400);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      throw new AppError("Webhook payload is not valid JSON", 400);
+    }
+
+    return {
+      id: event.id,
+      type: Object.values(OUTCOME_EVENTS).includes(event.type)
+        ? event.type
+        : null,
+      rawType: event.type,
+      ...event.data,
+    };
+  }
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,130 @@
+const axios = require("axios");
+const { AppError } = require("../../middleware/error.middleware");
+const { verifySignature } = require("../../utils/signature");
+
+// Stripe event types mapped to the gateway-neutral events the payment
+// service understands
+const EVENT_TYPES = {
+  "checkout.session.completed": "checkout.completed",
+  "checkout.session.async_payment_succeeded": "checkout.completed",
+  "checkout.session.async_payment_failed": "checkout.failed",
+  "checkout.session.expired": "checkout.expired",
+};
+
+class StripeGateway {
+  constructor() {
+    this.name = "stripe";
+    this.client = axios.create({
+      baseURL: process.env.STRIPE_API_URL || "https://api.stripe.com/v1",
+      timeout: 15000,
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+    this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  }
+
+  // Create a hosted checkout session for a pending payment
+  async createCheckoutSession({
+    paymentId,
+    amount,
+    currency,
+    description,
+    customerEmail,
+    successUrl,
+    cancelUrl,
+  }) {
+    const params = new URLSearchParams({
+      mode: "payment",
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: paymentId,
+      customer_email: customerEmail,
+      "metadata[paymentId]": paymentId,
+      "line_items[0][quantity]": "1",
+      "line_items[0][price_data][currency]": currency.toLowerCase(),
+      "line_items[0][price_data][unit_amount]": String(
+        Math.round(amount * 100)
+      ),
+      "line_items[0][price_data][product_data][name]": description,
+    });
+
+    try {
+      const response = await this.client.post(
+        "/checkout/sessions",
+        params.toString(),
+        { headers: { "Idempotency-Key": `checkout_${paymentId}` } }
+      );
+
+      return { id: response.data.id, url: response.data.url };
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      throw new AppError(`Payment gateway error: ${message}`, 502);
+    }
+  }
+
+  // Refund all or part of a captured payment
+  async refund({ transactionId, amount, paymentId, refundKey }) {
+    const params = new URLSearchParams({
+      payment_intent: transactionId,
+      amount: String(Math.round(amount * 100)),
+      "metadata[paymentId]": paymentId,
+    });
+
+    try {
+      const response = await this.client.post("/refunds", params.toString(), {
+        headers: { "Idempotency-Key": refundKey },
+      });
+
+      return { id: response.data.id, status: response.data.status };
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      throw new AppError(`Payment gateway error: ${message}`, 502);
+    }
+  }
+
+  // Verify the webhook signature and normalize the event
+  parseWebhookEvent(rawBody, headers) {
+    const payload = rawBody.toString("utf8");
+
+    if (
+      !this.webhookSecret ||
+      !verifySignature(payload, headers["stripe-signature"], this.webhookSecret)
+    ) {
+      throw new AppError("Invalid webhook signature", 400);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      throw new AppError("Webhook payload is not valid JSON", 400);
+    }
+    const session = event.data?.object || {};
+
+    // A completed session may still be awaiting an async payment method
+    let type = EVENT_TYPES[event.type] || null;
+    if (
+      event.type === "checkout.session.completed" &&
+      session.payment_status !== "paid"
+    ) {
+      type = null;
+    }
+
+    return {
+      id: event.id,
+      type,
+      rawType: event.type,
+      sessionId: session.id,
+      transactionId: session.payment_intent,
+      amount:
+        typeof session.amount_total === "number"
+          ? session.amount_total / 100
+          : undefined,
+      currency: session.currency ? session.currency.toUpperCase() : undefined,
+    };
+  }
+}
+
+module.exports = StripeGateway;
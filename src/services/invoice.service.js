@@ -0,0 +1,273 @@
+const moment = require("moment");
+const Invoice = require("../models/Invoice.model");
+const Counter = require("../models/Counter.model");
+const Payment = require("../models/Payment.model");
+const User = require("../models/User.model");
+const planService = require("./plan.service");
+const logger = require("../utils/logger");
+const { escapeHtml } = require("../utils/html");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  // Next invoice number; numbering restarts every year
+  async nextNumber(date = new Date()) {
+    const year = date.getFullYear();
+    const seq = await Counter.next(`invoice-${year}`);
+
+    return `INV-${year}-${String(seq).padStart(6, "0")}`;
+  }
+
+  // Split a paid amount into subtotal and tax
+  calculateTax(total, tax = {}) {
+    const rate = tax.rate || 0;
+
+    if (rate === 0) {
+      return { subtotal: total, taxAmount: 0 };
+    }
+
+    // Paid amount always includes tax: exclusive prices had it added at
+    // checkout, inclusive prices carry it already
+    const subtotal = roundAmount(total / (1 + rate / 100));
+    return { subtotal, taxAmount: roundAmount(total - subtotal) };
+  }
+
+  // Completed payments still without an invoice because issuing it
+  // failed at checkout; the subscription lifecycle job issues them
+  async findUninvoicedPayments(limit = 100) {
+    return await Payment.find({
+      status: { $in: ["completed", "partially_refunded", "refunded"] },
+      invoice: null,
+    })
+      .sort({ completedAt: 1 })
+      .limit(limit);
+  }
+
+  // Issue the invoice for a completed payment (once per payment)
+  async createForPayment(payment) {
+    const existing = await Invoice.findOne({ payment: payment._id });
+    if (existing) return existing;
+
+    const user = await User.findById(payment.user).select("name email");
+    const plan = await planService.getPlan(payment.plan);
+    const { subtotal, taxAmount } = this.calculateTax(
+      payment.amount,
+      payment.tax
+    );
+
+    const description =
+      payment.kind === "upgrade"
+        ? `Upgrade from ${await planService.getPlanName(
+            payment.proration?.fromPlan
+          )} to ${plan?.name || payment.plan} (prorated)`
+        : `${plan?.name || payment.plan} - 1 ${plan?.period || "month"}`;
+
+    // A coupon shows as its own line, net of tax like the plan line
+    const couponDiscount = payment.coupon?.discount || 0;
+    const discountAmount =
+      couponDiscount && payment.tax?.inclusive && payment.tax?.rate
+        ? this.calculateTax(couponDiscount, payment.tax).subtotal
+        : couponDiscount;
+
+    const lineItems = [
+      {
+        description,
+        quantity: 1,
+        unitAmount: roundAmount(subtotal + discountAmount),
+        amount: roundAmount(subtotal + discountAmount),
+      },
+    ];
+    if (discountAmount > 0) {
+      lineItems.push({
+        description: `Coupon ${payment.coupon.code}`,
+        quantity: 1,
+        unitAmount: -discountAmount,
+        amount: -discountAmount,
+      });
+    }
+
+    const issuedAt = payment.completedAt || new Date();
+
+    // An invoice issued late carries the refunds made in the meantime
+    const refunds = payment.refunds || [];
+    const amountRefunded = roundAmount(
+      refunds.reduce((sum, refund) => sum + refund.amount, 0)
+    );
+
+    try {
+      const invoice = await Invoice.create({
+        number: await this.nextNumber(issuedAt),
+        user: payment.user,
+        payment: payment._id,
+        billedTo: { name: user?.name, email: user?.email },
+        issuer: {
+          name: process.env.INVOICE_COMPANY_NAME || "AutoApplyJob",
+          address: process.env.INVOICE_COMPANY_ADDRESS,
+          taxId: process.env.INVOICE_TAX_ID,
+        },
+        lineItems,
+        currency: payment.currency,
+        subtotal,
+        taxName: payment.tax?.name,
+        taxRate: payment.tax?.rate || 0,
+        taxAmount,
+        total: payment.amount,
+        refunds,
+        amountRefunded,
+        status:
+          amountRefunded === 0
+            ? "paid"
+            : amountRefunded >= payment.amount
+              ? "refunded"
+              : "partially_refunded",
+        issuedAt,
+      });
+
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { invoice: invoice._id } }
+      );
+
+      logger.info(
+        `Invoice ${invoice.number} issued for payment ${payment._id}`
+      );
+      return invoice;
+    } catch (error) {
+      // Another worker issued it first
+      if (error.code === 11000) {
+        return await Invoice.findOne({ payment: payment._id });
+      }
+      throw error;
+    }
+  }
+
+  // Reflect a refund on the payment's invoice
+  async recordRefund(payment, refund) {
+    const invoice = await Invoice.findOne({ payment: payment._id });
+    if (!invoice) return null;
+
+    const amountRefunded = roundAmount(invoice.amountRefunded + refund.amount);
+
+    invoice.refunds.push(refund);
+    invoice.amountRefunded = amountRefunded;
+    invoice.status =
+      amountRefunded >= invoice.total ? "refunded" : "partially_refunded";
+
+    return await invoice.save();
+  }
+
+  async listForUser(userId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find({ user: userId })
+        .select("-issuer -lineItems")
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Invoice.countDocuments({ user: userId }),
+    ]);
+
+    return {
+      invoices,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getForUser(userId, invoiceId) {
+    return await Invoice.findOne({ _id: invoiceId, user: userId });
+  }
+
+  // Render a standalone HTML document for download or printing
+  renderHtml(invoice) {
+    const money = (value) =>
+      `${escapeHtml(invoice.currency)} ${Number(value).toFixed(2)}`;
+    const date = (value) => moment(value).format("MMMM D, YYYY");
+
+    const lineItems = invoice.lineItems
+      .map(
+        (item) => `
+          <tr>
+            <td>${escapeHtml(item.description)}</td>
+            <td style="text-align: right;">${item.quantity}</td>
+            <td style="text-align: right;">${money(item.unitAmount)}</td>
+            <td style="text-align: right;">${money(item.amount)}</td>
+          </tr>`
+      )
+      .join("");
+
+    const refunds = invoice.refunds
+      .map(
+        (refund) => `
+          <tr>
+            <td colspan="3">Refund (${date(refund.refundedAt)})${
+              refund.reason ? ` - ${escapeHtml(refund.reason)}` : ""
+            }</td>
+            <td style="text-align: right;">-${money(refund.amount)}</td>
+          </tr>`
+      )
+      .join("");
+
+    return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Invoice ${escapeHtml(invoice.number)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 800px; margin: 40px auto; color: #333;">
+    <h1 style="margin-bottom: 0;">Invoice</h1>
+    <p style="color: #666; margin-top: 5px;">${escapeHtml(invoice.number)} &middot; ${date(invoice.issuedAt)} &middot; ${escapeHtml(invoice.status.replace("_", " "))}</p>
+
+    <table style="width: 100%; margin: 30px 0;">
+      <tr>
+        <td style="vertical-align: top;">
+          <strong>From</strong><br>
+          ${escapeHtml(invoice.issuer.name)}<br>
+          ${escapeHtml(invoice.issuer.address)}
+          ${invoice.issuer.taxId ? `<br>Tax ID: ${escapeHtml(invoice.issuer.taxId)}` : ""}
+        </td>
+        <td style="vertical-align: top;">
+          <strong>Billed to</strong><br>
+          ${escapeHtml(invoice.billedTo.name)}<br>
+          ${escapeHtml(invoice.billedTo.email)}
+        </td>
+      </tr>
+    </table>
+
+    <table style="width: 100%; border-collapse: collapse;" cellpadding="8">
+      <thead>
+        <tr style="background-color: #f8f9fa;">
+          <th style="text-align: left;">Description</th>
+          <th style="text-align: right;">Qty</th>
+          <th style="text-align: right;">Unit price</th>
+          <th style="text-align: right;">Amount</th>
+        </tr>
+      </thead>
+      <tbody>${lineItems}
+        <tr>
+          <td colspan="3" style="text-align: right;">Subtotal</td>
+          <td style="text-align: right;">${money(invoice.subtotal)}</td>
+        </tr>
+        <tr>
+          <td colspan="3" style="text-align: right;">${escapeHtml(invoice.taxName || "Tax")} (${invoice.taxRate}%)</td>
+          <td style="text-align: right;">${money(invoice.taxAmount)}</td>
+        </tr>
+        <tr>
+          <td colspan="3" style="text-align: right;"><strong>Total paid</strong></td>
+          <td style="text-align: right;"><strong>${money(invoice.total)}</strong></td>
+        </tr>${refunds}
+      </tbody>
+    </table>
+  </body>
+</html>
+`;
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const Job = require("../models/Job.model");
+const JobMatch = require("../models/JobMatch.model");
+const jobDedupeService = require("./jobDedupe.service");
+const { buildFingerprint } = require("../utils/jobFingerprint");
+const logger = require("../utils/logger");
+
+// Filter fields that live on the match rather than the shared posting
+const MATCH_FIELDS = ["matchScore", "applicationStatus", "adminReviewStatus"];
+
+class JobCatalogueService {
+  // Find the shared posting for a scraped job, creating it on first sight.
+  // Postings are keyed by platform + original id; without an id the
+  // title, company and location stand in. A listing that duplicates a
+  // posting from another platform resolves to that posting. Returns
+  // { job, duplicate }, where duplicate says why the listing was folded.
+  async findOrCreateJob(jobFields, sessionId) {
+    const job = new Job(jobFields);
+    await job.validate();
+    job.fingerprint = buildFingerprint(job);
+
+    const { platform, originalId } = job.scrapedFrom;
+    const key = originalId
+      ? {
+          "scrapedFrom.platform": platform,
+          "scrapedFrom.originalId": originalId,
+        }
+      : {
+          "scrapedFrom.platform": platform,
+          title: job.title,
+          company: job.company,
+          location: job.location,
+        };
+
+    const existing = await Job.findOne(key);
+    if (existing) {
+      return { job: existing, duplicate: null };
+    }
+
+    const duplicate = await jobDedupeService.findDuplicate(job);
+    if (duplicate) {
+      await jobDedupeService.recordDuplicate(job, duplicate, sessionId);
+      return { job: duplicate.job, duplicate };
+    }
+
+    if (!originalId) {
+      return { job: await job.save(), duplicate: null };
+    }
+
+    try {
+      const created = await Job.findOneAndUpdate(
+        key,
+        { $setOnInsert: job.toObject({ virtuals: false }) },
+        { upsert: true, new: true }
+      );
+      return { job: created, duplicate: null };
+    } catch (error) {
+      // Lost an insert race with another batch for the same posting
+      if (error.code !== 11000) throw error;
+      return { job: await Job.findOne(key), duplicate: null };
+    }
+  }
+
+  // Match a posting to a user. Returns null when it was already matched.
+  async matchJobToUser(job, user, sessionId) {
+    const result = await JobMatch.updateOne(
+      { user: user._id, job: job._id },
+      {
+        $setOnInsert: {
+          matchScore: Job.calculateMatchScore(job, user),
+          adminReviewStatus: job.adminReviewStatus,
+          applicationStatus: "not_applied",
+          sessionId,
+        },
+      },
+      { upsert: true }
+    );
+
+    return result.upsertedCount === 1 ? result.upsertedId : null;
+  }
+
+  // A user's match for a job, or null if the job was never matched to them
+  async getMatch(userId, jobId) {
+    return await JobMatch.findOne({ user: userId, job: jobId });
+  }
+
+  // The posting in the per-user shape the API has always returned
+  toUserJob(job, match) {
+    return {
+      ...job,
+      targetUser: match.user,
+      matchScore: match.matchScore,
+      applicationStatus: match.applicationStatus,
+      appliedAt: match.appliedAt,
+      matchedAt: match.createdAt,
+    };
+  }
+
+  // Pipeline of a user's matches joined to their postings, merged into the
+  // per-user job shape. `filter` may use posting and match fields alike;
+  // top-level match fields are applied before the join.
+  buildUserJobsPipeline(userId, filter = {}) {
+    const matchFilter = { user: new mongoose.Types.ObjectId(userId) };
+    const jobFilter = {};
+
+    for (const [field, value] of Object.entries(filter)) {
+      if (MATCH_FIELDS.includes(field)) {
+        matchFilter[field] = value;
+      } else {
+        jobFilter[field] = value;
+      }
+    }
+
+    return [
+      { $match: matchFilter },
+      {
+        $lookup: {
+          from: Job.collection.name,
+          localField: "job",
+          foreignField: "_id",
+          as: "posting",
+        },
+      },
+      { $unwind: "$posting" },
+      {
+        $replaceRoot: {
+          newRoot: {
+            $mergeObjects: [
+              "$posting",
+              {
+                targetUser: "$user",
+                matchScore: "$matchScore",
+                applicationStatus: "$applicationStatus",
+                appliedAt: "$appliedAt",
+                matchedAt: "$createdAt",
+              },
+            ],
+          },
+        },
+      },
+      { $match: jobFilter },
+    ];
+  }
+
+  // Page through a user's jobs. Returns plain objects, like a lean query.
+  async findUserJobs(
+    userId,
+    { filter, sort = { matchScore: -1 }, skip = 0, limit = 20 } = {}
+  ) {
+    const [result] = await JobMatch.aggregate([
+      ...this.buildUserJobsPipeline(userId, filter),
+      {
+        $facet: {
+          jobs: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    return {
+      jobs: result.jobs,
+      total: result.total[0]?.count || 0,
+    };
+  }
+
+  async countUserJobs(userId, filter) {
+    const [result] = await JobMatch.aggregate([
+      ...this.buildUserJobsPipeline(userId, filter),
+      { $count: "count" },
+    ]);
+
+    return result?.count || 0;
+  }
+
+  // Review a posting once for every user it is matched to
+  async setReviewStatus(jobId, status, adminId, reviewNotes) {
+    const update = {
+      adminReviewStatus: status,
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+    };
+    if (reviewNotes) {
+      update.reviewNotes = reviewNotes;
+    }
+
+    const job = await Job.findByIdAndUpdate(jobId, update, { new: true });
+    if (!job) return null;
+
+    const { modifiedCount } = await JobMatch.updateMany(
+      { job: job._id },
+      { $set: { adminReviewStatus: status } }
+    );
+
+    logger.info(`Job ${jobId} ${status} for ${modifiedCount} matched user(s)`);
+    return job;
+  }
+
+  async setApplicationStatus(userId, jobId, applicationStatus) {
+    const update = { applicationStatus };
+    if (applicationStatus === "applied") {
+      update.appliedAt = new Date();
+    }
+
+    await JobMatch.updateOne({ user: userId, job: jobId }, { $set: update });
+  }
+}
+
+module.exports = new JobCatalogueService();
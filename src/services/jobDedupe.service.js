@@ -0,0 +1,167 @@
+const Job = require("../models/Job.model");
+const JobCluster = require("../models/JobCluster.model");
+const {
+  SIMHASH_BITS,
+  titleSimilarity,
+  hammingDistance,
+} = require("../utils/jobFingerprint");
+const { DUPLICATE_REASONS } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+// Strongest evidence first; a candidate matching on several counts is
+// reported under the strongest
+const REASON_RANK = [
+  DUPLICATE_REASONS.APPLY_URL,
+  DUPLICATE_REASONS.DESCRIPTION,
+  DUPLICATE_REASONS.TITLE,
+];
+
+class JobDedupeService {
+  constructor() {
+    this.titleThreshold =
+      parseFloat(process.env.DEDUPE_TITLE_SIMILARITY) || 0.85;
+    this.maxDescriptionDistance =
+      parseInt(process.env.DEDUPE_MAX_DESCRIPTION_DISTANCE) || 6;
+    // Titles less alike than this are different openings whatever else
+    // the listings share
+    this.minTitleSimilarity =
+      parseFloat(process.env.DEDUPE_MIN_TITLE_SIMILARITY) || 0.5;
+    this.candidateLimit = parseInt(process.env.DEDUPE_CANDIDATE_LIMIT) || 50;
+  }
+
+  // Find a catalogue job that a new listing duplicates. `job` is an
+  // unsaved Job with its fingerprint set. Returns { job, reason,
+  // similarity } or null.
+  async findDuplicate(job) {
+    const { platform, originalId } = job.scrapedFrom;
+    const { fingerprint } = job;
+
+    // A listing folded into a cluster before keeps its verdict
+    if (originalId) {
+      const cluster = await JobCluster.findOne({
+        duplicates: { $elemMatch: { platform, originalId } },
+      });
+      const known = cluster?.duplicates.find(
+        (duplicate) =>
+          duplicate.platform === platform && duplicate.originalId === originalId
+      );
+      const existing = known && (await Job.findById(cluster.job));
+      if (existing) {
+        return {
+          job: existing,
+          reason: known.reason,
+          similarity: known.similarity,
+        };
+      }
+    }
+
+    if (fingerprint.applyUrl) {
+      const sharing = await Job.find({
+        "fingerprint.applyUrl": fingerprint.applyUrl,
+      }).limit(this.candidateLimit);
+
+      if (sharing.length > 0 && this.isPostingUrl(job, sharing)) {
+        return {
+          job: sharing[0],
+          reason: DUPLICATE_REASONS.APPLY_URL,
+          similarity: 1,
+        };
+      }
+    }
+
+    if (!fingerprint.company) return null;
+
+    const candidates = await Job.find({
+      "fingerprint.company": fingerprint.company,
+      status: "active",
+    })
+      .sort({ postedDate: -1 })
+      .limit(this.candidateLimit);
+
+    const matches = candidates
+      .map((candidate) => ({ job: candidate, ...this.compare(job, candidate) }))
+      .filter((match) => match.reason)
+      .sort(
+        (a, b) =>
+          REASON_RANK.indexOf(a.reason) - REASON_RANK.indexOf(b.reason) ||
+          b.similarity - a.similarity
+      );
+
+    return matches[0] || null;
+  }
+
+  // Whether an apply link names one posting: a link shared by openings
+  // with different titles is a careers page or a generic apply form
+  isPostingUrl(job, sharing) {
+    const titles = [job.title, ...sharing.map((existing) => existing.title)];
+
+    return titles.every((title, i) =>
+      titles
+        .slice(i + 1)
+        .every(
+          (other) => titleSimilarity(title, other) >= this.minTitleSimilarity
+        )
+    );
+  }
+
+  // How a listing matches one catalogue job of the same company, or null.
+  // Near-identical descriptions are a repost even on the same platform,
+  // unless the titles differ (one company's postings share boilerplate);
+  // similar titles only count across platforms, where one company's
+  // openings are not listed side by side.
+  compare(job, candidate) {
+    const a = job.fingerprint;
+    const b = candidate.fingerprint || {};
+
+    if (
+      a.description &&
+      b.description &&
+      titleSimilarity(job.title, candidate.title) >= this.minTitleSimilarity
+    ) {
+      const distance = hammingDistance(a.description, b.description);
+      if (distance <= this.maxDescriptionDistance) {
+        return {
+          reason: DUPLICATE_REASONS.DESCRIPTION,
+          similarity: 1 - distance / SIMHASH_BITS,
+        };
+      }
+    }
+
+    const sameLocation =
+      a.location === b.location ||
+      (job.workType === "remote" && candidate.workType === "remote");
+    if (
+      job.scrapedFrom.platform !== candidate.scrapedFrom.platform &&
+      sameLocation
+    ) {
+      const similarity = titleSimilarity(job.title, candidate.title);
+      if (similarity >= this.titleThreshold) {
+        return { reason: DUPLICATE_REASONS.TITLE, similarity };
+      }
+    }
+
+    return null;
+  }
+
+  // Remember that a listing duplicates a catalogue job
+  async recordDuplicate(job, duplicate, sessionId) {
+    await JobCluster.recordDuplicate(duplicate.job._id, {
+      platform: job.scrapedFrom.platform,
+      originalId: job.scrapedFrom.originalId,
+      title: job.title,
+      company: job.company,
+      applyUrl: job.applyUrl,
+      reason: duplicate.reason,
+      similarity: Math.round(duplicate.similarity * 100) / 100,
+      sessionId,
+    });
+
+    logger.debug(
+      `Listing ${job.scrapedFrom.platform}:${
+        job.scrapedFrom.originalId || job.applyUrl
+      } duplicates job ${duplicate.job._id} (${duplicate.reason})`
+    );
+  }
+}
+
+module.exports = new JobDedupeService();
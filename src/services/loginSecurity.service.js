@@ -0,0 +1,309 @@
+const bcrypt = require("bcryptjs");
+const User = require("../models/User.model");
+const LoginAudit = require("../models/LoginAudit.model");
+const LoginThrottle = require("../models/LoginThrottle.model");
+const emailService = require("./email.service");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+// Hash of a random password (same cost as account passwords), compared
+// against when there is no password to check
+const DUMMY_PASSWORD_HASH =
+  "$2a$12$vn1HhaB6Ny3TSrNKhV1dveNYRs0Ie5jIMsbY9zR7vrOm8jfnvkKlu";
+
+class LoginSecurityService {
+  constructor() {
+    // Failed attempts before the account is locked
+    this.maxFailedAttempts =
+      parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+    // Failures older than this no longer count towards a lockout
+    this.failureWindowMs =
+      parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000;
+    // Wait forced after each failure, doubling up to the maximum
+    this.delayBaseMs = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000;
+    this.delayMaxMs = parseInt(process.env.LOGIN_DELAY_MAX_MS) || 30 * 1000;
+    // Lockout length, doubling for repeated lockouts up to the maximum
+    this.lockoutMs = parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000;
+    this.lockoutMaxMs =
+      parseInt(process.env.LOGIN_LOCKOUT_MAX_MS) || 24 * 60 * 60 * 1000;
+  }
+
+  getDelayMs(failedAttempts) {
+    if (failedAttempts < 1) return 0;
+    return Math.min(
+      this.delayBaseMs * 2 ** (failedAttempts - 1),
+      this.delayMaxMs
+    );
+  }
+
+  getLockoutMs(lockoutCount) {
+    return Math.min(this.lockoutMs * 2 ** lockoutCount, this.lockoutMaxMs);
+  }
+
+  // Check a login password. Without an account, or for one that only
+  // signs in with a provider, a dummy hash is compared instead, so the
+  // reply takes as long as for a wrong password.
+  async checkPassword(user, password) {
+    if (!user || !user.password) {
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+      return false;
+    }
+
+    return await user.comparePassword(password);
+  }
+
+  // Why this account cannot attempt a login right now, if anything:
+  // { outcome, statusCode, message, retryAfter (seconds) }
+  getLoginBlock(user, now = new Date()) {
+    const {
+      failedAttempts = 0,
+      lastFailedAt,
+      lockedUntil,
+    } = user.loginSecurity || {};
+
+    if (lockedUntil && lockedUntil > now) {
+      return {
+        outcome: "locked",
+        statusCode: 423,
+        message:
+          "Account is temporarily locked due to too many failed login attempts. Please try again later.",
+        retryAfter: Math.ceil((lockedUntil - now) / 1000),
+      };
+    }
+
+    if (!lastFailedAt || now - lastFailedAt > this.failureWindowMs) {
+      return null;
+    }
+
+    const retryAt = lastFailedAt.getTime() + this.getDelayMs(failedAttempts);
+    if (retryAt > now.getTime()) {
+      return {
+        outcome: "throttled",
+        statusCode: 429,
+        message: "Too many failed login attempts. Please wait and try again.",
+        retryAfter: Math.ceil((retryAt - now.getTime()) / 1000),
+      };
+    }
+
+    return null;
+  }
+
+  // Count a failure against the loginSecurity state of the document
+  // matching `filter` and lock it once the limit is reached. Returns
+  // { failedAttempts, lockedUntil, locked }; only the request that crosses
+  // the limit applies the lock and gets the locked document back.
+  async countFailure(Model, filter, loginSecurity, now, options = {}) {
+    const { set = {}, ...queryOptions } = options;
+    const { lastFailedAt } = loginSecurity || {};
+    const windowExpired =
+      !lastFailedAt || now - lastFailedAt > this.failureWindowMs;
+
+    const updated = await Model.findOneAndUpdate(
+      filter,
+      windowExpired
+        ? {
+            $set: {
+              ...set,
+              "loginSecurity.failedAttempts": 1,
+              "loginSecurity.lastFailedAt": now,
+            },
+          }
+        : {
+            $inc: { "loginSecurity.failedAttempts": 1 },
+            $set: { ...set, "loginSecurity.lastFailedAt": now },
+          },
+      { ...queryOptions, new: true }
+    );
+
+    const { failedAttempts, lockoutCount = 0 } = updated.loginSecurity;
+    if (failedAttempts < this.maxFailedAttempts) {
+      return { failedAttempts, lockedUntil: null };
+    }
+
+    const lockedUntil = new Date(
+      now.getTime() + this.getLockoutMs(lockoutCount)
+    );
+    const locked = await Model.findOneAndUpdate(
+      {
+        ...filter,
+        "loginSecurity.failedAttempts": { $gte: this.maxFailedAttempts },
+      },
+      {
+        $set: {
+          "loginSecurity.failedAttempts": 0,
+          "loginSecurity.lockedUntil": lockedUntil,
+        },
+        $inc: { "loginSecurity.lockoutCount": 1 },
+      },
+      { projection: queryOptions.projection, new: true }
+    );
+
+    if (!locked) {
+      return { failedAttempts, lockedUntil: null };
+    }
+
+    return { failedAttempts, lockedUntil, locked };
+  }
+
+  // Count a wrong password and lock the account once the limit is reached.
+  // Returns { failedAttempts, lockedUntil }.
+  async recordFailure(user, req, now = new Date()) {
+    const { failedAttempts, lockedUntil, locked } = await this.countFailure(
+      User,
+      { _id: user._id },
+      user.loginSecurity,
+      now,
+      { projection: "name email loginSecurity" }
+    );
+
+    if (!locked) {
+      return { failedAttempts, lockedUntil };
+    }
+
+    logger.warn(
+      `Account ${user._id} locked until ${lockedUntil.toISOString()} after ${failedAttempts} failed logins`
+    );
+
+    try {
+      await emailService.sendAccountLockedEmail(
+        locked.email,
+        { userName: locked.name, lockedUntil, ip: req.ip },
+        {
+          userId: locked._id,
+          idempotencyKey: `account_locked:${locked._id}:${lockedUntil.getTime()}`,
+        }
+      );
+    } catch (error) {
+      logger.error(`Failed to queue lockout email for ${user._id}:`, error);
+    }
+
+    return { failedAttempts, lockedUntil };
+  }
+
+  // Failure history of an email that has no account, if any
+  async getEmailThrottle(email) {
+    return await LoginThrottle.findOne({ email: String(email).toLowerCase() });
+  }
+
+  // Count a login attempt for an email that has no account, throttling and
+  // locking it like an account so responses do not reveal which emails
+  // are registered. Returns { failedAttempts, lockedUntil }.
+  async recordUnknownEmailFailure(email, throttle, now = new Date()) {
+    const expiresAt = new Date(
+      now.getTime() + this.failureWindowMs + this.lockoutMaxMs
+    );
+    const record = () =>
+      this.countFailure(
+        LoginThrottle,
+        { email: String(email).toLowerCase() },
+        throttle?.loginSecurity,
+        now,
+        { upsert: true, set: { expiresAt } }
+      );
+
+    try {
+      const { failedAttempts, lockedUntil } = await record();
+      return { failedAttempts, lockedUntil };
+    } catch (error) {
+      // A concurrent attempt created the record first
+      if (error.code !== 11000) throw error;
+      const { failedAttempts, lockedUntil } = await record();
+      return { failedAttempts, lockedUntil };
+    }
+  }
+
+  // A successful login clears the failure history
+  async recordSuccess(user) {
+    const { failedAttempts, lockedUntil, lockoutCount } =
+      user.loginSecurity || {};
+    if (!failedAttempts && !lockedUntil && !lockoutCount) return;
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "loginSecurity.failedAttempts": 0,
+          "loginSecurity.lockoutCount": 0,
+        },
+        $unset: {
+          "loginSecurity.lastFailedAt": 1,
+          "loginSecurity.lockedUntil": 1,
+        },
+      }
+    );
+  }
+
+  async unlock(userId, adminId) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: {
+          "loginSecurity.failedAttempts": 0,
+          "loginSecurity.lockoutCount": 0,
+        },
+        $unset: {
+          "loginSecurity.lastFailedAt": 1,
+          "loginSecurity.lockedUntil": 1,
+        },
+      },
+      { new: true }
+    ).select("-password");
+
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    logger.info(`Account ${userId} unlocked by admin ${adminId}`);
+    return user;
+  }
+
+  // Record a login attempt; never fails the login itself
+  async audit(
+    req,
+    { user, email, outcome, provider, failedAttempts, lockedUntil }
+  ) {
+    try {
+      await LoginAudit.create({
+        user: user ? user._id : undefined,
+        email,
+        outcome,
+        provider,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        failedAttempts,
+        lockedUntil,
+      });
+    } catch (error) {
+      logger.error("Failed to record login audit:", error);
+    }
+  }
+
+  async listAudits({ user, email, outcome, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (user) filter.user = user;
+    if (email) filter.email = email.toLowerCase();
+    if (outcome) filter.outcome = outcome;
+
+    const [audits, total] = await Promise.all([
+      LoginAudit.find(filter)
+        .populate("user", "name email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LoginAudit.countDocuments(filter),
+    ]);
+
+    return {
+      audits,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = new LoginSecurityService();
@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User.model");
+const settingsService = require("./settings.service");
+const GoogleProvider = require("./oauth/google.provider");
+const LinkedInProvider = require("./oauth/linkedin.provider");
+const MockProvider = require("./oauth/mock.provider");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const PROVIDERS = {
+  google: GoogleProvider,
+  linkedin: LinkedInProvider,
+  mock: MockProvider,
+};
+
+// Profile fields copied from the provider when they are still empty
+const PREFILL_FIELDS = ["name", "currentJobTitle", "location"];
+const PREFILL_MAX_LENGTH = 100;
+
+class OAuthService {
+  constructor() {
+    // Only providers with credentials (or the mock, when enabled)
+    this.providers = Object.keys(PROVIDERS).reduce((providers, name) => {
+      const provider = new PROVIDERS[name]();
+      if (provider.isConfigured()) providers[name] = provider;
+      return providers;
+    }, {});
+
+    this.redirectBaseUrl =
+      process.env.OAUTH_REDIRECT_BASE_URL ||
+      `${process.env.FRONTEND_URL}/oauth/callback`;
+    this.stateExpiry = process.env.OAUTH_STATE_EXPIRE || "10m";
+  }
+
+  listProviders() {
+    return Object.keys(this.providers);
+  }
+
+  getProvider(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new AppError(`Sign-in with ${name} is not available`, 404);
+    }
+    return provider;
+  }
+
+  getRedirectUri(providerName) {
+    return `${this.redirectBaseUrl}/${providerName}`;
+  }
+
+  // State tokens are signed with a key derived from the JWT secret so
+  // they can never pass as access tokens
+  getStateSecret() {
+    return crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update("oauth-state")
+      .digest("hex");
+  }
+
+  // Start a sign-in: the client sends the browser to `url` and keeps
+  // `state` to compare with the one the provider sends back
+  createAuthorization(providerName) {
+    const provider = this.getProvider(providerName);
+    const state = jwt.sign(
+      {
+        provider: providerName,
+        nonce: crypto.randomBytes(16).toString("hex"),
+      },
+      this.getStateSecret(),
+      { expiresIn: this.stateExpiry }
+    );
+
+    return {
+      url: provider.getAuthorizationUrl({
+        state,
+        redirectUri: this.getRedirectUri(providerName),
+      }),
+      state,
+    };
+  }
+
+  // Finish a sign-in: check the state, read the provider profile and
+  // find, link or create the matching user
+  async handleCallback(providerName, { code, state }) {
+    const provider = this.getProvider(providerName);
+
+    let decoded;
+    try {
+      decoded = jwt.verify(state, this.getStateSecret());
+    } catch (error) {
+      throw new AppError("Invalid or expired sign-in state", 400);
+    }
+    if (decoded.provider !== providerName) {
+      throw new AppError("Invalid or expired sign-in state", 400);
+    }
+
+    const profile = await provider.exchangeCode({
+      code,
+      redirectUri: this.getRedirectUri(providerName),
+    });
+    if (!profile.providerId || !profile.email) {
+      throw new AppError(
+        `Your ${providerName} account did not share an email address`,
+        400
+      );
+    }
+
+    return await this.resolveUser(providerName, profile);
+  }
+
+  // Returns { user, created, linked }
+  async resolveUser(providerName, profile) {
+    const email = profile.email.toLowerCase();
+
+    const linkedUser = await User.findOne({
+      oauthAccounts: {
+        $elemMatch: { provider: providerName, providerId: profile.providerId },
+      },
+    });
+    if (linkedUser) {
+      return { user: linkedUser, created: false, linked: false };
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      // Linking on an unverified address would let anyone who can create
+      // a provider account with this email take over the user
+      if (!profile.emailVerified) {
+        throw new AppError(
+          `An account with this email already exists. Sign in with your password first, or verify the email with ${providerName}.`,
+          409
+        );
+      }
+
+      this.applyProfile(existingUser, profile);
+      existingUser.oauthAccounts.push({
+        provider: providerName,
+        providerId: profile.providerId,
+        email,
+      });
+      if (!existingUser.isEmailVerified) {
+        existingUser.isEmailVerified = true;
+        existingUser.emailVerifiedAt = new Date();
+      }
+      await existingUser.save();
+
+      logger.info(`Linked ${providerName} sign-in to user ${existingUser._id}`);
+      return { user: existingUser, created: false, linked: true };
+    }
+
+    const registrationEnabled = await settingsService.get(
+      "system.registrationEnabled"
+    );
+    if (!registrationEnabled) {
+      throw new AppError(
+        "Registration is currently disabled. Please try again later.",
+        403
+      );
+    }
+
+    const user = new User({
+      email,
+      oauthAccounts: [
+        { provider: providerName, providerId: profile.providerId, email },
+      ],
+      isEmailVerified: profile.emailVerified,
+      emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+      emailVerificationToken: profile.emailVerified
+        ? undefined
+        : crypto.randomBytes(32).toString("hex"),
+    });
+    this.applyProfile(user, profile);
+    if (!user.name) user.name = email.split("@")[0];
+    await user.save();
+
+    logger.info(`User ${user._id} registered with ${providerName}`);
+    return { user, created: true, linked: false };
+  }
+
+  // Pre-fill profile fields the user has not set yet
+  applyProfile(user, profile) {
+    PREFILL_FIELDS.forEach((field) => {
+      if (!user[field] && profile[field]) {
+        user[field] = String(profile[field]).slice(0, PREFILL_MAX_LENGTH);
+      }
+    });
+  }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,16 @@
+const OidcProvider = require("./oidc.provider");
+
+class GoogleProvider extends OidcProvider {
+  constructor() {
+    super({
+      name: "google",
+      authorizationUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+      tokenUrl: "https://oauth2.googleapis.com/token",
+      userInfoUrl: "https://openidconnect.googleapis.com/v1/userinfo",
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    });
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,30 @@
+const OidcProvider = require("./oidc.provider");
+
+// Sign In with LinkedIn using OpenID Connect
+class LinkedInProvider extends OidcProvider {
+  constructor() {
+    super({
+      name: "linkedin",
+      authorizationUrl: "https://www.linkedin.com/oauth/v2/authorization",
+      tokenUrl: "https://www.linkedin.com/oauth/v2/accessToken",
+      userInfoUrl: "https://api.linkedin.com/v2/userinfo",
+      clientId: process.env.LINKEDIN_CLIENT_ID,
+      clientSecret: process.env.LINKEDIN_CLIENT_SECRET,
+    });
+  }
+
+  toProfile(claims) {
+    const profile = super.toProfile(claims);
+
+    // The headline needs full profile access; the locale carries the
+    // member's country
+    if (claims.headline) profile.currentJobTitle = claims.headline;
+    if (claims.locale && claims.locale.country) {
+      profile.location = claims.locale.country;
+    }
+
+    return profile;
+  }
+}
+
+module.exports = LinkedInProvider;
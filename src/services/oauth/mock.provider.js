@@ -0,0 +1,68 @@
+const jwt = require("jsonwebtoken");
+const { AppError } = require("../../middleware/error.middleware");
+
+// Local stand-in identity provider. Its authorize endpoint signs the
+// requested profile into the authorization code, so the callback runs
+// exactly as it does with a real provider. Anyone can sign in as anyone
+// through it, so it only exists with MOCK_OAUTH_ENABLED=true.
+class MockProvider {
+  constructor() {
+    this.name = "mock";
+    this.enabled = process.env.MOCK_OAUTH_ENABLED === "true";
+    this.secret = process.env.MOCK_OAUTH_SECRET;
+    this.authorizationUrl = `${
+      process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+    }/api/${process.env.API_VERSION || "v1"}/auth/oauth/mock/authorize`;
+
+    if (this.enabled && !this.secret) {
+      throw new Error(
+        "MOCK_OAUTH_SECRET is required when MOCK_OAUTH_ENABLED is true"
+      );
+    }
+  }
+
+  isConfigured() {
+    return this.enabled;
+  }
+
+  getAuthorizationUrl({ state, redirectUri }) {
+    const params = new URLSearchParams({ state, redirect_uri: redirectUri });
+    return `${this.authorizationUrl}?${params.toString()}`;
+  }
+
+  // Authorization code carrying the profile the stand-in IdP "signed in"
+  issueCode({ email, name, currentJobTitle, location, emailVerified = true }) {
+    return jwt.sign(
+      {
+        sub: `mock_${email}`,
+        email,
+        email_verified: emailVerified,
+        name,
+        currentJobTitle,
+        location,
+      },
+      this.secret,
+      { expiresIn: "5m" }
+    );
+  }
+
+  async exchangeCode({ code }) {
+    let claims;
+    try {
+      claims = jwt.verify(code, this.secret);
+    } catch (error) {
+      throw new AppError("mock sign-in failed: invalid code", 502);
+    }
+
+    return {
+      providerId: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true,
+      name: claims.name,
+      currentJobTitle: claims.currentJobTitle,
+      location: claims.location,
+    };
+  }
+}
+
+module.exports = MockProvider;
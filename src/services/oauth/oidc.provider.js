@@ -0,0 +1,90 @@
+const axios = require("axios");
+const { AppError } = require("../../middleware/error.middleware");
+
+// OAuth 2.0 authorization code flow against an OpenID Connect provider.
+// Providers supply their endpoints and may map extra profile claims.
+class OidcProvider {
+  constructor({
+    name,
+    authorizationUrl,
+    tokenUrl,
+    userInfoUrl,
+    clientId,
+    clientSecret,
+    scope = "openid email profile",
+  }) {
+    this.name = name;
+    this.authorizationUrl = authorizationUrl;
+    this.tokenUrl = tokenUrl;
+    this.userInfoUrl = userInfoUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = scope;
+    this.client = axios.create({ timeout: 15000 });
+  }
+
+  isConfigured() {
+    return !!(this.clientId && this.clientSecret);
+  }
+
+  // URL the browser is sent to so the user can sign in with the provider
+  getAuthorizationUrl({ state, redirectUri }) {
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scope,
+      state,
+    });
+
+    return `${this.authorizationUrl}?${params.toString()}`;
+  }
+
+  // Swap the authorization code for tokens and read the user's profile
+  async exchangeCode({ code, redirectUri }) {
+    try {
+      const tokenResponse = await this.client.post(
+        this.tokenUrl,
+        new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: redirectUri,
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+        }).toString(),
+        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+      );
+
+      const userInfoResponse = await this.client.get(this.userInfoUrl, {
+        headers: {
+          Authorization: `Bearer ${tokenResponse.data.access_token}`,
+        },
+      });
+
+      return this.toProfile(userInfoResponse.data);
+    } catch (error) {
+      const message =
+        error.response?.data?.error_description ||
+        error.response?.data?.error ||
+        error.message;
+      throw new AppError(`${this.name} sign-in failed: ${message}`, 502);
+    }
+  }
+
+  // Map standard OIDC claims to the profile used for sign-in
+  toProfile(claims) {
+    return {
+      providerId: String(claims.sub),
+      email: claims.email,
+      emailVerified:
+        claims.email_verified === true || claims.email_verified === "true",
+      name:
+        claims.name ||
+        [claims.given_name, claims.family_name].filter(Boolean).join(" "),
+      currentJobTitle: undefined,
+      location: undefined,
+    };
+  }
+}
+
+module.exports = OidcProvider;
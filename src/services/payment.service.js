@@ -0,0 +1,427 @@
+const Payment = require("../models/Payment.model");
+const User = require("../models/User.model");
+const subscriptionService = require("./subscription.service");
+const invoiceService = require("./invoice.service");
+const settingsService = require("./settings.service");
+const planService = require("./plan.service");
+const couponService = require("./coupon.service");
+const StripeGateway = require("./gateways/stripe.gateway");
+const MockGateway = require("./gateways/mock.gateway");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const GATEWAYS = {
+  stripe: StripeGateway,
+  mock: MockGateway,
+};
+
+class PaymentService {
+  constructor() {
+    // The mock gateway settles checkouts on request, so it is never a
+    // default; it has to be chosen explicitly
+    const name = process.env.PAYMENT_GATEWAY || "stripe";
+    const Gateway = GATEWAYS[name];
+
+    if (!Gateway) {
+      throw new Error(`Unknown PAYMENT_GATEWAY: ${name}`);
+    }
+
+    this.gateway = new Gateway();
+  }
+
+  // Price a checkout. An upgrade quote replaces the list price with the
+  // prorated charge; a coupon is taken off before tax.
+  async quoteCheckout(user, planId, { upgradeQuote = null, couponCode } = {}) {
+    const plan = await planService.getPurchasablePlan(planId);
+    const { billing } = await settingsService.getSettings();
+
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      if (upgradeQuote) {
+        throw new AppError("Coupons cannot be applied to upgrades", 400);
+      }
+      ({ coupon, discount } = await couponService.validate(
+        couponCode,
+        user,
+        plan
+      ));
+    }
+
+    const listPrice = upgradeQuote ? upgradeQuote.charge : plan.price;
+    const subtotal = Math.round((listPrice - discount) * 100) / 100;
+
+    // Tax-exclusive pricing adds tax on top of the plan price
+    const amount =
+      billing.taxInclusive || !billing.taxRate
+        ? subtotal
+        : Math.round(subtotal * (100 + billing.taxRate)) / 100;
+
+    return { plan, billing, coupon, listPrice, discount, subtotal, amount };
+  }
+
+  // Create a pending payment and a hosted checkout session for it
+  async createCheckoutSession(user, planId, options = {}) {
+    const { upgradeQuote = null } = options;
+    const { plan, billing, coupon, discount, amount } =
+      await this.quoteCheckout(user, planId, options);
+
+    const payment = await Payment.create({
+      user: user._id,
+      plan: plan.id,
+      amount,
+      currency: plan.currency,
+      coupon: coupon
+        ? { coupon: coupon._id, code: coupon.code, discount }
+        : undefined,
+      tax: {
+        name: billing.taxName,
+        rate: billing.taxRate,
+        inclusive: billing.taxInclusive,
+      },
+      gateway: this.gateway.name,
+      kind: upgradeQuote ? "upgrade" : "purchase",
+      proration: upgradeQuote
+        ? {
+            fromPlan: upgradeQuote.fromPlan,
+            remainingFraction: upgradeQuote.remainingFraction,
+            credit: upgradeQuote.credit,
+            periodEnd: upgradeQuote.periodEnd,
+          }
+        : undefined,
+    });
+
+    try {
+      if (coupon) {
+        await couponService.reserve(coupon, payment, discount);
+      }
+
+      const session = await this.gateway.createCheckoutSession({
+        paymentId: payment._id.toString(),
+        amount: payment.amount,
+        currency: payment.currency,
+        description: upgradeQuote ? `${plan.name} (upgrade)` : plan.name,
+        customerEmail: user.email,
+        successUrl: `${process.env.FRONTEND_URL}/payment/success?payment_id=${payment._id}`,
+        cancelUrl: `${process.env.FRONTEND_URL}/payment/cancel?payment_id=${payment._id}`,
+      });
+
+      payment.gatewaySessionId = session.id;
+      payment.checkoutUrl = session.url;
+      await payment.save();
+
+      logger.info(
+        `Checkout session ${session.id} created for user ${user._id} (${plan.id})`
+      );
+
+      return payment;
+    } catch (error) {
+      payment.status = "failed";
+      payment.failureReason = error.message;
+      payment.failedAt = new Date();
+      await payment.save();
+      await couponService.release(payment);
+      throw error;
+    }
+  }
+
+  // Verify and apply a webhook delivered by the gateway
+  async handleWebhook(rawBody, headers) {
+    const event = this.gateway.parseWebhookEvent(rawBody, headers);
+
+    switch (event.type) {
+      case "checkout.completed":
+        return await this.completeCheckout(event);
+      case "checkout.failed":
+        return await this.failCheckout(event, "failed");
+      case "checkout.expired":
+        return await this.failCheckout(event, "expired");
+      default:
+        logger.info(`Ignoring ${this.gateway.name} event ${event.rawType}`);
+        return { handled: false };
+    }
+  }
+
+  async findPaymentForEvent(event) {
+    const payment = await Payment.findOne({
+      gateway: this.gateway.name,
+      gatewaySessionId: event.sessionId,
+    });
+
+    if (!payment) {
+      logger.warn(
+        `Webhook ${event.id} references unknown session ${event.sessionId}`
+      );
+    }
+
+    return payment;
+  }
+
+  // Mark the payment completed and activate the plan.
+  // This is the only place a user's payment is marked as completed.
+  async completeCheckout(event) {
+    const payment = await this.findPaymentForEvent(event);
+    if (!payment) return { handled: false };
+
+    if (
+      event.amount !== payment.amount ||
+      event.currency !== payment.currency
+    ) {
+      logger.error(
+        `Webhook ${event.id} amount mismatch for payment ${payment._id}: expected ${payment.amount} ${payment.currency}, got ${event.amount} ${event.currency}`
+      );
+      await this.failCheckout(event, "failed", "Amount mismatch");
+      return { handled: false };
+    }
+
+    // Only the first delivery of the event moves the payment forward
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "pending" },
+      {
+        $set: {
+          status: "completed",
+          transactionId: event.transactionId,
+          lastEventId: event.id,
+          completedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      logger.info(`Payment ${payment._id} already settled, skipping`);
+      return { handled: true, duplicate: true };
+    }
+
+    let user;
+    try {
+      user = await this.grantPayment(claimed);
+    } catch (error) {
+      // Put the payment back so the gateway's retry grants the plan,
+      // instead of finding it settled and skipping it
+      await Payment.updateOne(
+        { _id: claimed._id, status: "completed", lastEventId: event.id },
+        {
+          $set: { status: "pending" },
+          $unset: { transactionId: "", completedAt: "" },
+        }
+      );
+      throw error;
+    }
+
+    // The payment stands even if the invoice cannot be issued right now;
+    // the subscription lifecycle job issues it on its next run
+    try {
+      await invoiceService.createForPayment(claimed);
+    } catch (error) {
+      logger.error(
+        `Failed to issue invoice for payment ${claimed._id}:`,
+        error
+      );
+    }
+
+    logger.info(`Payment completed for user ${user._id}`, {
+      userId: user._id,
+      plan: claimed.plan,
+      amount: claimed.amount,
+      transactionId: claimed.transactionId,
+    });
+
+    return { handled: true, payment: claimed };
+  }
+
+  // Give the user what a completed payment paid for. Every step can be
+  // run again for the same payment without granting twice.
+  async grantPayment(payment) {
+    const user = await User.findById(payment.user);
+    if (!user) {
+      throw new Error(
+        `User ${payment.user} for payment ${payment._id} not found`
+      );
+    }
+
+    const plan = await planService.getPlan(payment.plan);
+    await user.markPaymentCompleted(plan, {
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentMethod: payment.gateway,
+      transactionId: payment.transactionId,
+    });
+
+    // Explicitly ensure onboarding completed status is preserved
+    if (!user.onboardingCompleted) {
+      user.onboardingCompleted = true;
+      user.onboardingStep = "completed";
+      await user.save();
+    }
+
+    await subscriptionService.activateFromPayment(payment);
+
+    if (payment.coupon?.code) {
+      await couponService.confirm(payment);
+    }
+
+    return user;
+  }
+
+  async failCheckout(event, status, reason = undefined) {
+    const payment = await this.findPaymentForEvent(event);
+    if (!payment) return { handled: false };
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "pending" },
+      {
+        $set: {
+          status,
+          failureReason: reason || event.rawType,
+          lastEventId: event.id,
+          failedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      logger.warn(`Payment ${payment._id} marked ${status}`);
+
+      if (updated.coupon?.code) {
+        await couponService.release(updated);
+      }
+    }
+
+    return { handled: !!updated, payment: updated };
+  }
+
+  // Refund all or part of a completed payment (admin action).
+  // A partial refund is a goodwill credit: the plan, its period and the
+  // application quota stay as they are. Access is taken back only once
+  // the refunds add up to the whole payment.
+  async refundPayment(paymentId, { amount, reason } = {}, adminId) {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      throw new AppError("Payment not found", 404);
+    }
+    if (!["completed", "partially_refunded"].includes(payment.status)) {
+      throw new AppError(`Cannot refund a ${payment.status} payment`, 400);
+    }
+
+    const refundable =
+      Math.round((payment.amount - payment.amountRefunded) * 100) / 100;
+    const refundAmount =
+      amount != null ? Math.round(amount * 100) / 100 : refundable;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new AppError(
+        `Refund amount must be between 0 and ${refundable} ${payment.currency}`,
+        400
+      );
+    }
+
+    // Reserve the amount so concurrent refunds cannot exceed the payment
+    const reserved = await Payment.findOneAndUpdate(
+      { _id: payment._id, amountRefunded: payment.amountRefunded },
+      { $inc: { amountRefunded: refundAmount } },
+      { new: true }
+    );
+
+    if (!reserved) {
+      throw new AppError(
+        "Payment was refunded concurrently. Reload and try again.",
+        409
+      );
+    }
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await this.gateway.refund({
+        transactionId: payment.transactionId,
+        amount: refundAmount,
+        paymentId: payment._id.toString(),
+        refundKey: `refund_${payment._id}_${payment.refunds.length + 1}`,
+      });
+    } catch (error) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $inc: { amountRefunded: -refundAmount } }
+      );
+      throw error;
+    }
+
+    const fullyRefunded = reserved.amountRefunded >= payment.amount;
+    const refund = {
+      amount: refundAmount,
+      reason,
+      gatewayRefundId: gatewayRefund.id,
+      refundedBy: adminId,
+      refundedAt: new Date(),
+    };
+
+    const updated = await Payment.findByIdAndUpdate(
+      payment._id,
+      {
+        $set: { status: fullyRefunded ? "refunded" : "partially_refunded" },
+        $push: { refunds: refund },
+      },
+      { new: true }
+    );
+
+    await User.updateOne(
+      {
+        _id: payment.user,
+        "paymentHistory.transactionId": payment.transactionId,
+      },
+      {
+        $inc: { "paymentHistory.$.refundedAmount": refundAmount },
+        $set: {
+          "paymentHistory.$.refundedAt": refund.refundedAt,
+          ...(fullyRefunded && { "paymentHistory.$.status": "refunded" }),
+        },
+      }
+    );
+
+    await invoiceService.recordRefund(updated, refund);
+
+    // Partial refunds leave access alone (see above)
+    const accessChange = fullyRefunded
+      ? await subscriptionService.handleRefundedPayment(updated, adminId)
+      : "none";
+
+    logger.info(
+      `Refunded ${refundAmount} ${payment.currency} of payment ${payment._id} by admin ${adminId}`,
+      { accessChange, gatewayRefundId: gatewayRefund.id }
+    );
+
+    return { payment: updated, refund, accessChange };
+  }
+
+  // Find one of a user's payments by id, session id or transaction id
+  async findUserPayment(userId, reference) {
+    const conditions = [
+      { gatewaySessionId: reference },
+      { transactionId: reference },
+    ];
+
+    if (/^[0-9a-fA-F]{24}$/.test(reference)) {
+      conditions.push({ _id: reference });
+    }
+
+    return await Payment.findOne({ user: userId, $or: conditions });
+  }
+
+  // Drive a mock checkout to an outcome through the signed webhook path
+  async settleMockCheckout(payment, outcome) {
+    if (this.gateway.name !== "mock") {
+      throw new AppError("Mock checkout is not available", 404);
+    }
+
+    const { rawBody, headers } = this.gateway.buildWebhookRequest(
+      payment,
+      outcome
+    );
+
+    return await this.handleWebhook(rawBody, headers);
+  }
+}
+
+module.exports = new PaymentService();
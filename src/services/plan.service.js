@@ -0,0 +1,199 @@
+const Plan = require("../models/Plan.model");
+const User = require("../models/User.model");
+const cacheService = require("./cache.service");
+const { AppError } = require("../middleware/error.middleware");
+const { DEFAULT_PLANS } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+// Fields admins may set on a plan (the id is fixed at creation)
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "tier",
+  "price",
+  "currency",
+  "period",
+  "features",
+  "entitlements",
+  "limits",
+  "recommended",
+  "isActive",
+];
+
+class PlanService {
+  // All plans ordered by tier, seeding the defaults on first use (cached,
+  // as plans are read on every checkout, quota check and plan-gated route)
+  async getCatalogue() {
+    return cacheService.wrap(
+      cacheService.keys.plans(),
+      cacheService.ttl.plans,
+      async () => {
+        const seeded = await Plan.seedDefaults(Object.values(DEFAULT_PLANS));
+        if (seeded > 0) {
+          logger.info(`Seeded plan catalogue with ${seeded} default plans`);
+        }
+
+        const plans = await Plan.find().sort({ tier: 1, price: 1 });
+        return plans.map((plan) => this.toPlan(plan));
+      }
+    );
+  }
+
+  // Drop the cached copy so the next read hits the database
+  async invalidate() {
+    await cacheService.del(cacheService.keys.plans());
+  }
+
+  async getPlans({ includeInactive = false } = {}) {
+    const plans = await this.getCatalogue();
+    return includeInactive ? plans : plans.filter((plan) => plan.isActive);
+  }
+
+  // Look up any plan, including retired ones existing subscribers are on
+  async getPlan(planId) {
+    const plans = await this.getCatalogue();
+    return plans.find((plan) => plan.id === planId) || null;
+  }
+
+  // Look up a plan that can be bought; the client never supplies amounts
+  async getPurchasablePlan(planId) {
+    const plan = await this.getPlan(planId);
+    if (!plan || !plan.isActive) {
+      throw new AppError("Invalid plan selected", 400);
+    }
+    return plan;
+  }
+
+  async getPlanName(planId) {
+    const plan = await this.getPlan(planId);
+    return plan ? plan.name : planId;
+  }
+
+  async createPlan(data, adminId) {
+    const { id, ...fields } = data;
+
+    try {
+      const plan = await Plan.create({
+        _id: id,
+        ...this.pickEditable(fields),
+        createdBy: adminId,
+        updatedBy: adminId,
+      });
+
+      await this.invalidate();
+      logger.info(`Plan ${plan._id} created by admin ${adminId}`);
+
+      return this.toPlan(plan);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`Plan '${id}' already exists`, 409);
+      }
+      throw error;
+    }
+  }
+
+  async updatePlan(planId, updates, adminId) {
+    const $set = { updatedBy: adminId };
+    const fields = this.pickEditable(updates);
+
+    if (fields.isActive === false) {
+      const activePlans = await this.getPlans();
+      if (activePlans.every((plan) => plan.id === planId)) {
+        throw new AppError("At least one plan must remain available", 400);
+      }
+    }
+
+    // Nested groups are merged so a partial update keeps the other keys
+    Object.keys(fields).forEach((field) => {
+      if (["entitlements", "limits"].includes(field)) {
+        Object.keys(fields[field] || {}).forEach((key) => {
+          $set[`${field}.${key}`] = fields[field][key];
+        });
+      } else {
+        $set[field] = fields[field];
+      }
+    });
+
+    const plan = await Plan.findByIdAndUpdate(
+      planId,
+      { $set },
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      throw new AppError("Plan not found", 404);
+    }
+
+    await this.invalidate();
+
+    // Subscribers pick up entitlement changes straight away
+    if (fields.entitlements) {
+      await this.syncEntitlements(plan);
+    }
+
+    logger.info(`Plan ${planId} updated by admin ${adminId}`, {
+      fields: Object.keys(fields),
+    });
+
+    return this.toPlan(plan);
+  }
+
+  // Retire a plan; it stays in the catalogue for existing subscribers
+  async deactivatePlan(planId, adminId) {
+    return await this.updatePlan(planId, { isActive: false }, adminId);
+  }
+
+  // Copy a plan's entitlements onto every paying user on it
+  async syncEntitlements(plan) {
+    const result = await User.updateMany(
+      { "package.type": plan._id, paymentCompleted: true },
+      {
+        $set: {
+          "package.features": {
+            autoApply: plan.entitlements.autoApply,
+            prioritySupport: plan.entitlements.prioritySupport,
+            advancedFilters: plan.entitlements.advancedFilters,
+          },
+        },
+      }
+    );
+
+    logger.info(
+      `Entitlements for plan ${plan._id} applied to ${result.modifiedCount} users`
+    );
+  }
+
+  pickEditable(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+
+  // Shape returned to callers and the pricing page
+  toPlan(doc) {
+    return {
+      id: doc._id,
+      name: doc.name,
+      description: doc.description,
+      tier: doc.tier,
+      price: doc.price,
+      currency: doc.currency,
+      period: doc.period,
+      features: doc.features,
+      entitlements: {
+        autoApply: doc.entitlements.autoApply,
+        prioritySupport: doc.entitlements.prioritySupport,
+        advancedFilters: doc.entitlements.advancedFilters,
+      },
+      limits: {
+        applicationsPerMonth: doc.limits.applicationsPerMonth ?? null,
+        scrapingCadence: doc.limits.scrapingCadence,
+      },
+      recommended: doc.recommended,
+      isActive: doc.isActive,
+    };
+  }
+}
+
+module.exports = new PlanService();
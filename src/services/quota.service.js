@@ -0,0 +1,212 @@
+const moment = require("moment");
+const User = require("../models/User.model");
+const Application = require("../models/Application.model");
+const planService = require("./plan.service");
+const settingsService = require("./settings.service");
+const logger = require("../utils/logger");
+
+class QuotaService {
+  // Monthly application limit for the user's plan (null = unlimited)
+  async getMonthlyLimit(user) {
+    const plan = await planService.getPlan(
+      user.package?.type || user.selectedPlan
+    );
+    return plan?.limits?.applicationsPerMonth ?? null;
+  }
+
+  // Monthly window containing `now`, counted from the billing anniversary
+  getWindow(user, now = new Date()) {
+    const anchor = moment(
+      user.package?.startDate || user.paymentCompletedAt || user.createdAt
+    );
+
+    const monthsFrom = (months) => anchor.clone().add(months, "months");
+
+    let months = moment(now).diff(anchor, "months");
+    if (monthsFrom(months).isAfter(now)) months--;
+    if (!monthsFrom(months + 1).isAfter(now)) months++;
+
+    return {
+      periodStart: monthsFrom(months).toDate(),
+      resetAt: monthsFrom(months + 1).toDate(),
+    };
+  }
+
+  // Move the user to the current window if the last one has ended
+  async ensureCurrentWindow(user, now = new Date()) {
+    if (user.usage?.resetAt && user.usage.resetAt > now) {
+      return user;
+    }
+
+    const { periodStart, resetAt } = this.getWindow(user, now);
+    if (await user.resetMonthlyUsage(periodStart, resetAt)) {
+      logger.info(
+        `Monthly usage reset for user ${user._id}, next reset ${resetAt.toISOString()}`
+      );
+      return user;
+    }
+
+    // Another request moved the window first
+    return await User.findById(user._id);
+  }
+
+  buildQuota(limit, used, resetAt) {
+    return {
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(limit - used, 0),
+      resetAt,
+    };
+  }
+
+  // Current quota without reserving anything
+  async getStatus(user, now = new Date()) {
+    const limit = await this.getMonthlyLimit(user);
+    const windowEnded = !user.usage?.resetAt || user.usage.resetAt <= now;
+    const resetAt = windowEnded
+      ? this.getWindow(user, now).resetAt
+      : user.usage.resetAt;
+
+    return this.buildQuota(
+      limit,
+      windowEnded ? 0 : user.usage.jobsAppliedThisMonth,
+      resetAt
+    );
+  }
+
+  // Check the site-wide daily application limit (0 disables it) before a
+  // new application, and pick the status it starts in.
+  // Returns { allowed, statusCode, message, status }.
+  async checkDailyLimit(userId) {
+    const { maxApplicationsPerDay, requireAdminReview } = (
+      await settingsService.getSettings()
+    ).applications;
+
+    if (maxApplicationsPerDay > 0) {
+      const appliedToday = await Application.countCreatedToday(userId);
+      if (appliedToday >= maxApplicationsPerDay) {
+        return {
+          allowed: false,
+          statusCode: 429,
+          message: `Daily application limit of ${maxApplicationsPerDay} reached. Please try again tomorrow.`,
+        };
+      }
+    }
+
+    return {
+      allowed: true,
+      status: requireAdminReview ? "pending_review" : "approved",
+    };
+  }
+
+  // Atomically take one application from the user's monthly quota.
+  // Returns { allowed, statusCode, message, quota }.
+  async reserve(userOrId, now = new Date()) {
+    let user =
+      userOrId instanceof User ? userOrId : await User.findById(userOrId);
+
+    if (!user) {
+      return { allowed: false, statusCode: 404, message: "User not found" };
+    }
+
+    // Admins are not metered
+    if (user.userType === "admin") {
+      return { allowed: true, quota: null };
+    }
+
+    if (!user.paymentCompleted) {
+      return {
+        allowed: false,
+        statusCode: 402,
+        message:
+          "An active plan is required to apply to jobs. Please complete your payment to continue.",
+      };
+    }
+
+    user = await this.ensureCurrentWindow(user, now);
+    const limit = await this.getMonthlyLimit(user);
+
+    const filter = { _id: user._id };
+    if (limit !== null) {
+      filter["usage.jobsAppliedThisMonth"] = { $lt: limit };
+    }
+
+    const updated = await User.findOneAndUpdate(
+      filter,
+      {
+        $inc: {
+          "usage.jobsAppliedThisMonth": 1,
+          "usage.totalJobsApplied": 1,
+        },
+      },
+      { new: true, projection: { usage: 1 } }
+    );
+
+    if (!updated) {
+      return {
+        allowed: false,
+        statusCode: 429,
+        message: `Monthly application limit of ${limit} reached. Your quota resets on ${moment(
+          user.usage.resetAt
+        ).format("MMMM D, YYYY")}.`,
+        quota: this.buildQuota(limit, limit, user.usage.resetAt),
+      };
+    }
+
+    return {
+      allowed: true,
+      quota: this.buildQuota(
+        limit,
+        updated.usage.jobsAppliedThisMonth,
+        updated.usage.resetAt
+      ),
+    };
+  }
+
+  // Give back a reservation when the application could not be created
+  async release(userId) {
+    await User.updateOne(
+      { _id: userId, "usage.jobsAppliedThisMonth": { $gt: 0 } },
+      {
+        $inc: {
+          "usage.jobsAppliedThisMonth": -1,
+          "usage.totalJobsApplied": -1,
+        },
+      }
+    );
+  }
+
+  // Expose the quota on the response
+  setHeaders(res, quota) {
+    if (!quota) return;
+
+    res.set({
+      "X-Quota-Limit": quota.limit === null ? "unlimited" : String(quota.limit),
+      "X-Quota-Remaining":
+        quota.remaining === null ? "unlimited" : String(quota.remaining),
+      "X-Quota-Reset": quota.resetAt ? quota.resetAt.toISOString() : "",
+    });
+  }
+
+  // Reset every user whose quota window has ended (daily job)
+  async resetDueUsage(now = new Date()) {
+    const users = await User.find({
+      userType: { $ne: "admin" },
+      "usage.resetAt": { $lte: now },
+    }).select("usage package.startDate paymentCompletedAt createdAt");
+
+    let reset = 0;
+    for (const user of users) {
+      try {
+        const { periodStart, resetAt } = this.getWindow(user, now);
+        if (await user.resetMonthlyUsage(periodStart, resetAt)) reset++;
+      } catch (error) {
+        logger.error(`Failed to reset usage for user ${user._id}:`, error);
+      }
+    }
+
+    return reset;
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,141 @@
+const axios = require("axios");
+const { v4: uuidv4 } = require("uuid");
+const {
+  SCRAPER_EVENTS,
+  SCRAPER_SIGNATURE_HEADER,
+} = require("../../utils/constants");
+const { signPayload } = require("../../utils/signature");
+const logger = require("../../utils/logger");
+
+const COMPANIES = ["Acme Corp", "Globex", "Initech", "Umbrella", "Hooli"];
+
+// Local stand-in for the Python scraping service. Sessions are accepted
+// straight away and reported back through the signed callback route
+// exactly like the real one: progress and a jobs batch per platform,
+// then a completion event.
+class FakeScraper {
+  constructor() {
+    this.name = "fake";
+    this.callbackSecret =
+      process.env.SCRAPER_CALLBACK_SECRET || "fake_scraper_callback_secret";
+    this.jobsPerPlatform =
+      parseInt(process.env.FAKE_SCRAPER_JOBS_PER_PLATFORM) || 5;
+    this.delayMs = parseInt(process.env.FAKE_SCRAPER_DELAY_MS) || 250;
+    this.cancelled = new Set();
+  }
+
+  async submit(payload) {
+    setTimeout(() => {
+      this.run(payload).catch((error) =>
+        logger.error(
+          `Fake scraper failed for session ${payload.sessionId}: ${error.message}`
+        )
+      );
+    }, this.delayMs);
+
+    return {
+      statusCode: 202,
+      requestId: `fake_req_${uuidv4().replace(/-/g, "")}`,
+    };
+  }
+
+  async cancel(sessionId) {
+    this.cancelled.add(sessionId);
+  }
+
+  async health() {
+    return { responseTime: 0, version: "fake" };
+  }
+
+  // Scrape every requested platform in turn, stopping early when the
+  // session is cancelled on either side
+  async run({ sessionId, searchCriteria, settings, callback }) {
+    const platforms = settings.platforms || [];
+    const perPlatform = Math.min(
+      this.jobsPerPlatform,
+      settings.maxJobsPerPlatform
+    );
+    let totalJobsFound = 0;
+
+    for (const platform of platforms) {
+      if (this.cancelled.delete(sessionId)) return;
+
+      const startedAt = Date.now();
+      const jobs = this.buildJobs(platform, searchCriteria, perPlatform);
+      totalJobsFound += jobs.length;
+
+      const ack = await this.send(callback.url, {
+        sessionId,
+        type: SCRAPER_EVENTS.JOBS,
+        data: { platform, jobs },
+      });
+      if (!ack.accepted) return;
+
+      await this.send(callback.url, {
+        sessionId,
+        type: SCRAPER_EVENTS.PROGRESS,
+        data: {
+          platform,
+          jobsFound: jobs.length,
+          errorCount: 0,
+          processingTime: Date.now() - startedAt,
+        },
+      });
+    }
+
+    await this.send(callback.url, {
+      sessionId,
+      type: SCRAPER_EVENTS.COMPLETED,
+      data: { totalJobsFound, errors: [] },
+    });
+  }
+
+  buildJobs(platform, searchCriteria, count) {
+    const title = searchCriteria.jobTitle || "Software Engineer";
+    const location = searchCriteria.location || "Remote";
+
+    return Array.from({ length: count }, (_, index) => ({
+      title,
+      company: COMPANIES[index % COMPANIES.length],
+      location,
+      workType: searchCriteria.workTypes?.[0] || "remote",
+      jobType: searchCriteria.jobTypes?.[0] || "full_time",
+      description: `${title} role at ${
+        COMPANIES[index % COMPANIES.length]
+      } found on ${platform}.`,
+      skills: (searchCriteria.skills || []).slice(0, 5),
+      applyUrl: `https://example.com/${platform}/jobs/${index + 1}`,
+      platform,
+      originalId: `${platform}-${index + 1}`,
+      postedDate: new Date().toISOString(),
+    }));
+  }
+
+  // Build a signed callback request, as the scraping service would send
+  buildCallbackRequest(event) {
+    const payload = JSON.stringify({
+      id: `fake_evt_${uuidv4().replace(/-/g, "")}`,
+      ...event,
+    });
+
+    return {
+      rawBody: Buffer.from(payload),
+      headers: {
+        [SCRAPER_SIGNATURE_HEADER]: signPayload(payload, this.callbackSecret),
+      },
+    };
+  }
+
+  async send(url, event) {
+    const { rawBody, headers } = this.buildCallbackRequest(event);
+
+    const response = await axios.post(url, rawBody, {
+      headers: { ...headers, "Content-Type": "application/json" },
+      timeout: 10000,
+    });
+
+    return response.data;
+  }
+}
+
+module.exports = FakeScraper;
@@ -0,0 +1,54 @@
+const axios = require("axios");
+
+// Client for the Python scraping service. A submitted session is only
+// acknowledged here; jobs, progress and the final outcome arrive later
+// on the signed callback route.
+class PythonScraper {
+  constructor() {
+    this.name = "python";
+    this.baseUrl = process.env.PYTHON_SCRAPER_URL || "http://localhost:8000";
+    this.apiKey = process.env.PYTHON_SCRAPER_API_KEY;
+    this.callbackSecret = process.env.SCRAPER_CALLBACK_SECRET;
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "X-API-Key": this.apiKey,
+    };
+  }
+
+  async submit(payload) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/scrape-jobs`,
+      payload,
+      { headers: this.getHeaders(), timeout: 15000 }
+    );
+
+    return {
+      statusCode: response.status,
+      requestId: response.data?.requestId,
+    };
+  }
+
+  async cancel(sessionId) {
+    await axios.post(
+      `${this.baseUrl}/api/cancel-scraping`,
+      { sessionId },
+      { headers: this.getHeaders(), timeout: 10000 }
+    );
+  }
+
+  async health() {
+    const response = await axios.get(`${this.baseUrl}/health`, {
+      timeout: 5000,
+    });
+
+    return {
+      responseTime: response.headers["x-response-time"],
+      version: response.data.version,
+    };
+  }
+}
+
+module.exports = PythonScraper;
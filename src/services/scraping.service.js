@@ -1,15 +1,62 @@
-const axios = require("axios");
+const EventEmitter = require("events");
 const User = require("../models/User.model");
-const Job = require("../models/Job.model");
 const ScrapingLog = require("../models/ScrapingLog.model");
 const { v4: uuidv4 } = require("uuid");
+const settingsService = require("./settings.service");
+const jobCatalogueService = require("./jobCatalogue.service");
+const scrapingQueue = require("../jobs/scrapingQueue");
+const PythonScraper = require("./scrapers/python.scraper");
+const FakeScraper = require("./scrapers/fake.scraper");
+const SourceRunner = require("./sources/sourceRunner");
+const { AppError } = require("../middleware/error.middleware");
+const { verifySignature } = require("../utils/signature");
+const {
+  SCRAPING_PLATFORMS,
+  SCRAPER_EVENTS,
+  SCRAPER_SIGNATURE_HEADER,
+  DUPLICATE_REASONS,
+} = require("../utils/constants");
 const logger = require("../utils/logger");
 
+// Session statuses after which nothing changes any more
+const FINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+const SCRAPERS = {
+  python: PythonScraper,
+  fake: FakeScraper,
+};
+
 class ScrapingService {
   constructor() {
-    this.pythonServiceUrl =
-      process.env.PYTHON_SCRAPER_URL || "http://localhost:8000";
-    this.apiKey = process.env.PYTHON_SCRAPER_API_KEY;
+    const name = process.env.SCRAPER_CLIENT || "python";
+    const Scraper = SCRAPERS[name];
+
+    if (!Scraper) {
+      throw new Error(`Unknown SCRAPER_CLIENT: ${name}`);
+    }
+
+    this.scraper = new Scraper();
+    // In-process job sources hand their events straight to the session
+    this.sourceRunner = new SourceRunner({
+      deliver: (event) => this.applyScraperEvent(event),
+    });
+    this.callbackUrl =
+      process.env.SCRAPER_CALLBACK_URL ||
+      `${
+        process.env.API_BASE_URL ||
+        `http://localhost:${process.env.PORT || 5000}`
+      }/api/${process.env.API_VERSION || "v1"}/scraping/callback`;
+
+    // Progress streams listen here for changes made by this instance
+    this.sessionEvents = new EventEmitter();
+    this.sessionEvents.setMaxListeners(0);
+    this.streamPollMs = parseInt(process.env.SCRAPING_STREAM_POLL_MS) || 3000;
+    this.streamTimeoutMs =
+      parseInt(process.env.SCRAPING_STREAM_TIMEOUT_MS) || 15 * 60 * 1000;
+  }
+
+  notifySessionChanged(sessionId) {
+    this.sessionEvents.emit(sessionId);
   }
 
   // Schedule job scraping for a user
@@ -36,6 +83,15 @@ class ScrapingService {
         return;
       }
 
+      // One session per user at a time
+      const activeTask = await scrapingQueue.getActiveTask(userId);
+      if (activeTask) {
+        logger.info(
+          `User ${userId} already has scraping session ${activeTask.sessionId} in progress`
+        );
+        return activeTask.sessionId;
+      }
+
       // Create scraping session
       const sessionId = uuidv4();
       const scrapingLog = new ScrapingLog({
@@ -47,8 +103,18 @@ class ScrapingService {
       });
       await scrapingLog.save();
 
-      // Start scraping process
-      this.performJobScraping(sessionId, user, scrapingLog);
+      // Hand the session to the durable queue
+      const { task, deduplicated } = await scrapingQueue.enqueue(
+        userId,
+        sessionId,
+        triggeredBy
+      );
+
+      if (deduplicated) {
+        // Lost a race with a concurrent request for the same user
+        await scrapingLog.deleteOne();
+        return task.sessionId;
+      }
 
       return sessionId;
     } catch (error) {
@@ -57,6 +123,59 @@ class ScrapingService {
     }
   }
 
+  // Queue job scraping after a profile change
+  async queueJobScraping(userId) {
+    return await this.scheduleJobScraping(userId, "user_profile_update");
+  }
+
+  // Run a queued scraping session (called by the scraping queue worker)
+  async runScrapingSession(sessionId) {
+    const scrapingLog = await ScrapingLog.findOne({ sessionId });
+    if (!scrapingLog) {
+      throw new Error(`Scraping session ${sessionId} not found`);
+    }
+
+    if (scrapingLog.status === "cancelled") {
+      logger.info(`Skipping cancelled scraping session ${sessionId}`);
+      return;
+    }
+
+    const user = await User.findById(scrapingLog.user);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    return await this.performJobScraping(sessionId, user, scrapingLog);
+  }
+
+  // Record a failed scraping attempt on the session log
+  async recordScrapingFailure(sessionId, error, willRetry = false) {
+    const scrapingLog = await ScrapingLog.findOne({ sessionId });
+    if (!scrapingLog || scrapingLog.status === "cancelled") {
+      return;
+    }
+
+    const errorDetails = {
+      errorType: "SCRAPING_ERROR",
+      errorMessage: error.message,
+      timestamp: new Date(),
+      stackTrace: error.stack,
+    };
+
+    if (willRetry) {
+      // Back to initiated until the queue picks it up again
+      scrapingLog.status = "initiated";
+      scrapingLog.errorDetails.push(errorDetails);
+      scrapingLog.results.errorCount =
+        (scrapingLog.results.errorCount || 0) + 1;
+      await scrapingLog.save();
+    } else {
+      await scrapingLog.markAsFailed(errorDetails);
+    }
+
+    this.notifySessionChanged(sessionId);
+  }
+
   // Check if user can scrape jobs based on package limits
   canUserScrapeJobs(user) {
     // Check package expiry
@@ -91,222 +210,433 @@ class ScrapingService {
     return criteria;
   }
 
-  // Perform actual job scraping
+  // Read the session's in-process job sources, then hand the remaining
+  // platforms to the scraping service and return "submitted". Results of
+  // the service arrive on the callback route; throws if the submission
+  // fails so the queue can retry. Returns "completed" when job sources
+  // cover every platform.
   async performJobScraping(sessionId, user, scrapingLog) {
-    try {
-      // Update status to in_progress
-      scrapingLog.status = "in_progress";
-      await scrapingLog.save();
+    // Update status to in_progress
+    scrapingLog.status = "in_progress";
+    await scrapingLog.save();
+    this.notifySessionChanged(sessionId);
+
+    logger.info(
+      `Starting job scraping for user ${user._id}, session ${sessionId}`
+    );
+
+    const { maxJobsPerUser, enabledPlatforms, jobSources } = (
+      await settingsService.getSettings()
+    ).scraping;
+    const maxJobsPerPlatform = Math.min(50, maxJobsPerUser);
+
+    // A platform with an enabled job source is read here instead of by
+    // the scraping service
+    const sources = (jobSources || []).filter((source) => source.enabled);
+    const sourcePlatforms = this.sourceRunner.platformsOf(sources);
+    const servicePlatforms = enabledPlatforms.filter(
+      (platform) => !sourcePlatforms.has(platform)
+    );
+
+    if (sources.length > 0) {
+      const { accepted, totalJobsFound } = await this.sourceRunner.run({
+        sessionId,
+        searchCriteria: scrapingLog.searchCriteria,
+        sources,
+        maxJobsPerPlatform,
+      });
+      if (!accepted) return "stopped";
+
+      if (servicePlatforms.length === 0) {
+        // Batches already counted the jobs found
+        await this.applyScraperEvent({
+          id: `src_evt_${uuidv4().replace(/-/g, "")}`,
+          sessionId,
+          type: SCRAPER_EVENTS.COMPLETED,
+          data: { errors: [] },
+        });
+        return "completed";
+      }
 
-      logger.info(
-        `Starting job scraping for user ${user._id}, session ${sessionId}`
+      await ScrapingLog.updateOne(
+        { _id: scrapingLog._id },
+        { $set: { "results.sourcesJobsFound": totalJobsFound } }
       );
+    }
 
-      // Prepare request to Python service
-      const requestPayload = {
-        sessionId,
-        userId: user._id.toString(),
-        searchCriteria: scrapingLog.searchCriteria,
-        userProfile: {
-          name: user.name,
-          email: user.email,
-          skills: user.skills,
-          experience: user.experienceLevel,
-          location: user.location,
-          currentJobTitle: user.currentJobTitle,
-        },
-        settings: {
-          maxJobsPerPlatform: 50,
-          platforms: ["linkedin", "indeed", "glassdoor"],
-          timeout: 300000, // 5 minutes
-        },
-      };
+    // Prepare request to the scraping service
+    const requestPayload = {
+      sessionId,
+      userId: user._id.toString(),
+      searchCriteria: scrapingLog.searchCriteria,
+      userProfile: {
+        name: user.name,
+        email: user.email,
+        skills: user.skills,
+        experience: user.experienceLevel,
+        location: user.location,
+        currentJobTitle: user.currentJobTitle,
+      },
+      settings: {
+        maxJobsPerPlatform,
+        maxJobsTotal: maxJobsPerUser,
+        platforms: servicePlatforms,
+        timeout: 300000, // 5 minutes
+      },
+      callback: {
+        url: this.callbackUrl,
+      },
+    };
 
-      // Call Python scraping service
-      const response = await axios.post(
-        `${this.pythonServiceUrl}/api/scrape-jobs`,
-        requestPayload,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            "X-API-Key": this.apiKey,
+    const submittedAt = Date.now();
+    const response = await this.scraper.submit(requestPayload);
+
+    await ScrapingLog.updateOne(
+      { _id: scrapingLog._id },
+      {
+        $set: {
+          pythonServiceResponse: {
+            statusCode: response.statusCode,
+            responseTime: Date.now() - submittedAt,
+            requestId: response.requestId,
           },
-          timeout: 300000, // 5 minutes timeout
-        }
-      );
+        },
+      }
+    );
 
-      logger.info(
-        `Python service response for session ${sessionId}:`,
-        response.status
-      );
+    logger.info(
+      `Scraping session ${sessionId} submitted to ${this.scraper.name} scraper (status ${response.statusCode})`
+    );
 
-      // Process the response
-      await this.processScrapingResults(
-        sessionId,
-        user._id,
-        response.data,
-        scrapingLog
-      );
-    } catch (error) {
-      logger.error(`Job scraping failed for session ${sessionId}:`, error);
-
-      // Update scraping log with error
-      scrapingLog.status = "failed";
-      scrapingLog.errors.push({
-        errorType: "SCRAPING_ERROR",
-        errorMessage: error.message,
-        timestamp: new Date(),
-        stackTrace: error.stack,
-      });
-      scrapingLog.timing.completedAt = new Date();
-      scrapingLog.timing.duration =
-        Date.now() - scrapingLog.timing.startedAt.getTime();
+    return "submitted";
+  }
 
-      await scrapingLog.save();
+  // Apply a signed event posted back by the scraping service
+  async handleCallback(rawBody, headers) {
+    const payload = rawBody.toString("utf8");
+
+    if (
+      !this.scraper.callbackSecret ||
+      !verifySignature(
+        payload,
+        headers[SCRAPER_SIGNATURE_HEADER],
+        this.scraper.callbackSecret
+      )
+    ) {
+      throw new AppError("Invalid callback signature", 401);
     }
-  }
 
-  // Process results from Python scraping service
-  async processScrapingResults(
-    sessionId,
-    userId,
-    scrapingResults,
-    scrapingLog
-  ) {
+    let event;
     try {
-      logger.info(`Processing scraping results for session ${sessionId}`);
-
-      const { jobs, platformResults, totalJobsFound, errors } = scrapingResults;
-
-      let jobsSaved = 0;
-      let duplicatesSkipped = 0;
-      const jobsCreated = [];
-
-      // Process each job
-      for (const jobData of jobs || []) {
-        try {
-          // Check for duplicates (same company + title + location)
-          const existingJob = await Job.findOne({
-            targetUser: userId,
-            title: jobData.title,
-            company: jobData.company,
-            location: jobData.location,
-          });
-
-          if (existingJob) {
-            duplicatesSkipped++;
-            continue;
-          }
+      event = JSON.parse(payload);
+    } catch (error) {
+      throw new AppError("Callback payload is not valid JSON", 400);
+    }
 
-          // Get user for match score calculation
-          const user = await User.findById(userId);
-
-          // Create job document
-          const job = new Job({
-            title: jobData.title,
-            company: jobData.company,
-            location: jobData.location,
-            workType: jobData.workType || "onsite",
-            jobType: jobData.jobType || "full_time",
-            salary: {
-              min: jobData.salary?.min || 0,
-              max: jobData.salary?.max || 0,
-              currency: jobData.salary?.currency || "USD",
-              period: jobData.salary?.period || "yearly",
-            },
-            description: jobData.description || "",
-            requirements: jobData.requirements || [],
-            responsibilities: jobData.responsibilities || [],
-            skills: jobData.skills || [],
-            benefits: jobData.benefits || [],
-            industry: jobData.industry || "",
-            companySize: jobData.companySize || "",
-            applyUrl: jobData.applyUrl,
-            companyUrl: jobData.companyUrl,
-            scrapedFrom: {
-              platform: jobData.platform || "unknown",
-              originalId: jobData.originalId || "",
-              scrapedAt: new Date(),
-            },
-            targetUser: userId,
-            postedDate: jobData.postedDate
-              ? new Date(jobData.postedDate)
-              : new Date(),
-            expiryDate: jobData.expiryDate
-              ? new Date(jobData.expiryDate)
-              : null,
-            status: "active",
-            adminReviewStatus: "pending",
-          });
-
-          // Calculate match score
-          job.matchScore = Job.calculateMatchScore(job, user);
-
-          // Save job
-          await job.save();
-          jobsCreated.push(job._id);
-          jobsSaved++;
-
-          logger.debug(
-            `Created job ${job._id} for user ${userId} with match score ${job.matchScore}`
-          );
-        } catch (jobError) {
-          logger.error(
-            `Error creating job for session ${sessionId}:`,
-            jobError
+    return await this.applyScraperEvent(event);
+  }
+
+  // Apply one scraper event to its session. Events for sessions that are
+  // no longer in progress are acknowledged but ignored, which tells the
+  // scraper to stop.
+  async applyScraperEvent(event) {
+    this.validateCallbackEvent(event);
+
+    const { sessionId } = event;
+    const scrapingLog = await ScrapingLog.findOne({ sessionId });
+    if (!scrapingLog) {
+      throw new AppError("Scraping session not found", 404);
+    }
+
+    if (scrapingLog.status !== "in_progress") {
+      return { accepted: false, sessionStatus: scrapingLog.status };
+    }
+
+    // Claim the event first so a redelivered event is applied only once
+    const claimed = await ScrapingLog.updateOne(
+      { _id: scrapingLog._id, processedEvents: { $ne: event.id } },
+      { $push: { processedEvents: event.id } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return { accepted: true, duplicate: true };
+    }
+
+    const data = event.data || {};
+
+    try {
+      switch (event.type) {
+        case SCRAPER_EVENTS.JOBS:
+          await this.saveJobBatch(scrapingLog, data);
+          await scrapingQueue.extendResultsDeadline(sessionId);
+          break;
+        case SCRAPER_EVENTS.PROGRESS:
+          await this.recordProgress(scrapingLog, data);
+          await scrapingQueue.extendResultsDeadline(sessionId);
+          break;
+        case SCRAPER_EVENTS.COMPLETED:
+          await this.completeScrapingSession(scrapingLog, data);
+          break;
+        case SCRAPER_EVENTS.FAILED:
+          await scrapingQueue.failSession(
+            sessionId,
+            new Error(
+              data.error?.message || "Scraping service reported a failure"
+            )
           );
-          scrapingLog.errors.push({
-            errorType: "JOB_CREATION_ERROR",
-            errorMessage: jobError.message,
-            timestamp: new Date(),
-          });
-        }
+          break;
       }
+    } catch (error) {
+      // Release the claim so the scraper's retry is applied, not skipped
+      await ScrapingLog.updateOne(
+        { _id: scrapingLog._id },
+        { $pull: { processedEvents: event.id } }
+      );
+      throw error;
+    }
 
-      // Update scraping log with results
-      scrapingLog.status = "completed";
-      scrapingLog.results = {
-        totalJobsFound: totalJobsFound || 0,
-        jobsSaved,
-        duplicatesSkipped,
-        errors: errors?.length || 0,
-      };
-      scrapingLog.platformResults = platformResults || [];
-      scrapingLog.jobsCreated = jobsCreated;
-      scrapingLog.timing.completedAt = new Date();
-      scrapingLog.timing.duration =
-        Date.now() - scrapingLog.timing.startedAt.getTime();
+    this.notifySessionChanged(sessionId);
+    return { accepted: true, duplicate: false };
+  }
+
+  validateCallbackEvent(event) {
+    if (
+      !event ||
+      typeof event.id !== "string" ||
+      typeof event.sessionId !== "string" ||
+      !Object.values(SCRAPER_EVENTS).includes(event.type)
+    ) {
+      throw new AppError("Invalid callback event", 400);
+    }
+
+    const data = event.data || {};
+    const perPlatform = [SCRAPER_EVENTS.JOBS, SCRAPER_EVENTS.PROGRESS];
 
-      if (errors && errors.length > 0) {
-        scrapingLog.errors.push(
-          ...errors.map((error) => ({
-            platform: error.platform,
-            errorType: error.type,
-            errorMessage: error.message,
-            timestamp: new Date(),
-          }))
+    if (
+      perPlatform.includes(event.type) &&
+      !Object.values(SCRAPING_PLATFORMS).includes(data.platform)
+    ) {
+      throw new AppError("Callback event has an unknown platform", 400);
+    }
+
+    if (event.type === SCRAPER_EVENTS.JOBS && !Array.isArray(data.jobs)) {
+      throw new AppError("Jobs batch must contain a jobs array", 400);
+    }
+  }
+
+  // Posting fields of one scraped listing
+  buildJobFields(jobData, platform, autoApproveJobs) {
+    return {
+      title: jobData.title,
+      company: jobData.company,
+      location: jobData.location,
+      workType: jobData.workType || "onsite",
+      jobType: jobData.jobType || "full_time",
+      salary: {
+        min: jobData.salary?.min || 0,
+        max: jobData.salary?.max || 0,
+        currency: jobData.salary?.currency || "USD",
+        period: jobData.salary?.period || "yearly",
+      },
+      description: jobData.description || "",
+      requirements: jobData.requirements || [],
+      responsibilities: jobData.responsibilities || [],
+      skills: jobData.skills || [],
+      benefits: jobData.benefits || [],
+      industry: jobData.industry || "",
+      companySize: jobData.companySize || undefined,
+      applyUrl: jobData.applyUrl,
+      companyUrl: jobData.companyUrl,
+      scrapedFrom: {
+        platform: jobData.platform || platform,
+        originalId: jobData.originalId || "",
+        scrapedAt: new Date(),
+      },
+      postedDate: jobData.postedDate
+        ? new Date(jobData.postedDate)
+        : new Date(),
+      expiryDate: jobData.expiryDate ? new Date(jobData.expiryDate) : null,
+      status: "active",
+      adminReviewStatus: autoApproveJobs ? "approved" : "pending",
+    };
+  }
+
+  // Save one batch of scraped jobs and add it to the session counts
+  async saveJobBatch(scrapingLog, { platform, jobs }) {
+    const { sessionId } = scrapingLog;
+
+    const { maxJobsPerUser, autoApproveJobs } = (
+      await settingsService.getSettings()
+    ).scraping;
+
+    const user = await User.findById(scrapingLog.user);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    let jobsSaved = 0;
+    let duplicatesSkipped = 0;
+    const duplicatesByReason = {};
+    const jobsCreated = [];
+    const errorDetails = [];
+    const alreadySaved = scrapingLog.results.jobsSaved || 0;
+
+    for (const jobData of jobs) {
+      if (alreadySaved + jobsSaved >= maxJobsPerUser) {
+        logger.info(
+          `Session ${sessionId} reached maxJobsPerUser (${maxJobsPerUser}), skipping remaining jobs`
         );
+        break;
       }
 
-      await scrapingLog.save();
+      try {
+        // Postings are shared, across platforms too; the user only gets a
+        // new match
+        const { job, duplicate } = await jobCatalogueService.findOrCreateJob(
+          this.buildJobFields(jobData, platform, autoApproveJobs),
+          sessionId
+        );
+        const matchId = await jobCatalogueService.matchJobToUser(
+          job,
+          user,
+          sessionId
+        );
 
-      // Update user's last scraping run
-      await User.findByIdAndUpdate(userId, {
-        lastJobScrapingRun: new Date(),
-      });
+        if (!matchId) {
+          const reason = duplicate ? duplicate.reason : DUPLICATE_REASONS.EXACT;
+          duplicatesByReason[reason] = (duplicatesByReason[reason] || 0) + 1;
+          duplicatesSkipped++;
+          continue;
+        }
 
-      logger.info(
-        `Scraping completed for session ${sessionId}: ${jobsSaved} jobs saved, ${duplicatesSkipped} duplicates skipped`
-      );
-    } catch (error) {
-      logger.error(
-        `Error processing scraping results for session ${sessionId}:`,
-        error
+        jobsCreated.push(job._id);
+        jobsSaved++;
+
+        logger.debug(`Matched job ${job._id} to user ${user._id}`);
+      } catch (jobError) {
+        logger.error(`Error creating job for session ${sessionId}:`, jobError);
+        errorDetails.push({
+          platform,
+          errorType: "JOB_CREATION_ERROR",
+          errorMessage: jobError.message,
+          timestamp: new Date(),
+        });
+      }
+    }
+
+    const inc = {
+      "results.totalJobsFound": jobs.length,
+      "results.jobsSaved": jobsSaved,
+      "results.duplicatesSkipped": duplicatesSkipped,
+      "results.errorCount": errorDetails.length,
+    };
+    Object.entries(duplicatesByReason).forEach(([reason, count]) => {
+      inc[`results.duplicatesByReason.${reason}`] = count;
+    });
+
+    await ScrapingLog.updateOne(
+      { _id: scrapingLog._id },
+      {
+        $inc: inc,
+        $push: {
+          jobsCreated: { $each: jobsCreated },
+          errorDetails: { $each: errorDetails },
+        },
+      }
+    );
+
+    await ScrapingLog.recordPlatformResult(sessionId, platform, {
+      inc: {
+        jobsFound: jobs.length,
+        jobsSaved,
+        errorCount: errorDetails.length,
+      },
+    });
+
+    logger.info(
+      `Session ${sessionId} ${platform} batch: ${jobsSaved} jobs saved, ${duplicatesSkipped} duplicates skipped`
+    );
+  }
+
+  // Progress for one platform: the scraper's running totals plus any
+  // errors it hit since the last report
+  async recordProgress(
+    scrapingLog,
+    { platform, jobsFound, processingTime, errors }
+  ) {
+    const errorDetails = this.toErrorDetails(errors, platform);
+    const set = {};
+
+    if (Number.isFinite(jobsFound)) set.jobsFound = jobsFound;
+    if (Number.isFinite(processingTime)) set.processingTime = processingTime;
+
+    await ScrapingLog.recordPlatformResult(scrapingLog.sessionId, platform, {
+      inc: errorDetails.length ? { errorCount: errorDetails.length } : {},
+      set,
+    });
+
+    if (errorDetails.length > 0) {
+      await ScrapingLog.updateOne(
+        { _id: scrapingLog._id },
+        {
+          $inc: { "results.errorCount": errorDetails.length },
+          $push: { errorDetails: { $each: errorDetails } },
+        }
       );
-      throw error;
     }
   }
 
+  // The scraper finished: close the session and release the queue slot
+  async completeScrapingSession(scrapingLog, { totalJobsFound, errors }) {
+    const { sessionId } = scrapingLog;
+    const errorDetails = this.toErrorDetails(errors);
+    const completedAt = new Date();
+
+    const update = {
+      $set: {
+        status: "completed",
+        "timing.completedAt": completedAt,
+        "timing.duration": completedAt - scrapingLog.timing.startedAt,
+      },
+    };
+    // The service reports its own total; in-process sources add theirs
+    if (Number.isFinite(totalJobsFound)) {
+      update.$set["results.totalJobsFound"] =
+        totalJobsFound + (scrapingLog.results.sourcesJobsFound || 0);
+    }
+    if (errorDetails.length > 0) {
+      update.$inc = { "results.errorCount": errorDetails.length };
+      update.$push = { errorDetails: { $each: errorDetails } };
+    }
+
+    const completed = await ScrapingLog.findOneAndUpdate(
+      { _id: scrapingLog._id, status: "in_progress" },
+      update,
+      { new: true }
+    );
+
+    await scrapingQueue.completeSession(sessionId);
+    if (!completed) return;
+
+    // Update user's last scraping run
+    await User.findByIdAndUpdate(scrapingLog.user, {
+      lastJobScrapingRun: completedAt,
+    });
+
+    logger.info(
+      `Scraping completed for session ${sessionId}: ${completed.results.jobsSaved} jobs saved, ${completed.results.duplicatesSkipped} duplicates skipped`
+    );
+  }
+
+  // Scraper-reported errors in the shape of the log's error details
+  toErrorDetails(errors, platform) {
+    return (Array.isArray(errors) ? errors : []).map((error) => ({
+      platform: error.platform || platform,
+      errorType: error.type,
+      errorMessage: error.message,
+      timestamp: new Date(),
+    }));
+  }
+
   // Get scraping history for a user
   async getScrapingHistory(userId, page = 1, pageSize = 10) {
     const skip = (page - 1) * pageSize;
@@ -331,6 +661,127 @@ class ScrapingService {
     };
   }
 
+  // Progress of one session as shown to clients
+  async getSessionProgress(sessionId) {
+    const scrapingLog = await ScrapingLog.findOne({ sessionId })
+      .select(
+        "user sessionId status results platformResults errorDetails timing"
+      )
+      .lean();
+    if (!scrapingLog) return null;
+
+    return {
+      user: scrapingLog.user,
+      sessionId: scrapingLog.sessionId,
+      status: scrapingLog.status,
+      results: scrapingLog.results,
+      platformResults: (scrapingLog.platformResults || []).map(
+        ({ _id, ...platformResult }) => platformResult
+      ),
+      errors: (scrapingLog.errorDetails || []).map(
+        ({ platform, errorType, errorMessage, timestamp }) => ({
+          platform,
+          errorType,
+          errorMessage,
+          timestamp,
+        })
+      ),
+      timing: scrapingLog.timing,
+      finished: FINAL_STATUSES.includes(scrapingLog.status),
+    };
+  }
+
+  // Changes between two progress snapshots, as [event, data] pairs
+  diffProgress(previous, current) {
+    const changes = [];
+
+    if (
+      JSON.stringify(current.results) !== JSON.stringify(previous.results) ||
+      JSON.stringify(current.platformResults) !==
+        JSON.stringify(previous.platformResults)
+    ) {
+      changes.push([
+        "progress",
+        {
+          results: current.results,
+          platformResults: current.platformResults,
+        },
+      ]);
+    }
+
+    // Errors are only ever appended
+    if (current.errors.length > previous.errors.length) {
+      changes.push([
+        "errors",
+        { errors: current.errors.slice(previous.errors.length) },
+      ]);
+    }
+
+    // Status last, so a final status follows the final counts
+    if (current.status !== previous.status) {
+      changes.push([
+        "status",
+        {
+          status: current.status,
+          previousStatus: previous.status,
+          timing: current.timing,
+        },
+      ]);
+    }
+
+    return changes;
+  }
+
+  // Call `listener(event, data, progress)` for every change to a session
+  // after the `initial` snapshot. Changes made on this instance are pushed
+  // straight away; polling picks up those applied by other instances.
+  // Returns a function that stops watching.
+  watchSession(sessionId, initial, listener) {
+    let last = initial;
+    let checking = false;
+    let recheck = false;
+    let stopped = false;
+
+    const check = async () => {
+      if (stopped) return;
+      if (checking) {
+        recheck = true;
+        return;
+      }
+
+      checking = true;
+      try {
+        const current = await this.getSessionProgress(sessionId);
+        if (current && !stopped) {
+          for (const [event, data] of this.diffProgress(last, current)) {
+            listener(event, data, current);
+          }
+          last = current;
+        }
+      } catch (error) {
+        logger.warn(
+          `Failed to refresh progress for scraping session ${sessionId}: ${error.message}`
+        );
+      } finally {
+        checking = false;
+      }
+
+      if (recheck) {
+        recheck = false;
+        await check();
+      }
+    };
+
+    const timer = setInterval(check, this.streamPollMs);
+    this.sessionEvents.on(sessionId, check);
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      this.sessionEvents.off(sessionId, check);
+    };
+  }
+
   // Get scraping statistics
   async getScrapingStatistics(userId = null, timeframe = 30) {
     return await ScrapingLog.getStatistics(userId, timeframe);
@@ -372,29 +823,24 @@ class ScrapingService {
         throw new Error("Cannot cancel completed or failed scraping session");
       }
 
+      // Remove from the queue so no worker picks it up
+      await scrapingQueue.cancel(sessionId);
+
       // Update status to cancelled
       scrapingLog.status = "cancelled";
       scrapingLog.timing.completedAt = new Date();
       scrapingLog.timing.duration =
         Date.now() - scrapingLog.timing.startedAt.getTime();
       await scrapingLog.save();
+      this.notifySessionChanged(sessionId);
 
-      // Optionally, call Python service to cancel the scraping
+      // Ask the scraper to stop; callbacks for the session are ignored
+      // from here on either way
       try {
-        await axios.post(
-          `${this.pythonServiceUrl}/api/cancel-scraping`,
-          { sessionId },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              "X-API-Key": this.apiKey,
-            },
-            timeout: 10000,
-          }
-        );
+        await this.scraper.cancel(sessionId);
       } catch (cancelError) {
         logger.warn(
-          `Failed to cancel scraping on Python service: ${cancelError.message}`
+          `Failed to cancel scraping on the scraping service: ${cancelError.message}`
         );
       }
 
@@ -406,17 +852,12 @@ class ScrapingService {
     }
   }
 
-  // Health check for Python scraping service
+  // Health check for the scraping service
   async checkScrapingServiceHealth() {
     try {
-      const response = await axios.get(`${this.pythonServiceUrl}/health`, {
-        timeout: 5000,
-      });
-
       return {
         status: "healthy",
-        responseTime: response.headers["x-response-time"],
-        version: response.data.version,
+        ...(await this.scraper.health()),
       };
     } catch (error) {
       return {
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session.model");
+const User = require("../models/User.model");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  // Refresh tokens are JWTs, so the session lives exactly as long
+  getExpiry(refreshToken) {
+    const { exp } = jwt.decode(refreshToken);
+    return new Date(exp * 1000);
+  }
+
+  getDevice(req) {
+    return { userAgent: req.get("user-agent"), ip: req.ip };
+  }
+
+  // Start a session for a fresh login and issue its first token pair
+  async createSession(user, req) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = user.generateRefreshToken(sessionId);
+
+    await Session.create({
+      _id: sessionId,
+      user: user._id,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: this.getExpiry(refreshToken),
+      ...this.getDevice(req),
+    });
+
+    return {
+      sessionId,
+      token: user.generateAuthToken(sessionId),
+      refreshToken,
+    };
+  }
+
+  // Swap a refresh token for a new pair. A token that was already rotated
+  // away means it leaked, so the session is revoked.
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new AppError("Invalid or expired refresh token", 401);
+    }
+
+    const session = decoded.sid
+      ? await Session.findOne({ _id: decoded.sid, user: decoded.id })
+      : null;
+    if (!session || session.revokedAt) {
+      throw new AppError("Invalid refresh token", 401);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive || !user.isTokenCurrent(decoded)) {
+      throw new AppError("Invalid refresh token", 401);
+    }
+
+    const presentedHash = this.hashToken(refreshToken);
+    const nextRefreshToken = user.generateRefreshToken(session._id);
+
+    // Conditional on the presented hash so two concurrent refreshes with
+    // the same token cannot both succeed
+    const rotated =
+      session.tokenHash === presentedHash &&
+      (await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+          $set: {
+            tokenHash: this.hashToken(nextRefreshToken),
+            expiresAt: this.getExpiry(nextRefreshToken),
+            lastUsedAt: new Date(),
+            ...this.getDevice(req),
+          },
+          $inc: { rotationCount: 1 },
+        },
+        { new: true }
+      ));
+
+    if (!rotated) {
+      await this.revoke(user._id, session._id, "reuse_detected");
+      logger.warn(
+        `Refresh token reuse detected for user ${user._id}, session ${session._id} revoked (ip ${req.ip})`
+      );
+      throw new AppError("Refresh token has already been used", 401);
+    }
+
+    return {
+      user,
+      sessionId: session._id,
+      token: user.generateAuthToken(session._id),
+      refreshToken: nextRefreshToken,
+    };
+  }
+
+  // Whether an access token's session is still live. Checked on every
+  // request so logging out or revoking a device ends its access at once.
+  async isSessionActive(userId, sessionId) {
+    if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+
+    const session = await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    return Boolean(session);
+  }
+
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map((session) => ({
+      ...session,
+      current: !!currentSessionId && session._id.equals(currentSessionId),
+    }));
+  }
+
+  async revoke(userId, sessionId, reason = "user_revoked") {
+    return await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+  }
+
+  // Invalidate every token of a user (access and refresh) and end their
+  // sessions, e.g. after an admin deactivates the account
+  async invalidateUser(userId, reason) {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    return await this.revokeAll(userId, { reason });
+  }
+
+  // Revoke every live session of a user, optionally keeping one
+  async revokeAll(userId, { exceptSessionId, reason = "user_revoked" } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
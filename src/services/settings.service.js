@@ -0,0 +1,152 @@
+const SystemSettings = require("../models/SystemSettings.model");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+class SettingsService {
+  constructor() {
+    // Settings are read on hot paths (every request for maintenance mode),
+    // so keep a short-lived in-process copy
+    this.cacheTtlMs = parseInt(process.env.SETTINGS_CACHE_TTL_MS) || 30000;
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  // Get current settings (cached)
+  async getSettings() {
+    if (this.cached && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cached;
+    }
+
+    const doc = await SystemSettings.getSingleton();
+    this.cached = this.buildSettings(doc);
+    this.cachedAt = Date.now();
+
+    return this.cached;
+  }
+
+  // Get a single setting by dotted path, e.g. "system.maintenanceMode"
+  async get(path, fallback = undefined) {
+    const settings = await this.getSettings();
+    const value = path
+      .split(".")
+      .reduce((acc, key) => (acc == null ? undefined : acc[key]), settings);
+
+    return value === undefined ? fallback : value;
+  }
+
+  // Drop the cached copy so the next read hits the database
+  invalidate() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  // Update settings, recording who changed what
+  async updateSettings(updates, adminId, expectedVersion = null) {
+    if (!updates || typeof updates !== "object") {
+      throw new AppError("Settings object is required", 400);
+    }
+
+    const doc = await SystemSettings.getSingleton();
+
+    if (expectedVersion != null && expectedVersion !== doc.version) {
+      throw new AppError(
+        `Settings have been modified (current version ${doc.version}). Reload and try again.`,
+        409
+      );
+    }
+
+    const current = doc.toObject();
+    const $set = {};
+    const changes = [];
+
+    Object.keys(updates).forEach((section) => {
+      if (!SystemSettings.EDITABLE_SECTIONS.includes(section)) {
+        throw new AppError(`Unknown settings section: ${section}`, 400);
+      }
+
+      const sectionUpdates = updates[section] || {};
+      Object.keys(sectionUpdates).forEach((field) => {
+        const path = `${section}.${field}`;
+        if (!SystemSettings.schema.path(path)) {
+          throw new AppError(`Unknown setting: ${path}`, 400);
+        }
+
+        const from = current[section] ? current[section][field] : undefined;
+        const to = sectionUpdates[field];
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          $set[path] = to;
+          changes.push({ path, from, to });
+        }
+      });
+    });
+
+    if (changes.length === 0) {
+      return { settings: this.buildSettings(doc), changes };
+    }
+
+    $set.updatedBy = adminId;
+
+    // Only apply if nobody else updated in the meantime
+    const updated = await SystemSettings.findOneAndUpdate(
+      { _id: doc._id, version: doc.version },
+      {
+        $set,
+        $inc: { version: 1 },
+        $push: {
+          history: {
+            $each: [
+              {
+                version: doc.version + 1,
+                changedBy: adminId,
+                changedAt: new Date(),
+                changes,
+              },
+            ],
+            $slice: -SystemSettings.MAX_HISTORY,
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new AppError(
+        "Settings were modified concurrently. Reload and try again.",
+        409
+      );
+    }
+
+    this.invalidate();
+
+    logger.info(
+      `System settings updated to version ${updated.version} by admin ${adminId}`,
+      { changes: changes.map((change) => change.path) }
+    );
+
+    return { settings: this.buildSettings(updated), changes };
+  }
+
+  // Get change history, newest first
+  async getHistory(limit = 20) {
+    const doc = await SystemSettings.findOne({ key: "global" })
+      .select("history")
+      .populate("history.changedBy", "name email")
+      .lean();
+
+    if (!doc) {
+      return [];
+    }
+
+    return doc.history.slice(-limit).reverse();
+  }
+
+  // Build the settings payload returned to callers
+  buildSettings(doc) {
+    const settings = doc.toSettings();
+    settings.system.debugMode = process.env.NODE_ENV === "development";
+    return settings;
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,111 @@
+const axios = require("axios");
+
+// Largest board or feed body read, in bytes
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+const decodeEntities = (text) =>
+  String(text || "").replace(
+    /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi,
+    (entity, code) => {
+      if (code[0] === "#") {
+        const value =
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.slice(2), 16)
+            : parseInt(code.slice(1), 10);
+        // Not a Unicode code point; fromCodePoint would throw
+        if (!(value <= 0x10ffff)) return entity;
+        return String.fromCodePoint(value);
+      }
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    }
+  );
+
+// Common part of the in-process job sources. A source reads one board or
+// feed and normalizes each item into a listing shaped like the ones the
+// scraping service sends (title, company, location, description,
+// applyUrl, platform, originalId, ...).
+class JobSource {
+  constructor(config, defaultPlatform) {
+    this.config = config;
+    this.name = config.name;
+    this.platform = config.platform || defaultPlatform;
+  }
+
+  // GET a board or feed
+  async request(url, { json = true } = {}) {
+    const response = await axios.get(url, {
+      timeout: 15000,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      responseType: json ? "json" : "text",
+      headers: { "User-Agent": "AutoApplyJob/1.0" },
+    });
+
+    return response.data;
+  }
+
+  // Fetch and normalize every item, dropping ones that cannot become a job
+  async listings() {
+    const items = await this.fetch();
+
+    return items
+      .map((item) => this.normalize(item))
+      .filter(
+        (listing) => listing.title && listing.company && listing.applyUrl
+      );
+  }
+
+  // A Date for a feed timestamp, or undefined when it does not parse
+  toDate(value) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  static decodeEntities(text) {
+    return decodeEntities(text);
+  }
+
+  decodeEntities(text) {
+    return decodeEntities(text);
+  }
+
+  // Plain text of an HTML fragment. Entities are decoded once, after the
+  // tags are stripped, so escaped markup stays text.
+  toText(html) {
+    return decodeEntities(
+      String(html || "")
+        .replace(/<(br|\/p|\/li|\/h\d)\s*\/?>/gi, "\n")
+        .replace(/<[^>]+>/g, " ")
+    )
+      .replace(/[ \t]+/g, " ")
+      .replace(/\s*\n\s*/g, "\n")
+      .trim();
+  }
+
+  inferWorkType(...texts) {
+    const text = texts.join(" ").toLowerCase();
+    if (text.includes("hybrid")) return "hybrid";
+    if (text.includes("remote")) return "remote";
+    return "onsite";
+  }
+
+  inferJobType(...texts) {
+    const text = texts.join(" ").toLowerCase();
+    if (/part[\s-]?time/.test(text)) return "part_time";
+    if (/\bintern(ship)?\b/.test(text)) return "internship";
+    if (/freelance/.test(text)) return "freelance";
+    if (/contract|temporary/.test(text)) return "contract";
+    return "full_time";
+  }
+}
+
+module.exports = JobSource;
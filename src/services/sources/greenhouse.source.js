@@ -0,0 +1,37 @@
+const JobSource = require("./base.source");
+
+// Public Greenhouse job board of one company (boards-api.greenhouse.io)
+class GreenhouseSource extends JobSource {
+  constructor(config) {
+    super(config, "greenhouse");
+    this.url = `https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(
+      config.board
+    )}/jobs?content=true`;
+  }
+
+  async fetch() {
+    const data = await this.request(this.url);
+    return data.jobs || [];
+  }
+
+  normalize(item) {
+    const location = item.location?.name || "";
+    // The board API sends the posting's HTML escaped
+    const description = this.toText(this.decodeEntities(item.content));
+
+    return {
+      title: item.title,
+      company: this.config.company || this.config.board,
+      location: location || "Not specified",
+      workType: this.inferWorkType(location, item.title),
+      jobType: this.inferJobType(item.title),
+      description: description || item.title,
+      applyUrl: item.absolute_url,
+      platform: this.platform,
+      originalId: String(item.id),
+      postedDate: this.toDate(item.first_published || item.updated_at),
+    };
+  }
+}
+
+module.exports = GreenhouseSource;
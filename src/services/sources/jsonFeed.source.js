@@ -0,0 +1,94 @@
+const JobSource = require("./base.source");
+
+// Where each listing field is read from when the source sets no mapping
+const DEFAULT_FIELD_MAP = {
+  title: "title",
+  company: "company",
+  location: "location",
+  description: "description",
+  workType: "workType",
+  jobType: "jobType",
+  skills: "skills",
+  applyUrl: "url",
+  originalId: "id",
+  postedDate: "postedDate",
+};
+
+const WORK_TYPES = ["remote", "hybrid", "onsite"];
+const JOB_TYPES = [
+  "full_time",
+  "part_time",
+  "contract",
+  "freelance",
+  "internship",
+];
+
+// Value at a dotted path such as "company.name" or "locations.0"
+const getPath = (object, path) =>
+  String(path)
+    .split(".")
+    .reduce((acc, key) => (acc == null ? undefined : acc[key]), object);
+
+// Any JSON feed of postings. `itemsPath` locates the array of postings and
+// `fieldMap` says where each listing field lives in a posting, e.g.
+// { title: "position", company: "employer.name", applyUrl: "links.apply" }.
+class JsonFeedSource extends JobSource {
+  constructor(config) {
+    super(config, "other");
+    this.fieldMap = { ...DEFAULT_FIELD_MAP, ...(config.fieldMap || {}) };
+  }
+
+  async fetch() {
+    const data = await this.request(this.config.url);
+    let items = Array.isArray(data) ? data : data.items || data.jobs;
+    if (this.config.itemsPath) {
+      items = getPath(data, this.config.itemsPath);
+    }
+
+    if (!Array.isArray(items)) {
+      throw new Error(
+        `No postings array at "${this.config.itemsPath || "items"}"`
+      );
+    }
+
+    return items;
+  }
+
+  normalize(item) {
+    const field = (name) => getPath(item, this.fieldMap[name]);
+    const text = (name) => {
+      const value = field(name);
+      return value == null ? "" : this.toText(String(value));
+    };
+
+    const title = text("title");
+    const location = text("location");
+    const description = text("description");
+    const workType = String(field("workType") || "").toLowerCase();
+    const jobType = String(field("jobType") || "")
+      .toLowerCase()
+      .replace(/[\s-]/g, "_");
+    const skills = field("skills");
+    const originalId = field("originalId");
+
+    return {
+      title,
+      company: text("company") || this.config.company,
+      location: location || "Not specified",
+      workType: WORK_TYPES.includes(workType)
+        ? workType
+        : this.inferWorkType(location, title),
+      jobType: JOB_TYPES.includes(jobType)
+        ? jobType
+        : this.inferJobType(title, description),
+      description: description || title,
+      skills: Array.isArray(skills) ? skills.map(String) : [],
+      applyUrl: field("applyUrl"),
+      platform: this.platform,
+      originalId: originalId == null ? undefined : String(originalId),
+      postedDate: this.toDate(field("postedDate")),
+    };
+  }
+}
+
+module.exports = JsonFeedSource;
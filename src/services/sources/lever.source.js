@@ -0,0 +1,54 @@
+const JobSource = require("./base.source");
+
+const REQUIREMENT_HEADINGS = /requirement|qualification|you have|you bring/i;
+const RESPONSIBILITY_HEADINGS = /responsibilit|you will|you'll do/i;
+
+// Public Lever postings of one company (api.lever.co)
+class LeverSource extends JobSource {
+  constructor(config) {
+    super(config, "lever");
+    this.url = `https://api.lever.co/v0/postings/${encodeURIComponent(
+      config.board
+    )}?mode=json`;
+  }
+
+  async fetch() {
+    const data = await this.request(this.url);
+    return Array.isArray(data) ? data : [];
+  }
+
+  normalize(item) {
+    const categories = item.categories || {};
+    const location = categories.location || categories.allLocations?.[0] || "";
+    const lists = item.lists || [];
+
+    return {
+      title: item.text,
+      company: this.config.company || this.config.board,
+      location: location || "Not specified",
+      workType: ["remote", "hybrid", "onsite"].includes(item.workplaceType)
+        ? item.workplaceType
+        : this.inferWorkType(location, item.text),
+      jobType: this.inferJobType(categories.commitment || ""),
+      description:
+        item.descriptionPlain || this.toText(item.description) || item.text,
+      requirements: this.listItems(lists, REQUIREMENT_HEADINGS),
+      responsibilities: this.listItems(lists, RESPONSIBILITY_HEADINGS),
+      applyUrl: item.applyUrl || item.hostedUrl,
+      platform: this.platform,
+      originalId: item.id,
+      postedDate: this.toDate(item.createdAt),
+    };
+  }
+
+  // Bullet points of the posting's lists whose heading matches
+  listItems(lists, heading) {
+    return lists
+      .filter((list) => heading.test(list.text || ""))
+      .flatMap((list) => (list.content || "").split(/<\/li>/i))
+      .map((entry) => this.toText(entry))
+      .filter(Boolean);
+  }
+}
+
+module.exports = LeverSource;
@@ -0,0 +1,80 @@
+const JobSource = require("./base.source");
+
+// Text of an element's content: CDATA is taken as is, anything else is
+// XML-escaped. HTML carried in the text is still HTML afterwards.
+const xmlText = (text) => {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1] : JobSource.decodeEntities(text);
+};
+
+// All <name>...</name> elements of a document
+const elements = (xml, name) =>
+  xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>[\\s\\S]*?</${name}>`, "gi")) ||
+  [];
+
+// Text of the first of the named elements present
+const elementText = (xml, ...names) => {
+  for (const name of names) {
+    const match = xml.match(
+      new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i")
+    );
+    if (match) return xmlText(match[1]).trim();
+  }
+  return "";
+};
+
+// href of an Atom entry's alternate link
+const atomLink = (xml) => {
+  const links = xml.match(/<link\b[^>]*>/gi) || [];
+  const link =
+    links.find((tag) => /rel=["']alternate["']/i.test(tag)) ||
+    links.find((tag) => !/rel=/i.test(tag));
+  const href = link?.match(/href=["']([^"']+)["']/i);
+  return href ? JobSource.decodeEntities(href[1]) : "";
+};
+
+// RSS 2.0 or Atom feed of job postings. Feeds rarely carry structured
+// fields, so the company and location fall back to the source settings.
+class RssSource extends JobSource {
+  constructor(config) {
+    super(config, "other");
+  }
+
+  async fetch() {
+    const xml = await this.request(this.config.url, { json: false });
+    const items = elements(xml, "item");
+
+    return items.length > 0 ? items : elements(xml, "entry");
+  }
+
+  normalize(xml) {
+    const title = this.toText(elementText(xml, "title"));
+    const description = this.toText(
+      elementText(xml, "content:encoded", "description", "content", "summary")
+    );
+    const location = this.toText(
+      elementText(xml, "job:location", "location", "region")
+    );
+    const link = elementText(xml, "link") || atomLink(xml);
+
+    return {
+      title,
+      company:
+        this.config.company ||
+        this.toText(elementText(xml, "dc:creator", "author", "name")),
+      location:
+        location || (/remote/i.test(title) ? "Remote" : "Not specified"),
+      workType: this.inferWorkType(location, title),
+      jobType: this.inferJobType(title, description),
+      description: description || title,
+      applyUrl: link,
+      platform: this.platform,
+      originalId: elementText(xml, "guid", "id") || link,
+      postedDate: this.toDate(
+        elementText(xml, "pubDate", "published", "updated")
+      ),
+    };
+  }
+}
+
+module.exports = RssSource;
@@ -0,0 +1,113 @@
+const { v4: uuidv4 } = require("uuid");
+const RssSource = require("./rss.source");
+const GreenhouseSource = require("./greenhouse.source");
+const LeverSource = require("./lever.source");
+const JsonFeedSource = require("./jsonFeed.source");
+const { normalizeTitle } = require("../../utils/jobFingerprint");
+const { SCRAPER_EVENTS } = require("../../utils/constants");
+const logger = require("../../utils/logger");
+
+const SOURCES = {
+  rss: RssSource,
+  greenhouse: GreenhouseSource,
+  lever: LeverSource,
+  json: JsonFeedSource,
+};
+
+// Reads the job boards and feeds configured in the scraping.jobSources
+// system setting from this process. Listings reach the session through
+// `deliver` as the same events the scraping service posts back.
+class SourceRunner {
+  constructor({ deliver }) {
+    this.deliver = deliver;
+  }
+
+  createSource(config) {
+    const Source = SOURCES[config.adapter];
+    if (!Source) {
+      throw new Error(`Unknown job source adapter: ${config.adapter}`);
+    }
+    return new Source(config);
+  }
+
+  // Platforms the given sources record their listings under
+  platformsOf(configs) {
+    return new Set(configs.map((config) => this.createSource(config).platform));
+  }
+
+  // Read each source in turn, reporting its listings and progress.
+  // Returns { accepted, totalJobsFound }; accepted is false once the
+  // session stops taking events, e.g. after it was cancelled.
+  async run({ sessionId, searchCriteria, sources, maxJobsPerPlatform }) {
+    // Sources sharing a platform add up to one platform result
+    const found = {};
+    const elapsed = {};
+    let totalJobsFound = 0;
+
+    for (const config of sources) {
+      const source = this.createSource(config);
+      const { platform } = source;
+      const startedAt = Date.now();
+      let listings = [];
+      const errors = [];
+
+      try {
+        listings = (await source.listings())
+          .filter((listing) => this.matchesCriteria(listing, searchCriteria))
+          .slice(0, maxJobsPerPlatform);
+      } catch (error) {
+        logger.warn(`Job source ${source.name} failed: ${error.message}`);
+        errors.push({
+          platform,
+          type: "SOURCE_ERROR",
+          message: `${source.name}: ${error.message}`,
+        });
+      }
+
+      if (listings.length > 0) {
+        const ack = await this.send(sessionId, SCRAPER_EVENTS.JOBS, {
+          platform,
+          jobs: listings,
+        });
+        if (!ack.accepted) return { accepted: false, totalJobsFound };
+      }
+
+      found[platform] = (found[platform] || 0) + listings.length;
+      elapsed[platform] = (elapsed[platform] || 0) + Date.now() - startedAt;
+      totalJobsFound += listings.length;
+
+      const ack = await this.send(sessionId, SCRAPER_EVENTS.PROGRESS, {
+        platform,
+        jobsFound: found[platform],
+        processingTime: elapsed[platform],
+        errors,
+      });
+      if (!ack.accepted) return { accepted: false, totalJobsFound };
+    }
+
+    return { accepted: true, totalJobsFound };
+  }
+
+  // Boards list every opening of a company; keep those whose title has
+  // all the words of the title searched for
+  matchesCriteria(listing, searchCriteria) {
+    const wanted = normalizeTitle(searchCriteria?.jobTitle)
+      .split(" ")
+      .filter(Boolean);
+    if (wanted.length === 0) return true;
+
+    const words = new Set(normalizeTitle(listing.title).split(" "));
+    return wanted.every((word) => words.has(word));
+  }
+
+  async send(sessionId, type, data) {
+    return await this.deliver({
+      id: `src_evt_${uuidv4().replace(/-/g, "")}`,
+      sessionId,
+      type,
+      data,
+    });
+  }
+}
+
+module.exports = SourceRunner;
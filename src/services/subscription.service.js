@@ -0,0 +1,626 @@
+const moment = require("moment");
+const Subscription = require("../models/Subscription.model");
+const Payment = require("../models/Payment.model");
+const User = require("../models/User.model");
+const settingsService = require("./settings.service");
+const emailService = require("./email.service");
+const planService = require("./plan.service");
+const { AppError } = require("../middleware/error.middleware");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SubscriptionService {
+  // Period length for a plan ("month" -> 1 month)
+  async getPeriodEnd(planId, start) {
+    const plan = await planService.getPlan(planId);
+    return moment(start)
+      .add(1, plan?.period || "month")
+      .toDate();
+  }
+
+  async getForUser(userId) {
+    return await Subscription.findOne({ user: userId });
+  }
+
+  // Start or extend the subscription for a completed payment
+  async activateFromPayment(payment) {
+    const now = new Date();
+    const existing = await Subscription.findOne({ user: payment.user });
+
+    // A retried checkout must not extend or switch the period twice
+    if (existing && existing.lastPayment?.equals(payment._id)) {
+      await this.syncUserPackage(existing);
+      return existing;
+    }
+
+    if (payment.kind === "upgrade") {
+      if (existing && Subscription.ACCESS_STATUSES.includes(existing.status)) {
+        return await this.applyUpgrade(existing, payment);
+      }
+
+      logger.warn(
+        `Upgrade payment ${payment._id} arrived after the subscription lapsed, starting a new period`
+      );
+    }
+
+    // Paying for the same plan while it is still accessible extends the
+    // current period; anything else starts a fresh one
+    const isRenewal =
+      existing &&
+      Subscription.ACCESS_STATUSES.includes(existing.status) &&
+      existing.plan === payment.plan;
+
+    const periodStart = isRenewal ? existing.currentPeriodEnd : now;
+    const periodEnd = await this.getPeriodEnd(payment.plan, periodStart);
+
+    let event = "activated";
+    if (isRenewal) event = "renewed";
+    else if (existing) event = "reactivated";
+
+    // A refund of the renewal hands back only the period it added
+    if (isRenewal) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        {
+          $set: {
+            kind: "renewal",
+            renewal: {
+              periodStart: existing.currentPeriodStart,
+              periodEnd: existing.currentPeriodEnd,
+              previousPayment: existing.lastPayment,
+            },
+          },
+        }
+      );
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { user: payment.user },
+      {
+        $set: {
+          plan: payment.plan,
+          status: "active",
+          currentPeriodStart: periodStart,
+          currentPeriodEnd: periodEnd,
+          lastPayment: payment._id,
+        },
+        $unset: {
+          graceEndsAt: "",
+          cancelledAt: "",
+          expiredAt: "",
+          pendingChange: "",
+        },
+        $push: {
+          history: {
+            event,
+            fromStatus: existing?.status,
+            toStatus: "active",
+            plan: payment.plan,
+            periodStart,
+            periodEnd,
+            payment: payment._id,
+            timestamp: now,
+          },
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await this.syncUserPackage(subscription);
+
+    logger.info(
+      `Subscription ${event} for user ${payment.user}: ${payment.plan} until ${periodEnd.toISOString()}`
+    );
+
+    return subscription;
+  }
+
+  // Switch plans within the current period after a prorated payment
+  async applyUpgrade(subscription, payment) {
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id },
+      {
+        $set: { plan: payment.plan, lastPayment: payment._id },
+        $unset: { pendingChange: "" },
+        $push: {
+          history: {
+            event: "upgraded",
+            fromStatus: subscription.status,
+            toStatus: subscription.status,
+            plan: payment.plan,
+            periodStart: subscription.currentPeriodStart,
+            periodEnd: subscription.currentPeriodEnd,
+            payment: payment._id,
+            note: `Upgraded from ${subscription.plan}`,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    await this.syncUserPackage(updated);
+
+    logger.info(
+      `Subscription upgraded for user ${payment.user}: ${subscription.plan} -> ${payment.plan}`
+    );
+
+    return updated;
+  }
+
+  // Keep the user's package dates in line with the subscription
+  async syncUserPackage(subscription) {
+    await User.updateOne(
+      { _id: subscription.user },
+      {
+        $set: {
+          "package.startDate": subscription.currentPeriodStart,
+          "package.expiresAt":
+            subscription.status === "grace"
+              ? subscription.graceEndsAt
+              : subscription.currentPeriodEnd,
+        },
+      }
+    );
+  }
+
+  // Get the subscription a plan change applies to
+  async getChangeableSubscription(userId) {
+    const subscription = await this.getForUser(userId);
+
+    if (!subscription || subscription.status !== "active") {
+      throw new AppError(
+        "An active subscription is required to change plans",
+        400
+      );
+    }
+
+    return subscription;
+  }
+
+  // Price a plan change against the remainder of the current period
+  async quotePlanChange(subscription, planId, now = new Date()) {
+    const fromPlan = await planService.getPlan(subscription.plan);
+    const toPlan = await planService.getPurchasablePlan(planId);
+
+    if (toPlan.id === fromPlan.id) {
+      throw new AppError(`You are already on the ${fromPlan.name}`, 400);
+    }
+
+    const periodStart = subscription.currentPeriodStart.getTime();
+    const periodEnd = subscription.currentPeriodEnd.getTime();
+    const remaining = Math.max(periodEnd - now.getTime(), 0);
+    const remainingFraction =
+      periodEnd > periodStart ? remaining / (periodEnd - periodStart) : 0;
+
+    const isUpgrade = toPlan.tier > fromPlan.tier;
+
+    // Unused time on the current plan is credited against the new one.
+    // Downgrades wait for the period end, so nothing is charged or credited.
+    const credit = isUpgrade
+      ? Math.round(fromPlan.price * remainingFraction)
+      : 0;
+    const charge = isUpgrade
+      ? Math.round(toPlan.price * remainingFraction) - credit
+      : 0;
+
+    return {
+      direction: isUpgrade ? "upgrade" : "downgrade",
+      fromPlan: fromPlan.id,
+      toPlan: toPlan.id,
+      currency: toPlan.currency,
+      remainingFraction: Math.round(remainingFraction * 10000) / 10000,
+      credit,
+      charge: Math.max(charge, 0),
+      nextPeriodPrice: toPlan.price,
+      periodEnd: subscription.currentPeriodEnd,
+      // Upgrades apply once paid, downgrades when the period ends
+      effectiveAt: isUpgrade ? now : subscription.currentPeriodEnd,
+    };
+  }
+
+  // Schedule a downgrade for the end of the current period
+  async scheduleDowngrade(userId, planId, requestedBy) {
+    const subscription = await this.getChangeableSubscription(userId);
+    const quote = await this.quotePlanChange(subscription, planId);
+
+    if (quote.direction !== "downgrade") {
+      throw new AppError("Use the upgrade endpoint for a higher plan", 400);
+    }
+
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: "active" },
+      {
+        $set: {
+          pendingChange: {
+            plan: planId,
+            effectiveAt: subscription.currentPeriodEnd,
+            requestedAt: new Date(),
+            requestedBy,
+          },
+        },
+        $push: {
+          history: {
+            event: "downgrade_scheduled",
+            fromStatus: "active",
+            toStatus: "active",
+            plan: planId,
+            periodStart: subscription.currentPeriodStart,
+            periodEnd: subscription.currentPeriodEnd,
+            changedBy: requestedBy,
+            note: `Downgrade from ${subscription.plan} at period end`,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    logger.info(
+      `Downgrade to ${planId} scheduled for user ${userId} at ${subscription.currentPeriodEnd.toISOString()}`
+    );
+
+    return { subscription: updated, quote };
+  }
+
+  // Drop a scheduled downgrade
+  async cancelPendingChange(userId, requestedBy) {
+    const subscription = await this.getForUser(userId);
+
+    if (!subscription || !subscription.pendingChange?.plan) {
+      throw new AppError("No plan change is scheduled", 404);
+    }
+
+    return await Subscription.findOneAndUpdate(
+      { _id: subscription._id },
+      {
+        $unset: { pendingChange: "" },
+        $push: {
+          history: {
+            event: "downgrade_cancelled",
+            fromStatus: subscription.status,
+            toStatus: subscription.status,
+            plan: subscription.plan,
+            periodStart: subscription.currentPeriodStart,
+            periodEnd: subscription.currentPeriodEnd,
+            changedBy: requestedBy,
+          },
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // Apply a scheduled plan change whose date has come
+  async applyPendingChange(subscription) {
+    const { plan, effectiveAt } = subscription.pendingChange;
+
+    const updated = await Subscription.findOneAndUpdate(
+      {
+        _id: subscription._id,
+        status: { $in: Subscription.ACCESS_STATUSES },
+        "pendingChange.effectiveAt": effectiveAt,
+      },
+      {
+        $set: { plan },
+        $unset: { pendingChange: "" },
+        $push: {
+          history: {
+            event: "downgraded",
+            fromStatus: subscription.status,
+            toStatus: subscription.status,
+            plan,
+            periodStart: subscription.currentPeriodStart,
+            periodEnd: subscription.currentPeriodEnd,
+            note: `Downgraded from ${subscription.plan}`,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) return null;
+
+    // Same feature mapping as a completed payment
+    const user = await User.findById(updated.user);
+    if (user && user.paymentCompleted) {
+      await user.applyPlan(await planService.getPlan(plan)).save();
+    }
+
+    logger.info(
+      `Subscription downgraded for user ${updated.user}: ${subscription.plan} -> ${plan}`
+    );
+
+    return updated;
+  }
+
+  // Checkout buys or renews a plan; switching an active plan goes
+  // through the upgrade/downgrade flow instead
+  async assertCheckoutPlan(user, planId) {
+    const subscription = await this.getForUser(user._id);
+
+    if (
+      subscription &&
+      subscription.status === "active" &&
+      subscription.plan !== planId
+    ) {
+      throw new AppError(
+        "Use the upgrade or downgrade endpoints to change your plan",
+        400
+      );
+    }
+  }
+
+  // Whether the user may pay again (renewal window, grace or no plan)
+  async canStartCheckout(user) {
+    if (!user.paymentCompleted) return true;
+
+    const subscription = await this.getForUser(user._id);
+    if (!subscription || subscription.status !== "active") return true;
+
+    const reminderDays = await settingsService.get(
+      "billing.renewalReminderDays",
+      3
+    );
+
+    return (
+      subscription.currentPeriodEnd.getTime() - Date.now() <=
+      Math.max(reminderDays, 1) * DAY_MS
+    );
+  }
+
+  // Move a lapsed subscription into its grace period, or expire it
+  // straight away when no grace period is configured
+  async startGracePeriod(subscription, graceDays) {
+    if (graceDays <= 0) {
+      return await this.expire(subscription);
+    }
+
+    const graceEndsAt = new Date(
+      subscription.currentPeriodEnd.getTime() + graceDays * DAY_MS
+    );
+
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: "active" },
+      {
+        $set: { status: "grace", graceEndsAt },
+        $push: {
+          history: {
+            event: "grace_started",
+            fromStatus: "active",
+            toStatus: "grace",
+            plan: subscription.plan,
+            periodStart: subscription.currentPeriodStart,
+            periodEnd: subscription.currentPeriodEnd,
+            note: `${graceDays} day grace period`,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) return null;
+
+    // Access continues through the grace period
+    await this.syncUserPackage(updated);
+
+    await this.notify(updated, "grace");
+    return updated;
+  }
+
+  // Expire a subscription and downgrade the user's package
+  async expire(subscription) {
+    const updated = await Subscription.findOneAndUpdate(
+      {
+        _id: subscription._id,
+        status: { $in: Subscription.ACCESS_STATUSES },
+      },
+      {
+        $set: { status: "expired", expiredAt: new Date() },
+        $push: {
+          history: {
+            event: "expired",
+            fromStatus: subscription.status,
+            toStatus: "expired",
+            plan: subscription.plan,
+            periodStart: subscription.currentPeriodStart,
+            periodEnd: subscription.currentPeriodEnd,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) return null;
+
+    const user = await User.findById(updated.user);
+    if (user) {
+      await user.resetPackage();
+    }
+
+    await this.notify(updated, "expired");
+    logger.info(`Subscription expired for user ${updated.user}`);
+    return updated;
+  }
+
+  // Cancel the subscription (user or admin action)
+  async cancel(userId, changedBy, note = undefined) {
+    const subscription = await Subscription.findOne({ user: userId });
+    if (
+      !subscription ||
+      !Subscription.ACCESS_STATUSES.includes(subscription.status)
+    ) {
+      return null;
+    }
+
+    return await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: subscription.status },
+      {
+        $set: { status: "cancelled", cancelledAt: new Date() },
+        $push: {
+          history: {
+            event: "cancelled",
+            fromStatus: subscription.status,
+            toStatus: "cancelled",
+            plan: subscription.plan,
+            periodStart: subscription.currentPeriodStart,
+            periodEnd: subscription.currentPeriodEnd,
+            changedBy,
+            note,
+          },
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // Undo the access a fully refunded payment granted
+  async handleRefundedPayment(payment, changedBy) {
+    const subscription = await this.getForUser(payment.user);
+
+    // Only the payment behind the current state changes access
+    if (
+      !subscription ||
+      !Subscription.ACCESS_STATUSES.includes(subscription.status) ||
+      !subscription.lastPayment ||
+      subscription.lastPayment.toString() !== payment._id.toString()
+    ) {
+      return "none";
+    }
+
+    if (payment.kind === "upgrade" && payment.proration?.fromPlan) {
+      const fromPlan = payment.proration.fromPlan;
+
+      await Subscription.updateOne(
+        { _id: subscription._id },
+        {
+          $set: { plan: fromPlan },
+          $push: {
+            history: {
+              event: "downgraded",
+              fromStatus: subscription.status,
+              toStatus: subscription.status,
+              plan: fromPlan,
+              periodStart: subscription.currentPeriodStart,
+              periodEnd: subscription.currentPeriodEnd,
+              payment: payment._id,
+              changedBy,
+              note: "Upgrade refunded",
+            },
+          },
+        }
+      );
+
+      const user = await User.findById(payment.user);
+      if (user) {
+        await user.applyPlan(await planService.getPlan(fromPlan)).save();
+      }
+
+      return "reverted";
+    }
+
+    if (payment.kind === "renewal" && payment.renewal?.periodEnd) {
+      const { periodStart, periodEnd, previousPayment } = payment.renewal;
+
+      const updated = await Subscription.findOneAndUpdate(
+        { _id: subscription._id },
+        {
+          $set: {
+            currentPeriodStart: periodStart,
+            currentPeriodEnd: periodEnd,
+            lastPayment: previousPayment,
+          },
+          $push: {
+            history: {
+              event: "renewal_refunded",
+              fromStatus: subscription.status,
+              toStatus: subscription.status,
+              plan: subscription.plan,
+              periodStart,
+              periodEnd,
+              payment: payment._id,
+              changedBy,
+            },
+          },
+        },
+        { new: true }
+      );
+
+      // A period already over lapses on the next lifecycle run
+      await this.syncUserPackage(updated);
+
+      return "shortened";
+    }
+
+    await this.cancel(payment.user, changedBy, "Payment refunded");
+
+    const user = await User.findById(payment.user);
+    if (user) {
+      await user.resetPackage();
+    }
+
+    return "revoked";
+  }
+
+  // Send a lifecycle email once per billing period
+  async notify(subscription, type) {
+    if (subscription.hasReminder(type)) return false;
+
+    const user = await User.findById(subscription.user).select("name email");
+    if (!user) return false;
+
+    const data = {
+      userName: user.name,
+      planName: await planService.getPlanName(subscription.plan),
+      periodEnd: subscription.currentPeriodEnd,
+      graceEndsAt: subscription.graceEndsAt,
+    };
+    const options = {
+      userId: user._id,
+      idempotencyKey: `subscription_${type}:${
+        subscription._id
+      }:${subscription.currentPeriodEnd.getTime()}`,
+    };
+
+    try {
+      if (type === "renewal") {
+        await emailService.sendRenewalReminderEmail(user.email, data, options);
+      } else if (type === "grace") {
+        await emailService.sendGracePeriodEmail(user.email, data, options);
+      } else {
+        await emailService.sendSubscriptionExpiredEmail(
+          user.email,
+          data,
+          options
+        );
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to queue ${type} email for subscription ${subscription._id}:`,
+        error
+      );
+      return false;
+    }
+
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      {
+        $push: {
+          remindersSent: {
+            $each: [
+              {
+                type,
+                periodEnd: subscription.currentPeriodEnd,
+                sentAt: new Date(),
+              },
+            ],
+            $slice: -20,
+          },
+        },
+      }
+    );
+
+    return true;
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,264 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User.model");
+const settingsService = require("./settings.service");
+const { AppError } = require("../middleware/error.middleware");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUri,
+} = require("../utils/totp");
+const logger = require("../utils/logger");
+
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || "AutoApplyJob";
+    this.challengeExpiry = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m";
+  }
+
+  // Challenge tokens are signed with a key derived from the JWT secret so
+  // they can never pass as access tokens
+  getChallengeSecret() {
+    return crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update("two-factor-challenge")
+      .digest("hex");
+  }
+
+  hashRecoveryCode(code) {
+    return crypto
+      .createHash("sha256")
+      .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+      .digest("hex");
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString("hex");
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  async loadWithSecrets(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+    return user;
+  }
+
+  // Whether settings force this account to use 2FA
+  async isRequired(user) {
+    if (user.userType !== "admin") return false;
+    return await settingsService.get("security.requireAdminTwoFactor", false);
+  }
+
+  async getStatus(userId) {
+    const user = await this.loadWithSecrets(userId);
+
+    return {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length,
+      required: await this.isRequired(user),
+    };
+  }
+
+  // Start enrolment: a new secret waits until a code from it is confirmed
+  async beginEnrolment(userId) {
+    const user = await this.loadWithSecrets(userId);
+    if (user.twoFactor.enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.pendingSecret": secret } }
+    );
+
+    return {
+      secret,
+      otpauthUrl: buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: this.issuer,
+      }),
+    };
+  }
+
+  // Finish enrolment with a code from the app. Returns the recovery codes,
+  // which are only ever shown this once.
+  async confirmEnrolment(userId, code) {
+    const user = await this.loadWithSecrets(userId);
+    if (user.twoFactor.enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new AppError("Start two-factor setup first", 400);
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new AppError("Invalid authentication code", 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.recoveryCodes": recoveryCodes.map((recoveryCode) =>
+            this.hashRecoveryCode(recoveryCode)
+          ),
+          "twoFactor.lastUsedStep": step,
+          "twoFactor.enabledAt": new Date(),
+        },
+        $unset: { "twoFactor.pendingSecret": 1 },
+      }
+    );
+
+    logger.info(`Two-factor authentication enabled for user ${user._id}`);
+    return recoveryCodes;
+  }
+
+  // Check a TOTP or recovery code for an enrolled user. Accepted codes
+  // are used up: TOTP steps cannot be replayed and recovery codes are
+  // removed. Returns "totp", "recovery_code" or null.
+  async verify(user, code) {
+    const candidate = String(code || "").trim();
+
+    if (/^\d{6}$/.test(candidate.replace(/\s/g, ""))) {
+      const step = verifyCode(user.twoFactor.secret, candidate);
+      if (step === null) return null;
+
+      const accepted = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { "twoFactor.lastUsedStep": { $exists: false } },
+            { "twoFactor.lastUsedStep": { $lt: step } },
+          ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } }
+      );
+      return accepted.modifiedCount === 1 ? "totp" : null;
+    }
+
+    const hash = this.hashRecoveryCode(candidate);
+    const consumed = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+
+    if (consumed.modifiedCount !== 1) return null;
+
+    logger.info(`Recovery code used by user ${user._id}`);
+    return "recovery_code";
+  }
+
+  async disable(userId, { password, code }) {
+    const user = await User.findById(userId).select(
+      `+password ${SECRET_FIELDS}`
+    );
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+    if (!user.twoFactor.enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+    if (await this.isRequired(user)) {
+      throw new AppError(
+        "Two-factor authentication is required for admin accounts",
+        400
+      );
+    }
+    if (!(await user.comparePassword(password))) {
+      throw new AppError("Password is incorrect", 400);
+    }
+    if (!(await this.verify(user, code))) {
+      throw new AppError("Invalid authentication code", 400);
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": 1,
+          "twoFactor.pendingSecret": 1,
+          "twoFactor.recoveryCodes": 1,
+          "twoFactor.lastUsedStep": 1,
+          "twoFactor.enabledAt": 1,
+        },
+      }
+    );
+
+    logger.info(`Two-factor authentication disabled for user ${user._id}`);
+  }
+
+  // Replace all recovery codes (the old ones stop working)
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.loadWithSecrets(userId);
+    if (!user.twoFactor.enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+    if (!(await this.verify(user, code))) {
+      throw new AppError("Invalid authentication code", 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.recoveryCodes": recoveryCodes.map((recoveryCode) =>
+            this.hashRecoveryCode(recoveryCode)
+          ),
+        },
+      }
+    );
+
+    return recoveryCodes;
+  }
+
+  // Short-lived token proving the password step of a login passed
+  createChallenge(user) {
+    return jwt.sign(
+      { id: user._id, ver: user.tokenVersion, purpose: "two_factor" },
+      this.getChallengeSecret(),
+      { expiresIn: this.challengeExpiry }
+    );
+  }
+
+  // Resolve a challenge token to its user (with 2FA secrets loaded)
+  async resolveChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, this.getChallengeSecret());
+    } catch (error) {
+      throw new AppError("Invalid or expired login challenge", 401);
+    }
+
+    const user = await User.findById(decoded.id).select(SECRET_FIELDS);
+    if (
+      decoded.purpose !== "two_factor" ||
+      !user ||
+      !user.isActive ||
+      !user.twoFactor.enabled ||
+      !user.isTokenCurrent(decoded)
+    ) {
+      throw new AppError("Invalid or expired login challenge", 401);
+    }
+
+    return user;
+  }
+}
+
+module.exports = new TwoFactorService();
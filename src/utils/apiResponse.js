@@ -68,6 +68,19 @@ class ApiResponse {
     });
   }
 
+  static serviceUnavailable(
+    res,
+    message = "Service temporarily unavailable",
+    data = null
+  ) {
+    return res.status(503).json({
+      success: false,
+      message,
+      data,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   static rateLimited(res, message = "Too many requests") {
     return res.status(429).json({
       success: false,
@@ -44,6 +44,90 @@ const PACKAGE_TYPES = {
   ENTERPRISE: "enterprise",
 };
 
+// Plans seeded into an empty plan catalogue. After that the catalogue in
+// the database is authoritative and edited through the admin API.
+const DEFAULT_PLANS = {
+  basic: {
+    id: "basic",
+    tier: 1,
+    name: "Basic Plan",
+    price: 2999,
+    currency: "PKR",
+    period: "month",
+    features: [
+      "Up to 50 job applications per month",
+      "Basic job matching",
+      "Email notifications",
+      "Resume upload",
+      "Standard support",
+    ],
+    entitlements: {
+      autoApply: false,
+      prioritySupport: false,
+      advancedFilters: false,
+    },
+    limits: {
+      applicationsPerMonth: 50,
+      scrapingCadence: 1,
+    },
+    recommended: false,
+  },
+  premium: {
+    id: "premium",
+    tier: 2,
+    name: "Premium Plan",
+    price: 4999,
+    currency: "PKR",
+    period: "month",
+    features: [
+      "Unlimited job applications",
+      "AI-powered job matching",
+      "Auto-apply feature",
+      "Priority support",
+      "Advanced filters",
+      "Interview preparation tips",
+      "Salary insights",
+    ],
+    entitlements: {
+      autoApply: true,
+      prioritySupport: true,
+      advancedFilters: true,
+    },
+    limits: {
+      applicationsPerMonth: null, // unlimited
+      scrapingCadence: 0.5,
+    },
+    recommended: true,
+  },
+  enterprise: {
+    id: "enterprise",
+    tier: 3,
+    name: "Enterprise Plan",
+    price: 9999,
+    currency: "PKR",
+    period: "month",
+    features: [
+      "Everything in Premium",
+      "Dedicated account manager",
+      "Custom integrations",
+      "Advanced analytics",
+      "Team collaboration features",
+      "Priority job placement",
+      "24/7 phone support",
+    ],
+    entitlements: {
+      autoApply: true,
+      prioritySupport: true,
+      advancedFilters: true,
+    },
+    limits: {
+      applicationsPerMonth: null, // unlimited
+      scrapingCadence: 0.25,
+    },
+    recommended: false,
+  },
+};
+
 // Scraping platforms
 const SCRAPING_PLATFORMS = {
   LINKEDIN: "linkedin",
@@ -52,6 +136,29 @@ const SCRAPING_PLATFORMS = {
   MONSTER: "monster",
   ZIPRECRUITER: "ziprecruiter",
   CAREERBUILDER: "careerbuilder",
+  // Company boards and feeds read by the in-process job sources
+  GREENHOUSE: "greenhouse",
+  LEVER: "lever",
+  OTHER: "other",
+};
+
+// Events the scraping service posts back to the callback route
+const SCRAPER_EVENTS = {
+  PROGRESS: "session.progress",
+  JOBS: "jobs.batch",
+  COMPLETED: "session.completed",
+  FAILED: "session.failed",
+};
+
+// Header carrying the HMAC signature of a scraper callback
+const SCRAPER_SIGNATURE_HEADER = "x-scraper-signature";
+
+// Why a scraped listing was not saved as a new job for the user
+const DUPLICATE_REASONS = {
+  EXACT: "exact", // same platform posting, already matched
+  APPLY_URL: "apply_url",
+  DESCRIPTION: "description",
+  TITLE: "title",
 };
 
 // File upload constants
@@ -82,6 +189,14 @@ const RATE_LIMITS = {
     WINDOW_MS: 15 * 60 * 1000, // 15 minutes
     MAX_REQUESTS: 5,
   },
+  REGISTER: {
+    WINDOW_MS: 60 * 60 * 1000, // 1 hour
+    MAX_REQUESTS: 5,
+  },
+  AI: {
+    WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+    MAX_REQUESTS: 20,
+  },
   SENSITIVE: {
     WINDOW_MS: 60 * 60 * 1000, // 1 hour
     MAX_REQUESTS: 3,
@@ -95,6 +210,10 @@ const EMAIL_TEMPLATES = {
   WELCOME: "welcome",
   APPLICATION_UPDATE: "application_update",
   DAILY_DIGEST: "daily_digest",
+  SUBSCRIPTION_RENEWAL: "subscription_renewal",
+  SUBSCRIPTION_GRACE: "subscription_grace",
+  SUBSCRIPTION_EXPIRED: "subscription_expired",
+  ACCOUNT_LOCKED: "account_locked",
 };
 
 module.exports = {
@@ -103,7 +222,11 @@ module.exports = {
   ADMIN_REVIEW_STATUS,
   USER_TYPES,
   PACKAGE_TYPES,
+  DEFAULT_PLANS,
   SCRAPING_PLATFORMS,
+  SCRAPER_EVENTS,
+  SCRAPER_SIGNATURE_HEADER,
+  DUPLICATE_REASONS,
   UPLOAD_LIMITS,
   PAGINATION,
   RATE_LIMITS,
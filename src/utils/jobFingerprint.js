@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+
+// Normalised keys for recognising one job posting listed on several
+// platforms, where titles, company names and apply links differ slightly
+
+// Legal-form words dropped from the end of company names
+const COMPANY_SUFFIXES = new Set([
+  "inc",
+  "incorporated",
+  "llc",
+  "llp",
+  "ltd",
+  "limited",
+  "corp",
+  "corporation",
+  "co",
+  "company",
+  "plc",
+  "gmbh",
+  "ag",
+  "sa",
+  "bv",
+  "pvt",
+  "pty",
+]);
+
+// Title abbreviations spelled out, so "Sr. SWE" reads like the full title
+const TITLE_ABBREVIATIONS = {
+  sr: "senior",
+  snr: "senior",
+  jr: "junior",
+  eng: "engineer",
+  engr: "engineer",
+  dev: "developer",
+  mgr: "manager",
+  swe: "software engineer",
+  sde: "software engineer",
+  ii: "2",
+  iii: "3",
+  iv: "4",
+};
+
+// Title words that say where, not what
+const TITLE_NOISE = new Set(["remote", "hybrid", "onsite"]);
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = new Set([
+  "gclid",
+  "fbclid",
+  "ref",
+  "refid",
+  "referrer",
+  "src",
+  "source",
+  "trk",
+  "trackingid",
+  "from",
+]);
+
+// Path segments of careers pages and apply forms that name no posting
+const GENERIC_PATH_SEGMENTS = new Set([
+  "career",
+  "careers",
+  "job",
+  "jobs",
+  "apply",
+  "join",
+  "join-us",
+  "openings",
+  "positions",
+  "vacancies",
+  "work-with-us",
+  "en",
+  "en-us",
+]);
+
+// Descriptions shorter than this are too thin to fingerprint reliably
+const MIN_DESCRIPTION_WORDS = 20;
+const SHINGLE_SIZE = 3;
+const SIMHASH_BITS = 64;
+
+// Lower-case words with accents and punctuation removed
+const normalizeText = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const normalizeCompany = (name) => {
+  const words = normalizeText(name).split(" ").filter(Boolean);
+
+  if (words[0] === "the") words.shift();
+  while (words.length > 1 && COMPANY_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(" ");
+};
+
+const normalizeTitle = (title) =>
+  normalizeText(String(title || "").replace(/\([^)]*\)|\[[^\]]*\]/g, " "))
+    .replace(/\b(front|back|full) (end|stack)\b/g, "$1$2")
+    .split(" ")
+    .flatMap((word) => (TITLE_ABBREVIATIONS[word] || word).split(" "))
+    .filter((word) => word && !TITLE_NOISE.has(word))
+    .join(" ");
+
+// The city part of a location: "Austin, TX" and "Austin, Texas, US" agree
+const normalizeLocation = (location) =>
+  normalizeText(String(location || "").split(",")[0]);
+
+// Dice coefficient of the two titles' word sets, 0 to 1
+const titleSimilarity = (a, b) => {
+  const wordsA = new Set(normalizeTitle(a).split(" ").filter(Boolean));
+  const wordsB = new Set(normalizeTitle(b).split(" ").filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared++;
+  });
+
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+// Host and path of an apply link without protocol, "www.", fragment or
+// tracking parameters; the remaining parameters are sorted. Null for links
+// with no posting-specific path or query, such as a careers page.
+const canonicalizeUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => {
+      const name = key.toLowerCase();
+      return !name.startsWith("utm_") && !TRACKING_PARAMS.has(name);
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, "");
+  const path = url.pathname.replace(/\/+$/, "");
+  const query = new URLSearchParams(params).toString();
+
+  const segments = path.toLowerCase().split("/").filter(Boolean);
+  if (
+    !query &&
+    segments.every((segment) => GENERIC_PATH_SEGMENTS.has(segment))
+  ) {
+    return null;
+  }
+
+  return `${host}${path}${query ? `?${query}` : ""}`;
+};
+
+const hash64 = (value) =>
+  crypto.createHash("md5").update(value).digest().readBigUInt64BE(0);
+
+// 64-bit SimHash of the description's word shingles, as hex. Near-identical
+// texts differ in only a few bits. Null when the text is too short.
+const simhash = (text) => {
+  const words = normalizeText(text).split(" ").filter(Boolean);
+  if (words.length < MIN_DESCRIPTION_WORDS) return null;
+
+  const weights = new Array(SIMHASH_BITS).fill(0);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const hash = hash64(words.slice(i, i + SHINGLE_SIZE).join(" "));
+    for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  const fingerprint = weights.reduce(
+    (acc, weight, bit) => (weight > 0 ? acc | (1n << BigInt(bit)) : acc),
+    0n
+  );
+
+  return fingerprint.toString(16).padStart(SIMHASH_BITS / 4, "0");
+};
+
+// Number of differing bits between two simhashes
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// All keys of one posting, as stored on Job.fingerprint
+const buildFingerprint = (job) => ({
+  company: normalizeCompany(job.company),
+  title: normalizeTitle(job.title),
+  location: normalizeLocation(job.location),
+  applyUrl: canonicalizeUrl(job.applyUrl),
+  description: simhash(job.description),
+});
+
+module.exports = {
+  SIMHASH_BITS,
+  normalizeCompany,
+  normalizeTitle,
+  normalizeLocation,
+  titleSimilarity,
+  canonicalizeUrl,
+  simhash,
+  hammingDistance,
+  buildFingerprint,
+};
@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+
+// Default window in which a signed payload is accepted (replay protection)
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+// HMAC-SHA256 of "<timestamp>.<payload>"
+const computeSignature = (payload, secret, timestamp) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+};
+
+// Build a "t=<timestamp>,v1=<signature>" header value for a payload
+const signPayload = (
+  payload,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+};
+
+// Check a "t=...,v1=..." header against the raw payload.
+// Returns false on a bad signature or a timestamp outside the tolerance.
+const verifySignature = (
+  payload,
+  header,
+  secret,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS
+) => {
+  if (!header || !secret) return false;
+
+  const parts = header.split(",").reduce(
+    (acc, part) => {
+      const [key, value] = part.split("=");
+      if (key === "t") acc.timestamp = parseInt(value);
+      if (key === "v1" && value) acc.signatures.push(value);
+      return acc;
+    },
+    { timestamp: null, signatures: [] }
+  );
+
+  if (!parts.timestamp || parts.signatures.length === 0) return false;
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parts.timestamp);
+  if (age > toleranceSeconds) return false;
+
+  const expected = Buffer.from(
+    computeSignature(payload, secret, parts.timestamp)
+  );
+
+  return parts.signatures.some((signature) => {
+    const candidate = Buffer.from(signature);
+    return (
+      candidate.length === expected.length &&
+      crypto.timingSafeEqual(candidate, expected)
+    );
+  });
+};
+
+module.exports = {
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// Schema plugin: drop cached dashboards and analytics whenever documents
+// of the model are written. `userField` names the field holding the owning
+// user so only that user's dashboard is dropped when it is known; models
+// without one only drop the shared admin and analytics entries. `fields`,
+// when given, lists the paths the stats read: updates touching none of
+// them leave the cache alone. Creates and deletes always invalidate.
+const statsCacheInvalidation = (schema, { userField, fields }) => {
+  const invalidate = (userIds) => {
+    // Required lazily so models can load before the cache service
+    const cacheService = require("../services/cache.service");
+    cacheService.invalidateStats(userIds).catch(() => {});
+  };
+
+  const ownerOf = (doc) =>
+    userField &&
+    doc &&
+    (typeof doc.get === "function" ? doc.get(userField) : doc[userField]);
+
+  const touchesStats = (paths) =>
+    !fields ||
+    paths.some((path) =>
+      fields.some(
+        (field) =>
+          path === field ||
+          path.startsWith(`${field}.`) ||
+          field.startsWith(`${path}.`)
+      )
+    );
+
+  // Paths set by an update document; pipelines count as touching all
+  const updatedPaths = (update) =>
+    Array.isArray(update)
+      ? null
+      : Object.keys(update || {}).flatMap((key) =>
+          key.startsWith("$") ? Object.keys(update[key] || {}) : [key]
+        );
+
+  schema.pre("save", function () {
+    this.$locals.statsChanged =
+      this.isNew || touchesStats(this.modifiedPaths());
+  });
+
+  schema.post("save", function (doc) {
+    if (doc.$locals.statsChanged) invalidate([ownerOf(doc)]);
+  });
+
+  schema.post("insertMany", function (docs) {
+    invalidate((docs || []).map(ownerOf));
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, function (doc) {
+    invalidate([ownerOf(doc)]);
+  });
+
+  schema.post(
+    [
+      "updateOne",
+      "updateMany",
+      "findOneAndUpdate",
+      "findOneAndDelete",
+      "deleteOne",
+      "deleteMany",
+    ],
+    { document: false, query: true },
+    function () {
+      const isUpdate = ["updateOne", "updateMany", "findOneAndUpdate"].includes(
+        this.op
+      );
+
+      if (isUpdate && !this.getOptions().upsert) {
+        const paths = updatedPaths(this.getUpdate());
+        if (paths && !touchesStats(paths)) return;
+      }
+
+      if (!userField) return invalidate([]);
+
+      const owner = this.getFilter()[userField];
+      const isSingleUser =
+        typeof owner === "string" || owner instanceof mongoose.Types.ObjectId;
+
+      invalidate(isSingleUser ? [owner] : null);
+    }
+  );
+};
+
+module.exports = statsCacheInvalidation;
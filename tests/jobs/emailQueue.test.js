@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const memoryMongo = require("../support/memoryMongo");
+
+jest.mock("../../src/services/email.service", () => ({
+  sendEmail: jest.fn(),
+}));
+
+const emailService = require("../../src/services/email.service");
+const EmailMessage = require("../../src/models/EmailMessage.model");
+const emailQueue = require("../../src/jobs/emailQueue");
+
+const mail = (overrides = {}) => ({
+  from: "AutoApplyJob <noreply@example.com>",
+  to: "jane@example.com",
+  subject: "Welcome",
+  html: "<p>Hello Jane</p>",
+  ...overrides,
+});
+
+// Claim the next due message and deliver it, as the worker does
+const deliverNext = async () => {
+  const message = await emailQueue.claimNextMessage();
+  await emailQueue.deliver(message);
+  return EmailMessage.findById(message._id);
+};
+
+describe("emailQueue", () => {
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    emailService.sendEmail.mockReset();
+  });
+
+  describe("enqueue", () => {
+    it("stores a message once per idempotency key", async () => {
+      const first = await emailQueue.enqueue(mail(), {
+        template: "welcome",
+        idempotencyKey: "welcome:user-1",
+      });
+      const second = await emailQueue.enqueue(
+        mail({ subject: "Welcome again" }),
+        { template: "welcome", idempotencyKey: "welcome:user-1" }
+      );
+
+      expect(second._id.toString()).toBe(first._id.toString());
+      expect(second.subject).toBe("Welcome");
+      expect(await EmailMessage.countDocuments()).toBe(1);
+    });
+
+    it("derives the key from the content when none is given", async () => {
+      await emailQueue.enqueue(mail(), { template: "welcome" });
+      await emailQueue.enqueue(mail(), { template: "welcome" });
+      await emailQueue.enqueue(mail({ html: "<p>Hello again</p>" }), {
+        template: "welcome",
+      });
+
+      expect(await EmailMessage.countDocuments()).toBe(2);
+    });
+  });
+
+  describe("deliver", () => {
+    it("marks a sent message and clears its lock", async () => {
+      emailService.sendEmail.mockResolvedValue({ messageId: "smtp-1" });
+      await emailQueue.enqueue(mail());
+
+      const message = await deliverNext();
+
+      expect(message.status).toBe("sent");
+      expect(message.messageId).toBe("smtp-1");
+      expect(message.attempts).toBe(1);
+      expect(message.lockedBy).toBeUndefined();
+      expect(message.sentAt).toBeInstanceOf(Date);
+    });
+
+    it("retries a failed send with exponential backoff", async () => {
+      emailService.sendEmail.mockRejectedValue(new Error("SMTP timeout"));
+      const { _id } = await emailQueue.enqueue(mail());
+
+      const before = Date.now();
+      let message = await deliverNext();
+
+      expect(message.status).toBe("queued");
+      expect(message.lastError).toBe("SMTP timeout");
+      expect(message.lockedAt).toBeUndefined();
+      expect(message.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(
+        before + emailQueue.backoffBaseMs
+      );
+      expect(message.errorHistory).toHaveLength(1);
+
+      // Make the retry due now; the next wait doubles
+      await EmailMessage.updateOne({ _id }, { nextAttemptAt: new Date() });
+      const again = Date.now();
+      message = await deliverNext();
+
+      expect(message.attempts).toBe(2);
+      expect(message.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(
+        again + 2 * emailQueue.backoffBaseMs
+      );
+      expect(message.nextAttemptAt.getTime()).toBeLessThan(
+        Date.now() + 4 * emailQueue.backoffBaseMs
+      );
+    });
+
+    it("fails the message once its attempts run out", async () => {
+      emailService.sendEmail.mockRejectedValue(new Error("Mailbox full"));
+      const { _id } = await emailQueue.enqueue(mail());
+      await EmailMessage.updateOne(
+        { _id },
+        { attempts: emailQueue.maxAttempts - 1 }
+      );
+
+      const message = await deliverNext();
+
+      expect(message.status).toBe("failed");
+      expect(message.attempts).toBe(emailQueue.maxAttempts);
+      expect(message.failedAt).toBeInstanceOf(Date);
+      expect(message.lastError).toBe("Mailbox full");
+      expect(await emailQueue.claimNextMessage()).toBeNull();
+    });
+
+    it("does not claim a message before its retry is due", async () => {
+      const { _id } = await emailQueue.enqueue(mail());
+      await EmailMessage.updateOne(
+        { _id },
+        { nextAttemptAt: new Date(Date.now() + 60 * 1000) }
+      );
+
+      expect(await emailQueue.claimNextMessage()).toBeNull();
+    });
+  });
+
+  describe("releaseStaleLocks", () => {
+    it("requeues messages locked by a worker that stopped", async () => {
+      const stale = await emailQueue.enqueue(mail({ to: "a@example.com" }));
+      const fresh = await emailQueue.enqueue(mail({ to: "b@example.com" }));
+      await EmailMessage.updateOne(
+        { _id: stale._id },
+        {
+          status: "sending",
+          lockedBy: "old-worker",
+          lockedAt: new Date(Date.now() - emailQueue.staleLockMs - 1000),
+        }
+      );
+      await EmailMessage.updateOne(
+        { _id: fresh._id },
+        { status: "sending", lockedBy: "worker", lockedAt: new Date() }
+      );
+
+      await emailQueue.releaseStaleLocks();
+
+      const released = await EmailMessage.findById(stale._id);
+      expect(released.status).toBe("queued");
+      expect(released.lockedBy).toBeUndefined();
+      expect((await EmailMessage.findById(fresh._id)).status).toBe("sending");
+    });
+  });
+
+  describe("resend", () => {
+    it("puts a failed message back in the queue", async () => {
+      const adminId = new mongoose.Types.ObjectId();
+      const { _id } = await emailQueue.enqueue(mail());
+      await EmailMessage.updateOne(
+        { _id },
+        { status: "failed", attempts: 5, failedAt: new Date() }
+      );
+
+      const message = await emailQueue.resend(_id, adminId);
+
+      expect(message.status).toBe("queued");
+      expect(message.attempts).toBe(0);
+      expect(message.failedAt).toBeUndefined();
+      expect(message.resentBy.toString()).toBe(adminId.toString());
+      expect((await emailQueue.claimNextMessage())._id.toString()).toBe(
+        _id.toString()
+      );
+    });
+
+    it("leaves messages that have not failed alone", async () => {
+      const { _id } = await emailQueue.enqueue(mail());
+
+      expect(await emailQueue.resend(_id, null)).toBeNull();
+      expect((await EmailMessage.findById(_id)).status).toBe("queued");
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const memoryMongo = require("../support/memoryMongo");
+const User = require("../../src/models/User.model");
+const Payment = require("../../src/models/Payment.model");
+const Invoice = require("../../src/models/Invoice.model");
+const subscriptionLifecycle = require("../../src/jobs/subscriptionLifecycle");
+
+describe("subscriptionLifecycle", () => {
+  let user;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+
+    user = await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+    });
+  });
+
+  // A payment whose invoice failed to issue at checkout
+  const completedPayment = (overrides = {}) =>
+    Payment.create({
+      user: user._id,
+      plan: "basic",
+      amount: 2999,
+      currency: "PKR",
+      gateway: "mock",
+      status: "completed",
+      transactionId: "mock_pi_test",
+      completedAt: new Date("2026-10-01T10:00:00Z"),
+      ...overrides,
+    });
+
+  it("issues invoices for completed payments that have none", async () => {
+    const payment = await completedPayment();
+
+    const result = await subscriptionLifecycle.run();
+
+    expect(result.invoicesIssued).toBe(1);
+    const invoice = await Invoice.findOne({ payment: payment._id });
+    expect(invoice).toMatchObject({ total: 2999, status: "paid" });
+    expect(invoice.issuedAt).toEqual(payment.completedAt);
+    expect((await Payment.findById(payment._id)).invoice).toEqual(invoice._id);
+
+    // The next run finds nothing left to issue
+    expect((await subscriptionLifecycle.run()).invoicesIssued).toBe(0);
+    expect(await Invoice.countDocuments()).toBe(1);
+  });
+
+  it("carries refunds made before the invoice was issued", async () => {
+    const payment = await completedPayment({
+      status: "partially_refunded",
+      amountRefunded: 1000,
+      refunds: [{ amount: 1000, reason: "Goodwill" }],
+    });
+
+    await subscriptionLifecycle.run();
+
+    const invoice = await Invoice.findOne({ payment: payment._id });
+    expect(invoice.status).toBe("partially_refunded");
+    expect(invoice.amountRefunded).toBe(1000);
+    expect(invoice.refunds).toHaveLength(1);
+  });
+
+  it("leaves payments that did not complete without an invoice", async () => {
+    await completedPayment({ status: "pending", completedAt: undefined });
+
+    const result = await subscriptionLifecycle.run();
+
+    expect(result.invoicesIssued).toBe(0);
+    expect(await Invoice.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+const bcrypt = require("bcryptjs");
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const User = require("../../src/models/User.model");
+const { rateLimiters } = require("../../src/middleware/rateLimiter.middleware");
+
+const login = (body) => request(app).post("/api/v1/auth/login").send(body);
+
+describe("POST /api/v1/auth/login", () => {
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    await rateLimiters.login.resetKey("::ffff:127.0.0.1:anonymous");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("signs in with the right password", async () => {
+    await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+    });
+
+    const res = await login({
+      email: "jane@example.com",
+      password: "Passw0rd!",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeTruthy();
+  });
+
+  it("checks a password hash for an unknown email too", async () => {
+    const compare = jest.spyOn(bcrypt, "compare");
+
+    const res = await login({ email: "nobody@example.com", password: "guess" });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Invalid email or password");
+    expect(compare).toHaveBeenCalledTimes(1);
+  });
+
+  describe("on a deactivated account", () => {
+    beforeEach(async () => {
+      await User.create({
+        name: "Jane Doe",
+        email: "jane@example.com",
+        password: "Passw0rd!",
+        isActive: false,
+      });
+    });
+
+    it("answers a wrong password like any other", async () => {
+      const res = await login({ email: "jane@example.com", password: "guess" });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe("Invalid email or password");
+    });
+
+    it("tells only the right password that it is deactivated", async () => {
+      const res = await login({
+        email: "jane@example.com",
+        password: "Passw0rd!",
+      });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toMatch(/deactivated/);
+    });
+  });
+
+  it("refuses a locked account without recording another failure", async () => {
+    await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+      loginSecurity: { lockedUntil: new Date(Date.now() + 60 * 60 * 1000) },
+    });
+
+    const res = await login({
+      email: "jane@example.com",
+      password: "Passw0rd!",
+    });
+
+    expect(res.status).toBe(423);
+    expect(res.headers["retry-after"]).toBeDefined();
+
+    const user = await User.findOne({ email: "jane@example.com" });
+    expect(user.loginSecurity.failedAttempts || 0).toBe(0);
+  });
+});
@@ -0,0 +1,230 @@
+process.env.MOCK_OAUTH_ENABLED = "true";
+process.env.MOCK_OAUTH_SECRET = "test_mock_oauth_secret";
+
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const User = require("../../src/models/User.model");
+const oauthService = require("../../src/services/oauth.service");
+const { rateLimiters } = require("../../src/middleware/rateLimiter.middleware");
+
+const profile = {
+  email: "jane@example.com",
+  name: "Jane Doe",
+  currentJobTitle: "Backend Engineer",
+  location: "Lahore, Pakistan",
+};
+
+// Start a mock sign-in and follow the stand-in IdP back to the client,
+// returning the code and state the client would post to the callback
+const signInWithMock = async (claims = profile) => {
+  const start = await request(app).get("/api/v1/auth/oauth/mock");
+  expect(start.status).toBe(200);
+
+  const { url, state } = start.body.data;
+  const authorize = new URL(url);
+  Object.entries(claims).forEach(([key, value]) =>
+    authorize.searchParams.set(key, String(value))
+  );
+
+  const res = await request(app).get(
+    `${authorize.pathname}${authorize.search}`
+  );
+  expect(res.status).toBe(302);
+
+  const redirect = new URL(res.headers.location);
+  expect(`${redirect.origin}${redirect.pathname}`).toBe(
+    oauthService.getRedirectUri("mock")
+  );
+  expect(redirect.searchParams.get("state")).toBe(state);
+
+  return { code: redirect.searchParams.get("code"), state };
+};
+
+const callback = (body) =>
+  request(app).post("/api/v1/auth/oauth/mock/callback").send(body);
+
+describe("sign-in with the mock provider", () => {
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    // Every request comes from the same address; start each test under
+    // the sign-in limit
+    await rateLimiters.login.resetKey("::ffff:127.0.0.1:anonymous");
+  });
+
+  it("lists the mock provider", async () => {
+    const res = await request(app).get("/api/v1/auth/oauth/providers");
+
+    expect(res.status).toBe(200);
+    expect(JSON.stringify(res.body.data)).toContain("mock");
+  });
+
+  it("creates a new user with the profile fields prefilled", async () => {
+    const res = await callback(await signInWithMock());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeTruthy();
+    expect(res.body.data.refreshToken).toBeTruthy();
+
+    const user = await User.findOne({ email: profile.email });
+    expect(user).toMatchObject({
+      name: "Jane Doe",
+      currentJobTitle: "Backend Engineer",
+      location: "Lahore, Pakistan",
+      isEmailVerified: true,
+    });
+    expect(user.oauthAccounts).toHaveLength(1);
+    expect(user.oauthAccounts[0]).toMatchObject({
+      provider: "mock",
+      providerId: `mock_${profile.email}`,
+    });
+  });
+
+  it("signs a returning user in to the same account", async () => {
+    await callback(await signInWithMock());
+    const res = await callback(await signInWithMock());
+
+    expect(res.status).toBe(200);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it("links an existing account when the provider verified the email", async () => {
+    const existing = await User.create({
+      name: "Jane",
+      email: profile.email,
+      password: "Passw0rd!",
+    });
+
+    const res = await callback(await signInWithMock());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user._id).toBe(existing._id.toString());
+
+    const user = await User.findById(existing._id);
+    // Fields the user already set are kept, empty ones are filled
+    expect(user.name).toBe("Jane");
+    expect(user.currentJobTitle).toBe("Backend Engineer");
+    expect(user.isEmailVerified).toBe(true);
+    expect(user.oauthAccounts.map((account) => account.provider)).toEqual([
+      "mock",
+    ]);
+  });
+
+  it("refuses to link an existing account on an unverified email", async () => {
+    const existing = await User.create({
+      name: "Jane",
+      email: profile.email,
+      password: "Passw0rd!",
+    });
+
+    const res = await callback(
+      await signInWithMock({ ...profile, emailVerified: false })
+    );
+
+    expect(res.status).toBe(409);
+    expect(res.body.data?.token).toBeUndefined();
+
+    const user = await User.findById(existing._id);
+    expect(user.oauthAccounts).toHaveLength(0);
+  });
+
+  it("rejects a state issued for another provider", async () => {
+    const { code } = await signInWithMock();
+    const state = jwt.sign(
+      { provider: "google", nonce: "abc" },
+      oauthService.getStateSecret()
+    );
+
+    const res = await callback({ code, state });
+
+    expect(res.status).toBe(400);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it("rejects a state that has expired", async () => {
+    const { code } = await signInWithMock();
+    const state = jwt.sign(
+      {
+        provider: "mock",
+        nonce: "abc",
+        exp: Math.floor(Date.now() / 1000) - 60,
+      },
+      oauthService.getStateSecret()
+    );
+
+    const res = await callback({ code, state });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid or expired sign-in state");
+  });
+
+  it("rejects a state that was not signed by the server", async () => {
+    const { code } = await signInWithMock();
+    const state = jwt.sign({ provider: "mock", nonce: "abc" }, "guessed");
+
+    const res = await callback({ code, state });
+
+    expect(res.status).toBe(400);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it("rejects a redirect URI other than the client's", async () => {
+    const { state } = (await request(app).get("/api/v1/auth/oauth/mock")).body
+      .data;
+
+    const res = await request(app)
+      .get("/api/v1/auth/oauth/mock/authorize")
+      .query({
+        redirect_uri: "https://evil.example/callback",
+        state,
+        email: profile.email,
+      });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("lets any number of users have no linked accounts", async () => {
+    await User.create([
+      { name: "Jane", email: "jane@example.com", password: "Passw0rd!" },
+      { name: "John", email: "john@example.com", password: "Passw0rd!" },
+    ]);
+
+    expect(await User.countDocuments()).toBe(2);
+  });
+
+  it("links a provider account to one user only", async () => {
+    const account = { provider: "mock", providerId: "mock_jane" };
+    await User.create({
+      name: "Jane",
+      email: "jane@example.com",
+      oauthAccounts: [account],
+    });
+
+    await expect(
+      User.create({
+        name: "John",
+        email: "john@example.com",
+        oauthAccounts: [account],
+      })
+    ).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it("does not let a locked account in through the provider", async () => {
+    await User.create({
+      name: "Jane",
+      email: profile.email,
+      password: "Passw0rd!",
+      loginSecurity: { lockedUntil: new Date(Date.now() + 60 * 60 * 1000) },
+    });
+
+    const res = await callback(await signInWithMock());
+
+    expect(res.status).toBe(423);
+    expect(res.headers["retry-after"]).toBeDefined();
+  });
+});
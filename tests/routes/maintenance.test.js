@@ -0,0 +1,91 @@
+process.env.MOCK_OAUTH_ENABLED = "true";
+process.env.MOCK_OAUTH_SECRET = "test_mock_oauth_secret";
+
+const mongoose = require("mongoose");
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const User = require("../../src/models/User.model");
+const settingsService = require("../../src/services/settings.service");
+const { rateLimiters } = require("../../src/middleware/rateLimiter.middleware");
+
+const signIn = async (email) => {
+  const res = await request(app)
+    .post("/api/v1/auth/login")
+    .send({ email, password: "Passw0rd!" });
+  return res.body.data.token;
+};
+
+const getProfile = (token) =>
+  request(app)
+    .get("/api/v1/user/profile")
+    .set("Authorization", `Bearer ${token}`);
+
+describe("maintenance mode", () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    settingsService.invalidate();
+    await rateLimiters.login.resetKey("::ffff:127.0.0.1:anonymous");
+
+    await User.create({
+      name: "Admin",
+      email: "admin@example.com",
+      password: "Passw0rd!",
+      userType: "admin",
+    });
+    adminToken = await signIn("admin@example.com");
+
+    await settingsService.updateSettings(
+      { system: { maintenanceMode: true } },
+      new mongoose.Types.ObjectId()
+    );
+    settingsService.invalidate();
+  });
+
+  it("lets a signed-in admin through", async () => {
+    const res = await getProfile(adminToken);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("turns away an admin whose session was revoked", async () => {
+    const logout = await request(app)
+      .post("/api/v1/auth/logout")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(logout.status).toBe(200);
+
+    const res = await getProfile(adminToken);
+
+    expect(res.status).toBe(503);
+    expect(res.body.data.maintenance).toBe(true);
+  });
+
+  it("turns away other users", async () => {
+    await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+    });
+    const token = await signIn("jane@example.com");
+
+    const res = await getProfile(token);
+
+    expect(res.status).toBe(503);
+  });
+
+  it("keeps sign-in with a provider reachable", async () => {
+    const start = await request(app).get("/api/v1/auth/oauth/mock");
+    expect(start.status).toBe(200);
+
+    const callback = await request(app)
+      .post("/api/v1/auth/oauth/mock/callback")
+      .send({ code: "not-a-code", state: start.body.data.state });
+    expect(callback.status).not.toBe(503);
+  });
+});
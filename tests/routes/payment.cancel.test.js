@@ -0,0 +1,70 @@
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.MOCK_GATEWAY_WEBHOOK_SECRET = "test_mock_gateway_secret";
+
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const User = require("../../src/models/User.model");
+const Payment = require("../../src/models/Payment.model");
+const Subscription = require("../../src/models/Subscription.model");
+const paymentService = require("../../src/services/payment.service");
+const { rateLimiters } = require("../../src/middleware/rateLimiter.middleware");
+
+describe("POST /api/v1/payment/cancel", () => {
+  let user;
+  let payment;
+  let token;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    await rateLimiters.login.resetKey("::ffff:127.0.0.1:anonymous");
+
+    user = await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+      onboardingCompleted: true,
+    });
+    payment = await Payment.create({
+      user: user._id,
+      plan: "basic",
+      amount: 2999,
+      currency: "PKR",
+      gateway: "mock",
+      status: "completed",
+      transactionId: "mock_pi_test",
+      completedAt: new Date(),
+    });
+    await paymentService.grantPayment(payment);
+
+    const res = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: "jane@example.com", password: "Passw0rd!" });
+    token = res.body.data.token;
+  });
+
+  it("ends the plan without claiming a refund", async () => {
+    const res = await request(app)
+      .post("/api/v1/payment/cancel")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "No longer looking" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ paymentCompleted: false });
+
+    // Nothing was refunded, so nothing is recorded as refunded
+    expect((await Payment.findById(payment._id)).status).toBe("completed");
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.paymentCompleted).toBe(false);
+    expect(updatedUser.paymentHistory.map((entry) => entry.status)).toEqual([
+      "completed",
+    ]);
+
+    const subscription = await Subscription.findOne({ user: user._id });
+    expect(subscription.status).toBe("cancelled");
+  });
+});
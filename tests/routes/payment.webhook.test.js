@@ -0,0 +1,215 @@
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.MOCK_GATEWAY_WEBHOOK_SECRET = "test_mock_gateway_secret";
+
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const User = require("../../src/models/User.model");
+const Payment = require("../../src/models/Payment.model");
+const Subscription = require("../../src/models/Subscription.model");
+const subscriptionService = require("../../src/services/subscription.service");
+const { signPayload } = require("../../src/utils/signature");
+
+const SECRET = process.env.MOCK_GATEWAY_WEBHOOK_SECRET;
+const SESSION_ID = "mock_cs_test_session";
+
+// Post a gateway event signed the way the mock gateway signs it
+const sendWebhook = (event, { secret = SECRET, timestamp } = {}) => {
+  const payload = JSON.stringify(event);
+
+  return request(app)
+    .post("/api/v1/payment/webhook")
+    .set("Content-Type", "application/json")
+    .set("x-mock-signature", signPayload(payload, secret, timestamp))
+    .send(payload);
+};
+
+const completedEvent = (overrides = {}) => ({
+  id: "mock_evt_completed",
+  type: "checkout.completed",
+  data: {
+    sessionId: SESSION_ID,
+    transactionId: "mock_pi_test",
+    amount: 2999,
+    currency: "PKR",
+    ...overrides,
+  },
+});
+
+describe("POST /api/v1/payment/webhook (mock gateway)", () => {
+  let user;
+  let payment;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+
+    user = await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+      onboardingCompleted: true,
+    });
+    payment = await Payment.create({
+      user: user._id,
+      plan: "basic",
+      amount: 2999,
+      currency: "PKR",
+      gateway: "mock",
+      gatewaySessionId: SESSION_ID,
+    });
+  });
+
+  it("completes the payment and activates the plan", async () => {
+    const res = await sendWebhook(completedEvent());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, handled: true });
+
+    const completed = await Payment.findById(payment._id);
+    expect(completed.status).toBe("completed");
+    expect(completed.transactionId).toBe("mock_pi_test");
+    expect(completed.lastEventId).toBe("mock_evt_completed");
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.paymentCompleted).toBe(true);
+    expect(updatedUser.selectedPlan).toBe("basic");
+    expect(await Subscription.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it("applies a repeated checkout.completed only once", async () => {
+    await sendWebhook(completedEvent());
+    const first = await Payment.findById(payment._id);
+
+    const res = await sendWebhook(completedEvent());
+
+    expect(res.status).toBe(200);
+    expect(res.body.handled).toBe(true);
+
+    const again = await Payment.findById(payment._id);
+    expect(again.completedAt).toEqual(first.completedAt);
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.paymentHistory).toHaveLength(1);
+    expect(await Subscription.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it("grants the plan on the retry when granting it failed", async () => {
+    const activate = jest
+      .spyOn(subscriptionService, "activateFromPayment")
+      .mockRejectedValueOnce(new Error("Database unavailable"));
+
+    const failed = await sendWebhook(completedEvent());
+
+    expect(failed.status).toBe(500);
+    expect((await Payment.findById(payment._id)).status).toBe("pending");
+
+    const retried = await sendWebhook(completedEvent());
+
+    expect(retried.status).toBe(200);
+    expect(retried.body.handled).toBe(true);
+    expect((await Payment.findById(payment._id)).status).toBe("completed");
+
+    const subscription = await Subscription.findOne({ user: user._id });
+    expect(subscription.status).toBe("active");
+    expect(subscription.lastPayment.toString()).toBe(payment._id.toString());
+
+    // The first attempt got as far as the user; it is recorded once
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.paymentCompleted).toBe(true);
+    expect(updatedUser.paymentHistory).toHaveLength(1);
+
+    activate.mockRestore();
+  });
+
+  it("leaves the payment pending when its user no longer exists", async () => {
+    await User.deleteOne({ _id: user._id });
+
+    const res = await sendWebhook(completedEvent());
+
+    expect(res.status).toBe(500);
+    expect((await Payment.findById(payment._id)).status).toBe("pending");
+  });
+
+  it("rejects an event signed with another secret", async () => {
+    const res = await sendWebhook(completedEvent(), { secret: "not_it" });
+
+    expect(res.status).toBe(400);
+    expect((await Payment.findById(payment._id)).status).toBe("pending");
+  });
+
+  it("rejects an unsigned event", async () => {
+    const res = await request(app)
+      .post("/api/v1/payment/webhook")
+      .set("Content-Type", "application/json")
+      .send(JSON.stringify(completedEvent()));
+
+    expect(res.status).toBe(400);
+    expect((await Payment.findById(payment._id)).status).toBe("pending");
+  });
+
+  it("rejects a replayed event whose signature timestamp is too old", async () => {
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    const res = await sendWebhook(completedEvent(), {
+      timestamp: tenMinutesAgo,
+    });
+
+    expect(res.status).toBe(400);
+    expect((await Payment.findById(payment._id)).status).toBe("pending");
+  });
+
+  it("rejects a body that is not JSON", async () => {
+    const payload = "not json";
+
+    const res = await request(app)
+      .post("/api/v1/payment/webhook")
+      .set("Content-Type", "application/json")
+      .set("x-mock-signature", signPayload(payload, SECRET))
+      .send(payload);
+
+    expect(res.status).toBe(400);
+  });
+
+  it.each([
+    ["amount", { amount: 1 }],
+    ["currency", { currency: "USD" }],
+  ])(
+    "fails the payment when the %s does not match",
+    async (field, overrides) => {
+      const res = await sendWebhook(completedEvent(overrides));
+
+      expect(res.status).toBe(200);
+      expect(res.body.handled).toBe(false);
+
+      const failed = await Payment.findById(payment._id);
+      expect(failed.status).toBe("failed");
+      expect(failed.failureReason).toBe("Amount mismatch");
+      expect((await User.findById(user._id)).paymentCompleted).toBe(false);
+    }
+  );
+
+  it("marks an expired checkout", async () => {
+    const res = await sendWebhook({
+      id: "mock_evt_expired",
+      type: "checkout.expired",
+      data: { sessionId: SESSION_ID },
+    });
+
+    expect(res.body.handled).toBe(true);
+    expect((await Payment.findById(payment._id)).status).toBe("expired");
+  });
+
+  it("ignores events for an unknown session", async () => {
+    const res = await sendWebhook(
+      completedEvent({ sessionId: "mock_cs_unknown" })
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.handled).toBe(false);
+    expect((await Payment.findById(payment._id)).status).toBe("pending");
+  });
+});
@@ -0,0 +1,51 @@
+process.env.RATE_LIMIT_MAX_REQUESTS = "2";
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.MOCK_GATEWAY_WEBHOOK_SECRET = "test_mock_gateway_secret";
+process.env.SCRAPER_CALLBACK_SECRET = "test_scraper_callback_secret";
+
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const { rateLimiters } = require("../../src/middleware/rateLimiter.middleware");
+
+describe("general rate limit", () => {
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    await rateLimiters.general.resetKey("::ffff:127.0.0.1:anonymous");
+  });
+
+  const statuses = async (send, times = 3) => {
+    const results = [];
+    for (let i = 0; i < times; i++) {
+      results.push((await send()).status);
+    }
+    return results;
+  };
+
+  it("limits ordinary API requests", async () => {
+    const results = await statuses(() =>
+      request(app).get("/api/v1/auth/oauth/providers")
+    );
+
+    expect(results).toEqual([200, 200, 429]);
+  });
+
+  it.each([["/api/v1/payment/webhook"], ["/api/v1/scraping/callback"]])(
+    "does not limit signed deliveries to %s",
+    async (path) => {
+      // Unsigned, so each is refused by the route rather than the limiter
+      const results = await statuses(() =>
+        request(app)
+          .post(path)
+          .set("Content-Type", "application/json")
+          .send("{}")
+      );
+
+      expect(results).not.toContain(429);
+    }
+  );
+});
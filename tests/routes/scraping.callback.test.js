@@ -0,0 +1,249 @@
+process.env.SCRAPER_CLIENT = "fake";
+process.env.SCRAPER_CALLBACK_SECRET = "test_scraper_callback_secret";
+process.env.FAKE_SCRAPER_DELAY_MS = "1";
+process.env.FAKE_SCRAPER_JOBS_PER_PLATFORM = "2";
+
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const User = require("../../src/models/User.model");
+const Job = require("../../src/models/Job.model");
+const ScrapingLog = require("../../src/models/ScrapingLog.model");
+const ScrapingTask = require("../../src/models/ScrapingTask.model");
+const scrapingService = require("../../src/services/scraping.service");
+const scrapingQueue = require("../../src/jobs/scrapingQueue");
+const { signPayload } = require("../../src/utils/signature");
+const {
+  SCRAPER_EVENTS,
+  SCRAPER_SIGNATURE_HEADER,
+} = require("../../src/utils/constants");
+
+const SECRET = process.env.SCRAPER_CALLBACK_SECRET;
+
+// Post a scraper event signed the way the scraping service signs it
+const sendCallback = (event, { secret = SECRET, timestamp } = {}) => {
+  const payload = JSON.stringify(event);
+
+  return request(app)
+    .post("/api/v1/scraping/callback")
+    .set("Content-Type", "application/json")
+    .set(SCRAPER_SIGNATURE_HEADER, signPayload(payload, secret, timestamp))
+    .send(payload);
+};
+
+const findLog = (sessionId) =>
+  ScrapingLog.findOne({ sessionId }).select("+processedEvents");
+
+// Wait for the session to leave in_progress (the fake scraper posts its
+// events back asynchronously)
+const waitForSession = async (sessionId, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const scrapingLog = await findLog(sessionId);
+    if (scrapingLog && scrapingLog.status !== "in_progress") {
+      return scrapingLog;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`Session ${sessionId} did not finish in ${timeoutMs}ms`);
+};
+
+// Schedule a session for the user and run it from the queue, as the
+// worker does
+const runSession = async (user) => {
+  const sessionId = await scrapingService.scheduleJobScraping(user._id);
+  const task = await scrapingQueue.claimNextTask();
+  await scrapingQueue.processTask(task);
+  return sessionId;
+};
+
+describe("scraping sessions", () => {
+  let server;
+  let user;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+
+    // The fake scraper posts back over HTTP like the real service
+    server = app.listen(0);
+    scrapingService.callbackUrl = `http://127.0.0.1:${
+      server.address().port
+    }/api/v1/scraping/callback`;
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+
+    user = await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+      onboardingCompleted: true,
+      currentJobTitle: "Backend Engineer",
+      location: "Remote",
+    });
+  });
+
+  it("runs a session end to end through the signed callback route", async () => {
+    const sessionId = await runSession(user);
+
+    const scrapingLog = await waitForSession(sessionId);
+
+    expect(scrapingLog.status).toBe("completed");
+    // Two jobs on each of the three default platforms
+    expect(scrapingLog.results.totalJobsFound).toBe(6);
+    expect(
+      scrapingLog.results.jobsSaved + scrapingLog.results.duplicatesSkipped
+    ).toBe(6);
+    expect(scrapingLog.results.jobsSaved).toBeGreaterThan(0);
+    expect(
+      scrapingLog.platformResults.map((result) => result.platform)
+    ).toEqual(["linkedin", "indeed", "glassdoor"]);
+    // Jobs, progress and completion events were each applied once
+    expect(scrapingLog.processedEvents).toHaveLength(7);
+
+    expect(await Job.countDocuments()).toBeGreaterThan(0);
+    expect((await ScrapingTask.findOne({ sessionId })).status).toBe(
+      "completed"
+    );
+    expect((await User.findById(user._id)).lastJobScrapingRun).toEqual(
+      scrapingLog.timing.completedAt
+    );
+  });
+
+  describe("POST /api/v1/scraping/callback", () => {
+    let sessionId;
+
+    // A session handed to the scraper and waiting for its events
+    beforeEach(async () => {
+      scrapingService.scraper.submit = jest.fn().mockResolvedValue({
+        statusCode: 202,
+        requestId: "fake_req_test",
+      });
+      sessionId = await runSession(user);
+    });
+
+    afterEach(() => {
+      delete scrapingService.scraper.submit;
+    });
+
+    const jobsEvent = (id = "evt_jobs_1") => ({
+      id,
+      sessionId,
+      type: SCRAPER_EVENTS.JOBS,
+      data: {
+        platform: "linkedin",
+        jobs: [
+          {
+            title: "Backend Engineer",
+            company: "Initech",
+            location: "Remote",
+            description: "Build the services behind our TPS reports.",
+            applyUrl: "https://jobs.initech.example/postings/42",
+            originalId: "42",
+          },
+        ],
+      },
+    });
+
+    it("applies a signed event", async () => {
+      const res = await sendCallback(jobsEvent());
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        received: true,
+        accepted: true,
+        duplicate: false,
+      });
+
+      const scrapingLog = await findLog(sessionId);
+      expect(scrapingLog.results.jobsSaved).toBe(1);
+      expect(await Job.countDocuments()).toBe(1);
+    });
+
+    it("applies a redelivered event only once", async () => {
+      await sendCallback(jobsEvent());
+      const res = await sendCallback(jobsEvent());
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        received: true,
+        accepted: true,
+        duplicate: true,
+      });
+
+      const scrapingLog = await findLog(sessionId);
+      expect(scrapingLog.results.totalJobsFound).toBe(1);
+      expect(scrapingLog.processedEvents).toEqual(["evt_jobs_1"]);
+    });
+
+    it("rejects an event signed with another secret", async () => {
+      const res = await sendCallback(jobsEvent(), { secret: "not_it" });
+
+      expect(res.status).toBe(401);
+      expect(await Job.countDocuments()).toBe(0);
+    });
+
+    it("rejects an event whose signature timestamp is stale", async () => {
+      const tenMinutesAgo = Math.floor(Date.now() / 1000) - 10 * 60;
+
+      const res = await sendCallback(jobsEvent(), {
+        timestamp: tenMinutesAgo,
+      });
+
+      expect(res.status).toBe(401);
+      const scrapingLog = await findLog(sessionId);
+      expect(scrapingLog.processedEvents).toHaveLength(0);
+    });
+
+    it("rejects an event for an unknown platform", async () => {
+      const event = jobsEvent();
+      event.data.platform = "myspace";
+
+      const res = await sendCallback(event);
+
+      expect(res.status).toBe(400);
+    });
+
+    it("releases the event when applying it fails, so a retry applies it", async () => {
+      const saveJobBatch = jest
+        .spyOn(scrapingService, "saveJobBatch")
+        .mockRejectedValueOnce(new Error("Database unavailable"));
+
+      const failed = await sendCallback(jobsEvent());
+      expect(failed.status).toBe(500);
+      expect((await findLog(sessionId)).processedEvents).toHaveLength(0);
+
+      const retried = await sendCallback(jobsEvent());
+      expect(retried.body.duplicate).toBe(false);
+      expect(await Job.countDocuments()).toBe(1);
+
+      saveJobBatch.mockRestore();
+    });
+
+    it("completes the session and stops accepting events", async () => {
+      const completed = await sendCallback({
+        id: "evt_done",
+        sessionId,
+        type: SCRAPER_EVENTS.COMPLETED,
+        data: { totalJobsFound: 0, errors: [] },
+      });
+      expect(completed.body.accepted).toBe(true);
+
+      const res = await sendCallback(jobsEvent("evt_late"));
+
+      expect(res.body).toEqual({
+        received: true,
+        accepted: false,
+        sessionStatus: "completed",
+      });
+      expect(await Job.countDocuments()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const request = require("supertest");
+const memoryMongo = require("../support/memoryMongo");
+const app = require("../../src/app");
+const User = require("../../src/models/User.model");
+const { rateLimiters } = require("../../src/middleware/rateLimiter.middleware");
+
+describe("PUT /api/v1/user/settings", () => {
+  let token;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    await rateLimiters.login.resetKey("::ffff:127.0.0.1:anonymous");
+
+    await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+    });
+    const res = await request(app)
+      .post("/api/v1/auth/login")
+      .send({ email: "jane@example.com", password: "Passw0rd!" });
+    token = res.body.data.token;
+  });
+
+  const updateSettings = (body) =>
+    request(app)
+      .put("/api/v1/user/settings")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  it("sets only the notification flags that were sent", async () => {
+    const res = await updateSettings({ notifications: { sms: true } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.settings.notifications).toMatchObject({
+      email: true,
+      sms: true,
+    });
+  });
+
+  it.each([["marketing"], ["email.$where"], ["__proto__"]])(
+    "rejects the unknown notification setting %s",
+    async (key) => {
+      const res = await updateSettings({
+        notifications: JSON.parse(`{"${key}": true}`),
+      });
+
+      expect(res.status).toBe(400);
+
+      const user = await User.findOne({ email: "jane@example.com" });
+      expect(user.notifications.toObject()).toEqual({
+        email: true,
+        push: true,
+        sms: false,
+        dailyDigest: true,
+      });
+    }
+  );
+});
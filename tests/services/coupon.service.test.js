@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const memoryMongo = require("../support/memoryMongo");
+const Coupon = require("../../src/models/Coupon.model");
+const CouponRedemption = require("../../src/models/CouponRedemption.model");
+const couponService = require("../../src/services/coupon.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("couponService", () => {
+  const janeId = new mongoose.Types.ObjectId();
+  const johnId = new mongoose.Types.ObjectId();
+  let coupon;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+
+    coupon = await Coupon.create({
+      code: "WELCOME10",
+      discountType: "percentage",
+      value: 10,
+      perUserLimit: 1,
+      maxRedemptions: 1,
+    });
+  });
+
+  // A checkout holding the coupon, as createCheckoutSession reserves it
+  const checkout = (user) => {
+    const payment = {
+      _id: new mongoose.Types.ObjectId(),
+      user,
+      plan: "basic",
+      currency: "PKR",
+    };
+    return couponService.reserve(coupon, payment, 300).then(() => payment);
+  };
+
+  // Release every reservation, as the lifecycle job does two days later
+  const releaseStale = () =>
+    couponService.releaseStale(new Date(Date.now() + 3 * DAY_MS));
+
+  describe("confirm after the reservation was released", () => {
+    it("takes the slot and use back when they are still free", async () => {
+      const payment = await checkout(janeId);
+      expect(await releaseStale()).toBe(1);
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(0);
+
+      const redemption = await couponService.confirm(payment);
+
+      expect(redemption).toMatchObject({ status: "redeemed", slot: 1 });
+      expect(redemption.overLimits).toEqual([]);
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(1);
+    });
+
+    it("records going past the user's limit when the slot was taken", async () => {
+      await Coupon.updateOne({ _id: coupon._id }, { maxRedemptions: null });
+      const late = await checkout(janeId);
+      await releaseStale();
+      await checkout(janeId);
+
+      const redemption = await couponService.confirm(late);
+
+      expect(redemption.status).toBe("redeemed");
+      expect(redemption.slot).toBeUndefined();
+      expect(redemption.overLimits).toEqual(["per_user"]);
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(2);
+    });
+
+    it("records going past maxRedemptions when the last use was taken", async () => {
+      const late = await checkout(janeId);
+      await releaseStale();
+      await checkout(johnId);
+
+      const redemption = await couponService.confirm(late);
+
+      expect(redemption).toMatchObject({ status: "redeemed", slot: 1 });
+      expect(redemption.overLimits).toEqual(["total"]);
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(2);
+    });
+
+    it("redeems only once when confirmed twice", async () => {
+      const payment = await checkout(janeId);
+      await releaseStale();
+
+      await couponService.confirm(payment);
+      await couponService.confirm(payment);
+
+      expect(
+        await CouponRedemption.countDocuments({ status: "redeemed" })
+      ).toBe(1);
+      expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock("../../src/jobs/emailQueue", () => ({
+  enqueue: jest.fn(),
+}));
+
+const emailQueue = require("../../src/jobs/emailQueue");
+const emailService = require("../../src/services/email.service");
+
+// The mail queued by the last send
+const queuedMail = () => emailQueue.enqueue.mock.calls.at(-1)[0];
+
+describe("emailService", () => {
+  beforeEach(() => {
+    emailQueue.enqueue.mockReset();
+  });
+
+  it("escapes job fields in the daily digest", async () => {
+    await emailService.sendDailyDigest("jane@example.com", {
+      userName: "Jane <b>Doe</b>",
+      newJobs: 1,
+      applications: 0,
+      interviews: 0,
+      topMatches: [
+        {
+          _id: "abc",
+          title: '<img src=x onerror="alert(1)">',
+          company: "Initech & Co",
+          location: "Remote",
+          matchScore: 90,
+        },
+      ],
+    });
+
+    const { html } = queuedMail();
+    expect(html).not.toContain("<img");
+    expect(html).toContain("&lt;img src=x onerror=&quot;alert(1)&quot;&gt;");
+    expect(html).toContain("Initech &amp; Co");
+    expect(html).toContain("Hi Jane &lt;b&gt;Doe&lt;/b&gt;,");
+  });
+
+  it("escapes the user's name in subscription emails", async () => {
+    await emailService.sendGracePeriodEmail("jane@example.com", {
+      userName: "<script>x</script>",
+      planName: "Basic Plan",
+      graceEndsAt: new Date(),
+    });
+
+    const { html } = queuedMail();
+    expect(html).not.toContain("<script>");
+    expect(html).toContain("&lt;script&gt;x&lt;/script&gt;");
+  });
+
+  it("escapes the address in the account locked email", async () => {
+    await emailService.sendAccountLockedEmail("jane@example.com", {
+      userName: "Jane",
+      lockedUntil: new Date(),
+      ip: '"><a href="https://evil.example">',
+    });
+
+    expect(queuedMail().html).not.toContain('<a href="https://evil.example">');
+  });
+});
@@ -0,0 +1,80 @@
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.MOCK_GATEWAY_WEBHOOK_SECRET = "test_mock_gateway_secret";
+
+const mongoose = require("mongoose");
+const memoryMongo = require("../support/memoryMongo");
+const User = require("../../src/models/User.model");
+const Payment = require("../../src/models/Payment.model");
+const Subscription = require("../../src/models/Subscription.model");
+const paymentService = require("../../src/services/payment.service");
+
+describe("paymentService.refundPayment", () => {
+  const adminId = new mongoose.Types.ObjectId();
+  let user;
+  let payment;
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+
+    user = await User.create({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Passw0rd!",
+      onboardingCompleted: true,
+    });
+    payment = await Payment.create({
+      user: user._id,
+      plan: "basic",
+      amount: 2999,
+      currency: "PKR",
+      gateway: "mock",
+      status: "completed",
+      transactionId: "mock_pi_test",
+      completedAt: new Date(),
+    });
+    await paymentService.grantPayment(payment);
+  });
+
+  it("keeps the plan, period and quota on a partial refund", async () => {
+    const before = await Subscription.findOne({ user: user._id });
+    const userBefore = await User.findById(user._id);
+
+    const result = await paymentService.refundPayment(
+      payment._id,
+      { amount: 1000, reason: "Goodwill" },
+      adminId
+    );
+
+    expect(result.accessChange).toBe("none");
+    expect(result.payment.status).toBe("partially_refunded");
+
+    const subscription = await Subscription.findOne({ user: user._id });
+    expect(subscription.status).toBe("active");
+    expect(subscription.plan).toBe("basic");
+    expect(subscription.currentPeriodEnd).toEqual(before.currentPeriodEnd);
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.paymentCompleted).toBe(true);
+    expect(updatedUser.selectedPlan).toBe("basic");
+    expect(updatedUser.package.toObject()).toEqual(
+      userBefore.package.toObject()
+    );
+  });
+
+  it("takes access back once the refunds cover the whole payment", async () => {
+    await paymentService.refundPayment(payment._id, { amount: 1000 }, adminId);
+
+    const result = await paymentService.refundPayment(payment._id, {}, adminId);
+
+    expect(result.refund.amount).toBe(1999);
+    expect(result.payment.status).toBe("refunded");
+    expect(result.accessChange).not.toBe("none");
+
+    const subscription = await Subscription.findOne({ user: user._id });
+    expect(Subscription.ACCESS_STATUSES).not.toContain(subscription.status);
+  });
+});
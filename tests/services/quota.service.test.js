@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const memoryMongo = require("../support/memoryMongo");
+const Application = require("../../src/models/Application.model");
+const settingsService = require("../../src/services/settings.service");
+const quotaService = require("../../src/services/quota.service");
+
+describe("quotaService.checkDailyLimit", () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+    settingsService.invalidate();
+  });
+
+  const setApplicationSettings = async (applications) => {
+    await settingsService.updateSettings({ applications }, adminId);
+    settingsService.invalidate();
+  };
+
+  const applyToday = (count) =>
+    Application.create(
+      Array.from({ length: count }, () => ({
+        user: userId,
+        job: new mongoose.Types.ObjectId(),
+      }))
+    );
+
+  it("refuses once the user reached the daily limit", async () => {
+    await setApplicationSettings({ maxApplicationsPerDay: 2 });
+    await applyToday(2);
+
+    const admission = await quotaService.checkDailyLimit(userId);
+
+    expect(admission).toMatchObject({ allowed: false, statusCode: 429 });
+    expect(admission.message).toMatch(/Daily application limit of 2/);
+  });
+
+  it("does not limit when the limit is 0", async () => {
+    await setApplicationSettings({ maxApplicationsPerDay: 0 });
+    await applyToday(3);
+
+    expect((await quotaService.checkDailyLimit(userId)).allowed).toBe(true);
+  });
+
+  it.each([
+    ["pending_review", true],
+    ["approved", false],
+  ])(
+    "starts applications as %s when requireAdminReview is %s",
+    async (status, requireAdminReview) => {
+      await setApplicationSettings({ requireAdminReview });
+
+      expect(await quotaService.checkDailyLimit(userId)).toEqual({
+        allowed: true,
+        status,
+      });
+    }
+  );
+});
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+
+jest.mock("axios");
+
+const axios = require("axios");
+const SourceRunner = require("../../src/services/sources/sourceRunner");
+const { SCRAPER_EVENTS } = require("../../src/utils/constants");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "../fixtures/sources", name), "utf8");
+
+const sources = [
+  { name: "Acme", adapter: "greenhouse", board: "acme" },
+  { name: "Globex", adapter: "lever", board: "globex" },
+  {
+    name: "Remote jobs",
+    adapter: "rss",
+    url: "https://jobs.example.com/feed.xml",
+    platform: "greenhouse",
+  },
+];
+
+describe("SourceRunner", () => {
+  let events;
+  let runner;
+
+  beforeEach(() => {
+    events = [];
+    runner = new SourceRunner({
+      deliver: jest.fn(async (event) => {
+        events.push(event);
+        return { accepted: true };
+      }),
+    });
+
+    axios.get.mockReset();
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes("greenhouse")) {
+        return { data: JSON.parse(fixture("greenhouse.json")) };
+      }
+      if (url.includes("lever")) {
+        return { data: JSON.parse(fixture("lever.json")) };
+      }
+      return { data: fixture("rss.xml") };
+    });
+  });
+
+  it("reports each source's listings and progress per platform", async () => {
+    const result = await runner.run({
+      sessionId: "session-1",
+      searchCriteria: {},
+      sources,
+      maxJobsPerPlatform: 10,
+    });
+
+    expect(result).toEqual({ accepted: true, totalJobsFound: 6 });
+    expect(events.map((event) => [event.type, event.data.platform])).toEqual([
+      [SCRAPER_EVENTS.JOBS, "greenhouse"],
+      [SCRAPER_EVENTS.PROGRESS, "greenhouse"],
+      [SCRAPER_EVENTS.JOBS, "lever"],
+      [SCRAPER_EVENTS.PROGRESS, "lever"],
+      [SCRAPER_EVENTS.JOBS, "greenhouse"],
+      [SCRAPER_EVENTS.PROGRESS, "greenhouse"],
+    ]);
+    expect(events.every((event) => event.sessionId === "session-1")).toBe(true);
+    expect(new Set(events.map((event) => event.id)).size).toBe(events.length);
+    // Sources sharing a platform add up
+    expect(events[5].data.jobsFound).toBe(4);
+  });
+
+  it("keeps listings whose title has every searched word", async () => {
+    const result = await runner.run({
+      sessionId: "session-1",
+      searchCriteria: { jobTitle: "Software Engineer" },
+      sources,
+      maxJobsPerPlatform: 10,
+    });
+
+    const titles = events
+      .filter((event) => event.type === SCRAPER_EVENTS.JOBS)
+      .flatMap((event) => event.data.jobs.map((job) => job.title));
+    expect(titles).toEqual([
+      "Senior Software Engineer, Payments",
+      "Software Engineer (Backend)",
+    ]);
+    expect(result.totalJobsFound).toBe(2);
+    // The feed had no match: progress only
+    expect(events[4]).toMatchObject({
+      type: SCRAPER_EVENTS.PROGRESS,
+      data: { platform: "greenhouse", jobsFound: 1 },
+    });
+  });
+
+  it("limits the listings taken from each source", async () => {
+    await runner.run({
+      sessionId: "session-1",
+      searchCriteria: {},
+      sources: sources.slice(0, 1),
+      maxJobsPerPlatform: 1,
+    });
+
+    expect(events[0].data.jobs).toHaveLength(1);
+  });
+
+  it("reports a failing source as a progress error and goes on", async () => {
+    axios.get.mockRejectedValueOnce(new Error("Request failed with 503"));
+
+    const result = await runner.run({
+      sessionId: "session-1",
+      searchCriteria: {},
+      sources: sources.slice(0, 2),
+      maxJobsPerPlatform: 10,
+    });
+
+    expect(result).toEqual({ accepted: true, totalJobsFound: 2 });
+    expect(events[0]).toMatchObject({
+      type: SCRAPER_EVENTS.PROGRESS,
+      data: {
+        platform: "greenhouse",
+        jobsFound: 0,
+        errors: [
+          {
+            platform: "greenhouse",
+            type: "SOURCE_ERROR",
+            message: "Acme: Request failed with 503",
+          },
+        ],
+      },
+    });
+    expect(events[1].type).toBe(SCRAPER_EVENTS.JOBS);
+  });
+
+  it("stops once the session no longer accepts events", async () => {
+    runner.deliver.mockImplementation(async (event) => {
+      events.push(event);
+      return { accepted: false };
+    });
+
+    const result = await runner.run({
+      sessionId: "session-1",
+      searchCriteria: {},
+      sources,
+      maxJobsPerPlatform: 10,
+    });
+
+    expect(result.accepted).toBe(false);
+    expect(events).toHaveLength(1);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it("lists the platforms of its sources", () => {
+    expect(runner.platformsOf(sources)).toEqual(
+      new Set(["greenhouse", "lever"])
+    );
+  });
+
+  it("rejects an unknown adapter", () => {
+    expect(() => runner.createSource({ name: "X", adapter: "ftp" })).toThrow(
+      "Unknown job source adapter: ftp"
+    );
+  });
+});
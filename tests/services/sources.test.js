@@ -0,0 +1,320 @@
+const fs = require("fs");
+const path = require("path");
+
+jest.mock("axios");
+
+const axios = require("axios");
+const JobSource = require("../../src/services/sources/base.source");
+const RssSource = require("../../src/services/sources/rss.source");
+const GreenhouseSource = require("../../src/services/sources/greenhouse.source");
+const LeverSource = require("../../src/services/sources/lever.source");
+const JsonFeedSource = require("../../src/services/sources/jsonFeed.source");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "../fixtures/sources", name), "utf8");
+
+// Answer the next board or feed request with a fixture file
+const respondWith = (name, { json = true } = {}) => {
+  const body = fixture(name);
+  axios.get.mockResolvedValueOnce({ data: json ? JSON.parse(body) : body });
+};
+
+describe("job sources", () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  describe("JobSource", () => {
+    const source = new JobSource({ name: "Board" }, "other");
+
+    it("decodes entities once, after stripping tags", () => {
+      expect(source.toText("<p>&amp;lt;script&amp;gt;alert(1)</p>")).toBe(
+        "&lt;script&gt;alert(1)"
+      );
+      expect(source.toText("<p>Tom &amp; Jerry&#39;s</p>")).toBe(
+        "Tom & Jerry's"
+      );
+    });
+
+    it("leaves numeric entities outside Unicode as they are", () => {
+      expect(source.decodeEntities("a &#1114112; b &#xFFFFFFFF; c")).toBe(
+        "a &#1114112; b &#xFFFFFFFF; c"
+      );
+      expect(source.decodeEntities("&#x10FFFF;&#65;")).toBe("\u{10FFFF}A");
+    });
+
+    it("caps the size of a board or feed response", async () => {
+      axios.get.mockResolvedValueOnce({ data: {} });
+
+      await source.request("https://a.example/feed.json");
+
+      expect(axios.get).toHaveBeenCalledWith(
+        "https://a.example/feed.json",
+        expect.objectContaining({ maxContentLength: expect.any(Number) })
+      );
+    });
+  });
+
+  describe("RssSource", () => {
+    it("normalizes RSS 2.0 items", async () => {
+      respondWith("rss.xml", { json: false });
+      const source = new RssSource({
+        name: "Remote jobs",
+        url: "https://jobs.example.com/feed.xml",
+      });
+
+      const listings = await source.listings();
+
+      expect(axios.get).toHaveBeenCalledWith(
+        "https://jobs.example.com/feed.xml",
+        expect.objectContaining({ responseType: "text" })
+      );
+      expect(listings).toHaveLength(2);
+      expect(listings[0]).toMatchObject({
+        title: "Full Stack Developer (Remote)",
+        company: "Initech",
+        location: "Anywhere",
+        workType: "remote",
+        jobType: "full_time",
+        description:
+          "Initech needs a full stack developer for its internal tools team. React & Node.js.",
+        applyUrl: "https://jobs.example.com/postings/881?utm_source=rss",
+        platform: "other",
+        originalId: "posting-881",
+      });
+      expect(listings[0].postedDate).toEqual(new Date("2026-10-01T10:00:00Z"));
+      expect(listings[1]).toMatchObject({
+        title: "Contract QA Engineer",
+        company: "Hooli",
+        location: "Not specified",
+        workType: "onsite",
+        jobType: "contract",
+        description: "Six month contract testing our mobile apps.",
+      });
+    });
+
+    it("normalizes Atom entries", async () => {
+      respondWith("atom.xml", { json: false });
+      const source = new RssSource({
+        name: "Design jobs",
+        url: "https://design.example.org/jobs.atom",
+        platform: "indeed",
+      });
+
+      const [listing, ...rest] = await source.listings();
+
+      expect(rest).toHaveLength(0);
+      // The title is HTML (type="html") escaped inside the XML, so the
+      // feed's "&amp;amp;" is "&amp;" once read and "&" as text
+      expect(listing).toMatchObject({
+        title: "Product Designer & Researcher",
+        company: "Vandelay Industries",
+        location: "Not specified",
+        description: "Hybrid role in Chicago shaping our import tools.",
+        applyUrl: "https://design.example.org/jobs/product-designer-412",
+        platform: "indeed",
+        originalId: "urn:uuid:4f6b1c2e-0d3a-4e5f-9a1b-2c3d4e5f6a7b",
+      });
+      expect(listing.postedDate).toEqual(new Date("2026-10-04T09:00:00Z"));
+    });
+
+    it("keeps escaped markup in a description as text", async () => {
+      axios.get.mockResolvedValueOnce({
+        data: `<rss><channel><item>
+          <title>Frontend Developer</title>
+          <link>https://jobs.example.com/postings/883?a=1&amp;b=2</link>
+          <description><![CDATA[<p>Never trust &amp;lt;script&amp;gt; tags.</p>]]></description>
+        </item></channel></rss>`,
+      });
+      const source = new RssSource({
+        name: "Remote jobs",
+        url: "https://jobs.example.com/feed.xml",
+        company: "Initech",
+      });
+
+      const [listing] = await source.listings();
+
+      expect(listing.description).toBe("Never trust &lt;script&gt; tags.");
+      expect(listing.applyUrl).toBe(
+        "https://jobs.example.com/postings/883?a=1&b=2"
+      );
+    });
+
+    it("uses the configured company over the feed author", async () => {
+      respondWith("rss.xml", { json: false });
+      const source = new RssSource({
+        name: "Initech careers",
+        url: "https://jobs.example.com/feed.xml",
+        company: "Initech LLC",
+      });
+
+      const listings = await source.listings();
+
+      expect(listings.map((listing) => listing.company)).toEqual([
+        "Initech LLC",
+        "Initech LLC",
+      ]);
+    });
+  });
+
+  describe("GreenhouseSource", () => {
+    it("reads the company board and unescapes its HTML once", async () => {
+      respondWith("greenhouse.json");
+      const source = new GreenhouseSource({
+        name: "Acme",
+        board: "acme",
+        company: "Acme Inc",
+      });
+
+      const listings = await source.listings();
+
+      expect(axios.get.mock.calls[0][0]).toBe(
+        "https://boards-api.greenhouse.io/v1/boards/acme/jobs?content=true"
+      );
+      expect(listings).toHaveLength(2);
+      expect(listings[0]).toMatchObject({
+        title: "Senior Software Engineer, Payments",
+        company: "Acme Inc",
+        location: "Remote - US",
+        workType: "remote",
+        jobType: "full_time",
+        applyUrl: "https://boards.greenhouse.io/acme/jobs/4012345",
+        platform: "greenhouse",
+        originalId: "4012345",
+      });
+      expect(listings[0].description).toBe(
+        "Acme is hiring a Senior Software Engineer to build the services that move money for our customers.\n" +
+          "Design and run payment APIs\nWork with Node.js and PostgreSQL"
+      );
+      expect(listings[0].postedDate).toEqual(
+        new Date("2026-09-28T09:30:00-04:00")
+      );
+      expect(listings[1]).toMatchObject({
+        title: "Account Executive",
+        location: "New York, NY",
+        workType: "onsite",
+      });
+    });
+  });
+
+  describe("LeverSource", () => {
+    it("reads postings with their requirement and responsibility lists", async () => {
+      respondWith("lever.json");
+      const source = new LeverSource({ name: "Globex", board: "globex" });
+
+      const listings = await source.listings();
+
+      expect(axios.get.mock.calls[0][0]).toBe(
+        "https://api.lever.co/v0/postings/globex?mode=json"
+      );
+      expect(listings[0]).toMatchObject({
+        title: "Software Engineer (Backend)",
+        company: "globex",
+        location: "Berlin, Germany",
+        workType: "hybrid",
+        jobType: "full_time",
+        description:
+          "Globex is looking for a backend software engineer to scale our logistics platform.",
+        requirements: [
+          "3+ years of backend experience",
+          "Comfortable with Kubernetes",
+        ],
+        responsibilities: [
+          "Build event-driven services in Go",
+          "Own features from design to production",
+        ],
+        applyUrl:
+          "https://jobs.lever.co/globex/5f2c1e6a-8b0d-4c1e-9a8e-1d2f3a4b5c6d/apply",
+        platform: "lever",
+        originalId: "5f2c1e6a-8b0d-4c1e-9a8e-1d2f3a4b5c6d",
+      });
+      expect(listings[0].postedDate).toEqual(new Date(1790848800000));
+      expect(listings[1]).toMatchObject({
+        title: "Marketing Intern",
+        workType: "onsite",
+        jobType: "internship",
+        requirements: [],
+        responsibilities: [],
+      });
+    });
+  });
+
+  describe("JsonFeedSource", () => {
+    const config = {
+      name: "Umbrella careers",
+      url: "https://careers.umbrella.example/feed.json",
+      itemsPath: "data.postings",
+      fieldMap: {
+        title: "position",
+        company: "employer.name",
+        location: "place",
+        description: "summary",
+        workType: "arrangement",
+        jobType: "type",
+        skills: "tags",
+        applyUrl: "links.apply",
+        originalId: "ref",
+        postedDate: "published",
+      },
+    };
+
+    it("maps feed fields onto a listing", async () => {
+      respondWith("feed.json");
+      const source = new JsonFeedSource(config);
+
+      const listings = await source.listings();
+
+      expect(listings).toEqual([
+        {
+          title: "Senior Software Engineer",
+          company: "Umbrella Corp",
+          location: "Austin, TX",
+          workType: "remote",
+          jobType: "full_time",
+          description:
+            "Build internal developer tooling for the research division.",
+          skills: ["TypeScript", "AWS"],
+          applyUrl: "https://careers.umbrella.example/jobs/9001",
+          platform: "other",
+          originalId: "9001",
+          postedDate: new Date("2026-10-03T08:00:00Z"),
+        },
+      ]);
+    });
+
+    it("fails when the items path holds no postings", async () => {
+      respondWith("feed.json");
+      const source = new JsonFeedSource({ ...config, itemsPath: "data.jobs" });
+
+      await expect(source.listings()).rejects.toThrow(
+        'No postings array at "data.jobs"'
+      );
+    });
+
+    it("drops postings missing a title, company or apply link", async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          items: [
+            {
+              title: "Data Analyst",
+              company: "Soylent",
+              url: "https://a.example/1",
+            },
+            { title: "Data Engineer", url: "https://a.example/2" },
+            { company: "Soylent", url: "https://a.example/3" },
+          ],
+        },
+      });
+      const source = new JsonFeedSource({
+        name: "Soylent",
+        url: "https://a.example/feed.json",
+      });
+
+      const listings = await source.listings();
+
+      expect(listings.map((listing) => listing.title)).toEqual([
+        "Data Analyst",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,10 @@
+// Runs before every test file: settings the app reads at load time, and no
+// log output (or log files) from the code under test
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test_jwt_secret";
+process.env.JWT_REFRESH_SECRET = "test_jwt_refresh_secret";
+process.env.JWT_EXPIRE = "1h";
+process.env.JWT_REFRESH_EXPIRE = "7d";
+process.env.FRONTEND_URL = "http://localhost:3000";
+
+require("../src/utils/logger").silent = true;
@@ -0,0 +1,5 @@
+// Runs in every test file after the framework is installed: close the
+// database connection a test file opened against a real server
+const memoryMongo = require("./support/memoryMongo");
+
+afterAll(() => memoryMongo.disconnect());
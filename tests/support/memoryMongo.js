@@ -0,0 +1,1181 @@
+const mongoose = require("mongoose");
+
+const { ObjectId } = mongoose.mongo;
+
+// In-memory stand-in for the MongoDB driver, installed under the default
+// mongoose connection so real models, hooks, validation and casting run
+// against it. Covers the queries, updates and aggregation stages the app
+// uses; anything else throws so a test never passes on a silent no-op.
+//
+// Set MONGODB_TEST_URI (e.g. mongodb://127.0.0.1:27017) to run the same
+// tests against a real server instead; memoryMongo.test.js pins the
+// index behaviour both must share.
+
+const isObjectId = (value) => value != null && value._bsontype === "ObjectId";
+
+const isPlainObject = (value) =>
+  value != null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !isObjectId(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof RegExp) &&
+  !Buffer.isBuffer(value);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key.startsWith("$"));
+
+const clone = (value) => {
+  // Mongoose arrays and subdocuments serialize themselves, as for the driver
+  if (
+    value != null &&
+    !isObjectId(value) &&
+    typeof value.toBSON === "function"
+  ) {
+    return clone(value.toBSON());
+  }
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isObjectId(value)) return new ObjectId(value.toHexString());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return Array.from(value, clone);
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (entry !== undefined) copy[key] = clone(entry);
+    }
+    return copy;
+  }
+  return value;
+};
+
+// BSON type alias of a value, as $type matches it
+const typeName = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return "null";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "int" : "double";
+  }
+  if (typeof value === "boolean") return "bool";
+  if (Array.isArray(value)) return "array";
+  if (isObjectId(value)) return "objectId";
+  if (value instanceof Date) return "date";
+  if (value instanceof RegExp) return "regex";
+  if (Buffer.isBuffer(value)) return "binData";
+  return typeof value === "string" ? "string" : "object";
+};
+
+// BSON comparison order between types
+const typeRank = (value) => {
+  if (value == null) return 0;
+  if (typeof value === "number") return 1;
+  if (typeof value === "string") return 2;
+  if (Array.isArray(value)) return 4;
+  if (isObjectId(value)) return 5;
+  if (typeof value === "boolean") return 6;
+  if (value instanceof Date) return 7;
+  if (value instanceof RegExp) return 8;
+  return 3;
+};
+
+const compare = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  if (a == null) return 0;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (isObjectId(a)) {
+    return a.toHexString().localeCompare(b.toHexString());
+  }
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compare(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length - b.length;
+  }
+  if (isPlainObject(a)) {
+    return compare(JSON.stringify(a), JSON.stringify(b));
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+const equals = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((entry, i) => equals(entry, b[i]))
+    );
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keysA = Object.keys(a).filter((key) => a[key] !== undefined);
+    const keysB = Object.keys(b).filter((key) => b[key] !== undefined);
+    return (
+      keysA.length === keysB.length &&
+      keysA.every((key) => equals(a[key], b[key]))
+    );
+  }
+  return typeRank(a) === typeRank(b) && compare(a, b) === 0;
+};
+
+// Every value a dotted path reaches, descending into arrays on the way
+const lookup = (value, parts) => {
+  if (parts.length === 0) return [value];
+  if (value == null || typeof value !== "object") return [undefined];
+
+  const [head, ...rest] = parts;
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) return lookup(value[Number(head)], rest);
+    return value.flatMap((entry) =>
+      entry != null && typeof entry === "object" && !Array.isArray(entry)
+        ? lookup(entry, parts)
+        : []
+    );
+  }
+
+  return lookup(value[head], rest);
+};
+
+const getValues = (doc, path) => lookup(doc, path.split("."));
+
+const getValue = (doc, path) => {
+  const values = getValues(doc, path);
+  if (values.length === 1) return values[0];
+  return values.filter((value) => value !== undefined);
+};
+
+// Values compared against a condition: arrays also offer their elements
+const candidates = (values) =>
+  values.flatMap((value) =>
+    Array.isArray(value) ? [value, ...value] : [value]
+  );
+
+const matchesEquality = (values, expected) => {
+  if (expected instanceof RegExp) {
+    return candidates(values).some(
+      (value) => typeof value === "string" && expected.test(value)
+    );
+  }
+  if (expected == null) {
+    return values.length === 0 || candidates(values).some((v) => v == null);
+  }
+  return candidates(values).some((value) => equals(value, expected));
+};
+
+const comparable = (a, b) =>
+  a != null && b != null && typeRank(a) === typeRank(b);
+
+const matchesCondition = (values, condition) => {
+  if (!isOperatorObject(condition)) {
+    return matchesEquality(values, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq":
+        return matchesEquality(values, operand);
+      case "$ne":
+        return !matchesEquality(values, operand);
+      case "$gt":
+        return candidates(values).some(
+          (value) => comparable(value, operand) && compare(value, operand) > 0
+        );
+      case "$gte":
+        return candidates(values).some(
+          (value) => comparable(value, operand) && compare(value, operand) >= 0
+        );
+      case "$lt":
+        return candidates(values).some(
+          (value) => comparable(value, operand) && compare(value, operand) < 0
+        );
+      case "$lte":
+        return candidates(values).some(
+          (value) => comparable(value, operand) && compare(value, operand) <= 0
+        );
+      case "$in":
+        return operand.some((expected) => matchesEquality(values, expected));
+      case "$nin":
+        return !operand.some((expected) => matchesEquality(values, expected));
+      case "$exists":
+        return values.some((value) => value !== undefined) === Boolean(operand);
+      case "$size":
+        return values.some(
+          (value) => Array.isArray(value) && value.length === operand
+        );
+      case "$all":
+        return operand.every((expected) => matchesEquality(values, expected));
+      case "$elemMatch":
+        return values.some(
+          (value) =>
+            Array.isArray(value) &&
+            value.some((entry) => matchesElement(entry, operand))
+        );
+      case "$regex": {
+        const pattern =
+          operand instanceof RegExp
+            ? operand
+            : new RegExp(operand, condition.$options || "");
+        return candidates(values).some(
+          (value) => typeof value === "string" && pattern.test(value)
+        );
+      }
+      case "$options":
+        return true;
+      case "$not":
+        return !matchesCondition(values, operand);
+      case "$type":
+        return candidates(values).some((value) =>
+          operand === "number"
+            ? typeof value === "number"
+            : typeName(value) === operand
+        );
+      default:
+        throw new Error(`memoryMongo: unsupported query operator ${operator}`);
+    }
+  });
+};
+
+// An array element against an $elemMatch or $pull condition
+const matchesElement = (entry, condition) => {
+  if (isOperatorObject(condition)) return matchesCondition([entry], condition);
+  if (isPlainObject(condition) && isPlainObject(entry)) {
+    return matches(entry, condition);
+  }
+  return equals(entry, condition);
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every((part) => matches(doc, part));
+      case "$or":
+        return condition.some((part) => matches(doc, part));
+      case "$nor":
+        return !condition.some((part) => matches(doc, part));
+      case "$expr":
+        return Boolean(evaluate(doc, condition));
+      case "$comment":
+        return true;
+      default:
+        if (key.startsWith("$")) {
+          throw new Error(`memoryMongo: unsupported query operator ${key}`);
+        }
+        return matchesCondition(getValues(doc, key), condition);
+    }
+  });
+
+// Index of the array element a filter matched, for the positional "$"
+const positionalIndex = (doc, filter) => {
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith("$")) continue;
+
+    const parts = key.split(".");
+    for (let i = 1; i <= parts.length; i++) {
+      const array = getValue(doc, parts.slice(0, i).join("."));
+      if (!Array.isArray(array)) continue;
+
+      const rest = parts.slice(i).join(".");
+      const index = array.findIndex((entry) =>
+        rest
+          ? matches(entry, { [rest]: condition })
+          : isOperatorObject(condition) && condition.$elemMatch
+            ? matchesElement(entry, condition.$elemMatch)
+            : matchesCondition([entry], condition)
+      );
+      if (index !== -1) return index;
+      break;
+    }
+  }
+
+  return -1;
+};
+
+// Aggregation expressions and $expr
+const evaluate = (doc, expression) => {
+  if (typeof expression === "string" && expression.startsWith("$$ROOT")) {
+    return doc;
+  }
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getValue(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((entry) => evaluate(doc, entry));
+  }
+  if (!isPlainObject(expression)) return expression;
+
+  const keys = Object.keys(expression);
+  if (keys.length !== 1 || !keys[0].startsWith("$")) {
+    return Object.fromEntries(
+      keys.map((key) => [key, evaluate(doc, expression[key])])
+    );
+  }
+
+  const [operator] = keys;
+  const args = () => [].concat(evaluate(doc, expression[operator]));
+
+  switch (operator) {
+    case "$eq":
+      return equals(...args());
+    case "$ne":
+      return !equals(...args());
+    case "$gt":
+      return compare(...args()) > 0;
+    case "$gte":
+      return compare(...args()) >= 0;
+    case "$lt":
+      return compare(...args()) < 0;
+    case "$lte":
+      return compare(...args()) <= 0;
+    case "$and":
+      return args().every(Boolean);
+    case "$or":
+      return args().some(Boolean);
+    case "$not":
+      return !args()[0];
+    case "$in": {
+      const [value, list] = args();
+      return (list || []).some((entry) => equals(entry, value));
+    }
+    case "$size":
+      return (args()[0] || []).length;
+    case "$add":
+      return args().reduce((sum, value) => sum + (value || 0), 0);
+    case "$subtract": {
+      const [a, b] = args();
+      return a - b;
+    }
+    case "$multiply":
+      return args().reduce((product, value) => product * value, 1);
+    case "$divide": {
+      const [a, b] = args();
+      return a / b;
+    }
+    case "$cond": {
+      const spec = expression.$cond;
+      const [condition, then, otherwise] = Array.isArray(spec)
+        ? spec
+        : [spec.if, spec.then, spec.else];
+      return evaluate(doc, condition)
+        ? evaluate(doc, then)
+        : evaluate(doc, otherwise);
+    }
+    case "$ifNull": {
+      const [value, fallback] = args();
+      return value == null ? fallback : value;
+    }
+    case "$year":
+      return args()[0].getUTCFullYear();
+    case "$month":
+      return args()[0].getUTCMonth() + 1;
+    case "$dayOfMonth":
+      return args()[0].getUTCDate();
+    case "$mergeObjects":
+      return Object.assign({}, ...args());
+    default:
+      throw new Error(`memoryMongo: unsupported expression ${operator}`);
+  }
+};
+
+const parsePath = (path, positional) =>
+  path.split(".").map((part) => {
+    if (part !== "$") return part;
+    if (positional < 0) {
+      throw new Error(
+        `memoryMongo: positional operator did not match in ${path}`
+      );
+    }
+    return String(positional);
+  });
+
+// Container and key a path writes to, creating objects on the way
+const resolveParent = (doc, parts, create) => {
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] == null || typeof target[part] !== "object") {
+      if (!create) return [null, null];
+      target[part] = /^\d+$/.test(part) ? [] : {};
+    }
+    target = target[part];
+  }
+  return [target, parts[parts.length - 1]];
+};
+
+const setPath = (doc, parts, value) => {
+  const [parent, key] = resolveParent(doc, parts, true);
+  parent[key] = value;
+};
+
+const getPath = (doc, parts) => {
+  const [parent, key] = resolveParent(doc, parts, false);
+  return parent ? parent[key] : undefined;
+};
+
+const unsetPath = (doc, parts) => {
+  const [parent, key] = resolveParent(doc, parts, false);
+  if (!parent) return;
+  if (Array.isArray(parent)) parent[Number(key)] = null;
+  else delete parent[key];
+};
+
+const applyUpdate = (doc, update, { positional = -1, isInsert = false }) => {
+  if (!Object.keys(update).some((key) => key.startsWith("$"))) {
+    const replaced = { _id: doc._id, ...clone(update) };
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, replaced);
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, operand] of Object.entries(fields || {})) {
+      const parts = parsePath(path, positional);
+      const current = getPath(doc, parts);
+
+      switch (operator) {
+        case "$set":
+          setPath(doc, parts, clone(operand));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setPath(doc, parts, clone(operand));
+          break;
+        case "$unset":
+          unsetPath(doc, parts);
+          break;
+        case "$inc":
+          setPath(doc, parts, (current || 0) + operand);
+          break;
+        case "$min":
+          if (current === undefined || compare(operand, current) < 0) {
+            setPath(doc, parts, clone(operand));
+          }
+          break;
+        case "$max":
+          if (current === undefined || compare(operand, current) > 0) {
+            setPath(doc, parts, clone(operand));
+          }
+          break;
+        case "$push": {
+          const array = Array.isArray(current) ? current : [];
+          const each =
+            isPlainObject(operand) && "$each" in operand
+              ? operand.$each
+              : [operand];
+          const position =
+            isPlainObject(operand) && operand.$position != null
+              ? operand.$position
+              : array.length;
+          array.splice(position, 0, ...each.map(clone));
+          if (isPlainObject(operand) && operand.$slice != null) {
+            const slice = operand.$slice;
+            const kept = slice < 0 ? array.slice(slice) : array.slice(0, slice);
+            array.splice(0, array.length, ...kept);
+          }
+          setPath(doc, parts, array);
+          break;
+        }
+        case "$addToSet": {
+          const array = Array.isArray(current) ? current : [];
+          const each =
+            isPlainObject(operand) && "$each" in operand
+              ? operand.$each
+              : [operand];
+          each.forEach((entry) => {
+            if (!array.some((existing) => equals(existing, entry))) {
+              array.push(clone(entry));
+            }
+          });
+          setPath(doc, parts, array);
+          break;
+        }
+        case "$pull":
+          if (Array.isArray(current)) {
+            setPath(
+              doc,
+              parts,
+              current.filter((entry) => !matchesElement(entry, operand))
+            );
+          }
+          break;
+        case "$pullAll":
+          if (Array.isArray(current)) {
+            setPath(
+              doc,
+              parts,
+              current.filter(
+                (entry) => !operand.some((value) => equals(entry, value))
+              )
+            );
+          }
+          break;
+        default:
+          throw new Error(
+            `memoryMongo: unsupported update operator ${operator}`
+          );
+      }
+    }
+  }
+};
+
+// Fields of an upserted document taken from the filter's equalities
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === "$and") {
+      condition.forEach((part) => Object.assign(doc, seedFromFilter(part)));
+    } else if (!key.startsWith("$")) {
+      if (!isOperatorObject(condition)) {
+        setPath(doc, key.split("."), clone(condition));
+      } else if ("$eq" in condition) {
+        setPath(doc, key.split("."), clone(condition.$eq));
+      }
+    }
+  }
+  return doc;
+};
+
+const project = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+
+  const entries = Object.entries(projection).filter(([key]) => key !== "_id");
+  const inclusive = entries.some(([, value]) => value && value !== 0);
+  const keepId = projection._id === undefined || Boolean(projection._id);
+
+  if (!inclusive) {
+    const copy = clone(doc);
+    entries.forEach(([key]) => unsetPath(copy, key.split(".")));
+    if (!keepId) delete copy._id;
+    return copy;
+  }
+
+  const copy = {};
+  if (keepId && doc._id !== undefined) copy._id = doc._id;
+  entries.forEach(([key]) => {
+    const value = getValue(doc, key);
+    if (value !== undefined) setPath(copy, key.split("."), clone(value));
+  });
+  return copy;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const fields = Array.isArray(sort) ? sort : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compare(getValue(a, field), getValue(b, field));
+      if (order !== 0)
+        return direction === -1 || direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+};
+
+// True when a document has none of a path, as a sparse index skips it.
+// An empty array is a value: it is indexed (as null).
+const isMissing = (doc, field) => {
+  const values = getValues(doc, field);
+  return values.length > 0 && values.every((value) => value === undefined);
+};
+
+// Keys a document has in an index, one value per field. Array values are
+// indexed element by element (multikey), so a document can have several
+// keys; missing fields and empty arrays are indexed as null.
+const indexKeys = (doc, fields) =>
+  fields.reduce(
+    (keys, field) => {
+      const values = getValues(doc, field).flatMap((value) =>
+        Array.isArray(value) ? value : [value]
+      );
+      const entries = values.length > 0 ? values : [null];
+
+      return keys.flatMap((key) =>
+        entries.map((value) => [...key, value ?? null])
+      );
+    },
+    [[]]
+  );
+
+class DuplicateKeyError extends Error {
+  constructor(collection, index, key) {
+    const keyValue = Object.fromEntries(
+      Object.keys(index.key).map((field, i) => [field, key[i]])
+    );
+    super(
+      `E11000 duplicate key error collection: ${collection} index: ${
+        index.name
+      } dup key: ${JSON.stringify(keyValue)}`
+    );
+    this.name = "MongoServerError";
+    this.code = 11000;
+    this.keyPattern = index.key;
+    this.keyValue = keyValue;
+  }
+}
+
+class Cursor {
+  constructor(produce) {
+    this.produce = produce;
+  }
+
+  async toArray() {
+    return this.produce();
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of this.produce()) yield doc;
+  }
+}
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  // Unique index on the given keys, honouring sparse and partial filters
+  async createIndex(key, options = {}) {
+    const name =
+      options.name ||
+      Object.entries(key)
+        .map(([field, direction]) => `${field}_${direction}`)
+        .join("_");
+    if (options.unique && !this.indexes.some((index) => index.name === name)) {
+      this.indexes.push({
+        name,
+        key,
+        sparse: options.sparse,
+        partialFilterExpression: options.partialFilterExpression,
+      });
+    }
+    return name;
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(
+      specs.map(({ key, ...options }) => this.createIndex(key, options))
+    );
+  }
+
+  async listIndexes() {
+    return new Cursor(() => this.indexes);
+  }
+
+  checkUnique(doc, ignore = null) {
+    for (const index of this.indexes) {
+      const fields = Object.keys(index.key);
+      const inIndex = (entry) =>
+        (!index.partialFilterExpression ||
+          matches(entry, index.partialFilterExpression)) &&
+        (!index.sparse || !fields.every((field) => isMissing(entry, field)));
+
+      if (!inIndex(doc)) continue;
+
+      const keys = indexKeys(doc, fields);
+      for (const other of this.docs) {
+        if (other === ignore || !inIndex(other)) continue;
+
+        const otherKeys = indexKeys(other, fields);
+        const key = keys.find((own) =>
+          otherKeys.some((theirs) =>
+            own.every((value, i) => equals(value, theirs[i]))
+          )
+        );
+        if (key) throw new DuplicateKeyError(this.collectionName, index, key);
+      }
+    }
+  }
+
+  select(filter = {}, { sort, skip, limit } = {}) {
+    let docs = sortDocs(
+      this.docs.filter((doc) => matches(doc, filter)),
+      sort
+    );
+    if (skip) docs = docs.slice(skip);
+    if (limit) docs = docs.slice(0, limit);
+    return docs;
+  }
+
+  find(filter = {}, options = {}) {
+    return new Cursor(() =>
+      this.select(filter, options).map((doc) =>
+        clone(project(doc, options.projection))
+      )
+    );
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? clone(project(doc, options.projection)) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.select(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    this.select(filter).forEach((doc) =>
+      candidates(getValues(doc, field))
+        .filter((value) => value !== undefined && !Array.isArray(value))
+        .forEach((value) => {
+          if (!values.some((existing) => equals(existing, value))) {
+            values.push(value);
+          }
+        })
+    );
+    return values.map(clone);
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return {
+      acknowledged: true,
+      insertedCount: docs.length,
+      insertedIds,
+    };
+  }
+
+  // Apply an update to one stored document, keeping it if a unique index
+  // refuses the result
+  updateDoc(doc, filter, update, isInsert = false) {
+    const updated = clone(doc);
+    applyUpdate(updated, update, {
+      positional: positionalIndex(doc, filter),
+      isInsert,
+    });
+    this.checkUnique(updated, doc);
+
+    const modified = !equals(updated, doc);
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, updated);
+    return modified;
+  }
+
+  upsert(filter, update) {
+    const doc = seedFromFilter(filter);
+    applyUpdate(doc, update, { isInsert: true });
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!doc) {
+      if (!options.upsert) {
+        return {
+          acknowledged: true,
+          matchedCount: 0,
+          modifiedCount: 0,
+          upsertedCount: 0,
+          upsertedId: null,
+        };
+      }
+      const created = this.upsert(filter, update);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: created._id,
+      };
+    }
+
+    const modified = this.updateDoc(doc, filter, update);
+    return {
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: modified ? 1 : 0,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.select(filter);
+    if (docs.length === 0 && options.upsert) {
+      return this.updateOne(filter, update, options);
+    }
+
+    let modifiedCount = 0;
+    docs.forEach((doc) => {
+      if (this.updateDoc(doc, filter, update)) modifiedCount++;
+    });
+    return {
+      acknowledged: true,
+      matchedCount: docs.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const returnNew =
+      options.returnDocument === "after" ||
+      options.returnOriginal === false ||
+      options.new === true;
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+
+    if (!doc) {
+      if (!options.upsert) {
+        return { value: null, ok: 1, lastErrorObject: { n: 0 } };
+      }
+      const created = this.upsert(filter, update);
+      return {
+        value: returnNew ? clone(project(created, options.projection)) : null,
+        ok: 1,
+        lastErrorObject: {
+          n: 1,
+          updatedExisting: false,
+          upserted: created._id,
+        },
+      };
+    }
+
+    const before = clone(doc);
+    this.updateDoc(doc, filter, update);
+    return {
+      value: clone(project(returnNew ? doc : before, options.projection)),
+      ok: 1,
+      lastErrorObject: { n: 1, updatedExisting: true },
+    };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return {
+      value: doc ? clone(project(doc, options.projection)) : null,
+      ok: 1,
+      lastErrorObject: { n: doc ? 1 : 0 },
+    };
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = this.select(filter);
+    this.docs = this.docs.filter((doc) => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async bulkWrite(operations) {
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+    };
+
+    for (const operation of operations) {
+      const [type, spec] = Object.entries(operation)[0];
+      let res;
+      switch (type) {
+        case "insertOne":
+          await this.insertOne(spec.document);
+          result.insertedCount++;
+          continue;
+        case "updateOne":
+          res = await this.updateOne(spec.filter, spec.update, spec);
+          break;
+        case "updateMany":
+          res = await this.updateMany(spec.filter, spec.update, spec);
+          break;
+        case "replaceOne":
+          res = await this.replaceOne(spec.filter, spec.replacement, spec);
+          break;
+        case "deleteOne":
+          res = await this.deleteOne(spec.filter);
+          break;
+        case "deleteMany":
+          res = await this.deleteMany(spec.filter);
+          break;
+        default:
+          throw new Error(`memoryMongo: unsupported bulk operation ${type}`);
+      }
+      result.matchedCount += res.matchedCount || 0;
+      result.modifiedCount += res.modifiedCount || 0;
+      result.deletedCount += res.deletedCount || 0;
+      result.upsertedCount += res.upsertedCount || 0;
+    }
+
+    return result;
+  }
+
+  aggregate(pipeline) {
+    return new Cursor(() =>
+      runPipeline(this.db, this.docs.map(clone), pipeline)
+    );
+  }
+}
+
+const accumulate = (docs, spec) => {
+  const [operator, expression] = Object.entries(spec)[0];
+  const values = docs.map((doc) => evaluate(doc, expression));
+
+  switch (operator) {
+    case "$sum":
+      return values.reduce(
+        (sum, value) => sum + (typeof value === "number" ? value : 0),
+        0
+      );
+    case "$avg": {
+      const numbers = values.filter((value) => typeof value === "number");
+      return numbers.length
+        ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+        : null;
+    }
+    case "$min":
+      return values.filter((v) => v != null).sort(compare)[0] ?? null;
+    case "$max":
+      return (
+        values
+          .filter((v) => v != null)
+          .sort(compare)
+          .pop() ?? null
+      );
+    case "$first":
+      return values[0] ?? null;
+    case "$last":
+      return values[values.length - 1] ?? null;
+    case "$push":
+      return values;
+    case "$addToSet":
+      return values.filter(
+        (value, i) => values.findIndex((other) => equals(other, value)) === i
+      );
+    default:
+      throw new Error(`memoryMongo: unsupported accumulator ${operator}`);
+  }
+};
+
+const runPipeline = (db, docs, pipeline) =>
+  pipeline.reduce((current, stage) => {
+    const [name, spec] = Object.entries(stage)[0];
+
+    switch (name) {
+      case "$match":
+        return current.filter((doc) => matches(doc, spec));
+      case "$sort":
+        return sortDocs(current, spec);
+      case "$skip":
+        return current.slice(spec);
+      case "$limit":
+        return current.slice(0, spec);
+      case "$count":
+        return current.length ? [{ [spec]: current.length }] : [];
+      case "$project": {
+        const flags = Object.entries(spec).filter(([, value]) =>
+          [0, 1, true, false].includes(value)
+        );
+        const computed = Object.entries(spec).filter(
+          ([, value]) => ![0, 1, true, false].includes(value)
+        );
+        const exclusive =
+          computed.length === 0 &&
+          flags.every(([key, value]) => key === "_id" || !value);
+
+        return current.map((doc) => {
+          if (exclusive) return project(doc, spec);
+
+          const out = project(doc, Object.fromEntries(flags));
+          if (!flags.some(([key]) => key !== "_id") && spec._id === 0) {
+            delete out._id;
+          }
+          computed.forEach(([key, expression]) =>
+            setPath(out, key.split("."), evaluate(doc, expression))
+          );
+          return out;
+        });
+      }
+      case "$addFields":
+      case "$set":
+        return current.map((doc) => {
+          const out = clone(doc);
+          Object.entries(spec).forEach(([key, expression]) =>
+            setPath(out, key.split("."), evaluate(doc, expression))
+          );
+          return out;
+        });
+      case "$unwind": {
+        const path = (typeof spec === "string" ? spec : spec.path).slice(1);
+        const keepEmpty =
+          typeof spec === "object" && spec.preserveNullAndEmptyArrays;
+        return current.flatMap((doc) => {
+          const value = getValue(doc, path);
+          if (!Array.isArray(value) || value.length === 0) {
+            return keepEmpty || (value != null && !Array.isArray(value))
+              ? [doc]
+              : [];
+          }
+          return value.map((entry) => {
+            const copy = clone(doc);
+            setPath(copy, path.split("."), entry);
+            return copy;
+          });
+        });
+      }
+      case "$group": {
+        const groups = [];
+        current.forEach((doc) => {
+          const id = evaluate(doc, spec._id);
+          let group = groups.find((entry) => equals(entry.id, id ?? null));
+          if (!group) {
+            group = { id: id ?? null, docs: [] };
+            groups.push(group);
+          }
+          group.docs.push(doc);
+        });
+        return groups.map(({ id, docs: members }) => {
+          const out = { _id: id };
+          Object.entries(spec)
+            .filter(([key]) => key !== "_id")
+            .forEach(([key, accumulator]) => {
+              out[key] = accumulate(members, accumulator);
+            });
+          return out;
+        });
+      }
+      case "$lookup": {
+        const foreign = db.collection(spec.from).docs;
+        if (spec.pipeline) {
+          throw new Error("memoryMongo: $lookup pipelines are not supported");
+        }
+        return current.map((doc) => {
+          const local = candidates(getValues(doc, spec.localField));
+          const joined = foreign.filter((other) =>
+            candidates(getValues(other, spec.foreignField)).some((value) =>
+              local.some((entry) => equals(entry, value))
+            )
+          );
+          return { ...doc, [spec.as]: joined.map(clone) };
+        });
+      }
+      case "$replaceRoot":
+        return current.map((doc) => evaluate(doc, spec.newRoot));
+      case "$facet":
+        return [
+          Object.fromEntries(
+            Object.entries(spec).map(([key, subPipeline]) => [
+              key,
+              runPipeline(db, current.map(clone), subPipeline),
+            ])
+          ),
+        ];
+      default:
+        throw new Error(`memoryMongo: unsupported pipeline stage ${name}`);
+    }
+  }, docs);
+
+class MemoryDb {
+  constructor() {
+    this.databaseName = "memory";
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  async dropDatabase() {
+    this.collections.clear();
+    return true;
+  }
+}
+
+// Point the default mongoose connection at a fresh in-memory database.
+// Models compiled before or after this run against it. With
+// MONGODB_TEST_URI set, connect to that server instead, to a database of
+// this Jest worker's own that starts empty with the models' indexes.
+const connect = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    await mongoose.connect(process.env.MONGODB_TEST_URI, {
+      dbName: `autoapplyjob_test_${process.env.JEST_WORKER_ID || 1}`,
+    });
+
+    const models = mongoose.modelNames().map((name) => mongoose.model(name));
+    await Promise.all(models.map((model) => model.init()));
+    await mongoose.connection.db.dropDatabase();
+    await Promise.all(models.map((model) => model.createIndexes()));
+
+    return mongoose.connection.db;
+  }
+
+  const db = new MemoryDb();
+  mongoose.connection.db = db;
+  mongoose.connection.onOpen();
+
+  await Promise.all(
+    mongoose.modelNames().map((name) => mongoose.model(name).init())
+  );
+
+  return db;
+};
+
+// Empty every collection, keeping the unique indexes
+const clear = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(
+      collections.map((collection) => collection.deleteMany({}))
+    );
+    return;
+  }
+
+  mongoose.connection.db.collections.forEach((collection) => {
+    collection.docs = [];
+  });
+};
+
+// Close a real server connection (run after every test file)
+const disconnect = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    await mongoose.disconnect();
+  }
+};
+
+const collection = (name) => mongoose.connection.db.collection(name);
+
+module.exports = { connect, clear, disconnect, collection };
@@ -0,0 +1,184 @@
+const memoryMongo = require("./memoryMongo");
+
+// Index behaviour the models rely on, pinned so the in-memory stand-in
+// keeps to what MongoDB does. Runs against a real server too with
+// MONGODB_TEST_URI set.
+describe("memoryMongo unique indexes", () => {
+  beforeAll(async () => {
+    await memoryMongo.connect();
+  });
+
+  beforeEach(async () => {
+    await memoryMongo.clear();
+  });
+
+  // A collection with one unique index on the given keys
+  const indexed = async (name, key, options = {}) => {
+    const collection = memoryMongo.collection(name);
+    await collection.createIndex(key, { unique: true, ...options });
+    return collection;
+  };
+
+  it("rejects a duplicate with the driver's error shape", async () => {
+    const users = await indexed("contract_plain", { email: 1 });
+    await users.insertOne({ email: "jane@example.com" });
+
+    await expect(
+      users.insertOne({ email: "jane@example.com" })
+    ).rejects.toMatchObject({
+      code: 11000,
+      keyPattern: { email: 1 },
+      keyValue: { email: "jane@example.com" },
+    });
+  });
+
+  it("checks updates as well as inserts", async () => {
+    const users = await indexed("contract_update", { email: 1 });
+    await users.insertOne({ email: "jane@example.com" });
+    await users.insertOne({ email: "john@example.com" });
+
+    await expect(
+      users.updateOne(
+        { email: "john@example.com" },
+        { $set: { email: "jane@example.com" } }
+      )
+    ).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it("treats documents missing the field as one null key", async () => {
+    const users = await indexed("contract_null", { email: 1 });
+    await users.insertOne({ name: "Jane" });
+
+    await expect(users.insertOne({ name: "John" })).rejects.toMatchObject({
+      code: 11000,
+    });
+  });
+
+  describe("sparse", () => {
+    it("skips documents missing the field", async () => {
+      const tasks = await indexed(
+        "contract_sparse",
+        { activeKey: 1 },
+        { sparse: true }
+      );
+      await tasks.insertOne({ name: "first" });
+      await tasks.insertOne({ name: "second" });
+      await tasks.insertOne({ activeKey: "user-1" });
+
+      await expect(
+        tasks.insertOne({ activeKey: "user-1" })
+      ).rejects.toMatchObject({ code: 11000 });
+    });
+
+    it("still indexes an empty array under a compound key", async () => {
+      const users = await indexed(
+        "contract_sparse_array",
+        { "accounts.provider": 1, "accounts.providerId": 1 },
+        { sparse: true }
+      );
+      await users.insertOne({ accounts: [] });
+
+      await expect(users.insertOne({ accounts: [] })).rejects.toMatchObject({
+        code: 11000,
+      });
+    });
+  });
+
+  describe("partial", () => {
+    it("skips documents outside an $exists filter", async () => {
+      const users = await indexed(
+        "contract_partial_exists",
+        { "accounts.provider": 1, "accounts.providerId": 1 },
+        {
+          partialFilterExpression: {
+            "accounts.providerId": { $exists: true },
+          },
+        }
+      );
+      await users.insertOne({ accounts: [] });
+      await users.insertOne({ accounts: [] });
+      await users.insertOne({
+        accounts: [{ provider: "google", providerId: "g1" }],
+      });
+
+      await expect(
+        users.insertOne({
+          accounts: [{ provider: "google", providerId: "g1" }],
+        })
+      ).rejects.toMatchObject({ code: 11000 });
+    });
+
+    it("skips documents outside a $type and $gt filter", async () => {
+      const jobs = await indexed(
+        "contract_partial_type",
+        { platform: 1, originalId: 1 },
+        {
+          partialFilterExpression: {
+            originalId: { $type: "string", $gt: "" },
+          },
+        }
+      );
+      await jobs.insertOne({ platform: "lever" });
+      await jobs.insertOne({ platform: "lever" });
+      await jobs.insertOne({ platform: "lever", originalId: "" });
+      await jobs.insertOne({ platform: "lever", originalId: "" });
+      await jobs.insertOne({ platform: "lever", originalId: "42" });
+
+      await expect(
+        jobs.insertOne({ platform: "lever", originalId: "42" })
+      ).rejects.toMatchObject({ code: 11000 });
+    });
+  });
+
+  describe("multikey", () => {
+    it("clashes when two documents share any array element", async () => {
+      const users = await indexed(
+        "contract_multikey",
+        { "accounts.provider": 1, "accounts.providerId": 1 },
+        {
+          partialFilterExpression: {
+            "accounts.providerId": { $exists: true },
+          },
+        }
+      );
+      await users.insertOne({
+        accounts: [{ provider: "google", providerId: "g1" }],
+      });
+
+      await expect(
+        users.insertOne({
+          accounts: [
+            { provider: "github", providerId: "h1" },
+            { provider: "google", providerId: "g1" },
+          ],
+        })
+      ).rejects.toMatchObject({
+        code: 11000,
+        keyValue: {
+          "accounts.provider": "google",
+          "accounts.providerId": "g1",
+        },
+      });
+    });
+
+    it("lets one document repeat an element", async () => {
+      const posts = await indexed("contract_multikey_self", { tags: 1 });
+
+      await posts.insertOne({ tags: ["node", "node"] });
+
+      expect(await posts.countDocuments({ tags: "node" })).toBe(1);
+    });
+  });
+
+  it("keeps indexes when cleared", async () => {
+    const users = await indexed("contract_clear", { email: 1 });
+    await users.insertOne({ email: "jane@example.com" });
+
+    await memoryMongo.clear();
+    await users.insertOne({ email: "jane@example.com" });
+
+    await expect(
+      users.insertOne({ email: "jane@example.com" })
+    ).rejects.toMatchObject({ code: 11000 });
+  });
+});